@@ -16,6 +16,9 @@ $sitemap_info = $sitemap_generator->get_sitemap_info();
 
 $auto_update = get_option('mdsm_auto_update_sitemap', false);
 $sitemap_type = get_option('mdsm_sitemap_type', 'small');
+$sitemap_settings = MDSM_Sitemap_Generator::get_settings();
+$sitemap_sources = MDSM_Sitemap_Generator::get_sources();
+$sitemap_changefreqs = MDSM_Sitemap_Generator::get_changefreqs();
 
 // Count existing files
 $meta_exists = $file_manager->get_existing_files_count('meta');
@@ -29,6 +32,9 @@ $meta_total += count($custom_markdown_files);
 
 $seo_exists = $file_manager->get_existing_files_count('seo');
 $seo_total = count($seo_files);
+
+// Predefined categories plus any assigned to custom files
+$custom_categories = array_unique(array_merge(array_keys($meta_files), array_values(mdsm_get_custom_markdown_categories())));
 ?>
 
 <div class="wrap mdsm-admin-wrap">
@@ -45,9 +51,57 @@ $seo_total = count($seo_files);
 
     <!-- Search/Filter Bar -->
     <div class="mdsm-search-bar">
-        <input type="text" id="mdsm-search" class="mdsm-search-input" placeholder="<?php esc_attr_e('Search files...', 'archiviomd'); ?>">
+        <input type="text" id="mdsm-search" class="mdsm-search-input" placeholder="<?php esc_attr_e('Search files and their contents...', 'archiviomd'); ?>">
         <span class="mdsm-search-icon dashicons dashicons-search"></span>
     </div>
+    
+    <!-- Content search results (filled in by MDSMSearch as you type) -->
+    <div id="mdsm-search-panel" class="mdsm-search-panel" style="display: none;">
+        <div class="mdsm-search-filters">
+            <label>
+                <?php esc_html_e('Category', 'archiviomd'); ?>
+                <select id="mdsm-search-category">
+                    <option value=""><?php esc_html_e('All categories', 'archiviomd'); ?></option>
+                    <?php foreach (array_unique(array_merge($custom_categories, array('Custom Markdown', 'SEO Files'))) as $search_category) : ?>
+                        <option value="<?php echo esc_attr($search_category); ?>"><?php echo esc_html($search_category); ?></option>
+                    <?php endforeach; ?>
+                </select>
+            </label>
+            <label>
+                <?php esc_html_e('Status', 'archiviomd'); ?>
+                <select id="mdsm-search-status">
+                    <option value=""><?php esc_html_e('Any', 'archiviomd'); ?></option>
+                    <option value="active"><?php esc_html_e('Active', 'archiviomd'); ?></option>
+                    <option value="empty"><?php esc_html_e('Empty', 'archiviomd'); ?></option>
+                </select>
+            </label>
+            <span id="mdsm-search-count" class="mdsm-search-count" aria-live="polite"></span>
+        </div>
+        <ul id="mdsm-search-results" class="mdsm-search-results"></ul>
+    </div>
+
+    <!-- Integrity check: recompute every document's checksum in the browser -->
+    <div class="mdsm-verify-bar">
+        <button type="button" id="mdsm-verify-all" class="button">
+            <span class="dashicons dashicons-shield"></span>
+            <?php esc_html_e('Verify All', 'archiviomd'); ?>
+        </button>
+        <span id="mdsm-verify-progress" class="mdsm-verify-progress"></span>
+        <span id="mdsm-verify-summary" class="mdsm-verify-summary"></span>
+        <button type="button" id="mdsm-verify-report" class="button-link" style="display: none;">
+            <span class="dashicons dashicons-download"></span>
+            <?php esc_html_e('Download Report', 'archiviomd'); ?>
+        </button>
+    </div>
+
+    <!-- Import: drop files, a folder or a ZIP to add or update documents -->
+    <div id="mdsm-import-zone" class="mdsm-import-zone" tabindex="0" role="button" aria-describedby="mdsm-import-hint">
+        <span class="dashicons dashicons-upload"></span>
+        <span id="mdsm-import-hint" class="mdsm-import-hint">
+            <?php esc_html_e('Drop Markdown files, a folder or a ZIP here to import documents, or click to choose files.', 'archiviomd'); ?>
+        </span>
+    </div>
+    <input type="file" id="mdsm-import-input" multiple accept=".md,.markdown,.txt,.json,.zip" hidden>
 
     <!-- Tabs Navigation -->
     <div class="mdsm-tabs">
@@ -85,6 +139,10 @@ $seo_total = count($seo_files);
                         <span class="dashicons dashicons-category"></span>
                         <?php echo esc_html($category); ?>
                     </h3>
+                    <label class="mdsm-bulk-select-all">
+                        <input type="checkbox" class="mdsm-bulk-select-category">
+                        <?php esc_html_e('Select all', 'archiviomd'); ?>
+                    </label>
                     <button class="mdsm-collapse-toggle" aria-expanded="false">
                         <span class="dashicons dashicons-arrow-down-alt2"></span>
                     </button>
@@ -98,6 +156,7 @@ $seo_total = count($seo_files);
                             <div class="mdsm-file-card" data-filename="<?php echo esc_attr($file_name); ?>" data-description="<?php echo esc_attr($description); ?>">
                                 <div class="mdsm-file-header">
                                     <div class="mdsm-file-title">
+                                        <input type="checkbox" class="mdsm-bulk-select" value="<?php echo esc_attr($file_name); ?>" aria-label="<?php echo esc_attr(sprintf(__('Select %s', 'archiviomd'), $file_name)); ?>">
                                         <span class="mdsm-file-icon dashicons dashicons-media-text"></span>
                                         <span class="mdsm-file-name"><?php echo esc_html($file_name); ?></span>
                                         <?php if ($file_info['exists']) : ?>
@@ -225,6 +284,10 @@ $seo_total = count($seo_files);
                     <span class="dashicons dashicons-edit"></span>
                     <?php esc_html_e('Custom Markdown', 'archiviomd'); ?>
                 </h3>
+                <label class="mdsm-bulk-select-all">
+                    <input type="checkbox" class="mdsm-bulk-select-category">
+                    <?php esc_html_e('Select all', 'archiviomd'); ?>
+                </label>
                 <button class="mdsm-collapse-toggle" aria-expanded="false">
                     <span class="dashicons dashicons-arrow-down-alt2"></span>
                 </button>
@@ -241,12 +304,16 @@ $seo_total = count($seo_files);
                     <?php if (empty($custom_files)) : ?>
                         <p class="mdsm-empty-message"><?php esc_html_e('No custom markdown files yet. Click "Custom Markdown" to create one.', 'archiviomd'); ?></p>
                     <?php else : ?>
-                        <?php foreach ($custom_files as $file_name => $description) : 
+                        <?php
+                        $custom_file_categories = mdsm_get_custom_markdown_categories();
+                        foreach ($custom_files as $file_name => $description) : 
                             $file_info = $file_manager->get_file_info('meta', $file_name);
+                            $custom_category = isset($custom_file_categories[$file_name]) ? $custom_file_categories[$file_name] : '';
                         ?>
-                            <div class="mdsm-file-card mdsm-custom-file-card" data-filename="<?php echo esc_attr($file_name); ?>" data-description="<?php echo esc_attr($description); ?>">
+                            <div class="mdsm-file-card mdsm-custom-file-card" data-filename="<?php echo esc_attr($file_name); ?>" data-description="<?php echo esc_attr($description); ?>" data-category="<?php echo esc_attr($custom_category); ?>">
                                 <div class="mdsm-file-header">
                                     <div class="mdsm-file-title">
+                                        <input type="checkbox" class="mdsm-bulk-select" value="<?php echo esc_attr($file_name); ?>" aria-label="<?php echo esc_attr(sprintf(__('Select %s', 'archiviomd'), $file_name)); ?>">
                                         <span class="mdsm-file-icon dashicons dashicons-media-text"></span>
                                         <span class="mdsm-file-name"><?php echo esc_html($file_name); ?></span>
                                         <?php if ($file_info['exists']) : ?>
@@ -268,6 +335,9 @@ $seo_total = count($seo_files);
                                 
                                 <div class="mdsm-file-description">
                                     <?php echo esc_html($description ? $description : 'Custom markdown file'); ?>
+                                    <?php if ($custom_category) : ?>
+                                        <span class="mdsm-custom-category"><?php echo esc_html($custom_category); ?></span>
+                                    <?php endif; ?>
                                 </div>
                                 
                                 <div class="mdsm-file-meta">
@@ -460,11 +530,157 @@ $seo_total = count($seo_files);
                     </label>
                 </div>
 
+                <h3><?php esc_html_e('Sitemap Content', 'archiviomd'); ?></h3>
+                
+                <table class="widefat striped mdsm-sitemap-sources">
+                    <thead>
+                        <tr>
+                            <th class="check-column"><span class="screen-reader-text"><?php esc_html_e('Include', 'archiviomd'); ?></span></th>
+                            <th><?php esc_html_e('Content', 'archiviomd'); ?></th>
+                            <th><?php esc_html_e('Published', 'archiviomd'); ?></th>
+                            <th><?php esc_html_e('Change frequency', 'archiviomd'); ?></th>
+                            <th><?php esc_html_e('Priority', 'archiviomd'); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr>
+                            <td class="check-column"><input type="checkbox" id="mdsm-sitemap-homepage" <?php checked($sitemap_settings['homepage']); ?>></td>
+                            <td><label for="mdsm-sitemap-homepage"><?php esc_html_e('Homepage', 'archiviomd'); ?></label></td>
+                            <td>1</td>
+                            <td>daily</td>
+                            <td>1.0</td>
+                        </tr>
+                        <?php foreach (array('post_types', 'taxonomies') as $source_group) : ?>
+                            <?php foreach ($sitemap_sources[$source_group] as $source_name => $source_label) :
+                                $source = $sitemap_settings[$source_group][$source_name];
+                                if ($source_group === 'post_types') {
+                                    $source_counts = wp_count_posts($source_name);
+                                    $source_count = isset($source_counts->publish) ? (int) $source_counts->publish : 0;
+                                } else {
+                                    $source_count = wp_count_terms(array('taxonomy' => $source_name, 'hide_empty' => true));
+                                    $source_count = is_wp_error($source_count) ? 0 : (int) $source_count;
+                                }
+                                $source_id = 'mdsm-sitemap-' . $source_group . '-' . $source_name;
+                            ?>
+                                <tr class="mdsm-sitemap-source" data-group="<?php echo esc_attr($source_group); ?>" data-name="<?php echo esc_attr($source_name); ?>">
+                                    <td class="check-column"><input type="checkbox" class="mdsm-sitemap-enabled" id="<?php echo esc_attr($source_id); ?>" <?php checked(!empty($source['enabled'])); ?>></td>
+                                    <td>
+                                        <label for="<?php echo esc_attr($source_id); ?>"><?php echo esc_html($source_label); ?></label>
+                                        <code><?php echo esc_html($source_name); ?></code>
+                                        <?php if ($source_group === 'taxonomies') : ?>
+                                            <span class="mdsm-sitemap-source-kind"><?php esc_html_e('taxonomy', 'archiviomd'); ?></span>
+                                        <?php endif; ?>
+                                    </td>
+                                    <td><?php echo esc_html(number_format_i18n($source_count)); ?></td>
+                                    <td>
+                                        <select class="mdsm-sitemap-changefreq" aria-label="<?php esc_attr_e('Change frequency', 'archiviomd'); ?>">
+                                            <?php foreach ($sitemap_changefreqs as $changefreq) : ?>
+                                                <option value="<?php echo esc_attr($changefreq); ?>" <?php selected($source['changefreq'], $changefreq); ?>><?php echo esc_html($changefreq); ?></option>
+                                            <?php endforeach; ?>
+                                        </select>
+                                    </td>
+                                    <td>
+                                        <select class="mdsm-sitemap-priority" aria-label="<?php esc_attr_e('Priority', 'archiviomd'); ?>">
+                                            <?php for ($p = 10; $p >= 0; $p--) : $priority = number_format($p / 10, 1, '.', ''); ?>
+                                                <option value="<?php echo esc_attr($priority); ?>" <?php selected($source['priority'], $priority); ?>><?php echo esc_html($priority); ?></option>
+                                            <?php endfor; ?>
+                                        </select>
+                                    </td>
+                                </tr>
+                            <?php endforeach; ?>
+                        <?php endforeach; ?>
+                    </tbody>
+                </table>
+
+                <?php
+                $sitemap_docs = array();
+                foreach (MDSM_Sitemap_Generator::get_documents() as $doc_name => $doc_type) {
+                    if ($file_manager->file_exists($doc_type, $doc_name)) {
+                        $sitemap_docs[] = $doc_name;
+                    }
+                }
+                ?>
+                <div class="mdsm-option-group mdsm-sitemap-documents">
+                    <div class="mdsm-sitemap-documents-header">
+                        <strong><?php esc_html_e('Meta Documents', 'archiviomd'); ?></strong>
+                        <select id="mdsm-sitemap-docs-changefreq" aria-label="<?php esc_attr_e('Change frequency', 'archiviomd'); ?>">
+                            <?php foreach ($sitemap_changefreqs as $changefreq) : ?>
+                                <option value="<?php echo esc_attr($changefreq); ?>" <?php selected($sitemap_settings['documents']['changefreq'], $changefreq); ?>><?php echo esc_html($changefreq); ?></option>
+                            <?php endforeach; ?>
+                        </select>
+                        <select id="mdsm-sitemap-docs-priority" aria-label="<?php esc_attr_e('Priority', 'archiviomd'); ?>">
+                            <?php for ($p = 10; $p >= 0; $p--) : $priority = number_format($p / 10, 1, '.', ''); ?>
+                                <option value="<?php echo esc_attr($priority); ?>" <?php selected($sitemap_settings['documents']['priority'], $priority); ?>><?php echo esc_html($priority); ?></option>
+                            <?php endfor; ?>
+                        </select>
+                        <?php if (!empty($sitemap_docs)) : ?>
+                            <label><input type="checkbox" id="mdsm-sitemap-docs-all"> <?php esc_html_e('Select all', 'archiviomd'); ?></label>
+                        <?php endif; ?>
+                    </div>
+                    <p class="description"><?php esc_html_e('Documents are listed by their HTML version when one has been generated, otherwise by the Markdown file.', 'archiviomd'); ?></p>
+                    <?php if (empty($sitemap_docs)) : ?>
+                        <p><em><?php esc_html_e('No documents have content yet.', 'archiviomd'); ?></em></p>
+                    <?php else : ?>
+                        <div class="mdsm-sitemap-doc-list">
+                            <?php foreach ($sitemap_docs as $doc_name) : ?>
+                                <label><input type="checkbox" class="mdsm-sitemap-doc" value="<?php echo esc_attr($doc_name); ?>" <?php checked(in_array($doc_name, $sitemap_settings['documents']['files'], true)); ?>> <?php echo esc_html($doc_name); ?></label>
+                            <?php endforeach; ?>
+                        </div>
+                    <?php endif; ?>
+                </div>
+
+                <div class="mdsm-option-group">
+                    <label for="mdsm-sitemap-max-urls">
+                        <?php esc_html_e('Split into a sitemap index above', 'archiviomd'); ?>
+                        <input type="number" id="mdsm-sitemap-max-urls" class="small-text" min="1" max="<?php echo esc_attr(MDSM_Sitemap_Generator::MAX_URLS); ?>" value="<?php echo esc_attr($sitemap_settings['max_urls']); ?>">
+                        <?php esc_html_e('URLs per file', 'archiviomd'); ?>
+                    </label>
+                    <p class="description"><?php esc_html_e('A single sitemap becomes sitemap_index.xml plus numbered files past this count; in Large Site mode each type is split the same way. The protocol allows at most 50,000.', 'archiviomd'); ?></p>
+                </div>
+
                 <div class="mdsm-button-group">
                     <button type="button" id="generate-sitemap" class="button button-primary button-hero">
+                        <span class="dashicons dashicons-visibility"></span>
+                        <?php esc_html_e('Preview Sitemap', 'archiviomd'); ?>
+                    </button>
+                </div>
+            </div>
+
+            <!-- Planned files, XML validation and the URL list; nothing is written until confirmed -->
+            <div id="mdsm-sitemap-preview" class="mdsm-sitemap-preview" style="display: none;">
+                <div class="mdsm-sitemap-preview-header">
+                    <h3><?php esc_html_e('Preview', 'archiviomd'); ?></h3>
+                    <span id="mdsm-sitemap-preview-summary" class="mdsm-sitemap-preview-summary"></span>
+                </div>
+                <ul id="mdsm-sitemap-validation" class="mdsm-sitemap-validation"></ul>
+                <div class="mdsm-sitemap-preview-toolbar">
+                    <select id="mdsm-sitemap-preview-file" aria-label="<?php esc_attr_e('Show URLs from', 'archiviomd'); ?>">
+                        <option value=""><?php esc_html_e('All files', 'archiviomd'); ?></option>
+                    </select>
+                    <div class="mdsm-sitemap-pager">
+                        <button type="button" class="button button-small" id="mdsm-sitemap-prev" aria-label="<?php esc_attr_e('Previous page', 'archiviomd'); ?>">&lsaquo;</button>
+                        <span id="mdsm-sitemap-page"></span>
+                        <button type="button" class="button button-small" id="mdsm-sitemap-next" aria-label="<?php esc_attr_e('Next page', 'archiviomd'); ?>">&rsaquo;</button>
+                    </div>
+                </div>
+                <table class="widefat striped mdsm-sitemap-urls">
+                    <thead>
+                        <tr>
+                            <th><?php esc_html_e('URL', 'archiviomd'); ?></th>
+                            <th><?php esc_html_e('Last modified', 'archiviomd'); ?></th>
+                            <th><?php esc_html_e('Change frequency', 'archiviomd'); ?></th>
+                            <th><?php esc_html_e('Priority', 'archiviomd'); ?></th>
+                            <th><?php esc_html_e('File', 'archiviomd'); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody id="mdsm-sitemap-urls"></tbody>
+                </table>
+                <div class="mdsm-button-group">
+                    <button type="button" id="mdsm-sitemap-write" class="button button-primary button-hero">
                         <span class="dashicons dashicons-update"></span>
                         <?php esc_html_e('Generate Sitemap Now', 'archiviomd'); ?>
                     </button>
+                    <button type="button" id="mdsm-sitemap-preview-close" class="button button-hero"><?php esc_html_e('Close Preview', 'archiviomd'); ?></button>
                 </div>
             </div>
         </div>
@@ -477,6 +693,155 @@ $seo_total = count($seo_files);
 </div>
 
 <!-- File Editor Modal -->
+<!-- Bulk actions for selected document cards -->
+<div id="mdsm-bulk-bar" class="mdsm-bulk-bar" style="display: none;">
+    <span id="mdsm-bulk-count" class="mdsm-bulk-count"></span>
+    <select id="mdsm-bulk-action">
+        <option value=""><?php esc_html_e('Bulk actions', 'archiviomd'); ?></option>
+        <option value="generate_html"><?php esc_html_e('Generate HTML', 'archiviomd'); ?></option>
+        <option value="delete_html"><?php esc_html_e('Delete HTML', 'archiviomd'); ?></option>
+        <option value="publish"><?php esc_html_e('Add to public index', 'archiviomd'); ?></option>
+        <option value="unpublish"><?php esc_html_e('Remove from public index', 'archiviomd'); ?></option>
+        <option value="delete_custom"><?php esc_html_e('Delete custom files', 'archiviomd'); ?></option>
+    </select>
+    <button type="button" id="mdsm-bulk-apply" class="button button-primary"><?php esc_html_e('Apply', 'archiviomd'); ?></button>
+    <button type="button" id="mdsm-bulk-clear" class="button-link"><?php esc_html_e('Clear selection', 'archiviomd'); ?></button>
+</div>
+
+<!-- Bulk action queue: progress and per-item results -->
+<div id="mdsm-bulk-modal" class="mdsm-modal">
+    <div class="mdsm-modal-content">
+        <div class="mdsm-modal-header">
+            <h2 id="mdsm-bulk-title"><?php esc_html_e('Bulk Action', 'archiviomd'); ?></h2>
+            <button class="mdsm-modal-close">
+                <span class="dashicons dashicons-no"></span>
+            </button>
+        </div>
+        
+        <div class="mdsm-modal-body">
+            <div class="mdsm-bulk-progress">
+                <div id="mdsm-bulk-progress-fill" class="mdsm-bulk-progress-fill"></div>
+            </div>
+            <p id="mdsm-bulk-status" class="mdsm-bulk-status"></p>
+            <ul id="mdsm-bulk-items" class="mdsm-bulk-items"></ul>
+        </div>
+        
+        <div class="mdsm-modal-footer">
+            <button type="button" id="mdsm-bulk-retry" class="button" style="display: none;">
+                <span class="dashicons dashicons-update"></span>
+                <?php esc_html_e('Retry Failed', 'archiviomd'); ?>
+            </button>
+            <button type="button" class="button mdsm-modal-close"><?php esc_html_e('Close', 'archiviomd'); ?></button>
+        </div>
+    </div>
+</div>
+
+<!-- Document import: matched targets, conflicts and per-file choices -->
+<div id="mdsm-import-modal" class="mdsm-modal">
+    <div class="mdsm-modal-content mdsm-import-modal-content">
+        <div class="mdsm-modal-header">
+            <h2><?php esc_html_e('Import Documents', 'archiviomd'); ?></h2>
+            <button class="mdsm-modal-close">
+                <span class="dashicons dashicons-no"></span>
+            </button>
+        </div>
+        
+        <div class="mdsm-modal-body">
+            <p id="mdsm-import-summary" class="mdsm-import-summary"></p>
+            <div class="mdsm-bulk-progress" id="mdsm-import-progress" style="display: none;">
+                <div id="mdsm-import-progress-fill" class="mdsm-bulk-progress-fill"></div>
+            </div>
+            <table class="widefat striped mdsm-import-table">
+                <thead>
+                    <tr>
+                        <th><?php esc_html_e('File', 'archiviomd'); ?></th>
+                        <th><?php esc_html_e('Imports as', 'archiviomd'); ?></th>
+                        <th><?php esc_html_e('Status', 'archiviomd'); ?></th>
+                        <th><?php esc_html_e('Action', 'archiviomd'); ?></th>
+                    </tr>
+                </thead>
+                <tbody id="mdsm-import-items"></tbody>
+            </table>
+            
+            <!-- Diff of the current document against the file being imported -->
+            <div id="mdsm-import-diff" class="mdsm-changelog-diff" style="display: none;">
+                <div class="mdsm-review-toolbar">
+                    <span id="mdsm-import-diff-summary" class="mdsm-review-summary"></span>
+                    <button type="button" id="mdsm-import-diff-close" class="button-link"><?php esc_html_e('Hide', 'archiviomd'); ?></button>
+                </div>
+                <div id="mdsm-import-diff-output" class="mdsm-diff-output"></div>
+            </div>
+        </div>
+        
+        <div class="mdsm-modal-footer">
+            <button type="button" class="button mdsm-modal-close"><?php esc_html_e('Close', 'archiviomd'); ?></button>
+            <button type="button" id="mdsm-import-run" class="button button-primary" disabled>
+                <span class="dashicons dashicons-upload"></span>
+                <span id="mdsm-import-run-label"><?php esc_html_e('Import', 'archiviomd'); ?></span>
+            </button>
+        </div>
+    </div>
+</div>
+
+<!-- Custom markdown creation dialog -->
+<div id="mdsm-create-modal" class="mdsm-modal">
+    <div class="mdsm-modal-content">
+        <div class="mdsm-modal-header">
+            <h2><?php esc_html_e('New Custom Markdown File', 'archiviomd'); ?></h2>
+            <button class="mdsm-modal-close">
+                <span class="dashicons dashicons-no"></span>
+            </button>
+        </div>
+        
+        <div class="mdsm-modal-body">
+            <form id="mdsm-create-form" class="mdsm-create-form" novalidate>
+                <div class="mdsm-create-field">
+                    <label for="mdsm-create-template"><?php esc_html_e('Start from', 'archiviomd'); ?></label>
+                    <select id="mdsm-create-template">
+                        <option value=""><?php esc_html_e('Blank file', 'archiviomd'); ?></option>
+                        <?php foreach (mdsm_get_custom_markdown_templates() as $template_key => $template) : ?>
+                            <option value="<?php echo esc_attr($template_key); ?>"><?php echo esc_html($template['label']); ?></option>
+                        <?php endforeach; ?>
+                    </select>
+                </div>
+                
+                <div class="mdsm-create-field">
+                    <label for="mdsm-create-filename"><?php esc_html_e('Filename', 'archiviomd'); ?></label>
+                    <input type="text" id="mdsm-create-filename" class="regular-text" placeholder="my-document.md" autocomplete="off" spellcheck="false" aria-describedby="mdsm-create-filename-status">
+                    <p id="mdsm-create-filename-status" class="mdsm-create-status" aria-live="polite"></p>
+                </div>
+                
+                <div class="mdsm-create-field">
+                    <label for="mdsm-create-description"><?php esc_html_e('Description', 'archiviomd'); ?></label>
+                    <input type="text" id="mdsm-create-description" class="regular-text" placeholder="<?php esc_attr_e('Custom markdown documentation', 'archiviomd'); ?>">
+                </div>
+                
+                <div class="mdsm-create-field">
+                    <label for="mdsm-create-category"><?php esc_html_e('Category', 'archiviomd'); ?></label>
+                    <input type="text" id="mdsm-create-category" class="regular-text" list="mdsm-create-categories" placeholder="<?php esc_attr_e('Optional', 'archiviomd'); ?>">
+                    <datalist id="mdsm-create-categories">
+                        <?php foreach ($custom_categories as $custom_category) : ?>
+                            <option value="<?php echo esc_attr($custom_category); ?>"></option>
+                        <?php endforeach; ?>
+                    </datalist>
+                </div>
+                
+                <div id="mdsm-create-preview-wrap" class="mdsm-create-field" style="display: none;">
+                    <label><?php esc_html_e('Template preview', 'archiviomd'); ?></label>
+                    <pre id="mdsm-create-preview" class="mdsm-create-preview"></pre>
+                </div>
+            </form>
+        </div>
+        
+        <div class="mdsm-modal-footer">
+            <button type="button" class="button mdsm-modal-close"><?php esc_html_e('Cancel', 'archiviomd'); ?></button>
+            <button type="submit" form="mdsm-create-form" id="mdsm-create-submit" class="button button-primary" disabled>
+                <?php esc_html_e('Create File', 'archiviomd'); ?>
+            </button>
+        </div>
+    </div>
+</div>
+
 <div id="mdsm-editor-modal" class="mdsm-modal">
     <div class="mdsm-modal-content">
         <div class="mdsm-modal-header">
@@ -491,21 +856,116 @@ $seo_total = count($seo_files);
                 <p id="mdsm-editor-description"></p>
                 <div class="mdsm-editor-meta">
                     <span id="mdsm-editor-location"></span>
+                    <span id="mdsm-draft-status" class="mdsm-draft-status"></span>
+                    <div class="mdsm-layout-toggle" role="group" aria-label="<?php esc_attr_e('Editor layout', 'archiviomd'); ?>">
+                        <button type="button" class="button button-small mdsm-layout-button" data-layout="editor" title="<?php esc_attr_e('Editor only', 'archiviomd'); ?>">
+                            <span class="dashicons dashicons-edit"></span> <?php esc_html_e('Editor', 'archiviomd'); ?>
+                        </button>
+                        <button type="button" class="button button-small mdsm-layout-button" data-layout="split" title="<?php esc_attr_e('Editor and preview side by side', 'archiviomd'); ?>">
+                            <span class="dashicons dashicons-columns"></span> <?php esc_html_e('Split', 'archiviomd'); ?>
+                        </button>
+                        <button type="button" class="button button-small mdsm-layout-button" data-layout="preview" title="<?php esc_attr_e('Preview only', 'archiviomd'); ?>">
+                            <span class="dashicons dashicons-visibility"></span> <?php esc_html_e('Preview', 'archiviomd'); ?>
+                        </button>
+                    </div>
+                    <!-- Structured editors for SEO files (robots.txt, security.txt) -->
+                    <div class="mdsm-seo-mode-toggle" role="group" aria-label="<?php esc_attr_e('Editor mode', 'archiviomd'); ?>" style="display: none;">
+                        <button type="button" class="button button-small mdsm-seo-mode-button" data-seo-mode="structured" title="<?php esc_attr_e('Edit with a form', 'archiviomd'); ?>">
+                            <span class="dashicons dashicons-forms"></span> <?php esc_html_e('Structured', 'archiviomd'); ?>
+                        </button>
+                        <button type="button" class="button button-small mdsm-seo-mode-button" data-seo-mode="raw" title="<?php esc_attr_e('Edit the plain text', 'archiviomd'); ?>">
+                            <span class="dashicons dashicons-editor-code"></span> <?php esc_html_e('Raw', 'archiviomd'); ?>
+                        </button>
+                    </div>
                 </div>
             </div>
             
-            <textarea id="mdsm-editor-textarea" class="mdsm-editor-textarea" rows="20"></textarea>
+            <div id="mdsm-editor-pane" class="mdsm-layout-editor">
+                <!-- Offered when a local autosaved draft is newer than the saved file -->
+                <div id="mdsm-draft-notice" class="mdsm-draft-notice" style="display: none;">
+                    <span class="dashicons dashicons-backup"></span>
+                    <span id="mdsm-draft-notice-text" class="mdsm-draft-notice-text"></span>
+                    <button type="button" id="mdsm-draft-restore" class="button button-small"><?php esc_html_e('Restore draft', 'archiviomd'); ?></button>
+                    <button type="button" id="mdsm-draft-discard" class="button-link"><?php esc_html_e('Discard', 'archiviomd'); ?></button>
+                </div>
+                
+                <div class="mdsm-editor-split">
+                    <textarea id="mdsm-editor-textarea" class="mdsm-editor-textarea" rows="20"></textarea>
+                    <div id="mdsm-editor-preview" class="mdsm-editor-preview" aria-live="off"></div>
+                    <div id="mdsm-structured-pane" class="mdsm-structured-pane"></div>
+                </div>
+                
+                <!-- Syntax checks for SEO files, plus the robots.txt URL tester -->
+                <div id="mdsm-seo-tools" class="mdsm-seo-tools" style="display: none;">
+                    <div id="mdsm-robots-tester" class="mdsm-robots-tester" style="display: none;">
+                        <strong><?php esc_html_e('Test a URL:', 'archiviomd'); ?></strong>
+                        <input type="text" id="mdsm-robots-agent" class="regular-text" value="Googlebot" aria-label="<?php esc_attr_e('User agent', 'archiviomd'); ?>">
+                        <input type="text" id="mdsm-robots-url" class="regular-text" placeholder="/wp-admin/" aria-label="<?php esc_attr_e('URL or path', 'archiviomd'); ?>">
+                        <button type="button" id="mdsm-robots-test" class="button button-small"><?php esc_html_e('Test', 'archiviomd'); ?></button>
+                        <span id="mdsm-robots-result" class="mdsm-robots-result" aria-live="polite"></span>
+                    </div>
+                    <div id="mdsm-seo-summary" class="mdsm-seo-summary"></div>
+                    <ul id="mdsm-seo-issues" class="mdsm-seo-issues"></ul>
+                </div>
+                
+                <div class="mdsm-editor-help">
+                    <p><strong><?php esc_html_e('Tip:', 'archiviomd'); ?></strong> <?php esc_html_e('Leave the content empty and save to delete the file.', 'archiviomd'); ?></p>
+                    <p class="mdsm-editor-shortcuts">
+                        <strong><?php esc_html_e('Shortcuts:', 'archiviomd'); ?></strong>
+                        <span><kbd class="mdsm-mod-key">Ctrl</kbd>+<kbd>S</kbd> <?php esc_html_e('review, then confirm & save', 'archiviomd'); ?></span>
+                        <span><kbd class="mdsm-mod-key">Ctrl</kbd>+<kbd>B</kbd> / <kbd class="mdsm-mod-key">Ctrl</kbd>+<kbd>I</kbd> <?php esc_html_e('bold / italic', 'archiviomd'); ?></span>
+                        <span><kbd>Alt</kbd>+<kbd>1</kbd>/<kbd>2</kbd>/<kbd>3</kbd> <?php esc_html_e('editor / split / preview', 'archiviomd'); ?></span>
+                        <span><kbd class="mdsm-mod-key">Ctrl</kbd>+<kbd>K</kbd> <?php esc_html_e('command palette', 'archiviomd'); ?></span>
+                        <span><kbd>Esc</kbd> <?php esc_html_e('close', 'archiviomd'); ?></span>
+                    </p>
+                </div>
+            </div>
             
-            <div class="mdsm-editor-help">
-                <p><strong><?php esc_html_e('Tip:', 'archiviomd'); ?></strong> <?php esc_html_e('Leave the content empty and save to delete the file.', 'archiviomd'); ?></p>
+            <!-- Review changes: diff of server content vs. edited text -->
+            <div id="mdsm-review-pane" class="mdsm-review-pane" style="display: none;">
+                <div class="mdsm-review-toolbar">
+                    <span id="mdsm-review-summary" class="mdsm-review-summary"></span>
+                    <div class="mdsm-diff-mode-toggle" role="group" aria-label="<?php esc_attr_e('Diff layout', 'archiviomd'); ?>">
+                        <button type="button" class="button button-small mdsm-diff-mode active" data-mode="unified"><?php esc_html_e('Unified', 'archiviomd'); ?></button>
+                        <button type="button" class="button button-small mdsm-diff-mode" data-mode="split"><?php esc_html_e('Split', 'archiviomd'); ?></button>
+                    </div>
+                </div>
+                <div id="mdsm-diff-output" class="mdsm-diff-output"></div>
+                <div class="mdsm-editor-help">
+                    <p><?php esc_html_e('Each save records a new checksum in the document changelog. Check the changes above before confirming.', 'archiviomd'); ?></p>
+                </div>
+            </div>
+            
+            <!-- Save conflict: three-way merge of the version you loaded, the saved version and your edit -->
+            <div id="mdsm-merge-pane" class="mdsm-merge-pane" style="display: none;">
+                <div class="mdsm-merge-notice">
+                    <span class="dashicons dashicons-warning"></span>
+                    <span id="mdsm-merge-summary"></span>
+                </div>
+                <div id="mdsm-merge-output" class="mdsm-merge-output"></div>
+                <div class="mdsm-editor-help">
+                    <p><?php esc_html_e('Choose a version for each conflict. Applying the merge returns to the editor with the merged text, based on the saved version; review and save it again.', 'archiviomd'); ?></p>
+                </div>
             </div>
         </div>
         
         <div class="mdsm-modal-footer">
             <button type="button" class="button mdsm-modal-close"><?php esc_html_e('Cancel', 'archiviomd'); ?></button>
-            <button type="button" id="mdsm-save-file" class="button button-primary">
+            <button type="button" id="mdsm-review-back" class="button" style="display: none;">
+                <span class="dashicons dashicons-arrow-left-alt2"></span>
+                <?php esc_html_e('Back to Editor', 'archiviomd'); ?>
+            </button>
+            <button type="button" id="mdsm-review-changes" class="button button-primary">
+                <span class="dashicons dashicons-visibility"></span>
+                <?php esc_html_e('Review Changes', 'archiviomd'); ?>
+            </button>
+            <button type="button" id="mdsm-save-file" class="button button-primary" style="display: none;">
                 <span class="dashicons dashicons-saved"></span>
-                <?php esc_html_e('Save File', 'archiviomd'); ?>
+                <?php esc_html_e('Confirm & Save', 'archiviomd'); ?>
+            </button>
+            <button type="button" id="mdsm-merge-apply" class="button button-primary" style="display: none;" disabled>
+                <span class="dashicons dashicons-randomize"></span>
+                <?php esc_html_e('Apply Merge', 'archiviomd'); ?>
             </button>
         </div>
     </div>
@@ -526,6 +986,26 @@ $seo_total = count($seo_files);
                 <p id="mdsm-changelog-filename"></p>
             </div>
             
+            <div class="mdsm-changelog-toolbar">
+                <span><?php esc_html_e('Select two revisions to compare them.', 'archiviomd'); ?></span>
+                <button type="button" id="mdsm-changelog-compare" class="button button-small" disabled>
+                    <span class="dashicons dashicons-image-flip-horizontal"></span>
+                    <?php esc_html_e('Compare Selected', 'archiviomd'); ?>
+                </button>
+            </div>
+            
+            <!-- Diff between two selected revisions -->
+            <div id="mdsm-changelog-diff" class="mdsm-changelog-diff" style="display: none;">
+                <div class="mdsm-review-toolbar">
+                    <span id="mdsm-changelog-diff-summary" class="mdsm-review-summary"></span>
+                    <div class="mdsm-diff-mode-toggle" role="group" aria-label="<?php esc_attr_e('Diff layout', 'archiviomd'); ?>">
+                        <button type="button" class="button button-small mdsm-diff-mode active" data-mode="unified"><?php esc_html_e('Unified', 'archiviomd'); ?></button>
+                        <button type="button" class="button button-small mdsm-diff-mode" data-mode="split"><?php esc_html_e('Split', 'archiviomd'); ?></button>
+                    </div>
+                </div>
+                <div id="mdsm-changelog-diff-output" class="mdsm-diff-output"></div>
+            </div>
+            
             <div id="mdsm-changelog-content" class="mdsm-changelog-content">
                 <!-- Changelog entries will be inserted here -->
             </div>
@@ -537,5 +1017,18 @@ $seo_total = count($seo_files);
     </div>
 </div>
 
+<!-- Command palette (Ctrl/Cmd+K) -->
+<div id="mdsm-palette" class="mdsm-palette" style="display: none;">
+    <div class="mdsm-palette-box" role="dialog" aria-modal="true" aria-label="<?php esc_attr_e('Command palette', 'archiviomd'); ?>">
+        <input type="text" id="mdsm-palette-input" class="mdsm-palette-input" role="combobox" aria-expanded="true" aria-controls="mdsm-palette-list" aria-autocomplete="list" autocomplete="off" spellcheck="false" placeholder="<?php esc_attr_e('Type a command or document name...', 'archiviomd'); ?>">
+        <ul id="mdsm-palette-list" class="mdsm-palette-list" role="listbox"></ul>
+        <div class="mdsm-palette-footer">
+            <span><kbd>&uarr;</kbd><kbd>&darr;</kbd> <?php esc_html_e('navigate', 'archiviomd'); ?></span>
+            <span><kbd>Enter</kbd> <?php esc_html_e('run', 'archiviomd'); ?></span>
+            <span><kbd>Esc</kbd> <?php esc_html_e('close', 'archiviomd'); ?></span>
+        </div>
+    </div>
+</div>
+
 <!-- Notification Toast -->
 <div id="mdsm-toast" class="mdsm-toast"></div>
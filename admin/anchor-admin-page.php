@@ -328,21 +328,77 @@ $tsa_profiles      = MDSM_TSA_Profiles::all();
 
 		<p>
 			<?php esc_html_e( 'The queue holds pending anchor jobs. Jobs run every 5 minutes via WP-Cron. Failed jobs are retried automatically using exponential back-off (up to 5 attempts).', 'archiviomd' ); ?>
+			<?php esc_html_e( 'Each job can be retried immediately, cancelled, or moved to the front or back of the queue; jobs are anchored in list order.', 'archiviomd' ); ?>
 		</p>
 
-		<div class="mdsm-anchor-status-item" style="margin-bottom:12px;">
-			<span class="mdsm-anchor-label"><?php esc_html_e( 'Pending jobs:', 'archiviomd' ); ?></span>
-			<strong id="mdsm-queue-count-detail"><?php echo esc_html( $queue_count ); ?></strong>
+		<div class="mdsm-queue-toolbar">
+			<div class="mdsm-anchor-status-item">
+				<span class="mdsm-anchor-label"><?php esc_html_e( 'Pending jobs:', 'archiviomd' ); ?></span>
+				<strong id="mdsm-queue-count-detail"><?php echo esc_html( $queue_count ); ?></strong>
+			</div>
+			<span id="mdsm-queue-updated" class="mdsm-queue-updated"></span>
+			<label class="mdsm-queue-autorefresh">
+				<input type="checkbox" id="mdsm-queue-autorefresh" checked>
+				<?php esc_html_e( 'Auto-refresh', 'archiviomd' ); ?>
+			</label>
+			<button type="button" id="mdsm-queue-refresh" class="button button-small"><?php esc_html_e( 'Refresh', 'archiviomd' ); ?></button>
+		</div>
+
+		<!-- Live queue monitor — filled and refreshed by anchor-admin.js -->
+		<div class="mdsm-queue-table-wrap">
+			<table class="mdsm-anchor-log-table mdsm-queue-table">
+				<thead>
+					<tr>
+						<th><?php esc_html_e( 'Document', 'archiviomd' ); ?></th>
+						<th><?php esc_html_e( 'Providers', 'archiviomd' ); ?></th>
+						<th><?php esc_html_e( 'Attempts', 'archiviomd' ); ?></th>
+						<th><?php esc_html_e( 'Next Retry', 'archiviomd' ); ?></th>
+						<th><?php esc_html_e( 'Last Error', 'archiviomd' ); ?></th>
+						<th><?php esc_html_e( 'Actions', 'archiviomd' ); ?></th>
+					</tr>
+				</thead>
+				<tbody id="mdsm-queue-tbody">
+					<tr><td colspan="6" class="mdsm-log-loading"><?php esc_html_e( 'Loading…', 'archiviomd' ); ?></td></tr>
+				</tbody>
+			</table>
 		</div>
 
+		<div id="mdsm-queue-feedback" class="mdsm-anchor-feedback" style="display:none;margin-top:10px;"></div>
+
 		<button type="button" id="mdsm-anchor-clear-queue" class="button button-secondary" <?php echo $queue_count === 0 ? 'disabled' : ''; ?>>
 			<?php esc_html_e( 'Clear Anchor Queue', 'archiviomd' ); ?>
 		</button>
 		<p class="description" style="margin-top:6px;">
-			<?php esc_html_e( 'Clears all pending and failed anchor jobs. Hashes already stored in the database are unaffected.', 'archiviomd' ); ?>
+			<?php esc_html_e( 'Clears all pending and failed anchor jobs. Hashes already stored in the database are unaffected. To drop a single job, use its Cancel action above instead.', 'archiviomd' ); ?>
 		</p>
+	</div>
 
-		<div id="mdsm-queue-feedback" class="mdsm-anchor-feedback" style="display:none;margin-top:10px;"></div>
+	<!-- Anchoring Health card — charts drawn as inline SVG by anchor-admin.js -->
+	<div class="mdsm-anchor-card" id="mdsm-health-card">
+		<h2 class="mdsm-anchor-card-title"><?php esc_html_e( 'Anchoring Health', 'archiviomd' ); ?></h2>
+
+		<p>
+			<?php esc_html_e( 'Anchoring results per day for each provider, the median time from queueing a document to a successful anchor, and the most frequent errors. Days are UTC.', 'archiviomd' ); ?>
+		</p>
+
+		<div class="mdsm-health-toolbar">
+			<select id="mdsm-health-days" aria-label="<?php esc_attr_e( 'Period', 'archiviomd' ); ?>">
+				<option value="7"><?php esc_html_e( 'Last 7 days', 'archiviomd' ); ?></option>
+				<option value="30" selected><?php esc_html_e( 'Last 30 days', 'archiviomd' ); ?></option>
+				<option value="90"><?php esc_html_e( 'Last 90 days', 'archiviomd' ); ?></option>
+			</select>
+			<select id="mdsm-health-scope" aria-label="<?php esc_attr_e( 'Providers', 'archiviomd' ); ?>">
+				<option value="git"><?php esc_html_e( 'GitHub / GitLab', 'archiviomd' ); ?></option>
+				<option value="all"><?php esc_html_e( 'All providers', 'archiviomd' ); ?></option>
+			</select>
+			<button type="button" id="mdsm-health-refresh" class="button button-small"><?php esc_html_e( 'Refresh', 'archiviomd' ); ?></button>
+		</div>
+
+		<div id="mdsm-health-summary" class="mdsm-health-summary"></div>
+		<div id="mdsm-health-charts" class="mdsm-health-charts"></div>
+
+		<h3 class="mdsm-health-subtitle"><?php esc_html_e( 'Top failure reasons', 'archiviomd' ); ?></h3>
+		<div id="mdsm-health-failures"></div>
 	</div>
 
 	<!-- Activity Log card -->
@@ -378,6 +434,26 @@ $tsa_profiles      = MDSM_TSA_Profiles::all();
 			</span>
 		</div>
 
+		<!-- Search and filters: sent to mdsm_anchor_get_log and mirrored in the URL by anchor-admin.js -->
+		<div class="mdsm-log-filters">
+			<input type="search" id="mdsm-log-search" placeholder="<?php esc_attr_e( 'Document ID or hash prefix', 'archiviomd' ); ?>" aria-label="<?php esc_attr_e( 'Search the log', 'archiviomd' ); ?>">
+			<label>
+				<?php esc_html_e( 'From', 'archiviomd' ); ?>
+				<input type="date" id="mdsm-log-date-from">
+			</label>
+			<label>
+				<?php esc_html_e( 'To', 'archiviomd' ); ?>
+				<input type="date" id="mdsm-log-date-to">
+			</label>
+			<select id="mdsm-log-provider" aria-label="<?php esc_attr_e( 'Provider', 'archiviomd' ); ?>">
+				<option value=""><?php esc_html_e( 'All providers', 'archiviomd' ); ?></option>
+			</select>
+			<select id="mdsm-log-algorithm" aria-label="<?php esc_attr_e( 'Algorithm', 'archiviomd' ); ?>">
+				<option value=""><?php esc_html_e( 'All algorithms', 'archiviomd' ); ?></option>
+			</select>
+			<button type="button" id="mdsm-log-reset" class="button button-small"><?php esc_html_e( 'Reset', 'archiviomd' ); ?></button>
+		</div>
+
 		<!-- Log table: sits in its own scroll container that spans edge-to-edge of the card.
 		     margin+width trick: negative margins shift the div left/right, calc(100%+56px)
 		     gives it the extra width so overflow-x:auto has a real scroll range to work with. -->
@@ -385,11 +461,11 @@ $tsa_profiles      = MDSM_TSA_Profiles::all();
 			<table id="mdsm-log-table" style="border-collapse:collapse;white-space:nowrap;font-size:12.5px;width:max-content;min-width:100%;">
 				<thead>
 					<tr style="background:#f6f7f7;border-bottom:2px solid #c3c4c7;">
-						<th style="padding:8px 14px;text-align:left;font-weight:600;color:#1d2327;"><?php esc_html_e( 'Timestamp (UTC)', 'archiviomd' ); ?></th>
-						<th style="padding:8px 14px;text-align:left;font-weight:600;color:#1d2327;"><?php esc_html_e( 'Status', 'archiviomd' ); ?></th>
-						<th style="padding:8px 14px;text-align:left;font-weight:600;color:#1d2327;"><?php esc_html_e( 'Document ID', 'archiviomd' ); ?></th>
-						<th style="padding:8px 14px;text-align:left;font-weight:600;color:#1d2327;"><?php esc_html_e( 'Provider', 'archiviomd' ); ?></th>
-						<th style="padding:8px 14px;text-align:left;font-weight:600;color:#1d2327;"><?php esc_html_e( 'Algorithm', 'archiviomd' ); ?></th>
+						<th class="mdsm-log-sortable" data-sort="created_at" tabindex="0" style="padding:8px 14px;text-align:left;font-weight:600;color:#1d2327;"><?php esc_html_e( 'Timestamp (UTC)', 'archiviomd' ); ?> <span class="mdsm-log-sort-indicator"></span></th>
+						<th class="mdsm-log-sortable" data-sort="status" tabindex="0" style="padding:8px 14px;text-align:left;font-weight:600;color:#1d2327;"><?php esc_html_e( 'Status', 'archiviomd' ); ?> <span class="mdsm-log-sort-indicator"></span></th>
+						<th class="mdsm-log-sortable" data-sort="document_id" tabindex="0" style="padding:8px 14px;text-align:left;font-weight:600;color:#1d2327;"><?php esc_html_e( 'Document ID', 'archiviomd' ); ?> <span class="mdsm-log-sort-indicator"></span></th>
+						<th class="mdsm-log-sortable" data-sort="provider" tabindex="0" style="padding:8px 14px;text-align:left;font-weight:600;color:#1d2327;"><?php esc_html_e( 'Provider', 'archiviomd' ); ?> <span class="mdsm-log-sort-indicator"></span></th>
+						<th class="mdsm-log-sortable" data-sort="hash_algorithm" tabindex="0" style="padding:8px 14px;text-align:left;font-weight:600;color:#1d2327;"><?php esc_html_e( 'Algorithm', 'archiviomd' ); ?> <span class="mdsm-log-sort-indicator"></span></th>
 						<th style="padding:8px 14px;text-align:left;font-weight:600;color:#1d2327;"><?php esc_html_e( 'Hash (truncated)', 'archiviomd' ); ?></th>
 						<th style="padding:8px 14px;text-align:left;font-weight:600;color:#1d2327;"><?php esc_html_e( 'Anchor / TSR', 'archiviomd' ); ?></th>
 					</tr>
@@ -511,6 +587,50 @@ $tsa_profiles      = MDSM_TSA_Profiles::all();
 
 	</div>
 
+	<!-- Verify chain card — runs in the browser, see "Chain verification" in anchor-admin.js -->
+	<div class="mdsm-anchor-card" id="mdsm-chain-card">
+		<h2 class="mdsm-anchor-card-title"><?php esc_html_e( 'Verify Chain', 'archiviomd' ); ?></h2>
+
+		<p>
+			<?php esc_html_e( 'Check the anchor records in your repository against this site. Pick the JSON files from the anchor folder, a ZIP of the folder, or paste records below. Each document\'s records are put back in order to rebuild its chain of hashes, and every record is compared with the Activity Log: records that differ from what was committed are flagged as tampered, records out of sequence as reordered, and logged anchors with no record in the upload as missing.', 'archiviomd' ); ?>
+		</p>
+
+		<div class="mdsm-chain-inputs">
+			<label>
+				<?php esc_html_e( 'Anchor files', 'archiviomd' ); ?>
+				<input type="file" id="mdsm-chain-files" accept=".json,.zip" multiple>
+			</label>
+			<label>
+				<?php esc_html_e( 'Repository', 'archiviomd' ); ?>
+				<select id="mdsm-chain-provider">
+					<option value="" <?php selected( ! in_array( $provider, array( 'github', 'gitlab' ), true ) ); ?>><?php esc_html_e( 'GitHub and GitLab', 'archiviomd' ); ?></option>
+					<option value="github" <?php selected( $provider, 'github' ); ?>><?php esc_html_e( 'GitHub', 'archiviomd' ); ?></option>
+					<option value="gitlab" <?php selected( $provider, 'gitlab' ); ?>><?php esc_html_e( 'GitLab', 'archiviomd' ); ?></option>
+				</select>
+			</label>
+		</div>
+
+		<p>
+			<textarea id="mdsm-chain-paste" rows="5" class="large-text code" spellcheck="false" placeholder="<?php esc_attr_e( 'Or paste one anchor record, or a JSON array of records', 'archiviomd' ); ?>"></textarea>
+		</p>
+
+		<p>
+			<button type="button" id="mdsm-chain-verify" class="button button-primary">
+				<?php esc_html_e( 'Verify Chain', 'archiviomd' ); ?>
+			</button>
+			<button type="button" id="mdsm-chain-export" class="button button-secondary" disabled>
+				<?php esc_html_e( 'Export Report', 'archiviomd' ); ?>
+			</button>
+		</p>
+
+		<p class="description">
+			<?php esc_html_e( 'Nothing is uploaded to the server: files are read in your browser and only the Activity Log is fetched. Order comes from the time in each file name (document-YYYYMMDDHHMMSS.json); pasted records are placed by their log entry, and on their own are only checked for gaps in their documents. Records older than the oldest log entry cannot be cross-checked if the log has been pruned.', 'archiviomd' ); ?>
+		</p>
+
+		<div id="mdsm-chain-feedback" class="mdsm-anchor-feedback" style="display:none;"></div>
+		<div id="mdsm-chain-result" class="mdsm-chain-result" aria-live="polite"></div>
+	</div>
+
 	<!-- How anchoring works card -->
 	<div class="mdsm-anchor-card mdsm-anchor-card-info">
 		<h2 class="mdsm-anchor-card-title"><?php esc_html_e( 'How External Anchoring Works', 'archiviomd' ); ?></h2>
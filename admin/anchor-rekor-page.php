@@ -122,6 +122,13 @@ curl https://rekor.sigstore.dev/api/v1/log/entries?logIndex=&lt;INDEX&gt;</pre>
 						<p class="description"><?php esc_html_e( 'When enabled, every anchor job also POSTs a hashedrekord entry to rekor.sigstore.dev. This runs asynchronously via WP-Cron and never delays document saves. Can be combined with GitHub/GitLab and RFC 3161.', 'archiviomd' ); ?></p>
 					</td>
 				</tr>
+				<tr>
+					<th scope="row"><label for="mdsm-rekor-public-key"><?php esc_html_e( 'Log Public Key', 'archiviomd' ); ?></label></th>
+					<td>
+						<textarea name="rekor_public_key" id="mdsm-rekor-public-key" rows="5" class="large-text code" spellcheck="false" placeholder="-----BEGIN PUBLIC KEY-----"><?php echo esc_textarea( $settings['rekor_public_key'] ); ?></textarea>
+						<p class="description"><?php esc_html_e( 'PEM public key that checkpoints and signed entry timestamps are verified against in "Verify an Inclusion Proof". Leave empty to use the rekor.sigstore.dev key shipped with the plugin; set it only if that key is rotated.', 'archiviomd' ); ?></p>
+					</td>
+				</tr>
 			</table>
 			<p class="submit" style="margin-top:16px;">
 				<button type="button" id="mdsm-rekor-save-btn" class="button button-primary" <?php echo ( ! $sodium_ok || ! $openssl_ok ) ? 'disabled' : ''; ?>><?php esc_html_e( 'Save Settings', 'archiviomd' ); ?></button>
@@ -131,6 +138,63 @@ curl https://rekor.sigstore.dev/api/v1/log/entries?logIndex=&lt;INDEX&gt;</pre>
 		</form>
 	</div>
 
+	<!-- Inclusion proof card — verified in the browser by assets/js/archivio-rekor.js -->
+	<div class="mdsm-anchor-card" id="mdsm-rekor-proof-card" style="margin-bottom:24px;">
+		<h2 class="mdsm-anchor-card-title"><?php esc_html_e( 'Verify an Inclusion Proof', 'archiviomd' ); ?></h2>
+
+		<p>
+			<?php esc_html_e( 'Check a Rekor entry without contacting Rekor. Pick or paste the entry JSON as returned by the Rekor API, or use "Verify inclusion proof" on an anchored entry in the Activity Log to load the copy stored on this site. Your browser recomputes the leaf hash from the entry body, walks the Merkle inclusion path up to the root hash (RFC 6962), and checks the checkpoint and signed entry timestamp signatures against the log public key.', 'archiviomd' ); ?>
+		</p>
+
+		<p>
+			<label for="mdsm-rekor-proof-file"><strong><?php esc_html_e( 'Entry file', 'archiviomd' ); ?></strong></label>
+			<input type="file" id="mdsm-rekor-proof-file" accept=".json,application/json">
+		</p>
+		<p>
+			<textarea id="mdsm-rekor-proof-json" rows="6" class="large-text code" spellcheck="false" placeholder="<?php esc_attr_e( '{"<uuid>": {"body": "...", "integratedTime": ..., "logID": "...", "logIndex": ..., "verification": {...}}}', 'archiviomd' ); ?>"></textarea>
+		</p>
+		<p>
+			<button type="button" id="mdsm-rekor-proof-verify" class="button button-primary">
+				<?php esc_html_e( 'Verify Proof', 'archiviomd' ); ?>
+			</button>
+		</p>
+
+		<p class="description">
+			<?php esc_html_e( 'When an anchor log entry is loaded, its stored anchor record is also hashed and compared with the artifact hash in the entry body. The checkpoint proves inclusion in the tree it names; comparing that tree with later checkpoints (consistency) is left to rekor-cli.', 'archiviomd' ); ?>
+		</p>
+
+		<div id="mdsm-rekor-proof-feedback" class="mdsm-anchor-feedback" style="display:none;"></div>
+		<div id="mdsm-rekor-proof-result" class="mdsm-rekor-proof-result" aria-live="polite"></div>
+	</div>
+
+	<!-- Anchoring Health card — charts drawn as inline SVG by anchor-admin.js -->
+	<div class="mdsm-anchor-card" id="mdsm-health-card" style="margin-bottom:24px;">
+		<h2 class="mdsm-anchor-card-title"><?php esc_html_e( 'Anchoring Health', 'archiviomd' ); ?></h2>
+
+		<p>
+			<?php esc_html_e( 'Anchoring results per day for each provider, the median time from queueing a document to a successful anchor, and the most frequent errors. Days are UTC.', 'archiviomd' ); ?>
+		</p>
+
+		<div class="mdsm-health-toolbar">
+			<select id="mdsm-health-days" aria-label="<?php esc_attr_e( 'Period', 'archiviomd' ); ?>">
+				<option value="7"><?php esc_html_e( 'Last 7 days', 'archiviomd' ); ?></option>
+				<option value="30" selected><?php esc_html_e( 'Last 30 days', 'archiviomd' ); ?></option>
+				<option value="90"><?php esc_html_e( 'Last 90 days', 'archiviomd' ); ?></option>
+			</select>
+			<select id="mdsm-health-scope" aria-label="<?php esc_attr_e( 'Providers', 'archiviomd' ); ?>">
+				<option value="rekor"><?php esc_html_e( 'Rekor', 'archiviomd' ); ?></option>
+				<option value="all"><?php esc_html_e( 'All providers', 'archiviomd' ); ?></option>
+			</select>
+			<button type="button" id="mdsm-health-refresh" class="button button-small"><?php esc_html_e( 'Refresh', 'archiviomd' ); ?></button>
+		</div>
+
+		<div id="mdsm-health-summary" class="mdsm-health-summary"></div>
+		<div id="mdsm-health-charts" class="mdsm-health-charts"></div>
+
+		<h3 class="mdsm-health-subtitle"><?php esc_html_e( 'Top failure reasons', 'archiviomd' ); ?></h3>
+		<div id="mdsm-health-failures"></div>
+	</div>
+
 	<!-- Activity log -->
 	<div class="mdsm-anchor-card" style="margin-bottom:24px;">
 		<h2 style="margin-top:0;"><?php esc_html_e( 'Rekor Activity Log', 'archiviomd' ); ?></h2>
@@ -187,9 +251,9 @@ curl https://rekor.sigstore.dev/api/v1/log/entries?logIndex=&lt;INDEX&gt;</pre>
 	$('#mdsm-rekor-save-btn').on('click',function(){
 		var $b=$(this),$f=$('#mdsm-rekor-feedback');
 		$b.prop('disabled',true); $f.text('<?php echo esc_js(__('Saving...','archiviomd')); ?>').css('color','#555');
-		$.post(ajaxUrl,{action:'mdsm_anchor_save_settings',nonce:nonce,rekor_enabled:$('#mdsm-rekor-enabled').is(':checked')?'1':''},function(r){
+		$.post(ajaxUrl,{action:'mdsm_anchor_save_settings',nonce:nonce,rekor_enabled:$('#mdsm-rekor-enabled').is(':checked')?'1':'',rekor_public_key:$('#mdsm-rekor-public-key').val()},function(r){
 			$b.prop('disabled',false);
-			$f.text(r.success?r.data.message:'<?php echo esc_js(__('Error saving.','archiviomd')); ?>').css('color',r.success?'#00a32a':'#d63638');
+			$f.text(r.data&&r.data.message?r.data.message:'<?php echo esc_js(__('Error saving.','archiviomd')); ?>').css('color',r.success?'#00a32a':'#d63638');
 		}).fail(function(){ $b.prop('disabled',false); $f.text('<?php echo esc_js(__('Request failed.','archiviomd')); ?>').css('color','#d63638'); });
 	});
 
@@ -206,7 +270,7 @@ curl https://rekor.sigstore.dev/api/v1/log/entries?logIndex=&lt;INDEX&gt;</pre>
 	// Verify button (delegated -- rows are built dynamically)
 	$(document).on('click','.mdsm-verify-btn',function(){
 		var $btn=$(this), $row=$btn.closest('tr');
-		var idx=$btn.data('log-index'), localHash=$btn.data('local-hash')||'';
+		var idx=$btn.data('log-index'), localHash=$btn.data('local-hash')||'', rowId=$btn.data('id')||0;
 		var panelId='mdsm-vp-'+idx, $existing=$('#'+panelId);
 
 		// Toggle off if already open
@@ -214,7 +278,7 @@ curl https://rekor.sigstore.dev/api/v1/log/entries?logIndex=&lt;INDEX&gt;</pre>
 
 		$btn.html('<span class="mdsm-spin"></span><?php echo esc_js(__('Verifying...','archiviomd')); ?>').prop('disabled',true);
 
-		$.post(ajaxUrl,{action:'mdsm_anchor_rekor_verify',nonce:nonce,log_index:idx,local_hash:localHash},function(r){
+		$.post(ajaxUrl,{action:'mdsm_anchor_rekor_verify',nonce:nonce,log_index:idx,local_hash:localHash,id:rowId},function(r){
 			$btn.html('<?php echo esc_js(__('Verify &#10003;','archiviomd')); ?>').prop('disabled',false);
 			var colspan=$row.find('td').length, panelClass, inner;
 
@@ -328,6 +392,7 @@ curl https://rekor.sigstore.dev/api/v1/log/entries?logIndex=&lt;INDEX&gt;</pre>
 					if(idx>0){
 						rekorCell+=' <button type="button" class="button mdsm-verify-btn"'
 							+' data-log-index="'+idx+'"'
+							+' data-id="'+esc(e.id)+'"'
 							+' data-local-hash="'+esc(e.hash_value||'')+'">'
 							+'<?php echo esc_js(__('Verify &#10003;','archiviomd')); ?>'
 							+'</button>';
@@ -337,7 +402,7 @@ curl https://rekor.sigstore.dev/api/v1/log/entries?logIndex=&lt;INDEX&gt;</pre>
 				}
 
 				html+='<tr>'
-					+'<td style="white-space:nowrap;">'+esc(e.created_at)+'</td>'
+					+'<td style="white-space:nowrap;"><button type="button" class="mdsm-log-expand" aria-expanded="false" aria-label="<?php echo esc_js(__('Show details','archiviomd')); ?>"></button> '+esc(e.created_at)+'</td>'
 					+'<td><strong style="color:'+(colors[e.status]||'#555')+';">'+esc(e.status.toUpperCase())+'</strong></td>'
 					+'<td>'+esc(e.document_id)+'</td>'
 					+'<td><code title="'+esc(e.hash_value||'')+'">'+hash+'</code></td>'
@@ -357,6 +422,8 @@ curl https://rekor.sigstore.dev/api/v1/log/entries?logIndex=&lt;INDEX&gt;</pre>
 			}
 
 			$('#mdsm-anchor-log-container').html(html);
+			// Full record, UUID and re-verify: expandable rows from anchor-admin.js
+			$('#mdsm-anchor-log-container tbody > tr').each(function(i){ $(this).data('mdsmEntry',entries[i]); });
 			$('.mdsm-log-page').on('click',function(){ loadLog($(this).data('page')); });
 		});
 	}
@@ -287,21 +287,77 @@ $tsa_profiles      = MDSM_TSA_Profiles::all();
 
 		<p>
 			<?php esc_html_e( 'The queue holds pending anchor jobs. Jobs run every 5 minutes via WP-Cron. Failed jobs are retried automatically using exponential back-off (up to 5 attempts).', 'archiviomd' ); ?>
+			<?php esc_html_e( 'Each job can be retried immediately, cancelled, or moved to the front or back of the queue; jobs are anchored in list order.', 'archiviomd' ); ?>
 		</p>
 
-		<div class="mdsm-anchor-status-item" style="margin-bottom:12px;">
-			<span class="mdsm-anchor-label"><?php esc_html_e( 'Pending jobs:', 'archiviomd' ); ?></span>
-			<strong id="mdsm-queue-count-detail"><?php echo esc_html( $queue_count ); ?></strong>
+		<div class="mdsm-queue-toolbar">
+			<div class="mdsm-anchor-status-item">
+				<span class="mdsm-anchor-label"><?php esc_html_e( 'Pending jobs:', 'archiviomd' ); ?></span>
+				<strong id="mdsm-queue-count-detail"><?php echo esc_html( $queue_count ); ?></strong>
+			</div>
+			<span id="mdsm-queue-updated" class="mdsm-queue-updated"></span>
+			<label class="mdsm-queue-autorefresh">
+				<input type="checkbox" id="mdsm-queue-autorefresh" checked>
+				<?php esc_html_e( 'Auto-refresh', 'archiviomd' ); ?>
+			</label>
+			<button type="button" id="mdsm-queue-refresh" class="button button-small"><?php esc_html_e( 'Refresh', 'archiviomd' ); ?></button>
+		</div>
+
+		<!-- Live queue monitor — filled and refreshed by anchor-admin.js -->
+		<div class="mdsm-queue-table-wrap">
+			<table class="mdsm-anchor-log-table mdsm-queue-table">
+				<thead>
+					<tr>
+						<th><?php esc_html_e( 'Document', 'archiviomd' ); ?></th>
+						<th><?php esc_html_e( 'Providers', 'archiviomd' ); ?></th>
+						<th><?php esc_html_e( 'Attempts', 'archiviomd' ); ?></th>
+						<th><?php esc_html_e( 'Next Retry', 'archiviomd' ); ?></th>
+						<th><?php esc_html_e( 'Last Error', 'archiviomd' ); ?></th>
+						<th><?php esc_html_e( 'Actions', 'archiviomd' ); ?></th>
+					</tr>
+				</thead>
+				<tbody id="mdsm-queue-tbody">
+					<tr><td colspan="6" class="mdsm-log-loading"><?php esc_html_e( 'Loading…', 'archiviomd' ); ?></td></tr>
+				</tbody>
+			</table>
 		</div>
 
+		<div id="mdsm-queue-feedback" class="mdsm-anchor-feedback" style="display:none;margin-top:10px;"></div>
+
 		<button type="button" id="mdsm-anchor-clear-queue" class="button button-secondary" <?php echo $queue_count === 0 ? 'disabled' : ''; ?>>
 			<?php esc_html_e( 'Clear Anchor Queue', 'archiviomd' ); ?>
 		</button>
 		<p class="description" style="margin-top:6px;">
-			<?php esc_html_e( 'Clears all pending and failed anchor jobs. Hashes already stored in the database are unaffected.', 'archiviomd' ); ?>
+			<?php esc_html_e( 'Clears all pending and failed anchor jobs. Hashes already stored in the database are unaffected. To drop a single job, use its Cancel action above instead.', 'archiviomd' ); ?>
 		</p>
+	</div>
 
-		<div id="mdsm-queue-feedback" class="mdsm-anchor-feedback" style="display:none;margin-top:10px;"></div>
+	<!-- Anchoring Health card — charts drawn as inline SVG by anchor-admin.js -->
+	<div class="mdsm-anchor-card" id="mdsm-health-card">
+		<h2 class="mdsm-anchor-card-title"><?php esc_html_e( 'Anchoring Health', 'archiviomd' ); ?></h2>
+
+		<p>
+			<?php esc_html_e( 'Anchoring results per day for each provider, the median time from queueing a document to a successful anchor, and the most frequent errors. Days are UTC.', 'archiviomd' ); ?>
+		</p>
+
+		<div class="mdsm-health-toolbar">
+			<select id="mdsm-health-days" aria-label="<?php esc_attr_e( 'Period', 'archiviomd' ); ?>">
+				<option value="7"><?php esc_html_e( 'Last 7 days', 'archiviomd' ); ?></option>
+				<option value="30" selected><?php esc_html_e( 'Last 30 days', 'archiviomd' ); ?></option>
+				<option value="90"><?php esc_html_e( 'Last 90 days', 'archiviomd' ); ?></option>
+			</select>
+			<select id="mdsm-health-scope" aria-label="<?php esc_attr_e( 'Providers', 'archiviomd' ); ?>">
+				<option value="rfc3161"><?php esc_html_e( 'RFC 3161', 'archiviomd' ); ?></option>
+				<option value="all"><?php esc_html_e( 'All providers', 'archiviomd' ); ?></option>
+			</select>
+			<button type="button" id="mdsm-health-refresh" class="button button-small"><?php esc_html_e( 'Refresh', 'archiviomd' ); ?></button>
+		</div>
+
+		<div id="mdsm-health-summary" class="mdsm-health-summary"></div>
+		<div id="mdsm-health-charts" class="mdsm-health-charts"></div>
+
+		<h3 class="mdsm-health-subtitle"><?php esc_html_e( 'Top failure reasons', 'archiviomd' ); ?></h3>
+		<div id="mdsm-health-failures"></div>
 	</div>
 
 	<!-- Activity Log card -->
@@ -337,16 +393,36 @@ $tsa_profiles      = MDSM_TSA_Profiles::all();
 			</span>
 		</div>
 
+		<!-- Search and filters: sent to mdsm_anchor_get_log and mirrored in the URL by anchor-admin.js -->
+		<div class="mdsm-log-filters">
+			<input type="search" id="mdsm-log-search" placeholder="<?php esc_attr_e( 'Document ID or hash prefix', 'archiviomd' ); ?>" aria-label="<?php esc_attr_e( 'Search the log', 'archiviomd' ); ?>">
+			<label>
+				<?php esc_html_e( 'From', 'archiviomd' ); ?>
+				<input type="date" id="mdsm-log-date-from">
+			</label>
+			<label>
+				<?php esc_html_e( 'To', 'archiviomd' ); ?>
+				<input type="date" id="mdsm-log-date-to">
+			</label>
+			<select id="mdsm-log-provider" aria-label="<?php esc_attr_e( 'Provider', 'archiviomd' ); ?>">
+				<option value=""><?php esc_html_e( 'All providers', 'archiviomd' ); ?></option>
+			</select>
+			<select id="mdsm-log-algorithm" aria-label="<?php esc_attr_e( 'Algorithm', 'archiviomd' ); ?>">
+				<option value=""><?php esc_html_e( 'All algorithms', 'archiviomd' ); ?></option>
+			</select>
+			<button type="button" id="mdsm-log-reset" class="button button-small"><?php esc_html_e( 'Reset', 'archiviomd' ); ?></button>
+		</div>
+
 		<!-- Inline log table -->
 		<div id="mdsm-log-table-wrap" style="margin-top:16px;margin-left:-28px;width:calc(100% + 56px);overflow-x:auto;-webkit-overflow-scrolling:touch;">
 			<table id="mdsm-log-table" style="border-collapse:collapse;white-space:nowrap;font-size:12.5px;width:max-content;min-width:100%;">
 				<thead>
 					<tr style="background:#f6f7f7;border-bottom:2px solid #c3c4c7;">
-						<th style="padding:8px 14px;text-align:left;font-weight:600;color:#1d2327;"><?php esc_html_e( 'Timestamp (UTC)', 'archiviomd' ); ?></th>
-						<th style="padding:8px 14px;text-align:left;font-weight:600;color:#1d2327;"><?php esc_html_e( 'Status', 'archiviomd' ); ?></th>
-						<th style="padding:8px 14px;text-align:left;font-weight:600;color:#1d2327;"><?php esc_html_e( 'Document ID', 'archiviomd' ); ?></th>
-						<th style="padding:8px 14px;text-align:left;font-weight:600;color:#1d2327;"><?php esc_html_e( 'Provider', 'archiviomd' ); ?></th>
-						<th style="padding:8px 14px;text-align:left;font-weight:600;color:#1d2327;"><?php esc_html_e( 'Algorithm', 'archiviomd' ); ?></th>
+						<th class="mdsm-log-sortable" data-sort="created_at" tabindex="0" style="padding:8px 14px;text-align:left;font-weight:600;color:#1d2327;"><?php esc_html_e( 'Timestamp (UTC)', 'archiviomd' ); ?> <span class="mdsm-log-sort-indicator"></span></th>
+						<th class="mdsm-log-sortable" data-sort="status" tabindex="0" style="padding:8px 14px;text-align:left;font-weight:600;color:#1d2327;"><?php esc_html_e( 'Status', 'archiviomd' ); ?> <span class="mdsm-log-sort-indicator"></span></th>
+						<th class="mdsm-log-sortable" data-sort="document_id" tabindex="0" style="padding:8px 14px;text-align:left;font-weight:600;color:#1d2327;"><?php esc_html_e( 'Document ID', 'archiviomd' ); ?> <span class="mdsm-log-sort-indicator"></span></th>
+						<th class="mdsm-log-sortable" data-sort="provider" tabindex="0" style="padding:8px 14px;text-align:left;font-weight:600;color:#1d2327;"><?php esc_html_e( 'Provider', 'archiviomd' ); ?> <span class="mdsm-log-sort-indicator"></span></th>
+						<th class="mdsm-log-sortable" data-sort="hash_algorithm" tabindex="0" style="padding:8px 14px;text-align:left;font-weight:600;color:#1d2327;"><?php esc_html_e( 'Algorithm', 'archiviomd' ); ?> <span class="mdsm-log-sort-indicator"></span></th>
 						<th style="padding:8px 14px;text-align:left;font-weight:600;color:#1d2327;"><?php esc_html_e( 'Hash (truncated)', 'archiviomd' ); ?></th>
 						<th style="padding:8px 14px;text-align:left;font-weight:600;color:#1d2327;"><?php esc_html_e( 'Anchor / TSR', 'archiviomd' ); ?></th>
 					</tr>
@@ -468,6 +544,44 @@ $tsa_profiles      = MDSM_TSA_Profiles::all();
 
 	</div>
 
+	<!-- Timestamp token inspector — parsed and verified in the browser by archivio-tsr.js -->
+	<div class="mdsm-anchor-card" id="mdsm-tsr-card">
+		<h2 class="mdsm-anchor-card-title"><?php esc_html_e( 'Inspect a Timestamp Token', 'archiviomd' ); ?></h2>
+
+		<p>
+			<?php esc_html_e( 'Pick a .tsr file, or use "Inspect token" on an anchored entry in the Activity Log to load the token stored on this site. The token is decoded and verified in your browser: its TSTInfo fields are shown, the message imprint is compared with the document hash, and the CMS signature is checked against the TSA certificate included in the token.', 'archiviomd' ); ?>
+		</p>
+
+		<div class="mdsm-tsr-inputs">
+			<label>
+				<?php esc_html_e( 'Token file', 'archiviomd' ); ?>
+				<input type="file" id="mdsm-tsr-file" accept=".tsr,.tst,.der">
+			</label>
+			<label>
+				<?php esc_html_e( 'Document hash', 'archiviomd' ); ?>
+				<input type="text" id="mdsm-tsr-hash" class="regular-text code" placeholder="<?php esc_attr_e( 'Hex hash (optional)', 'archiviomd' ); ?>" autocomplete="off" spellcheck="false">
+			</label>
+			<label>
+				<?php esc_html_e( 'Algorithm', 'archiviomd' ); ?>
+				<select id="mdsm-tsr-algorithm">
+					<?php foreach ( MDSM_Hash_Helper::allowed_algorithms() as $algo_key => $algo_label ) : ?>
+					<option value="<?php echo esc_attr( $algo_key ); ?>" <?php selected( $algo_key, MDSM_Hash_Helper::get_active_algorithm() ); ?>><?php echo esc_html( $algo_label ); ?></option>
+					<?php endforeach; ?>
+				</select>
+			</label>
+			<button type="button" id="mdsm-tsr-verify" class="button button-primary" disabled>
+				<?php esc_html_e( 'Verify Token', 'archiviomd' ); ?>
+			</button>
+		</div>
+
+		<p class="description">
+			<?php esc_html_e( 'A SHA-256 document hash is the imprint itself; for any other algorithm the imprint is the SHA-256 of its hex string. The TSA certificate is not checked against a trusted root here — use openssl ts -verify with the TSA\'s CA certificate for that.', 'archiviomd' ); ?>
+		</p>
+
+		<div id="mdsm-tsr-feedback" class="mdsm-anchor-feedback" style="display:none;"></div>
+		<div id="mdsm-tsr-result" class="mdsm-tsr-result" aria-live="polite"></div>
+	</div>
+
 	<!-- How anchoring works card -->
 	<div class="mdsm-anchor-card mdsm-anchor-card-info">
 		<h2 class="mdsm-anchor-card-title"><?php esc_html_e( 'How External Anchoring Works', 'archiviomd' ); ?></h2>
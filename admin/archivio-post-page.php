@@ -1238,6 +1238,33 @@ define( 'ARCHIVIOMD_SLHDSA_PARAM',       '<?php echo esc_html( $slhdsa_status['p
 			</div>
 		</div>
 		<div id="audit-log-pagination" style="margin-top:20px;text-align:center;"></div>
+
+		<!-- ── DSSE envelope verifier ─────────────────────────────── -->
+		<div class="archivio-dsse-verifier" style="margin-top:32px;padding-top:20px;border-top:1px solid #dcdcde;">
+			<h2 style="margin-top:0;"><?php esc_html_e( 'Verify a DSSE Envelope', 'archiviomd' ); ?></h2>
+			<p class="description">
+				<?php esc_html_e( 'Paste a DSSE envelope (JSON) exported from a verification file or post meta. The PAE is rebuilt and every signature is checked in this browser with WebCrypto against the keys published under /.well-known/ — no server-side OpenSSL is involved. SLH-DSA signatures cannot be checked in a browser and are listed as such.', 'archiviomd' ); ?>
+			</p>
+			<p>
+				<label for="dsse-verify-envelope"><strong><?php esc_html_e( 'Envelope JSON', 'archiviomd' ); ?></strong></label><br>
+				<textarea id="dsse-verify-envelope" rows="8" class="large-text code" spellcheck="false"
+				          placeholder='{"payload":"…","payloadType":"application/vnd.archiviomd.document","signatures":[…]}'></textarea>
+			</p>
+			<p>
+				<label for="dsse-verify-keys"><strong><?php esc_html_e( 'Additional keys (optional)', 'archiviomd' ); ?></strong></label><br>
+				<textarea id="dsse-verify-keys" rows="4" class="large-text code" spellcheck="false"
+				          placeholder="-----BEGIN CERTIFICATE----- / -----BEGIN PUBLIC KEY----- / 64-char Ed25519 hex"></textarea>
+				<span class="description"><?php esc_html_e( 'Use this to check envelopes signed by a rotated or external key. Published keys are always loaded.', 'archiviomd' ); ?></span>
+			</p>
+			<p>
+				<button type="button" id="dsse-verify-btn" class="button button-primary">
+					<span class="dashicons dashicons-shield" style="vertical-align:middle;margin-right:5px;"></span>
+					<?php esc_html_e( 'Verify Envelope', 'archiviomd' ); ?>
+				</button>
+				<span class="archivio-dsse-verify-status" style="margin-left:10px;"></span>
+			</p>
+			<div id="dsse-verify-results"></div>
+		</div>
 	</div>
 
 	<?php elseif ( $active_tab === 'extended' ) : ?>
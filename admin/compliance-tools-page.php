@@ -144,12 +144,19 @@ foreach ($custom_files as $file_name => $description) {
         <p>The restore process includes:</p>
         <ol>
             <li><strong>Mandatory Dry Run:</strong> Upload and analyze the backup (read-only)</li>
-            <li><strong>Review Report:</strong> See exactly what will be restored, overwritten, or cause conflicts</li>
-            <li><strong>Explicit Confirmation:</strong> Only proceeds after you confirm the changes</li>
-            <li><strong>Full Restore:</strong> Rehydrates metadata and files without altering UUIDs or content</li>
+            <li><strong>Review Report:</strong> Every document is listed as unchanged, modified, new, or missing from the backup, with a line diff for modified documents</li>
+            <li><strong>Explicit Selection:</strong> Only the documents you tick are restored, and only after you confirm</li>
+            <li><strong>Restore &amp; Receipt:</strong> Rehydrates metadata and files without altering UUIDs or content, then issues a signed receipt of what changed</li>
         </ol>
         
         <div id="mdsm-restore-section">
+            <ol id="mdsm-restore-steps" class="mdsm-restore-steps">
+                <li class="is-current">Upload &amp; Dry Run</li>
+                <li>Review &amp; Select</li>
+                <li>Restore</li>
+                <li>Receipt</li>
+            </ol>
+            
             <form method="post" id="mdsm-restore-upload-form" enctype="multipart/form-data">
                 <?php wp_nonce_field('mdsm_restore_dryrun', 'mdsm_restore_dryrun_nonce'); ?>
                 <input type="hidden" name="action" value="mdsm_restore_dryrun">
@@ -293,6 +300,8 @@ foreach ($custom_files as $file_name => $description) {
 
 <?php
 wp_add_inline_style( 'mdsm-compliance-tools', '.card{background:#fff;border:1px solid #ccd0d4;border-left:4px solid #2271b1;padding:20px;box-shadow:0 1px 1px rgba(0,0,0,.04)}.card h2{margin-top:0}.mdsm-status-verified{color:#008a00}.mdsm-status-mismatch{color:#dc3232;font-weight:bold}.mdsm-status-missing{color:#996800}.mdsm-verification-table,.mdsm-dryrun-table{width:100%;border-collapse:collapse;margin-top:10px}.mdsm-verification-table th,.mdsm-verification-table td,.mdsm-dryrun-table th,.mdsm-dryrun-table td{text-align:left;padding:8px;border-bottom:1px solid #ddd}.mdsm-verification-table th,.mdsm-dryrun-table th{background-color:#f0f0f1;font-weight:600}.mdsm-action-restore{background-color:#e7f5e9}.mdsm-action-overwrite{background-color:#fff4e6}.mdsm-action-conflict{background-color:#ffe9e9}' );
+// Restore wizard: step indicator, status badges, progress bar and diff
+wp_add_inline_style( 'mdsm-compliance-tools', '.mdsm-restore-steps{display:flex;gap:8px;margin:15px 0;padding:0;list-style:none;counter-reset:mdsm-step}.mdsm-restore-steps li{flex:1;margin:0;padding:6px 10px;background:#f0f0f1;color:#646970;counter-increment:mdsm-step}.mdsm-restore-steps li:before{content:counter(mdsm-step) ". "}.mdsm-restore-steps li.is-done{background:#e7f5e9;color:#008a00}.mdsm-restore-steps li.is-current{background:#2271b1;color:#fff;font-weight:600}.mdsm-restore-panel{border:2px solid #2271b1;padding:15px;background:#f0f6fc}.mdsm-restore-panel h3{margin-top:0}.mdsm-restore-badge{display:inline-block;padding:1px 8px;border-radius:10px;font-size:12px;background:#f0f0f1}.mdsm-restore-modified .mdsm-restore-badge{background:#fff4e6;color:#996800}.mdsm-restore-new .mdsm-restore-badge{background:#e7f5e9;color:#008a00}.mdsm-restore-missing .mdsm-restore-badge{background:#f0f0f1;color:#646970}.mdsm-restore-conflict .mdsm-restore-badge{background:#ffe9e9;color:#dc3232}tr.mdsm-restore-conflict,tr.mdsm-restore-missing{color:#646970}.mdsm-restore-progress{height:12px;background:#dcdcde;border-radius:6px;overflow:hidden}.mdsm-restore-progress-fill{height:100%;width:0;background:#2271b1;transition:width .2s}.mdsm-restore-log{max-height:240px;overflow:auto;margin:10px 0 0}.mdsm-restore-log li{margin:2px 0}.mdsm-restore-diff-row>td{background:#fff}.mdsm-restore-diff-summary{margin:0 0 6px;color:#646970}.mdsm-restore-diff{width:100%;border-collapse:collapse;font-family:monospace;font-size:12px}.mdsm-restore-diff td{padding:0 6px;border:0;white-space:pre-wrap;word-break:break-word}.mdsm-restore-diff-num{width:1%;color:#8c8f94;text-align:right;white-space:nowrap}.mdsm-restore-diff-add{background:#e7f5e9}.mdsm-restore-diff-del{background:#ffe9e9}.mdsm-restore-diff-gap td{color:#8c8f94;background:#f6f7f7}' );
 ?>
 
 <?php
@@ -428,6 +437,31 @@ jQuery(document).ready(function($) {
         });
     });
     
+    // ── Restore wizard: upload → review → restore → receipt ───────────────
+    var mdsmRestoreBackup = null;
+
+    var mdsmRestoreStatus = {
+        modified:  'Modified',
+        'new':     'New',
+        unchanged: 'Unchanged',
+        missing:   'Missing from backup',
+        conflict:  'Conflict'
+    };
+
+    function mdsmEscape( text ) {
+        return $('<div>').text( text == null ? '' : String( text ) ).html();
+    }
+
+    function mdsmShortHash( hash ) {
+        return hash ? mdsmEscape( hash.substring( 0, 12 ) ) + '…' : '—';
+    }
+
+    function mdsmRestoreStep( step ) {
+        $('#mdsm-restore-steps li').each(function(index) {
+            $(this).toggleClass('is-current', index + 1 === step).toggleClass('is-done', index + 1 < step);
+        });
+    }
+
     // Restore Dry Run
     $('#mdsm-restore-upload-form').on('submit', function(e) {
         e.preventDefault();
@@ -441,6 +475,8 @@ jQuery(document).ready(function($) {
         var $button = $(this).find('button[type="submit"]');
         var originalText = $button.html();
         $button.prop('disabled', true).html('<span class="dashicons dashicons-update spin" style="margin-top: 3px;"></span> Analyzing...');
+        $('#mdsm-dryrun-results').hide().empty();
+        mdsmRestoreStep(1);
         
         var formData = new FormData(this);
         formData.append('action', 'mdsm_restore_dryrun');
@@ -467,109 +503,312 @@ jQuery(document).ready(function($) {
         });
     });
     
+    // Step 2: every file with its status; changed files are preselected
     function displayDryRunResults(data) {
-        var html = '<div style="border: 2px solid #2271b1; padding: 15px; background: #f0f6fc;">';
+        var counts = {};
+        mdsmRestoreBackup = data.backup_info;
+        
+        var html = '<div class="mdsm-restore-panel">';
         html += '<h3>Dry Run Analysis Complete</h3>';
-        html += '<p><strong>Backup Created:</strong> ' + data.backup_info.created_at + '</p>';
-        html += '<p><strong>Documents in Backup:</strong> ' + data.backup_info.document_count + '</p>';
+        html += '<p><strong>Backup Created:</strong> ' + mdsmEscape(data.backup_info.created_at) +
+                ' &nbsp; <strong>Documents in Backup:</strong> ' + mdsmEscape(data.backup_info.document_count) +
+                ' &nbsp; <strong>Plugin Version:</strong> ' + mdsmEscape(data.backup_info.plugin_version) + '</p>';
         
-        if (data.actions.restore.length > 0 || data.actions.overwrite.length > 0 || data.actions.conflict.length > 0) {
-            html += '<h4>Proposed Changes:</h4>';
-            html += '<table class="mdsm-dryrun-table">';
-            html += '<thead><tr><th>Action</th><th>Filename</th><th>Details</th></tr></thead>';
-            html += '<tbody>';
-            
-            data.actions.restore.forEach(function(item) {
-                html += '<tr class="mdsm-action-restore">';
-                html += '<td><strong>RESTORE</strong></td>';
-                html += '<td>' + item.filename + '</td>';
-                html += '<td>New document (UUID: ' + item.uuid.substring(0, 8) + '...)</td>';
-                html += '</tr>';
-            });
-            
-            data.actions.overwrite.forEach(function(item) {
-                html += '<tr class="mdsm-action-overwrite">';
-                html += '<td><strong>OVERWRITE</strong></td>';
-                html += '<td>' + item.filename + '</td>';
-                html += '<td>Existing: ' + item.existing_checksum.substring(0, 16) + '... → New: ' + item.new_checksum.substring(0, 16) + '...</td>';
-                html += '</tr>';
-            });
-            
-            data.actions.conflict.forEach(function(item) {
-                html += '<tr class="mdsm-action-conflict">';
-                html += '<td><strong>CONFLICT</strong></td>';
-                html += '<td>' + item.filename + '</td>';
-                html += '<td>' + item.reason + '</td>';
-                html += '</tr>';
-            });
+        var rows = '';
+        data.files.forEach(function(file) {
+            var selectable = file.status !== 'missing' && file.status !== 'conflict';
+            var checked = file.status === 'modified' || file.status === 'new';
+            var details;
             
-            html += '</tbody></table>';
+            counts[file.status] = (counts[file.status] || 0) + 1;
             
-            if (data.actions.conflict.length > 0) {
-                html += '<div style="background: #ffe9e9; border: 1px solid #dc3232; padding: 10px; margin-top: 15px;">';
-                html += '<strong>⚠️ Conflicts Detected</strong><br>';
-                html += 'Some files cannot be restored automatically. Please resolve conflicts manually.';
-                html += '</div>';
+            if (file.status === 'modified') {
+                details = 'Site: <code>' + mdsmShortHash(file.current_checksum) + '</code> → Backup: <code>' + mdsmShortHash(file.backup_checksum) + '</code>';
+            } else if (file.status === 'new') {
+                details = 'Not on this site' + (file.uuid ? ' (UUID: <code>' + mdsmEscape(file.uuid.substring(0, 8)) + '…</code>)' : '');
+            } else if (file.status === 'unchanged') {
+                details = 'Content identical; restoring only rewrites its metadata';
+            } else if (file.status === 'missing') {
+                details = 'Only on this site; a restore leaves it untouched';
+            } else {
+                details = mdsmEscape(file.reason);
             }
             
-            html += '<div style="margin-top: 20px;">';
-            html += '<button type="button" class="button button-primary button-large" id="mdsm-confirm-restore" ';
-            if (data.actions.conflict.length > 0) {
-                html += 'disabled title="Cannot proceed with conflicts"';
+            rows += '<tr class="mdsm-restore-row mdsm-restore-' + file.status + '" data-filename="' + mdsmEscape(file.filename) + '">';
+            rows += '<td><input type="checkbox" class="mdsm-restore-pick" value="' + mdsmEscape(file.filename) + '"' +
+                    (checked ? ' checked' : '') + (selectable ? '' : ' disabled') + '></td>';
+            rows += '<td><code>' + mdsmEscape(file.filename) + '</code></td>';
+            rows += '<td><span class="mdsm-restore-badge">' + mdsmRestoreStatus[file.status] + '</span></td>';
+            rows += '<td>' + details + '</td>';
+            rows += '<td>' + (file.status === 'modified' ? '<button type="button" class="button button-small mdsm-restore-diff-btn">View Diff</button>' : '') + '</td>';
+            rows += '</tr>';
+        });
+        
+        html += '<p class="mdsm-restore-summary">';
+        Object.keys(mdsmRestoreStatus).forEach(function(status) {
+            if (counts[status]) {
+                html += '<span class="mdsm-restore-' + status + '"><span class="mdsm-restore-badge">' + mdsmRestoreStatus[status] + ': ' + counts[status] + '</span></span> ';
             }
-            html += '>Confirm and Execute Restore</button> ';
-            html += '<button type="button" class="button button-secondary" onclick="location.reload()">Cancel</button>';
+        });
+        html += '</p>';
+        
+        html += '<p>Select: <a href="#" data-select="changed">changed</a> · <a href="#" data-select="all">all</a> · <a href="#" data-select="none">none</a></p>';
+        html += '<table class="mdsm-dryrun-table">';
+        html += '<thead><tr><th style="width: 24px;"></th><th>Filename</th><th>Status</th><th>Details</th><th></th></tr></thead>';
+        html += '<tbody>' + rows + '</tbody></table>';
+        
+        if (counts.conflict) {
+            html += '<div style="background: #ffe9e9; border: 1px solid #dc3232; padding: 10px; margin-top: 15px;">';
+            html += '<strong>⚠️ Conflicts Detected</strong><br>';
+            html += 'Some files are incomplete in the archive and cannot be restored. The remaining files can still be restored.';
             html += '</div>';
-        } else {
-            html += '<p><em>No changes needed. All documents in backup match current state.</em></p>';
         }
         
+        html += '<div style="margin-top: 20px;">';
+        html += '<button type="button" class="button button-primary button-large" id="mdsm-confirm-restore">Restore Selected (<span id="mdsm-restore-selected-count">0</span>)</button> ';
+        html += '<button type="button" class="button button-secondary" onclick="location.reload()">Cancel</button>';
+        html += '</div>';
         html += '</div>';
         
         $('#mdsm-dryrun-results').html(html).show();
-        
-        // Store backup data for actual restore
-        $('#mdsm-dryrun-results').data('backup-data', data);
+        mdsmRestoreStep(2);
+        mdsmUpdateRestoreSelection();
     }
     
-    // Confirm and execute restore
-    $(document).on('click', '#mdsm-confirm-restore', function() {
-        if (!confirm('This will PERMANENTLY overwrite existing files and metadata. Are you absolutely sure?')) {
-            return;
+    function mdsmUpdateRestoreSelection() {
+        var selected = $('#mdsm-dryrun-results .mdsm-restore-pick:checked').length;
+        $('#mdsm-restore-selected-count').text(selected);
+        $('#mdsm-confirm-restore').prop('disabled', selected === 0);
+    }
+    
+    $('#mdsm-dryrun-results').on('change', '.mdsm-restore-pick', mdsmUpdateRestoreSelection);
+    
+    $('#mdsm-dryrun-results').on('click', '[data-select]', function(e) {
+        e.preventDefault();
+        var mode = $(this).data('select');
+        $('#mdsm-dryrun-results .mdsm-restore-pick:enabled').each(function() {
+            var status = $(this).closest('tr').is('.mdsm-restore-modified, .mdsm-restore-new') ? 'changed' : 'other';
+            $(this).prop('checked', mode === 'all' || (mode === 'changed' && status === 'changed'));
+        });
+        mdsmUpdateRestoreSelection();
+    });
+    
+    // Unified diff of the site copy (−) against the backup (+), fetched on first open
+    function mdsmRenderRestoreDiff(current, backup) {
+        var ops = MDSMDiff.diffLines(current, backup);
+        var stats = MDSMDiff.stats(ops);
+        var sign = { equal: ' ', add: '+', del: '-' };
+        var shown = 0;
+        var html = '<p class="mdsm-restore-diff-summary">− this site &nbsp; + backup &nbsp; (' + stats.added + ' added, ' + stats.removed + ' removed)</p>';
+        
+        html += '<table class="mdsm-restore-diff"><tbody>';
+        MDSMDiff.hunks(ops, 3).forEach(function(hunk) {
+            if (hunk.start > shown) {
+                html += '<tr class="mdsm-restore-diff-gap"><td colspan="3">⋯ ' + (hunk.start - shown) + ' unchanged lines</td></tr>';
+            }
+            shown = hunk.end;
+            hunk.ops.forEach(function(op) {
+                html += '<tr class="mdsm-restore-diff-' + op.type + '">' +
+                        '<td class="mdsm-restore-diff-num">' + (op.oldNo || '') + '</td>' +
+                        '<td class="mdsm-restore-diff-num">' + (op.newNo || '') + '</td>' +
+                        '<td class="mdsm-restore-diff-line">' + sign[op.type] + ' ' + mdsmEscape(op.text) + '</td></tr>';
+            });
+        });
+        if (ops.length > shown) {
+            html += '<tr class="mdsm-restore-diff-gap"><td colspan="3">⋯ ' + (ops.length - shown) + ' unchanged lines</td></tr>';
         }
         
+        return html + '</tbody></table>';
+    }
+    
+    $('#mdsm-dryrun-results').on('click', '.mdsm-restore-diff-btn', function() {
         var $button = $(this);
-        $button.prop('disabled', true).html('<span class="dashicons dashicons-update spin"></span> Restoring...');
+        var $row = $button.closest('tr');
+        var $diffRow = $row.next('.mdsm-restore-diff-row');
+        
+        if ($diffRow.length) {
+            $diffRow.toggle();
+            $button.text($diffRow.is(':visible') ? 'Hide Diff' : 'View Diff');
+            return;
+        }
         
-        var backupData = $('#mdsm-dryrun-results').data('backup-data');
+        $button.prop('disabled', true).text('Loading...');
         
         $.ajax({
             url: ajaxurl,
             type: 'POST',
             data: {
-                action: 'mdsm_execute_restore',
-                nonce: mdsmComplianceData.executeRestoreNonce,
-                backup_id: backupData.backup_info.backup_id
+                action: 'mdsm_restore_file_diff',
+                nonce: $('#mdsm_restore_dryrun_nonce').val(),
+                backup_id: mdsmRestoreBackup.backup_id,
+                filename: $row.data('filename')
             },
             success: function(response) {
                 if (response.success) {
-                    alert('Restore completed successfully!\n\n' +
-                          'Restored: ' + response.data.restored_count + ' documents\n' +
-                          'Overwritten: ' + response.data.overwritten_count + ' documents\n' +
-                          'Failed: ' + response.data.failed_count + ' documents');
-                    location.reload();
+                    $row.after('<tr class="mdsm-restore-diff-row"><td colspan="5">' +
+                               mdsmRenderRestoreDiff(response.data.current, response.data.backup) + '</td></tr>');
+                    $button.text('Hide Diff');
                 } else {
-                    alert('Error: ' + (response.data.message || 'Restore failed'));
-                    $button.prop('disabled', false).html('Confirm and Execute Restore');
+                    alert('Error: ' + (response.data.message || 'Failed to load diff'));
+                    $button.text('View Diff');
                 }
             },
             error: function() {
-                alert('Error: Restore operation failed. Please try again.');
-                $button.prop('disabled', false).html('Confirm and Execute Restore');
+                alert('Error: Failed to load diff. Please try again.');
+                $button.text('View Diff');
+            },
+            complete: function() {
+                $button.prop('disabled', false);
             }
         });
     });
     
+    // Step 3: restore the selected files one request at a time
+    $(document).on('click', '#mdsm-confirm-restore', function() {
+        var files = $('#mdsm-dryrun-results .mdsm-restore-pick:checked').map(function() {
+            return this.value;
+        }).get();
+        
+        if (!files.length || !confirm('This will PERMANENTLY overwrite ' + files.length + ' document(s) and their metadata. Are you absolutely sure?')) {
+            return;
+        }
+        
+        var html = '<div class="mdsm-restore-panel">';
+        html += '<h3>Restoring Documents</h3>';
+        html += '<div class="mdsm-restore-progress"><div class="mdsm-restore-progress-fill"></div></div>';
+        html += '<p id="mdsm-restore-progress-label">0 of ' + files.length + ' documents</p>';
+        html += '<ul class="mdsm-restore-log"></ul>';
+        html += '</div>';
+        
+        $('#mdsm-dryrun-results').html(html);
+        mdsmRestoreStep(3);
+        
+        function progress(done) {
+            $('#mdsm-dryrun-results .mdsm-restore-progress-fill').css('width', Math.round(done / files.length * 100) + '%');
+            $('#mdsm-restore-progress-label').text(done + ' of ' + files.length + ' documents');
+        }
+        
+        function log(file, ok, text) {
+            $('#mdsm-dryrun-results .mdsm-restore-log').append(
+                '<li class="' + (ok ? 'mdsm-status-verified' : 'mdsm-status-mismatch') + '">' +
+                (ok ? '✓ ' : '✗ ') + '<code>' + mdsmEscape(file) + '</code> — ' + mdsmEscape(text) + '</li>'
+            );
+        }
+        
+        function abort(message) {
+            $('#mdsm-dryrun-results .mdsm-restore-panel').append(
+                '<div style="background: #ffe9e9; border: 1px solid #dc3232; padding: 10px; margin-top: 15px;">' +
+                '<strong>Restore stopped:</strong> ' + mdsmEscape(message) + ' ' +
+                '<button type="button" class="button button-secondary" onclick="location.reload()">Start Over</button></div>'
+            );
+        }
+        
+        function next(index) {
+            if (index === files.length) {
+                finishRestore();
+                return;
+            }
+            
+            $.ajax({
+                url: ajaxurl,
+                type: 'POST',
+                data: {
+                    action: 'mdsm_execute_restore',
+                    nonce: mdsmComplianceData.executeRestoreNonce,
+                    backup_id: mdsmRestoreBackup.backup_id,
+                    restore_step: 'document',
+                    filename: files[index]
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        abort(response.data.message || 'Restore failed');
+                        return;
+                    }
+                    if (response.data.action === 'failed') {
+                        log(files[index], false, response.data.message);
+                    } else {
+                        log(files[index], true, response.data.action === 'overwritten' ? 'Overwritten' : 'Restored');
+                    }
+                    progress(index + 1);
+                    next(index + 1);
+                },
+                error: function() {
+                    abort('Server error while restoring ' + files[index] + '. Documents already listed above were restored.');
+                }
+            });
+        }
+        
+        function finishRestore() {
+            $.ajax({
+                url: ajaxurl,
+                type: 'POST',
+                data: {
+                    action: 'mdsm_execute_restore',
+                    nonce: mdsmComplianceData.executeRestoreNonce,
+                    backup_id: mdsmRestoreBackup.backup_id,
+                    restore_step: 'finish'
+                },
+                success: function(response) {
+                    if (response.success) {
+                        displayRestoreReceipt(response.data);
+                    } else {
+                        abort(response.data.message || 'Failed to finish the restore');
+                    }
+                },
+                error: function() {
+                    abort('Server error while writing the restore receipt.');
+                }
+            });
+        }
+        
+        progress(0);
+        next(0);
+    });
+    
+    // Step 4: outcome and the signed receipt
+    function displayRestoreReceipt(data) {
+        var html = '<div class="mdsm-restore-panel">';
+        html += '<h3>Restore Complete</h3>';
+        html += '<p><strong>Restored:</strong> ' + data.restored_count +
+                ' &nbsp; <strong>Overwritten:</strong> ' + data.overwritten_count +
+                ' &nbsp; <strong>Failed:</strong> ' + data.failed_count +
+                ' &nbsp; <strong>Skipped:</strong> ' + data.skipped_count + '</p>';
+        
+        var failed = data.documents.filter(function(doc) {
+            return doc.action === 'failed';
+        });
+        if (failed.length) {
+            html += '<ul class="mdsm-restore-log">';
+            failed.forEach(function(doc) {
+                html += '<li class="mdsm-status-mismatch">✗ <code>' + mdsmEscape(doc.filename) + '</code> — ' + mdsmEscape(doc.message) + '</li>';
+            });
+            html += '</ul>';
+        }
+        
+        html += '<div id="mdsm-restore-sig-result" style="display:none; margin: 12px 0;"></div>';
+        html += '<p>';
+        if (data.receipt) {
+            html += '<button type="button" class="button button-secondary" id="mdsm-restore-download-receipt">' +
+                    '<span class="dashicons dashicons-media-text" style="margin-top: 3px;"></span> Download Receipt</button> ';
+        }
+        html += '<button type="button" class="button button-primary" onclick="location.reload()">Done</button>';
+        html += '</p>';
+        html += '</div>';
+        
+        $('#mdsm-dryrun-results').html(html);
+        mdsmRestoreStep(4);
+        mdsmRenderSigResult($('#mdsm-restore-sig-result'), data);
+        
+        // Served from memory: the signature covers these exact bytes
+        $('#mdsm-restore-download-receipt').on('click', function() {
+            var url = URL.createObjectURL(new Blob([data.receipt], { type: 'application/json' }));
+            $('<a>').attr({ href: url, download: data.receipt_filename })[0].click();
+            setTimeout(function() {
+                URL.revokeObjectURL(url);
+            }, 0);
+        });
+    }
+    
     // Verify Metadata
     $('#mdsm-verify-form').on('submit', function(e) {
         e.preventDefault();
@@ -40,11 +40,15 @@ if (isset($_POST['mdsm_save_public_index']) && check_admin_referer('mdsm_save_pu
             }
         }
         
+        // Get layout (kept in sync by admin.js as JSON)
+        $layout = isset( $_POST['index_layout'] ) ? json_decode( wp_unslash( $_POST['index_layout'] ), true ) : array(); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+        
         // Save options
         update_option('mdsm_public_index_enabled', $enabled);
         update_option('mdsm_public_index_page_id', $page_id);
         update_option('mdsm_public_documents', $public_docs);
         update_option('mdsm_document_descriptions', $descriptions);
+        update_option('mdsm_public_index_layout', MDSM_Public_Index::sanitize_layout($layout));
         
         // Show success message
         add_settings_error(
@@ -62,6 +66,8 @@ $index_slug = get_option('mdsm_public_index_slug', 'docs');
 $index_title = get_option('mdsm_public_index_title', 'Documentation Index');
 $public_docs = get_option('mdsm_public_documents', array());
 $doc_descriptions = get_option('mdsm_document_descriptions', array());
+$index_layout = MDSM_Public_Index::get_layout();
+$default_categories = MDSM_Public_Index::get_default_categories();
 
 // Get all meta files
 $meta_files = mdsm_get_meta_files();
@@ -292,6 +298,41 @@ if ($index_enabled && !empty($index_slug)) {
         <?php endif; ?>
     </div>
 
+    <!-- Layout -->
+    <div class="mdsm-index-layout-section">
+        <h3><?php esc_html_e('Layout', 'archiviomd'); ?></h3>
+        <p class="mdsm-section-description">
+            <?php esc_html_e('Drag published documents to reorder them or move them between sections, and drag a section by its handle to reorder sections. Add your own sections to group documents beyond the built-in categories.', 'archiviomd'); ?>
+        </p>
+        
+        <div class="mdsm-index-layout-grid">
+            <div class="mdsm-index-layout-editor">
+                <div class="mdsm-index-layout-toolbar">
+                    <input type="text" id="mdsm-index-new-section" class="mdsm-text-input" placeholder="<?php esc_attr_e('New section title', 'archiviomd'); ?>">
+                    <button type="button" id="mdsm-index-add-section" class="button">
+                        <span class="dashicons dashicons-plus-alt2"></span>
+                        <?php esc_html_e('Add Section', 'archiviomd'); ?>
+                    </button>
+                    <button type="button" id="mdsm-index-reset-layout" class="button-link">
+                        <?php esc_html_e('Reset to categories', 'archiviomd'); ?>
+                    </button>
+                </div>
+                <div id="mdsm-index-layout" class="mdsm-index-layout"
+                    data-layout="<?php echo esc_attr(wp_json_encode($index_layout)); ?>"
+                    data-categories="<?php echo esc_attr(wp_json_encode($default_categories)); ?>"></div>
+                <input type="hidden" name="index_layout" id="mdsm-index-layout-input" value="<?php echo esc_attr(wp_json_encode($index_layout)); ?>">
+            </div>
+            
+            <div class="mdsm-index-live-preview">
+                <div class="mdsm-index-live-preview-header">
+                    <strong><?php esc_html_e('Preview', 'archiviomd'); ?></strong>
+                    <span id="mdsm-index-preview-mode" class="mdsm-index-preview-mode"></span>
+                </div>
+                <iframe id="mdsm-index-preview-frame" class="mdsm-index-preview-frame" sandbox="" title="<?php esc_attr_e('Public index preview', 'archiviomd'); ?>"></iframe>
+            </div>
+        </div>
+    </div>
+
     <!-- Save Button -->
     <div class="mdsm-button-group">
         <button type="submit" name="mdsm_save_public_index" id="save-public-index" class="button button-primary button-hero">
@@ -9,12 +9,188 @@
         currentFileType: null,
         currentFileName: null,
         creatingCustomFile: false,  // Flag to prevent multiple simultaneous requests
+        diffMode: 'unified',        // Review changes layout: 'unified' or 'split'
+        reviewOps: null,            // Line diff shown in the review pane
+        editorLayout: 'editor',     // 'editor', 'split' or 'preview'
+        previewTimer: null,         // Debounce handle for the live preview
+        scrollSource: null,         // Pane currently driving scroll-sync
+        loadedContent: null,        // Server content when the editor opened; null until loaded
+        draftTimer: null,           // Debounce handle for draft autosave
+        pendingDraft: null,         // Newer local draft awaiting restore / discard
+        loadedChecksum: null,       // SHA-256 the editor loaded; sent as base_checksum on save
+        merge: null,                // Save conflict being resolved: {chunks, choices, theirs, checksum, trailingNewline}
+        restore: null,              // Revision being restored: {content, checksum}
+        changelog: null,            // Changelog shown in the modal: {fileName, entries}
+        comparePicks: [],           // Changelog entry indexes selected for comparison
+        compareOps: null,           // Line diff between the two compared revisions
+        verifyReport: null,         // Last "Verify All" run: {generatedAt, results}
+        bulk: null,                 // Bulk action queue: {action, items, running}
+        importQueue: null,          // Files being imported: {items, running, imported}
+        createAutofill: {},         // Creation dialog values last filled in from a template, by field
+        searchIndex: null,          // MDSMSearch index of every document; rebuilt after saves
+        searchRequest: null,        // In-flight index load (Promise)
+        searchTimer: null,          // Debounce handle for the content search
+        pendingLine: null,          // Line to jump to once the editor has loaded
+        palette: null,              // Open command palette: {commands, matches, selected}
+        route: {},                  // State mirrored in the URL hash: {tab, edit, view, file}
+        applyingRoute: false,       // True while the UI is being driven from the URL
+        steppingBack: null,         // history.back() in flight after closing a modal: {push}
+        seoEditor: null,            // Open SEO file's editor: {kind, mode: 'structured'|'raw', model}
+        seoTimer: null,             // Debounce handle for the SEO file checks
+        sitemapPreview: null,       // Shown sitemap preview: {page, pages, file, valid}
+        sitemapRequest: null,       // In-flight preview request (jqXHR)
+        sitemapTimer: null,         // Debounce handle for refreshing the preview
+        indexLayout: null,          // Public index sections: [{title, files}]
+        indexCategories: {},        // Built-in category of every publishable document, by filename
+        indexDrag: null,            // Layout drag in progress: {file} or {section}
+        indexDrop: null,            // Where the dragged entry would land: {section, position}
+        indexPreviewTimer: null,    // Debounce handle for the public index preview
+        indexPreviewRequest: null,  // In-flight public index preview (jqXHR)
         
         /**
          * Initialize
          */
         init: function() {
             this.bindEvents();
+            
+            // Show ⌘ rather than Ctrl in shortcut hints on Apple platforms
+            if (/Mac|iPhone|iPad/.test(navigator.platform)) {
+                $('.mdsm-mod-key').text('⌘');
+            }
+            
+            // Restore tab, editor and changelog from the URL, e.g. #tab=seo-files&edit=robots.txt
+            this.applyRoute(this.parseRoute(window.location.hash));
+        },
+        
+        /**
+         * Parse a "#key=value&..." hash into an object
+         */
+        parseRoute: function(hash) {
+            var route = {};
+            String(hash || '').replace(/^#/, '').split('&').forEach(function(pair) {
+                var at = pair.indexOf('=');
+                if (at > 0) {
+                    try {
+                        route[decodeURIComponent(pair.substring(0, at))] = decodeURIComponent(pair.substring(at + 1).replace(/\+/g, ' '));
+                    } catch (e) {}
+                }
+            });
+            return route;
+        },
+        
+        /**
+         * Build the hash for a route. `file` names the changelog's document when
+         * it is not the one open in the editor.
+         */
+        buildRoute: function(route) {
+            var parts = [];
+            ['tab', 'edit', 'view', 'file'].forEach(function(key) {
+                if (route[key]) {
+                    parts.push(key + '=' + encodeURIComponent(route[key]));
+                }
+            });
+            return '#' + parts.join('&');
+        },
+        
+        /**
+         * Merge `changes` into the route and write it to the URL. `push` adds a
+         * history entry (opening things); otherwise the current entry is replaced.
+         * `closing` steps back instead when the current entry was pushed from
+         * exactly the route being returned to, so Back does not reopen a modal.
+         */
+        updateRoute: function(changes, push, closing) {
+            if (this.applyingRoute) {
+                return;
+            }
+            var from = this.buildRoute(this.route);
+            this.route = $.extend({}, this.route, changes);
+            
+            // Written by the popstate handler once the step back has landed
+            if (this.steppingBack) {
+                this.steppingBack.push = this.steppingBack.push || push;
+                return;
+            }
+            this.writeRoute(from, push, closing);
+        },
+        
+        /**
+         * Write the current route to the URL. `from` is the hash of the route
+         * being left; a pushed entry keeps it so closing can step back to it.
+         */
+        writeRoute: function(from, push, closing) {
+            var hash = this.buildRoute(this.route);
+            var state = window.history.state;
+            if (hash === window.location.hash || !window.history.pushState) {
+                return;
+            }
+            if (push) {
+                window.history.pushState({ from: from }, '', hash);
+            } else if (closing && state && state.from === hash) {
+                this.steppingBack = { from: hash, push: false };
+                window.history.back();
+            } else {
+                window.history.replaceState(state, '', hash);
+            }
+        },
+        
+        /**
+         * Find a document card by filename (attribute-safe)
+         */
+        findCard: function(fileName) {
+            return $('.mdsm-file-card').filter(function() {
+                return String($(this).data('filename')) === fileName;
+            }).first();
+        },
+        
+        /**
+         * Bring the UI in line with a route from the URL (page load, back/forward)
+         */
+        applyRoute: function(route) {
+            var self = this;
+            var $tab = $('.mdsm-tab-button').filter(function() {
+                return $(this).data('tab') === route.tab;
+            });
+            var tab = $tab.length ? route.tab : $('.mdsm-tab-button').first().data('tab');
+            var $editCard = route.edit ? self.findCard(route.edit) : $();
+            var changelogFile = route.view === 'changelog' ? (route.file || route.edit) : null;
+            var $changelogCard = changelogFile ? self.findCard(changelogFile) : $();
+            
+            self.applyingRoute = true;
+            
+            // The editor may refuse to close over unsaved edits: keep it in the URL then
+            if ($('#mdsm-editor-modal').hasClass('active') && self.currentFileName !== route.edit && !self.closeModal()) {
+                self.applyingRoute = false;
+                window.history.pushState({ from: self.buildRoute(self.parseRoute(window.location.hash)) }, '', self.buildRoute(self.route));
+                return;
+            }
+            
+            if ($('#mdsm-changelog-modal').hasClass('active') && (!$changelogCard.length || self.changelog.fileName !== changelogFile)) {
+                self.closeChangelog();
+            }
+            if ($('.mdsm-tab-button.active').data('tab') !== tab) {
+                self.switchTab(tab);
+            }
+            
+            if ($editCard.length && !$('#mdsm-editor-modal').hasClass('active')) {
+                var fileType = $editCard.find('.mdsm-edit-button').data('file-type') || 'meta';
+                self.openEditor(fileType, route.edit);
+            }
+            if ($changelogCard.length && !$('#mdsm-changelog-modal').hasClass('active')) {
+                self.viewChangelog(changelogFile);
+            }
+            
+            self.applyingRoute = false;
+            self.route = {
+                tab: tab,
+                edit: $editCard.length ? route.edit : null,
+                view: $changelogCard.length ? 'changelog' : null,
+                file: $changelogCard.length && changelogFile !== route.edit ? changelogFile : null
+            };
+            
+            // Drop anything unknown from a hand-written or stale URL
+            if (window.location.hash) {
+                self.updateRoute({}, false);
+            }
         },
         
         /**
@@ -36,13 +212,97 @@
                 self.openEditor(fileType, fileName);
             });
             
-            // Save file button
+            // Review changes button
+            $('#mdsm-review-changes').on('click', function() {
+                self.reviewChanges();
+            });
+            
+            // Back from review to the editor
+            $('#mdsm-review-back').on('click', function() {
+                self.showEditorPane();
+            });
+            
+            // Diff layout toggle
+            $('.mdsm-diff-mode').on('click', function() {
+                self.diffMode = $(this).data('mode');
+                $('.mdsm-diff-mode').removeClass('active')
+                    .filter('[data-mode="' + self.diffMode + '"]').addClass('active');
+                self.renderDiff();
+                self.renderCompare();
+            });
+            
+            // Editor / split / preview layout toggle
+            $('.mdsm-layout-button').on('click', function() {
+                self.setEditorLayout($(this).data('layout'), true);
+            });
+            
+            // Live preview as the user types
+            $('#mdsm-editor-textarea').on('input', function() {
+                self.schedulePreview();
+                self.scheduleDraft();
+                self.scheduleSeoCheck();
+            });
+            
+            // Structured / raw view for SEO files
+            $('.mdsm-seo-mode-button').on('click', function() {
+                self.setSeoMode($(this).data('seo-mode'), true);
+            });
+            
+            // Edits and add / remove buttons in the structured form
+            $('#mdsm-structured-pane').on('input change', 'input, select', function() {
+                self.readSeoField(this);
+            });
+            $('#mdsm-structured-pane').on('click', '[data-seo-action]', function() {
+                self.seoFormAction($(this));
+            });
+            
+            // Jump to the line a check refers to
+            $('#mdsm-seo-issues').on('click', '.mdsm-seo-issue-line', function() {
+                self.setSeoMode('raw', false);
+                self.goToLine($(this).data('line'));
+            });
+            
+            // robots.txt URL tester
+            $('#mdsm-robots-test').on('click', function() {
+                self.testRobotsUrl();
+            });
+            $('#mdsm-robots-agent, #mdsm-robots-url').on('keydown', function(e) {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    self.testRobotsUrl();
+                }
+            });
+            
+            // Restore or discard an autosaved draft
+            $('#mdsm-draft-restore').on('click', function() {
+                self.restoreDraft();
+            });
+            $('#mdsm-draft-discard').on('click', function() {
+                self.discardDraft();
+            });
+            
+            // Scroll-sync between textarea and preview
+            $('#mdsm-editor-textarea, #mdsm-editor-preview').on('scroll', function() {
+                self.syncScroll(this);
+            });
+            
+            // Pick a side for a merge conflict
+            $('#mdsm-merge-output').on('click', '.mdsm-merge-choice', function() {
+                self.chooseMerge($(this).closest('.mdsm-merge-conflict').data('index'), $(this).data('choice'));
+            });
+            
+            // Apply a resolved merge
+            $('#mdsm-merge-apply').on('click', function() {
+                self.applyMerge();
+            });
+            
+            // Save file button (confirms the reviewed changes)
             $('#mdsm-save-file').on('click', function() {
                 self.saveFile();
             });
             
-            // Modal close
-            $('.mdsm-modal-close').on('click', function() {
+            // Modal close (the other dialogs bind their own close buttons)
+            $('#mdsm-editor-modal .mdsm-modal-close').on('click', function() {
                 self.closeModal();
             });
             
@@ -59,31 +319,221 @@
                 self.copyToClipboard(url);
             });
             
-            // Generate sitemap button
+            // Preview the sitemap, then write it once confirmed
             $('#generate-sitemap').on('click', function() {
+                self.previewSitemap(1, '');
+            });
+            $('#mdsm-sitemap-write').on('click', function() {
                 self.generateSitemap();
             });
+            $('#mdsm-sitemap-preview-close').on('click', function() {
+                $('#mdsm-sitemap-preview').hide();
+            });
+            
+            // Page through the previewed URLs, optionally one file at a time
+            $('#mdsm-sitemap-prev, #mdsm-sitemap-next').on('click', function() {
+                var preview = self.sitemapPreview;
+                if (preview) {
+                    self.previewSitemap(preview.page + (this.id === 'mdsm-sitemap-next' ? 1 : -1), preview.file);
+                }
+            });
+            $('#mdsm-sitemap-preview-file').on('change', function() {
+                self.previewSitemap(1, $(this).val());
+            });
+            
+            // Sitemap options: keep a shown preview current
+            $('#mdsm-sitemap-docs-all').on('change', function() {
+                $('.mdsm-sitemap-doc').prop('checked', this.checked);
+            });
+            $('.mdsm-sitemap-options').on('change input', 'input, select', function() {
+                if (this.id !== 'auto_update_sitemap') {
+                    self.scheduleSitemapPreview();
+                }
+            });
             
             // Category collapse toggle
             $('.mdsm-category-header').on('click', function(e) {
-                // Don't toggle if clicking on buttons or links within the content
-                if (!$(e.target).closest('button, a').length) {
+                // Don't toggle if clicking on buttons, links or the select-all checkbox
+                if (!$(e.target).closest('button, a, label, input').length) {
                     $(this).parent('.mdsm-category').toggleClass('collapsed');
                 }
             });
             
+            // Verify every document's checksum in the browser
+            $('#mdsm-verify-all').on('click', function() {
+                self.verifyAll();
+            });
+            
+            $('#mdsm-verify-report').on('click', function() {
+                self.downloadVerifyReport();
+            });
+            
+            // Bulk selection
+            $(document).on('change', '.mdsm-bulk-select', function() {
+                self.updateBulkBar();
+            });
+            
+            $('.mdsm-bulk-select-category').on('change', function() {
+                $(this).closest('.mdsm-category')
+                    .find('.mdsm-file-card:not(.hidden) .mdsm-bulk-select')
+                    .prop('checked', this.checked);
+                self.updateBulkBar();
+            });
+            
+            $('#mdsm-bulk-clear').on('click', function() {
+                $('.mdsm-bulk-select, .mdsm-bulk-select-category').prop('checked', false);
+                self.updateBulkBar();
+            });
+            
+            $('#mdsm-bulk-apply').on('click', function() {
+                self.applyBulkAction();
+            });
+            
+            $('#mdsm-bulk-retry').on('click', function() {
+                self.retryBulk();
+            });
+            
+            // Import documents by dropping files, a folder or a ZIP, or picking files
+            $('#mdsm-import-zone').on('dragenter dragover', function(e) {
+                var types = e.originalEvent.dataTransfer ? e.originalEvent.dataTransfer.types : [];
+                if (Array.prototype.indexOf.call(types, 'Files') === -1) {
+                    return;
+                }
+                e.preventDefault();
+                $(this).addClass('mdsm-import-over');
+            }).on('dragleave drop', function() {
+                $(this).removeClass('mdsm-import-over');
+            }).on('drop', function(e) {
+                e.preventDefault();
+                self.importFiles(MDSMImport.droppedFiles(e.originalEvent.dataTransfer));
+            }).on('click keydown', function(e) {
+                if (e.type === 'keydown' && e.key !== 'Enter' && e.key !== ' ') {
+                    return;
+                }
+                e.preventDefault();
+                $('#mdsm-import-input').trigger('click');
+            });
+            
+            $('#mdsm-import-input').on('change', function() {
+                self.importFiles(Promise.resolve(MDSMImport.fromFileList(this.files)));
+                this.value = '';
+            });
+            
+            $('#mdsm-import-items').on('change', '.mdsm-import-choice', function() {
+                self.importQueue.items[$(this).closest('tr').data('index')].action = $(this).val();
+                self.renderImport();
+            });
+            
+            $('#mdsm-import-items').on('click', '.mdsm-import-diff-button', function() {
+                self.showImportDiff($(this).closest('tr').data('index'));
+            });
+            
+            $('#mdsm-import-diff-close').on('click', function() {
+                $('#mdsm-import-diff').hide();
+            });
+            
+            $('#mdsm-import-run').on('click', function() {
+                self.runImport();
+            });
+            
+            $('#mdsm-import-modal .mdsm-modal-close').on('click', function() {
+                self.closeImport();
+            });
+            
+            $('#mdsm-bulk-modal .mdsm-modal-close').on('click', function() {
+                $('#mdsm-bulk-modal').removeClass('active');
+            });
+            
             // Search functionality
             $('#mdsm-search').on('input', function() {
                 self.filterFiles($(this).val());
+                self.scheduleContentSearch();
+            });
+            
+            $('#mdsm-search-category, #mdsm-search-status').on('change', function() {
+                self.searchContents();
+            });
+            
+            $(document).on('click', '.mdsm-search-result', function() {
+                var result = $(this).data();
+                self.openEditor(result.fileType, result.fileName, null, result.line || null);
+            });
+            
+            $(document).on('keydown', '.mdsm-search-result', function(e) {
+                if (e.key === 'Enter') {
+                    $(this).trigger('click');
+                }
             });
             
             // ESC key to close modal
             $(document).on('keydown', function(e) {
-                if (e.key === 'Escape') {
+                if (e.key === 'Escape' && $('#mdsm-editor-modal').hasClass('active') && !self.palette) {
                     self.closeModal();
                 }
             });
             
+            // Back / forward: move between tabs and close or reopen modals
+            $(window).on('popstate', function() {
+                // Our own step back after closing a modal: the UI already matches
+                if (self.steppingBack) {
+                    var back = self.steppingBack;
+                    self.steppingBack = null;
+                    self.writeRoute(back.from, back.push);
+                    return;
+                }
+                self.applyRoute(self.parseRoute(window.location.hash));
+            });
+            
+            // Ctrl/Cmd+K: command palette, from anywhere on the page
+            $(document).on('keydown', function(e) {
+                if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+                    e.preventDefault();
+                    if (self.palette) {
+                        self.closePalette();
+                    } else {
+                        self.openPalette();
+                    }
+                }
+            });
+            
+            // Editor shortcuts
+            $('#mdsm-editor-modal').on('keydown', function(e) {
+                self.handleEditorShortcut(e);
+            });
+            
+            // Command palette
+            $('#mdsm-palette-input').on('input', function() {
+                self.filterPalette($(this).val());
+            });
+            
+            $('#mdsm-palette-input').on('keydown', function(e) {
+                self.handlePaletteKey(e);
+            });
+            
+            $('#mdsm-palette-list').on('mousemove', '.mdsm-palette-item', function() {
+                self.selectPaletteItem($(this).data('index'));
+            });
+            
+            $('#mdsm-palette-list').on('click', '.mdsm-palette-item', function() {
+                self.runPaletteCommand($(this).data('index'));
+            });
+            
+            $('#mdsm-palette').on('click', function(e) {
+                if (e.target.id === 'mdsm-palette') {
+                    self.closePalette();
+                }
+            });
+            
+            // Warn before leaving the page with unsaved edits
+            $(window).on('beforeunload', function(e) {
+                if (self.isDirty()) {
+                    self.saveDraft();
+                    e.preventDefault();
+                    e.originalEvent.returnValue = '';
+                    return '';
+                }
+            });
+            
             // Generate HTML button
             $(document).on('click', '.mdsm-generate-html', function() {
                 var fileType = $(this).data('file-type');
@@ -101,95 +551,1428 @@
             $(document).on('click', '#add-custom-markdown', function(e) {
                 e.preventDefault();
                 e.stopPropagation();
-                self.showCustomMarkdownPrompt();
+                self.openCreateDialog();
                 return false;
             });
             
+            // Custom markdown creation dialog
+            $('#mdsm-create-filename').on('input', function() {
+                self.validateCreateFilename();
+            });
+            
+            $('#mdsm-create-template').on('change', function() {
+                self.applyCreateTemplate($(this).val());
+            });
+            
+            $('#mdsm-create-form').on('submit', function(e) {
+                e.preventDefault();
+                self.createCustomMarkdownFile();
+            });
+            
+            $('#mdsm-create-modal .mdsm-modal-close').on('click', function() {
+                $('#mdsm-create-modal').removeClass('active');
+            });
+            
             // Delete custom file button
             $(document).on('click', '.mdsm-delete-custom-file', function() {
                 var fileName = $(this).data('file-name');
                 self.deleteCustomMarkdownFile(fileName, $(this));
             });
             
-            // View changelog button
-            $(document).on('click', '.mdsm-view-changelog', function() {
-                var fileName = $(this).data('file-name');
-                self.viewChangelog(fileName);
-            });
+            // View changelog button
+            $(document).on('click', '.mdsm-view-changelog', function() {
+                var fileName = $(this).data('file-name');
+                self.viewChangelog(fileName);
+            });
+            
+            // Pick changelog revisions to compare
+            $('#mdsm-changelog-content').on('change', '.mdsm-changelog-pick', function() {
+                self.pickRevision(parseInt($(this).val(), 10), this.checked);
+            });
+            
+            $('#mdsm-changelog-compare').on('click', function() {
+                self.compareRevisions();
+            });
+            
+            // Copy a full checksum
+            $('#mdsm-changelog-content').on('click', '.mdsm-copy-checksum', function() {
+                self.copyToClipboard($(this).data('checksum'), mdsmData.strings.checksumCopied);
+            });
+            
+            // Re-verify / restore a revision
+            $('#mdsm-changelog-content').on('click', '.mdsm-verify-revision', function() {
+                self.verifyRevision($(this).closest('.mdsm-changelog-entry').data('index'));
+            });
+            $('#mdsm-changelog-content').on('click', '.mdsm-restore-revision', function() {
+                self.restoreRevision($(this).closest('.mdsm-changelog-entry').data('index'));
+            });
+            
+            // Close changelog modal
+            $('#mdsm-changelog-modal .mdsm-modal-close').on('click', function() {
+                self.closeChangelog();
+            });
+            
+            // Close changelog modal on outside click
+            $('#mdsm-changelog-modal').on('click', function(e) {
+                if (e.target.id === 'mdsm-changelog-modal') {
+                    self.closeChangelog();
+                }
+            });
+        },
+        
+        /**
+         * Editor keyboard shortcuts (listed under the editor):
+         * Ctrl/Cmd+S reviews, then confirms the save (or applies a merge);
+         * Ctrl/Cmd+B / I wrap the selection in bold / italic;
+         * Alt+1/2/3 switch editor / split / preview.
+         */
+        handleEditorShortcut: function(e) {
+            var mod = e.ctrlKey || e.metaKey;
+            var key = e.key.toLowerCase();
+            
+            if (mod && !e.altKey && key === 's') {
+                e.preventDefault();
+                if ($('#mdsm-merge-pane').is(':visible')) {
+                    if (!$('#mdsm-merge-apply').prop('disabled')) {
+                        this.applyMerge();
+                    }
+                } else if ($('#mdsm-review-pane').is(':visible')) {
+                    if ($('#mdsm-save-file').is(':visible') && !$('#mdsm-save-file').prop('disabled')) {
+                        this.saveFile();
+                    }
+                } else {
+                    this.reviewChanges();
+                }
+                return;
+            }
+            
+            if (e.target.id !== 'mdsm-editor-textarea') {
+                return;
+            }
+            
+            if (mod && !e.altKey && !e.shiftKey && (key === 'b' || key === 'i')) {
+                e.preventDefault();
+                this.wrapSelection(key === 'b' ? '**' : '*');
+                return;
+            }
+            
+            // e.code, because Alt+digit types a symbol on macOS
+            var layouts = { Digit1: 'editor', Digit2: 'split', Digit3: 'preview' };
+            if (e.altKey && !mod && layouts[e.code] && $('.mdsm-layout-toggle').is(':visible')) {
+                e.preventDefault();
+                this.setEditorLayout(layouts[e.code], true);
+            }
+        },
+        
+        /**
+         * Wrap the textarea selection in a Markdown marker (or unwrap it if already wrapped)
+         */
+        wrapSelection: function(marker) {
+            var textarea = $('#mdsm-editor-textarea')[0];
+            var value = textarea.value;
+            var start = textarea.selectionStart;
+            var end = textarea.selectionEnd;
+            var len = marker.length;
+            var wrapped = value.substring(start - len, start) === marker &&
+                value.substring(end, end + len) === marker;
+            
+            if (wrapped) {
+                textarea.value = value.substring(0, start - len) + value.substring(start, end) + value.substring(end + len);
+                textarea.setSelectionRange(start - len, end - len);
+            } else {
+                textarea.value = value.substring(0, start) + marker + value.substring(start, end) + marker + value.substring(end);
+                textarea.setSelectionRange(start + len, end + len);
+            }
+            $(textarea).trigger('input');
+        },
+        
+        /**
+         * Open the command palette with every global and per-document command
+         */
+        openPalette: function() {
+            this.palette = { commands: this.paletteCommands(), matches: [], selected: 0 };
+            $('#mdsm-palette').show();
+            $('#mdsm-palette-input').val('').trigger('focus');
+            this.filterPalette('');
+        },
+        
+        closePalette: function() {
+            this.palette = null;
+            $('#mdsm-palette').hide();
+        },
+        
+        /**
+         * Commands for the palette: global actions, then each document card's actions
+         */
+        paletteCommands: function() {
+            var self = this;
+            var strings = mdsmData.strings;
+            var commands = [];
+            
+            function add(group, icon, label, run) {
+                commands.push({ group: group, icon: icon, label: label, run: run });
+            }
+            
+            $('.mdsm-tab-button').each(function() {
+                var tab = $(this).data('tab');
+                var label = $.trim($(this).clone().children('.mdsm-badge').remove().end().text());
+                add(strings.paletteGroupGlobal, 'dashicons-index-card', strings.paletteGoToTab.replace('%s', label), function() {
+                    self.switchTab(tab);
+                });
+            });
+            
+            if ($('#generate-sitemap').length) {
+                add(strings.paletteGroupGlobal, 'dashicons-networking', strings.paletteGenerateSitemap, function() {
+                    self.switchTab('sitemaps');
+                    self.previewSitemap(1, '');
+                });
+            }
+            add(strings.paletteGroupGlobal, 'dashicons-shield', strings.paletteVerifyAll, function() {
+                self.verifyAll();
+            });
+            add(strings.paletteGroupGlobal, 'dashicons-plus-alt2', strings.paletteNewCustom, function() {
+                self.switchTab('meta-docs');
+                self.openCreateDialog();
+            });
+            add(strings.paletteGroupGlobal, 'dashicons-upload', strings.paletteImport, function() {
+                $('#mdsm-import-input').trigger('click');
+            });
+            add(strings.paletteGroupGlobal, 'dashicons-search', strings.paletteSearch, function() {
+                $('#mdsm-search').trigger('focus').trigger('select');
+            });
+            
+            $('.mdsm-file-card[data-filename]').each(function() {
+                var $card = $(this);
+                var fileName = String($card.data('filename'));
+                var $edit = $card.find('.mdsm-edit-button');
+                var fileType = $edit.data('file-type') || 'meta';
+                var group = strings.paletteGroupDocument;
+                
+                if ($edit.length) {
+                    add(group, 'dashicons-edit', strings.paletteEdit.replace('%s', fileName), function() {
+                        self.openEditor(fileType, fileName);
+                    });
+                }
+                if ($card.find('.mdsm-view-changelog').length) {
+                    add(group, 'dashicons-backup', strings.paletteChangelog.replace('%s', fileName), function() {
+                        self.viewChangelog(fileName);
+                    });
+                }
+                if ($card.find('.mdsm-generate-html').length) {
+                    add(group, 'dashicons-media-code', strings.paletteGenerateHtml.replace('%s', fileName), function() {
+                        var $button = $card.find('.mdsm-generate-html');
+                        self.generateHtml(fileType, fileName, $button);
+                    });
+                }
+                if ($card.find('.mdsm-copy-link').length) {
+                    add(group, 'dashicons-admin-links', strings.paletteCopyMd.replace('%s', fileName), function() {
+                        self.copyToClipboard($card.find('.mdsm-copy-link').data('url'));
+                    });
+                }
+                if ($card.find('.mdsm-copy-html-link').length) {
+                    add(group, 'dashicons-admin-links', strings.paletteCopyHtml.replace('%s', fileName), function() {
+                        self.copyToClipboard($card.find('.mdsm-copy-html-link').data('url'));
+                    });
+                }
+                add(group, 'dashicons-visibility', strings.paletteShowCard.replace('%s', fileName), function() {
+                    self.revealCard($card);
+                });
+            });
+            
+            return commands;
+        },
+        
+        /**
+         * Fuzzy subsequence match of `query` in `text`. Returns {score, ranges} or
+         * null; consecutive and word-start hits score higher.
+         */
+        paletteMatch: function(text, query) {
+            var lower = text.toLowerCase();
+            var ranges = [];
+            var score = 0;
+            var pos = 0;
+            var last = -2;
+            
+            for (var i = 0; i < query.length; i++) {
+                var ch = query.charAt(i);
+                if (ch === ' ') {
+                    continue;
+                }
+                var at = lower.indexOf(ch, pos);
+                if (at === -1) {
+                    return null;
+                }
+                score += 1;
+                if (at === last + 1) {
+                    score += 2;
+                }
+                if (at === 0 || /[\s:._\-\/]/.test(lower.charAt(at - 1))) {
+                    score += 3;
+                }
+                ranges.push([at, at + 1]);
+                last = at;
+                pos = at + 1;
+            }
+            
+            // Prefer shorter labels when the match is otherwise equal
+            return { score: score - text.length / 100, ranges: ranges };
+        },
+        
+        /**
+         * Rank commands against the query and render the best matches
+         */
+        filterPalette: function(query) {
+            var self = this;
+            var palette = self.palette;
+            
+            query = $.trim(query).toLowerCase();
+            palette.matches = [];
+            palette.commands.forEach(function(command, index) {
+                var match = query ? self.paletteMatch(command.label, query) : { score: 0, ranges: [] };
+                if (match) {
+                    palette.matches.push({ index: index, score: match.score, ranges: match.ranges });
+                }
+            });
+            if (query) {
+                palette.matches.sort(function(a, b) {
+                    return b.score - a.score || a.index - b.index;
+                });
+            }
+            palette.matches = palette.matches.slice(0, 50);
+            palette.selected = 0;
+            
+            var html = '';
+            palette.matches.forEach(function(match, i) {
+                var command = palette.commands[match.index];
+                html += '<li id="mdsm-palette-item-' + i + '" class="mdsm-palette-item" role="option" data-index="' + i + '">' +
+                    '<span class="dashicons ' + command.icon + '"></span>' +
+                    '<span class="mdsm-palette-label">' + MDSMSearch.highlight(command.label, match.ranges) + '</span>' +
+                    '<span class="mdsm-palette-group">' + self.escapeHtml(command.group) + '</span>' +
+                    '</li>';
+            });
+            $('#mdsm-palette-list').html(html ||
+                '<li class="mdsm-palette-empty">' + self.escapeHtml(mdsmData.strings.paletteEmpty) + '</li>');
+            self.selectPaletteItem(0);
+        },
+        
+        selectPaletteItem: function(i) {
+            var palette = this.palette;
+            if (!palette || !palette.matches.length) {
+                $('#mdsm-palette-input').removeAttr('aria-activedescendant');
+                return;
+            }
+            
+            palette.selected = (i + palette.matches.length) % palette.matches.length;
+            var $item = $('#mdsm-palette-item-' + palette.selected);
+            $('.mdsm-palette-item').removeClass('active').attr('aria-selected', 'false');
+            $item.addClass('active').attr('aria-selected', 'true');
+            $('#mdsm-palette-input').attr('aria-activedescendant', $item.attr('id'));
+            if ($item.length) {
+                $item[0].scrollIntoView({ block: 'nearest' });
+            }
+        },
+        
+        handlePaletteKey: function(e) {
+            if (!this.palette) {
+                return;
+            }
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.selectPaletteItem(this.palette.selected + (e.key === 'ArrowDown' ? 1 : -1));
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.runPaletteCommand(this.palette.selected);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.closePalette();
+            }
+        },
+        
+        /**
+         * Run the chosen command after closing whatever dialog it would sit behind
+         */
+        runPaletteCommand: function(i) {
+            var palette = this.palette;
+            var match = palette && palette.matches[i];
+            
+            this.closePalette();
+            if (!match) {
+                return;
+            }
+            if ($('#mdsm-editor-modal').hasClass('active') && !this.closeModal()) {
+                return;
+            }
+            this.closeChangelog();
+            $('#mdsm-create-modal').removeClass('active');
+            
+            palette.commands[match.index].run();
+        },
+        
+        /**
+         * Switch to a card's tab, expand its category and scroll it into view
+         */
+        revealCard: function($card) {
+            var tab = ($card.closest('.mdsm-tab-content').attr('id') || '').replace(/^tab-/, '');
+            
+            if (tab) {
+                this.switchTab(tab);
+            }
+            if ($card.hasClass('hidden')) {
+                $('#mdsm-search').val('');
+                this.filterFiles('');
+                $('#mdsm-search-panel').hide();
+            }
+            $card.closest('.mdsm-category').removeClass('collapsed');
+            $card[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+            $card.addClass('mdsm-card-flash');
+            setTimeout(function() {
+                $card.removeClass('mdsm-card-flash');
+            }, 1500);
+        },
+        
+        /**
+         * Switch tab
+         */
+        switchTab: function(tab) {
+            if ($('#mdsm-editor-modal').hasClass('active') && !this.closeModal()) {
+                return;
+            }
+            
+            $('.mdsm-tab-button').removeClass('active');
+            $('.mdsm-tab-button[data-tab="' + tab + '"]').addClass('active');
+            
+            $('.mdsm-tab-content').removeClass('active');
+            $('#tab-' + tab).addClass('active');
+            
+            this.updateRoute({ tab: tab }, this.route.tab !== tab);
+        },
+        
+        /**
+         * Open editor modal. `restore` ({content, checksum}) preloads an
+         * earlier revision in place of the saved content; `line` (1-based)
+         * selects that line once loaded.
+         */
+        openEditor: function(fileType, fileName, restore, line) {
+            var self = this;
+            self.currentFileType = fileType;
+            self.currentFileName = fileName;
+            self.pendingLine = line || null;
+            self.updateRoute({ edit: fileName }, true);
+            
+            // Get file card to retrieve description and location
+            var $card = $('.mdsm-file-card[data-filename="' + fileName + '"]');
+            var description = $card.data('description');
+            
+            // Set modal title and description
+            $('#mdsm-editor-title').text('Edit: ' + fileName);
+            $('#mdsm-editor-description').text(description);
+            
+            // Clear the previous file until this one loads
+            self.loadedContent = null;
+            self.loadedChecksum = null;
+            self.pendingDraft = null;
+            self.restore = restore || null;
+            $('#mdsm-editor-textarea').val('');
+            $('#mdsm-draft-notice').hide();
+            $('#mdsm-draft-status').text('');
+            
+            // Load file content
+            $.ajax({
+                url: mdsmData.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'mdsm_get_file_content',
+                    nonce: mdsmData.nonce,
+                    file_type: fileType,
+                    file_name: fileName
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.loadedContent = response.data.content;
+                        self.loadedChecksum = response.data.checksum;
+                        $('#mdsm-editor-textarea').val(response.data.content);
+                        $('#mdsm-editor-location').html(
+                            '<span class="dashicons dashicons-location"></span> ' + 
+                            response.data.location
+                        );
+                        if (self.restore) {
+                            $('#mdsm-editor-textarea').val(self.restore.content);
+                            self.showToast(mdsmData.strings.revisionLoaded, 'success');
+                        } else {
+                            self.checkDraft(fileType, fileName, response.data);
+                        }
+                        self.updatePreview();
+                        self.refreshSeoEditor();
+                        if (self.pendingLine) {
+                            self.goToLine(self.pendingLine);
+                            self.pendingLine = null;
+                        }
+                    }
+                }
+            });
+            
+            // Preview only applies to Markdown; SEO files are plain text
+            var isMarkdown = /\.md$/i.test(fileName);
+            var savedLayout = null;
+            try {
+                savedLayout = window.localStorage.getItem('mdsm_editor_layout');
+            } catch (e) {}
+            $('.mdsm-layout-toggle').toggle(isMarkdown);
+            if (self.pendingLine && savedLayout === 'preview') {
+                savedLayout = 'split';  // Keep the textarea visible to show the line
+            }
+            self.setEditorLayout(isMarkdown && savedLayout ? savedLayout : 'editor', false);
+            $('#mdsm-editor-preview').empty();
+            self.setupSeoEditor(fileType, fileName);
+            
+            // Show modal
+            $('#mdsm-editor-modal').addClass('active');
+            $('#mdsm-editor-textarea').focus();
+        },
+        
+        /**
+         * Select a line (1-based) in the editor and scroll it into view
+         */
+        goToLine: function(line) {
+            var textarea = $('#mdsm-editor-textarea')[0];
+            var lines = textarea.value.split('\n');
+            var index = Math.max(0, Math.min(line, lines.length) - 1);
+            var start = 0;
+            
+            for (var i = 0; i < index; i++) {
+                start += lines[i].length + 1;
+            }
+            
+            textarea.focus();
+            textarea.setSelectionRange(start, start + lines[index].length);
+            
+            // Approximate: assumes unwrapped lines
+            var style = window.getComputedStyle(textarea);
+            var lineHeight = parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.2;
+            textarea.scrollTop = Math.max(0, index * lineHeight - textarea.clientHeight / 3);
+        },
+        
+        /**
+         * Switch between editor-only, split and preview-only layouts
+         */
+        setEditorLayout: function(layout, remember) {
+            if (['editor', 'split', 'preview'].indexOf(layout) === -1) {
+                layout = 'editor';
+            }
+            this.editorLayout = layout;
+            
+            $('#mdsm-editor-pane')
+                .removeClass('mdsm-layout-editor mdsm-layout-split mdsm-layout-preview')
+                .addClass('mdsm-layout-' + layout);
+            $('#mdsm-editor-modal .mdsm-modal-content').toggleClass('mdsm-modal-wide', layout === 'split');
+            $('.mdsm-layout-button').removeClass('active')
+                .filter('[data-layout="' + layout + '"]').addClass('active');
+            
+            if (remember) {
+                try {
+                    window.localStorage.setItem('mdsm_editor_layout', layout);
+                } catch (e) {}
+            }
+            
+            if (layout !== 'editor') {
+                this.updatePreview();
+            }
+        },
+        
+        /**
+         * Debounce preview rendering while typing
+         */
+        schedulePreview: function() {
+            var self = this;
+            if (self.editorLayout === 'editor') {
+                return;
+            }
+            clearTimeout(self.previewTimer);
+            self.previewTimer = setTimeout(function() {
+                self.updatePreview();
+            }, 150);
+        },
+        
+        /**
+         * Render the textarea through the client-side port of MDSM_HTML_Renderer
+         */
+        updatePreview: function() {
+            if (this.editorLayout === 'editor' || !window.MDSMMarkdown) {
+                return;
+            }
+            var $preview = $('#mdsm-editor-preview');
+            var scrollTop = $preview.scrollTop();
+            $preview.html('<div class="mdsm-content">' + MDSMMarkdown.render($('#mdsm-editor-textarea').val()) + '</div>');
+            $preview.scrollTop(scrollTop);
+        },
+        
+        /**
+         * Keep the other pane at the same relative scroll position
+         */
+        syncScroll: function(source) {
+            var self = this;
+            if (self.editorLayout !== 'split' || (self.scrollSource && self.scrollSource !== source)) {
+                return;
+            }
+            var target = source.id === 'mdsm-editor-textarea'
+                ? document.getElementById('mdsm-editor-preview')
+                : document.getElementById('mdsm-editor-textarea');
+            var range = source.scrollHeight - source.clientHeight;
+            var ratio = range > 0 ? source.scrollTop / range : 0;
+            
+            // The programmatic scroll on the target fires its own scroll
+            // event; ignore it until this frame is done.
+            self.scrollSource = source;
+            target.scrollTop = ratio * (target.scrollHeight - target.clientHeight);
+            window.requestAnimationFrame(function() {
+                self.scrollSource = null;
+            });
+        },
+        
+        /**
+         * Pick the structured editor (if any) for the file being opened
+         */
+        setupSeoEditor: function(fileType, fileName) {
+            var kind = fileType === 'seo' && window.MDSMSeoEditors ? MDSMSeoEditors.kindFor(fileName) : null;
+            var hasForm = kind !== null && MDSMSeoEditors.hasForm(kind);
+            var savedMode = null;
+            
+            this.seoEditor = kind ? { kind: kind, mode: 'raw', model: null } : null;
+            try {
+                savedMode = window.localStorage.getItem('mdsm_seo_mode');
+            } catch (e) {}
+            
+            $('.mdsm-seo-mode-toggle').toggle(hasForm);
+            $('#mdsm-seo-tools').toggle(kind !== null);
+            $('#mdsm-robots-tester').toggle(kind === 'robots');
+            $('#mdsm-robots-result').empty();
+            $('#mdsm-seo-summary, #mdsm-seo-issues, #mdsm-structured-pane').empty();
+            
+            // A jump to a search hit needs the raw text
+            this.setSeoMode(hasForm && !this.pendingLine && savedMode !== 'raw' ? 'structured' : 'raw', false);
+        },
+        
+        /**
+         * Switch an SEO file between the form ('structured') and the textarea ('raw')
+         */
+        setSeoMode: function(mode, remember) {
+            var seo = this.seoEditor;
+            if (!seo || !MDSMSeoEditors.hasForm(seo.kind)) {
+                mode = 'raw';
+            }
+            if (seo) {
+                seo.mode = mode;
+            }
+            
+            $('#mdsm-editor-pane').toggleClass('mdsm-seo-structured', mode === 'structured');
+            $('.mdsm-seo-mode-button').removeClass('active')
+                .filter('[data-seo-mode="' + mode + '"]').addClass('active');
+            
+            if (remember) {
+                try {
+                    window.localStorage.setItem('mdsm_seo_mode', mode);
+                } catch (e) {}
+            }
+            
+            if (mode === 'structured') {
+                this.refreshSeoEditor();
+            }
+        },
+        
+        /**
+         * Re-read the textarea after it changed underneath the form (load, draft, merge)
+         */
+        refreshSeoEditor: function() {
+            var seo = this.seoEditor;
+            if (!seo) {
+                return;
+            }
+            if (seo.mode === 'structured') {
+                var text = $('#mdsm-editor-textarea').val();
+                seo.model = seo.kind === 'robots'
+                    ? MDSMSeoEditors.robots.parse(text)
+                    : MDSMSeoEditors.securityTxt.parse(text);
+                this.renderSeoForm();
+            }
+            this.checkSeoFile();
+        },
+        
+        /**
+         * Render the form for the current model
+         */
+        renderSeoForm: function() {
+            var seo = this.seoEditor;
+            var html = seo.kind === 'robots' ? this.robotsFormHtml(seo.model) : this.securityFormHtml(seo.model);
+            $('#mdsm-structured-pane').html(html);
+        },
+        
+        /**
+         * robots.txt: one fieldset per user-agent group, then the sitemaps
+         */
+        robotsFormHtml: function(model) {
+            var self = this;
+            var strings = mdsmData.strings;
+            var html = '';
+            
+            model.groups.forEach(function(group, g) {
+                html += '<fieldset class="mdsm-seo-group">' +
+                    '<div class="mdsm-seo-row">' +
+                    '<label class="mdsm-seo-label" for="mdsm-robots-agents-' + g + '">' + self.escapeHtml(strings.robotsGroup) + '</label>' +
+                    '<input type="text" id="mdsm-robots-agents-' + g + '" class="regular-text" data-field="agents" data-group="' + g + '" value="' + self.escapeHtml(group.agents.join(', ')) + '" placeholder="*">' +
+                    '<button type="button" class="button-link mdsm-seo-remove" data-seo-action="remove-group" data-group="' + g + '">' + self.escapeHtml(strings.robotsRemoveGroup) + '</button>' +
+                    '</div>';
+                
+                group.rules.forEach(function(rule, r) {
+                    var attrs = ' data-group="' + g + '" data-rule="' + r + '"';
+                    var directive;
+                    if (rule.directive === 'Allow' || rule.directive === 'Disallow') {
+                        directive = '<select data-field="directive"' + attrs + '>' +
+                            ['Disallow', 'Allow'].map(function(name) {
+                                return '<option value="' + name + '"' + (rule.directive === name ? ' selected' : '') + '>' + name + '</option>';
+                            }).join('') +
+                            '</select>';
+                    } else {
+                        // Comments and other directives are kept and can be edited, not retyped
+                        directive = '<code>' + self.escapeHtml(rule.directive === '#' ? '#' : rule.directive ? rule.directive + ':' : '?') + '</code>';
+                    }
+                    html += '<div class="mdsm-seo-row">' + directive +
+                        '<input type="text" class="regular-text" data-field="value"' + attrs + ' value="' + self.escapeHtml(rule.value) + '">' +
+                        '<button type="button" class="button-link mdsm-seo-remove" data-seo-action="remove-rule"' + attrs + ' aria-label="' + self.escapeHtml(strings.remove) + '">' +
+                        '<span class="dashicons dashicons-no-alt"></span></button>' +
+                        '</div>';
+                });
+                
+                html += '<button type="button" class="button button-small" data-seo-action="add-rule" data-group="' + g + '">' +
+                    '<span class="dashicons dashicons-plus-alt2"></span> ' + self.escapeHtml(strings.robotsAddRule) + '</button>' +
+                    '</fieldset>';
+            });
+            
+            html += '<p><button type="button" class="button" data-seo-action="add-group">' +
+                '<span class="dashicons dashicons-plus-alt2"></span> ' + self.escapeHtml(strings.robotsAddGroup) + '</button></p>';
+            
+            html += '<fieldset class="mdsm-seo-group"><div class="mdsm-seo-label">' + self.escapeHtml(strings.robotsSitemaps) + '</div>';
+            model.sitemaps.forEach(function(url, i) {
+                html += '<div class="mdsm-seo-row">' +
+                    '<input type="url" class="regular-text" data-field="sitemap" data-index="' + i + '" value="' + self.escapeHtml(url) + '">' +
+                    '<button type="button" class="button-link mdsm-seo-remove" data-seo-action="remove-sitemap" data-index="' + i + '" aria-label="' + self.escapeHtml(strings.remove) + '">' +
+                    '<span class="dashicons dashicons-no-alt"></span></button>' +
+                    '</div>';
+            });
+            html += '<button type="button" class="button button-small" data-seo-action="add-sitemap">' +
+                '<span class="dashicons dashicons-plus-alt2"></span> ' + self.escapeHtml(strings.robotsAddSitemap) + '</button>' +
+                '</fieldset>';
+            
+            return html;
+        },
+        
+        /**
+         * security.txt: the RFC 9116 fields in order, Contact and Expires marked required
+         */
+        securityFormHtml: function(model) {
+            var self = this;
+            var strings = mdsmData.strings;
+            var html = '';
+            
+            if (model.signed) {
+                return '<div class="mdsm-warning-notice"><span class="dashicons dashicons-lock"></span> ' +
+                    self.escapeHtml(strings.seoSigned) + '</div>';
+            }
+            
+            function fieldRow(index, input) {
+                return '<div class="mdsm-seo-row">' + input +
+                    '<button type="button" class="button-link mdsm-seo-remove" data-seo-action="remove-field" data-index="' + index + '" aria-label="' + self.escapeHtml(strings.remove) + '">' +
+                    '<span class="dashicons dashicons-no-alt"></span></button>' +
+                    '</div>';
+            }
+            
+            MDSMSeoEditors.securityTxt.fields.forEach(function(def) {
+                var count = 0;
+                html += '<div class="mdsm-seo-group"><div class="mdsm-seo-label">' + self.escapeHtml(def.name) +
+                    (def.required ? ' <span class="mdsm-seo-required">*</span>' : '') + '</div>';
+                
+                model.fields.forEach(function(field, i) {
+                    if (field.name !== def.name) {
+                        return;
+                    }
+                    count++;
+                    if (def.name === 'Expires') {
+                        html += fieldRow(i,
+                            '<input type="datetime-local" data-field="expires" data-index="' + i + '" value="' + self.escapeHtml(self.toLocalDateTime(field.value)) + '">' +
+                            '<span class="description">' + self.escapeHtml(strings.securityLocalTime) + '</span>'
+                        );
+                    } else {
+                        html += fieldRow(i,
+                            '<input type="text" class="regular-text" data-field="value" data-index="' + i + '" value="' + self.escapeHtml(field.value) + '" placeholder="' + self.escapeHtml(def.placeholder || '') + '">'
+                        );
+                    }
+                });
+                
+                if (def.name === 'Expires') {
+                    html += '<button type="button" class="button button-small" data-seo-action="renew-expires">' +
+                        '<span class="dashicons dashicons-update"></span> ' + self.escapeHtml(strings.securityRenew) + '</button>';
+                } else if (def.multiple || count === 0) {
+                    html += '<button type="button" class="button button-small" data-seo-action="add-field" data-name="' + self.escapeHtml(def.name) + '">' +
+                        '<span class="dashicons dashicons-plus-alt2"></span> ' + self.escapeHtml(strings.securityAdd) + '</button>';
+                }
+                html += '</div>';
+            });
+            
+            // Fields outside RFC 9116 are kept as they are
+            var other = '';
+            model.fields.forEach(function(field, i) {
+                if (field.name === 'Expires' || MDSMSeoEditors.securityTxt.fields.some(function(def) { return def.name === field.name; })) {
+                    return;
+                }
+                other += fieldRow(i,
+                    '<code>' + self.escapeHtml(field.name) + ':</code>' +
+                    '<input type="text" class="regular-text" data-field="value" data-index="' + i + '" value="' + self.escapeHtml(field.value) + '">'
+                );
+            });
+            if (other) {
+                html += '<div class="mdsm-seo-group"><div class="mdsm-seo-label">' + self.escapeHtml(strings.securityOther) + '</div>' + other + '</div>';
+            }
+            
+            return html;
+        },
+        
+        /**
+         * RFC 3339 date-time to a datetime-local value in the browser's timezone
+         */
+        toLocalDateTime: function(value) {
+            var date = new Date(value);
+            if (!value || isNaN(date.getTime())) {
+                return '';
+            }
+            function pad(n) {
+                return (n < 10 ? '0' : '') + n;
+            }
+            return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate()) +
+                'T' + pad(date.getHours()) + ':' + pad(date.getMinutes());
+        },
+        
+        /**
+         * Apply one form input to the model and write the file back to the textarea
+         */
+        readSeoField: function(input) {
+            var seo = this.seoEditor;
+            var $input = $(input);
+            if (!seo || !seo.model) {
+                return;
+            }
+            
+            var value = $input.val();
+            var field = $input.data('field');
+            
+            if (field === 'agents') {
+                seo.model.groups[$input.data('group')].agents = value.split(',').map(function(agent) {
+                    return agent.trim();
+                }).filter(Boolean);
+            } else if (field === 'sitemap') {
+                seo.model.sitemaps[$input.data('index')] = value.trim();
+            } else if (seo.kind === 'robots') {
+                seo.model.groups[$input.data('group')].rules[$input.data('rule')][field] = field === 'value' ? value.trim() : value;
+            } else if (field === 'expires') {
+                seo.model.fields[$input.data('index')].value = value ? new Date(value).toISOString().replace(/\.\d{3}Z$/, 'Z') : '';
+            } else {
+                seo.model.fields[$input.data('index')].value = value.trim();
+            }
+            
+            this.writeSeoModel();
+        },
+        
+        /**
+         * Add / remove buttons in the form
+         */
+        seoFormAction: function($button) {
+            var seo = this.seoEditor;
+            if (!seo || !seo.model) {
+                return;
+            }
+            var model = seo.model;
+            var g = $button.data('group');
+            
+            switch ($button.data('seo-action')) {
+                case 'add-group':
+                    model.groups.push({ agents: ['*'], rules: [{ directive: 'Disallow', value: '', comment: '' }] });
+                    break;
+                case 'remove-group':
+                    model.groups.splice(g, 1);
+                    break;
+                case 'add-rule':
+                    model.groups[g].rules.push({ directive: 'Disallow', value: '/', comment: '' });
+                    break;
+                case 'remove-rule':
+                    model.groups[g].rules.splice($button.data('rule'), 1);
+                    break;
+                case 'add-sitemap':
+                    model.sitemaps.push(mdsmData.siteUrl + '/sitemap.xml');
+                    break;
+                case 'remove-sitemap':
+                    model.sitemaps.splice($button.data('index'), 1);
+                    break;
+                case 'add-field':
+                    model.fields.push({ name: $button.data('name'), value: '' });
+                    break;
+                case 'remove-field':
+                    model.fields.splice($button.data('index'), 1);
+                    break;
+                case 'renew-expires':
+                    var expires = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString().replace(/\.\d{3}Z$/, 'Z');
+                    var existing = model.fields.filter(function(field) {
+                        return field.name === 'Expires';
+                    });
+                    if (existing.length) {
+                        existing[0].value = expires;
+                    } else {
+                        model.fields.push({ name: 'Expires', value: expires });
+                    }
+                    break;
+            }
+            
+            this.renderSeoForm();
+            this.writeSeoModel();
+        },
+        
+        /**
+         * Serialize the form model into the textarea, which stays the source of truth
+         */
+        writeSeoModel: function() {
+            var seo = this.seoEditor;
+            var text = seo.kind === 'robots'
+                ? MDSMSeoEditors.robots.serialize(seo.model)
+                : MDSMSeoEditors.securityTxt.serialize(seo.model);
+            $('#mdsm-editor-textarea').val(text);
+            this.scheduleDraft();
+            this.scheduleSeoCheck();
+        },
+        
+        /**
+         * Debounce the syntax checks while typing
+         */
+        scheduleSeoCheck: function() {
+            var self = this;
+            if (!self.seoEditor) {
+                return;
+            }
+            clearTimeout(self.seoTimer);
+            self.seoTimer = setTimeout(function() {
+                self.checkSeoFile();
+            }, 300);
+        },
+        
+        /**
+         * List syntax problems for the open SEO file; each links to its line
+         */
+        checkSeoFile: function() {
+            var self = this;
+            var seo = self.seoEditor;
+            if (!seo) {
+                return;
+            }
+            
+            var strings = mdsmData.strings;
+            var text = $('#mdsm-editor-textarea').val();
+            var issues = MDSMSeoEditors.validate(seo.kind, text);
+            var errors = issues.filter(function(item) {
+                return item.severity === 'error';
+            }).length;
+            
+            var summary = issues.length
+                ? strings.seoProblems.replace('%1$d', errors).replace('%2$d', issues.length - errors)
+                : strings.seoNoProblems;
+            if (seo.kind === 'ads') {
+                var counts = MDSMSeoEditors.adsTxt.validate(text).summary;
+                summary = strings.seoAdsSummary.replace('%1$d', counts.records).replace('%2$d', counts.direct)
+                    .replace('%3$d', counts.reseller) + ' · ' + summary;
+            }
+            $('#mdsm-seo-summary')
+                .toggleClass('mdsm-seo-ok', issues.length === 0)
+                .toggleClass('mdsm-seo-has-errors', errors > 0)
+                .text(summary);
+            
+            $('#mdsm-seo-issues').html(issues.map(function(item) {
+                var icon = item.severity === 'error' ? 'dismiss' : 'warning';
+                var line = item.line
+                    ? '<button type="button" class="button-link mdsm-seo-issue-line" data-line="' + item.line + '">' +
+                        self.escapeHtml(strings.seoLine.replace('%d', item.line)) + '</button> '
+                    : '';
+                return '<li class="mdsm-seo-issue mdsm-seo-issue-' + item.severity + '">' +
+                    '<span class="dashicons dashicons-' + icon + '"></span> ' + line + self.escapeHtml(MDSMSeoEditors.describe(item, strings.seoChecks)) + '</li>';
+            }).join(''));
+        },
+        
+        /**
+         * Run the robots.txt URL tester against the current text
+         */
+        testRobotsUrl: function() {
+            var strings = mdsmData.strings;
+            var url = $.trim($('#mdsm-robots-url').val());
+            if (!url) {
+                $('#mdsm-robots-url').focus();
+                return;
+            }
+            
+            var result = MDSMSeoEditors.robots.test($('#mdsm-editor-textarea').val(), $('#mdsm-robots-agent').val(), url);
+            var detail = result.rule
+                ? result.rule.directive + ': ' + result.rule.value + ' (' + strings.seoLine.replace('%d', result.rule.line) + ')'
+                : strings.robotsNoRule;
+            if (result.agent) {
+                detail += ', ' + strings.robotsMatchedGroup.replace('%s', result.agent);
+            }
+            
+            $('#mdsm-robots-result')
+                .removeClass('mdsm-robots-allowed mdsm-robots-blocked')
+                .addClass(result.allowed ? 'mdsm-robots-allowed' : 'mdsm-robots-blocked')
+                .text((result.allowed ? strings.robotsAllowed : strings.robotsBlocked) + ' — ' + result.path + ' — ' + detail);
+        },
+        
+        /**
+         * Close modal. Unless forced, asks before discarding unsaved edits.
+         *
+         * @return {boolean} Whether the modal was closed
+         */
+        closeModal: function(force) {
+            if (!force && this.isDirty()) {
+                if (!confirm(mdsmData.strings.unsavedChanges)) {
+                    return false;
+                }
+                this.saveDraft();
+            }
+            
+            clearTimeout(this.draftTimer);
+            
+            // Drop the editor from the URL; a changelog left open keeps naming its file
+            if ($('#mdsm-editor-modal').hasClass('active')) {
+                var changes = { edit: null };
+                if (this.route.view === 'changelog' && !this.route.file) {
+                    changes.file = this.currentFileName;
+                }
+                this.updateRoute(changes, false, true);
+            }
+            
+            $('#mdsm-editor-modal').removeClass('active');
+            $('#mdsm-draft-notice').hide();
+            this.showEditorPane();
+            this.currentFileType = null;
+            this.currentFileName = null;
+            this.loadedContent = null;
+            this.loadedChecksum = null;
+            this.pendingDraft = null;
+            this.restore = null;
+            return true;
+        },
+        
+        /**
+         * Whether the open editor holds edits that differ from the saved file
+         */
+        isDirty: function() {
+            return $('#mdsm-editor-modal').hasClass('active') &&
+                this.loadedContent !== null &&
+                $('#mdsm-editor-textarea').val() !== this.loadedContent;
+        },
+        
+        /**
+         * localStorage key for a file's autosaved draft
+         */
+        draftKey: function(fileType, fileName) {
+            return 'mdsm_draft_' + fileType + '_' + fileName;
+        },
+        
+        /**
+         * Read a stored draft ({content, savedAt, baseChecksum}) or null
+         */
+        readDraft: function(fileType, fileName) {
+            try {
+                var draft = JSON.parse(window.localStorage.getItem(this.draftKey(fileType, fileName)));
+                return draft && typeof draft.content === 'string' ? draft : null;
+            } catch (e) {
+                return null;
+            }
+        },
+        
+        /**
+         * Remove a stored draft
+         */
+        clearDraft: function(fileType, fileName) {
+            try {
+                window.localStorage.removeItem(this.draftKey(fileType, fileName));
+            } catch (e) {}
+        },
+        
+        /**
+         * Debounce draft autosave while typing
+         */
+        scheduleDraft: function() {
+            var self = this;
+            clearTimeout(self.draftTimer);
+            self.draftTimer = setTimeout(function() {
+                self.saveDraft();
+            }, 1000);
+        },
+        
+        /**
+         * Store the textarea as a draft, or drop the draft once it matches the saved file.
+         * Edits made while a restore notice is open are stored too; the offered
+         * draft stays in pendingDraft until it is restored or discarded.
+         */
+        saveDraft: function() {
+            if (!this.currentFileName || this.loadedContent === null) {
+                return;
+            }
+            
+            var content = $('#mdsm-editor-textarea').val();
+            if (content === this.loadedContent) {
+                // Nothing new yet; keep the offered draft stored until the user decides
+                if (!this.pendingDraft) {
+                    this.clearDraft(this.currentFileType, this.currentFileName);
+                }
+                $('#mdsm-draft-status').text('');
+                return;
+            }
+            
+            var savedAt = Date.now();
+            try {
+                window.localStorage.setItem(
+                    this.draftKey(this.currentFileType, this.currentFileName),
+                    JSON.stringify({ content: content, savedAt: savedAt, baseChecksum: this.loadedChecksum })
+                );
+            } catch (e) {
+                // Storage full or disabled; the unsaved-changes prompts still apply
+                return;
+            }
+            $('#mdsm-draft-status').text(
+                mdsmData.strings.draftSaved.replace('%s', new Date(savedAt).toLocaleTimeString())
+            );
+        },
+        
+        /**
+         * Offer a stored draft if it was edited from the version now on the server
+         */
+        checkDraft: function(fileType, fileName, data) {
+            var draft = this.readDraft(fileType, fileName);
+            if (!draft) {
+                return;
+            }
+            
+            // Already saved, or the file was saved since (possibly elsewhere). Compare
+            // the checksum the draft started from, not clocks: the browser's and the
+            // server's can disagree. Drafts stored without one are always offered.
+            var moved = typeof draft.baseChecksum === 'string' && draft.baseChecksum !== data.checksum;
+            if (draft.content === data.content || moved) {
+                this.clearDraft(fileType, fileName);
+                return;
+            }
+            
+            this.pendingDraft = draft;
+            $('#mdsm-draft-notice-text').text(
+                mdsmData.strings.draftFound.replace('%s', new Date(draft.savedAt).toLocaleString())
+            );
+            $('#mdsm-draft-notice').show();
+        },
+        
+        /**
+         * Load the pending draft into the editor
+         */
+        restoreDraft: function() {
+            if (!this.pendingDraft) {
+                return;
+            }
+            $('#mdsm-editor-textarea').val(this.pendingDraft.content);
+            this.pendingDraft = null;
+            $('#mdsm-draft-notice').hide();
+            this.updatePreview();
+            this.refreshSeoEditor();
+            this.saveDraft();
+            this.showToast(mdsmData.strings.draftRestored, 'success');
+        },
+        
+        /**
+         * Throw the pending draft away
+         */
+        discardDraft: function() {
+            this.clearDraft(this.currentFileType, this.currentFileName);
+            this.pendingDraft = null;
+            $('#mdsm-draft-notice').hide();
+            // Keep anything typed while the notice was open
+            this.saveDraft();
+        },
+        
+        /**
+         * Return from the review pane to the textarea
+         */
+        showEditorPane: function() {
+            this.reviewOps = null;
+            this.merge = null;
+            $('#mdsm-review-pane, #mdsm-merge-pane, #mdsm-review-back, #mdsm-save-file, #mdsm-merge-apply').hide();
+            $('#mdsm-editor-pane, #mdsm-review-changes').show();
+            $('#mdsm-diff-output, #mdsm-merge-output').empty();
+        },
+        
+        /**
+         * Fetch the saved version and show a line diff against the edited text
+         */
+        reviewChanges: function() {
+            var self = this;
+            var content = $('#mdsm-editor-textarea').val();
+            var $button = $('#mdsm-review-changes');
+            var originalHtml = $button.html();
+            
+            $button.prop('disabled', true).text(mdsmData.strings.loadingDiff);
+            
+            $.ajax({
+                url: mdsmData.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'mdsm_get_file_content',
+                    nonce: mdsmData.nonce,
+                    file_type: self.currentFileType,
+                    file_name: self.currentFileName
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        self.showToast(response.data && response.data.message ? response.data.message : mdsmData.strings.error, 'error');
+                        return;
+                    }
+                    
+                    // Someone else saved since the editor loaded: merge first
+                    if (self.loadedChecksum !== null && response.data.checksum !== self.loadedChecksum) {
+                        self.showMerge(response.data);
+                        return;
+                    }
+                    
+                    var saved = response.data.content || '';
+                    var ops = MDSMDiff.diffLines(saved, content);
+                    var stats = MDSMDiff.stats(ops);
+                    
+                    // Line-level diff ignores line endings; compare raw text too.
+                    if (!stats.added && !stats.removed && saved === content) {
+                        self.showToast(mdsmData.strings.noChanges, 'success');
+                        return;
+                    }
+                    
+                    self.reviewOps = ops;
+                    
+                    var summary = mdsmData.strings.diffSummary
+                        .replace('%1$d', stats.added)
+                        .replace('%2$d', stats.removed);
+                    $('#mdsm-review-summary').html(
+                        '<span class="mdsm-diff-count-add">+' + stats.added + '</span> ' +
+                        '<span class="mdsm-diff-count-del">&minus;' + stats.removed + '</span> ' +
+                        '<span class="mdsm-diff-count-text">' + self.escapeHtml(summary) + '</span>' +
+                        (!response.data.exists ? ' <em>' + self.escapeHtml(mdsmData.strings.newFile) + '</em>' : '')
+                    );
+                    
+                    self.renderDiff();
+                    $('#mdsm-editor-pane, #mdsm-review-changes').hide();
+                    $('#mdsm-review-pane, #mdsm-review-back, #mdsm-save-file').show();
+                },
+                error: function() {
+                    self.showToast(mdsmData.strings.error, 'error');
+                },
+                complete: function() {
+                    $button.prop('disabled', false).html(originalHtml);
+                }
+            });
+        },
+        
+        /**
+         * Three-way merge of the loaded version (base), the saved version
+         * (theirs) and the textarea (mine) after a save conflict
+         */
+        showMerge: function(theirs) {
+            var mine = $('#mdsm-editor-textarea').val();
+            var result = MDSMDiff.merge3(this.loadedContent || '', mine, theirs.content || '');
+            
+            this.reviewOps = null;
+            this.merge = {
+                chunks: result.chunks,
+                choices: {},
+                theirs: theirs.content || '',
+                checksum: theirs.checksum,
+                trailingNewline: /\n$/.test(mine)
+            };
+            
+            $('#mdsm-merge-summary').text(result.conflicts
+                ? mdsmData.strings.mergeConflicts.replace('%d', result.conflicts)
+                : mdsmData.strings.mergeClean);
+            this.renderMerge();
+            
+            $('#mdsm-editor-pane, #mdsm-review-pane, #mdsm-review-changes, #mdsm-save-file').hide();
+            $('#mdsm-merge-pane, #mdsm-review-back, #mdsm-merge-apply').show();
+        },
+        
+        /**
+         * Render merged chunks and conflicts with base / theirs / mine columns
+         */
+        renderMerge: function() {
+            var self = this;
+            var merge = self.merge;
+            var total = 0;
+            var index = 0;
+            var html = '';
+            
+            merge.chunks.forEach(function(chunk) {
+                if (chunk.type === 'conflict') {
+                    total++;
+                }
+            });
+            
+            function column(cls, label, lines) {
+                return '<div class="mdsm-merge-col ' + cls + '">' +
+                    '<div class="mdsm-merge-col-label">' + self.escapeHtml(label) + '</div>' +
+                    '<pre>' + self.escapeHtml(lines.join('\n')) + '</pre></div>';
+            }
             
-            // Close changelog modal
-            $('#mdsm-changelog-modal .mdsm-modal-close').on('click', function() {
-                $('#mdsm-changelog-modal').removeClass('active');
+            merge.chunks.forEach(function(chunk, i) {
+                if (chunk.type === 'ok') {
+                    html += '<div class="mdsm-merge-ok">&#8943; ' +
+                        self.escapeHtml(mdsmData.strings.mergedLines.replace('%d', chunk.lines.length)) + '</div>';
+                    return;
+                }
+                
+                index++;
+                var choice = merge.choices[i];
+                html += '<div class="mdsm-merge-conflict' + (choice ? ' resolved' : '') + '" data-index="' + i + '">' +
+                    '<div class="mdsm-merge-conflict-header"><strong>' +
+                    self.escapeHtml(mdsmData.strings.conflictOf.replace('%1$d', index).replace('%2$d', total)) +
+                    '</strong><span class="mdsm-merge-choices">';
+                ['theirs', 'mine', 'both'].forEach(function(option) {
+                    var label = { theirs: mdsmData.strings.useTheirs, mine: mdsmData.strings.useMine, both: mdsmData.strings.useBoth }[option];
+                    html += '<button type="button" class="button button-small mdsm-merge-choice' + (choice === option ? ' active' : '') +
+                        '" data-choice="' + option + '">' + self.escapeHtml(label) + '</button>';
+                });
+                html += '</span></div><div class="mdsm-merge-columns">' +
+                    column('mdsm-merge-base', mdsmData.strings.mergeBase, chunk.base) +
+                    column('mdsm-merge-theirs', mdsmData.strings.mergeTheirs, chunk.theirs) +
+                    column('mdsm-merge-mine', mdsmData.strings.mergeMine, chunk.mine) +
+                    '</div></div>';
             });
             
-            // Close changelog modal on outside click
-            $('#mdsm-changelog-modal').on('click', function(e) {
-                if (e.target.id === 'mdsm-changelog-modal') {
-                    $(this).removeClass('active');
+            $('#mdsm-merge-output').html(html);
+            $('#mdsm-merge-apply').prop('disabled', Object.keys(merge.choices).length < total);
+        },
+        
+        /**
+         * Record the chosen side for one conflict
+         */
+        chooseMerge: function(index, choice) {
+            if (!this.merge) {
+                return;
+            }
+            this.merge.choices[index] = choice;
+            this.renderMerge();
+        },
+        
+        /**
+         * Load the merged text into the editor, rebased onto the saved version
+         */
+        applyMerge: function() {
+            var merge = this.merge;
+            if (!merge) {
+                return;
+            }
+            
+            var lines = [];
+            merge.chunks.forEach(function(chunk, i) {
+                if (chunk.type === 'ok') {
+                    lines.push.apply(lines, chunk.lines);
+                    return;
+                }
+                var choice = merge.choices[i];
+                if (choice === 'theirs' || choice === 'both') {
+                    lines.push.apply(lines, chunk.theirs);
+                }
+                if (choice === 'mine' || choice === 'both') {
+                    lines.push.apply(lines, chunk.mine);
                 }
             });
+            
+            var text = lines.join('\n') + (lines.length && merge.trailingNewline ? '\n' : '');
+            
+            // The saved version is now the base for the next save
+            this.loadedContent = merge.theirs;
+            this.loadedChecksum = merge.checksum;
+            $('#mdsm-editor-textarea').val(text);
+            
+            this.showEditorPane();
+            this.updatePreview();
+            this.refreshSeoEditor();
+            this.saveDraft();
+            this.showToast(mdsmData.strings.mergeApplied, 'success');
         },
         
         /**
-         * Switch tab
+         * Render the current diff in the selected layout
          */
-        switchTab: function(tab) {
-            $('.mdsm-tab-button').removeClass('active');
-            $('.mdsm-tab-button[data-tab="' + tab + '"]').addClass('active');
-            
-            $('.mdsm-tab-content').removeClass('active');
-            $('#tab-' + tab).addClass('active');
+        renderDiff: function() {
+            if (!this.reviewOps) {
+                return;
+            }
+            $('#mdsm-diff-output').html(this.diffHtml(this.reviewOps));
         },
         
         /**
-         * Open editor modal
+         * Build a diff table (unified or split, per diffMode) with
+         * unchanged runs folded into gap rows
          */
-        openEditor: function(fileType, fileName) {
+        diffHtml: function(ops) {
             var self = this;
-            self.currentFileType = fileType;
-            self.currentFileName = fileName;
+            var split = self.diffMode === 'split';
+            var cols = split ? 4 : 3;
+            var sign = { equal: ' ', add: '+', del: '-' };
+            var html = '<table class="mdsm-diff-table ' + (split ? 'mdsm-diff-split' : 'mdsm-diff-unified') + '"><tbody>';
+            var shown = 0;
             
-            // Get file card to retrieve description and location
-            var $card = $('.mdsm-file-card[data-filename="' + fileName + '"]');
-            var description = $card.data('description');
+            function gapRow(count) {
+                return '<tr class="mdsm-diff-gap"><td colspan="' + cols + '">&#8943; ' +
+                    self.escapeHtml(mdsmData.strings.unchangedLines.replace('%d', count)) + '</td></tr>';
+            }
             
-            // Set modal title and description
-            $('#mdsm-editor-title').text('Edit: ' + fileName);
-            $('#mdsm-editor-description').text(description);
+            function cell(op, side) {
+                if (!op) {
+                    return '<td class="mdsm-diff-num"></td><td class="mdsm-diff-line mdsm-diff-empty"></td>';
+                }
+                var type = op.type === 'equal' ? 'equal' : (side === 'left' ? 'del' : 'add');
+                return '<td class="mdsm-diff-num">' + (side === 'left' ? op.oldNo : op.newNo) + '</td>' +
+                    '<td class="mdsm-diff-line mdsm-diff-' + type + '">' +
+                    '<span class="mdsm-diff-sign">' + sign[type] + '</span>' + self.escapeHtml(op.text) + '</td>';
+            }
             
-            // Load file content
-            $.ajax({
-                url: mdsmData.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'mdsm_get_file_content',
-                    nonce: mdsmData.nonce,
-                    file_type: fileType,
-                    file_name: fileName
-                },
-                success: function(response) {
-                    if (response.success) {
-                        $('#mdsm-editor-textarea').val(response.data.content);
-                        $('#mdsm-editor-location').html(
-                            '<span class="dashicons dashicons-location"></span> ' + 
-                            response.data.location
-                        );
-                    }
+            MDSMDiff.hunks(ops, 3).forEach(function(hunk) {
+                if (hunk.start > shown) {
+                    html += gapRow(hunk.start - shown);
+                }
+                shown = hunk.end;
+                
+                if (split) {
+                    MDSMDiff.sideBySide(hunk.ops).forEach(function(row) {
+                        html += '<tr>' + cell(row.left, 'left') + cell(row.right, 'right') + '</tr>';
+                    });
+                } else {
+                    hunk.ops.forEach(function(op) {
+                        html += '<tr class="mdsm-diff-' + op.type + '">' +
+                            '<td class="mdsm-diff-num">' + (op.oldNo || '') + '</td>' +
+                            '<td class="mdsm-diff-num">' + (op.newNo || '') + '</td>' +
+                            '<td class="mdsm-diff-line"><span class="mdsm-diff-sign">' + sign[op.type] + '</span>' +
+                            self.escapeHtml(op.text) + '</td></tr>';
+                    });
                 }
             });
             
-            // Show modal
-            $('#mdsm-editor-modal').addClass('active');
-            $('#mdsm-editor-textarea').focus();
+            if (ops.length > shown) {
+                html += gapRow(ops.length - shown);
+            }
+            
+            return html + '</tbody></table>';
         },
         
         /**
-         * Close modal
+         * Escape text for insertion into HTML
          */
-        closeModal: function() {
-            $('#mdsm-editor-modal').removeClass('active');
-            this.currentFileType = null;
-            this.currentFileName = null;
+        escapeHtml: function(text) {
+            var map = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+            return String(text).replace(/[&<>"']/g, function(m) { return map[m]; });
         },
         
         /**
@@ -210,22 +1993,38 @@
             // Disable button
             $button.prop('disabled', true).text(mdsmData.strings.saving);
             
+            var data = {
+                action: 'mdsm_save_file',
+                nonce: mdsmData.nonce,
+                file_type: self.currentFileType,
+                file_name: self.currentFileName,
+                content: content
+            };
+            
+            // Let the server refuse the save if the file changed since it was loaded
+            if (self.loadedChecksum !== null) {
+                data.base_checksum = self.loadedChecksum;
+            }
+            
+            // Record the save as a restore unless the revision was edited further
+            if (self.restore && content === self.restore.content) {
+                data.restored_from = self.restore.checksum;
+            }
+            
             // Save via AJAX
             $.ajax({
                 url: mdsmData.ajaxUrl,
                 type: 'POST',
-                data: {
-                    action: 'mdsm_save_file',
-                    nonce: mdsmData.nonce,
-                    file_type: self.currentFileType,
-                    file_name: self.currentFileName,
-                    content: content
-                },
+                data: data,
                 success: function(response) {
-                    if (response.success) {
+                    if (!response.success && response.data && response.data.conflict) {
+                        self.showToast(response.data.message, 'error');
+                        self.showMerge(response.data);
+                    } else if (response.success) {
                         self.showToast(mdsmData.strings.saved, 'success');
                         self.updateFileCard(self.currentFileType, self.currentFileName, response.data);
-                        self.closeModal();
+                        self.clearDraft(self.currentFileType, self.currentFileName);
+                        self.closeModal(true);
                         
                         // Update counts
                         self.updateFileCounts();
@@ -237,7 +2036,7 @@
                     self.showToast(mdsmData.strings.error, 'error');
                 },
                 complete: function() {
-                    $button.prop('disabled', false).html('<span class="dashicons dashicons-saved"></span> Save File');
+                    $button.prop('disabled', false).html('<span class="dashicons dashicons-saved"></span> ' + mdsmData.strings.saveFile);
                 }
             });
         },
@@ -251,6 +2050,12 @@
             var $fileMeta = $card.find('.mdsm-file-meta');
             var $location = $card.find('.mdsm-file-location span:last-child');
             
+            // Content changed: rebuild the search index on the next search
+            this.searchIndex = null;
+            
+            // A previous "Verify All" result no longer applies
+            $card.find('.mdsm-integrity-badge').remove();
+            
             if (data.exists) {
                 // File exists - update status and add view/copy links
                 $statusBadge.removeClass('mdsm-status-empty').addClass('mdsm-status-exists').text('Active');
@@ -294,6 +2099,171 @@
             }
         },
         
+        /**
+         * Sitemap options as posted to mdsm_preview_sitemap / mdsm_generate_sitemap
+         */
+        collectSitemapSettings: function() {
+            var settings = {
+                homepage: $('#mdsm-sitemap-homepage').is(':checked') ? 1 : 0,
+                post_types: {},
+                taxonomies: {},
+                documents: {
+                    files: $('.mdsm-sitemap-doc:checked').map(function() {
+                        return this.value;
+                    }).get(),
+                    changefreq: $('#mdsm-sitemap-docs-changefreq').val(),
+                    priority: $('#mdsm-sitemap-docs-priority').val()
+                },
+                max_urls: $('#mdsm-sitemap-max-urls').val()
+            };
+            
+            $('.mdsm-sitemap-source').each(function() {
+                var $row = $(this);
+                settings[$row.data('group')][$row.data('name')] = {
+                    enabled: $row.find('.mdsm-sitemap-enabled').is(':checked') ? 1 : 0,
+                    changefreq: $row.find('.mdsm-sitemap-changefreq').val(),
+                    priority: $row.find('.mdsm-sitemap-priority').val()
+                };
+            });
+            
+            return settings;
+        },
+        
+        /**
+         * Plan and validate the sitemap for the current options without writing it.
+         * `page` and `file` page through the URL list of the shown preview.
+         */
+        previewSitemap: function(page, file) {
+            var self = this;
+            var $button = $('#generate-sitemap');
+            var first = !$('#mdsm-sitemap-preview').is(':visible');
+            
+            if (self.sitemapRequest) {
+                self.sitemapRequest.abort();
+            }
+            $button.prop('disabled', true);
+            $('#mdsm-sitemap-write').prop('disabled', true);
+            $('#mdsm-sitemap-preview').addClass('mdsm-loading');
+            
+            self.sitemapRequest = $.ajax({
+                url: mdsmData.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'mdsm_preview_sitemap',
+                    nonce: mdsmData.nonce,
+                    sitemap_type: $('input[name="sitemap_type"]:checked').val(),
+                    settings: self.collectSitemapSettings(),
+                    page: page || 1,
+                    file: file || ''
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.renderSitemapPreview(response.data, file || '');
+                        if (first) {
+                            $('html, body').animate({ scrollTop: $('#mdsm-sitemap-preview').offset().top - 40 }, 200);
+                        }
+                    } else {
+                        self.showToast(response.data.message || mdsmData.strings.error, 'error');
+                    }
+                },
+                error: function(xhr, status) {
+                    if (status !== 'abort') {
+                        self.showToast(mdsmData.strings.error, 'error');
+                    }
+                },
+                complete: function(xhr, status) {
+                    if (status === 'abort') {
+                        return;
+                    }
+                    self.sitemapRequest = null;
+                    $button.prop('disabled', false);
+                    $('#mdsm-sitemap-preview').removeClass('mdsm-loading');
+                }
+            });
+        },
+        
+        /**
+         * Files with their validation result, then one page of URLs
+         */
+        renderSitemapPreview: function(data, file) {
+            var self = this;
+            var strings = mdsmData.strings;
+            
+            self.sitemapPreview = { page: data.page, pages: data.pages, file: file, valid: data.valid };
+            
+            var sources = Object.keys(data.sources).map(function(label) {
+                return label + ': ' + data.sources[label];
+            }).join(' · ');
+            $('#mdsm-sitemap-preview-summary').text(
+                strings.sitemapSummary.replace('%1$d', data.total).replace('%2$d', data.files.length) +
+                (sources ? ' — ' + sources : '')
+            );
+            
+            $('#mdsm-sitemap-validation').html(data.files.map(function(item) {
+                var state = item.errors.length ? 'error' : (item.warnings.length ? 'warning' : 'ok');
+                var icon = { error: 'dismiss', warning: 'warning', ok: 'yes-alt' }[state];
+                var status = item.errors.length
+                    ? strings.sitemapErrors.replace('%d', item.errors.length)
+                    : strings.sitemapValid;
+                var messages = item.errors.concat(item.warnings).map(function(message) {
+                    return '<li>' + self.escapeHtml(message) + '</li>';
+                }).join('');
+                return '<li class="mdsm-sitemap-file mdsm-sitemap-file-' + state + '">' +
+                    '<span class="dashicons dashicons-' + icon + '"></span> ' +
+                    '<strong>' + self.escapeHtml(item.name) + '</strong> ' +
+                    '<span class="mdsm-sitemap-file-meta">' + self.escapeHtml(
+                        strings.sitemapFileMeta.replace('%1$d', item.count).replace('%2$s', (item.bytes / 1024).toFixed(1))
+                    ) + '</span> — ' + self.escapeHtml(status) +
+                    (messages ? '<ul>' + messages + '</ul>' : '') +
+                    '</li>';
+            }).join(''));
+            
+            var $file = $('#mdsm-sitemap-preview-file');
+            $file.find('option:not(:first)').remove();
+            data.files.forEach(function(item) {
+                if (item.name !== 'sitemap_index.xml') {
+                    $file.append($('<option>').val(item.name).text(item.name));
+                }
+            });
+            $file.val($file.find('option[value="' + file + '"]').length ? file : '');
+            
+            $('#mdsm-sitemap-urls').html(data.urls.length ? data.urls.map(function(url) {
+                return '<tr>' +
+                    '<td class="mdsm-sitemap-loc"><a href="' + self.escapeHtml(url.loc) + '" target="_blank" rel="noopener">' + self.escapeHtml(url.loc) + '</a></td>' +
+                    '<td>' + self.escapeHtml(url.lastmod || '—') + '</td>' +
+                    '<td>' + self.escapeHtml(url.changefreq || '—') + '</td>' +
+                    '<td>' + self.escapeHtml(url.priority || '—') + '</td>' +
+                    '<td><code>' + self.escapeHtml(url.file) + '</code></td>' +
+                    '</tr>';
+            }).join('') : '<tr><td colspan="5"><em>' + self.escapeHtml(strings.sitemapNoUrls) + '</em></td></tr>');
+            
+            $('#mdsm-sitemap-page').text(
+                strings.sitemapPage.replace('%1$d', data.page).replace('%2$d', data.pages).replace('%3$d', data.matching)
+            );
+            $('#mdsm-sitemap-prev').prop('disabled', data.page <= 1);
+            $('#mdsm-sitemap-next').prop('disabled', data.page >= data.pages);
+            
+            // Nothing is written while the XML has errors
+            $('#mdsm-sitemap-write').prop('disabled', !data.valid)
+                .attr('title', data.valid ? '' : strings.sitemapInvalid);
+            $('#mdsm-sitemap-preview').show();
+        },
+        
+        /**
+         * Refresh a shown preview after an option changes
+         */
+        scheduleSitemapPreview: function() {
+            var self = this;
+            if (!$('#mdsm-sitemap-preview').is(':visible')) {
+                return;
+            }
+            $('#mdsm-sitemap-write').prop('disabled', true);
+            clearTimeout(self.sitemapTimer);
+            self.sitemapTimer = setTimeout(function() {
+                self.previewSitemap(1, self.sitemapPreview ? self.sitemapPreview.file : '');
+            }, 400);
+        },
+        
         /**
          * Generate sitemap
          */
@@ -301,7 +2271,8 @@
             var self = this;
             var sitemapType = $('input[name="sitemap_type"]:checked').val();
             var autoUpdate = $('#auto_update_sitemap').is(':checked');
-            var $button = $('#generate-sitemap');
+            var $button = $('#mdsm-sitemap-write');
+            var originalHtml = $button.html();
             
             // Disable button
             $button.prop('disabled', true).html('<span class="dashicons dashicons-update"></span> ' + mdsmData.strings.generating);
@@ -313,7 +2284,8 @@
                     action: 'mdsm_generate_sitemap',
                     nonce: mdsmData.nonce,
                     sitemap_type: sitemapType,
-                    auto_update: autoUpdate
+                    auto_update: autoUpdate,
+                    settings: self.collectSitemapSettings()
                 },
                 success: function(response) {
                     if (response.success) {
@@ -331,7 +2303,7 @@
                     self.showToast(mdsmData.strings.error, 'error');
                 },
                 complete: function() {
-                    $button.prop('disabled', false).html('<span class="dashicons dashicons-update"></span> Generate Sitemap Now');
+                    $button.prop('disabled', false).html(originalHtml);
                 }
             });
         },
@@ -339,7 +2311,7 @@
         /**
          * Copy to clipboard
          */
-        copyToClipboard: function(text) {
+        copyToClipboard: function(text, message) {
             var self = this;
             
             // Create temporary input
@@ -349,7 +2321,7 @@
             
             try {
                 document.execCommand('copy');
-                self.showToast(mdsmData.strings.copied, 'success');
+                self.showToast(message || mdsmData.strings.copied, 'success');
             } catch (err) {
                 self.showToast('Could not copy link', 'error');
             }
@@ -370,6 +2342,190 @@
             }, 3000);
         },
         
+        /**
+         * Recompute each file card's checksum in the browser and compare it
+         * with the last changelog entry. Cards are fetched a few at a time.
+         */
+        verifyAll: function() {
+            var self = this;
+            var $button = $('#mdsm-verify-all');
+            var cards = $('.mdsm-file-card').toArray();
+            var batchSize = 4;
+            var results = [];
+            var done = 0;
+            
+            if (!window.ArchivioCrypto || !window.crypto || !window.crypto.subtle) {
+                self.showToast(mdsmData.strings.verifyUnavailable, 'error');
+                return;
+            }
+            
+            $button.prop('disabled', true);
+            $('#mdsm-verify-summary').text('');
+            $('#mdsm-verify-report').hide();
+            $('.mdsm-integrity-badge').remove();
+            
+            function progress() {
+                $('#mdsm-verify-progress').text(
+                    mdsmData.strings.verifyProgress.replace('%1$d', done).replace('%2$d', cards.length)
+                );
+            }
+            
+            function nextBatch(start) {
+                if (start >= cards.length) {
+                    return Promise.resolve();
+                }
+                var batch = cards.slice(start, start + batchSize).map(function(card) {
+                    return self.verifyCard(card).then(function(result) {
+                        results.push(result);
+                        self.showIntegrityBadge(card, result);
+                        done++;
+                        progress();
+                    });
+                });
+                return Promise.all(batch).then(function() {
+                    return nextBatch(start + batchSize);
+                });
+            }
+            
+            progress();
+            nextBatch(0).then(function() {
+                var counts = { match: 0, drift: 0, missing: 0, other: 0 };
+                results.forEach(function(result) {
+                    if (result.status === 'empty') {
+                        return;
+                    }
+                    counts[counts.hasOwnProperty(result.status) ? result.status : 'other']++;
+                });
+                
+                self.verifyReport = { generatedAt: new Date().toISOString(), counts: counts, results: results };
+                $('#mdsm-verify-progress').text('');
+                $('#mdsm-verify-summary').text(mdsmData.strings.verifySummary
+                    .replace('%1$d', counts.match)
+                    .replace('%2$d', counts.drift)
+                    .replace('%3$d', counts.missing)
+                    .replace('%4$d', counts.other));
+                $('#mdsm-verify-report').show();
+            }).then(null, function() {
+                $('#mdsm-verify-progress').text(mdsmData.strings.error);
+            }).then(function() {
+                $button.prop('disabled', false);
+            });
+        },
+        
+        /**
+         * Verify one card. Always resolves with a result object
+         * ({file, type, status, algorithm, expected, computed}); status is
+         * match, drift, missing, untracked, unsupported, empty or error.
+         */
+        verifyCard: function(card) {
+            var $edit = $(card).find('.mdsm-edit-button').first();
+            var result = {
+                file: $(card).data('filename'),
+                type: $edit.data('file-type'),
+                status: 'error',
+                algorithm: null,
+                expected: null,
+                computed: null
+            };
+            
+            return Promise.resolve($.ajax({
+                url: mdsmData.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'mdsm_get_file_content',
+                    nonce: mdsmData.nonce,
+                    file_type: result.type,
+                    file_name: result.file
+                }
+            })).then(function(response) {
+                if (!response.success) {
+                    return result;
+                }
+                
+                var changelog = response.data.metadata && response.data.metadata.changelog;
+                var last = changelog && changelog.length ? changelog[changelog.length - 1] : null;
+                result.expected = last ? last.checksum : null;
+                
+                if (!response.data.exists) {
+                    result.status = result.expected ? 'missing' : 'empty';
+                    return result;
+                }
+                if (!result.expected) {
+                    result.status = 'untracked';
+                    return result;
+                }
+                
+                // Packed format: [hmac-]algorithm:hex, or bare legacy SHA-256 hex
+                var packed = /^(hmac-)?([a-z0-9_-]+):([0-9a-f]+)$/i.exec(result.expected);
+                var hmac = packed ? !!packed[1] : false;
+                var hex = (packed ? packed[3] : result.expected).toLowerCase();
+                result.algorithm = packed ? packed[2].toLowerCase() : 'sha256';
+                
+                if (hmac || !ArchivioCrypto.isSupported(result.algorithm)) {
+                    result.status = 'unsupported';
+                    return result;
+                }
+                
+                return ArchivioCrypto.digestHex(result.algorithm, ArchivioCrypto.utf8(response.data.content)).then(function(computed) {
+                    result.computed = computed;
+                    result.status = computed === hex ? 'match' : 'drift';
+                    return result;
+                });
+            }).then(null, function() {
+                result.status = 'error';
+                return result;
+            });
+        },
+        
+        /**
+         * Badge a file card with its integrity status
+         */
+        showIntegrityBadge: function(card, result) {
+            var labels = {
+                match: mdsmData.strings.integrityMatch,
+                drift: mdsmData.strings.integrityDrift,
+                missing: mdsmData.strings.integrityMissing,
+                untracked: mdsmData.strings.integrityUntracked,
+                unsupported: mdsmData.strings.integrityUnsupported,
+                error: mdsmData.strings.integrityError
+            };
+            if (!labels[result.status]) {
+                return;
+            }
+            $('<span class="mdsm-integrity-badge"></span>')
+                .addClass('mdsm-integrity-' + result.status)
+                .text(labels[result.status])
+                .attr('title', result.expected || '')
+                .appendTo($(card).find('.mdsm-file-title'));
+        },
+        
+        /**
+         * Download the last "Verify All" run as JSON
+         */
+        downloadVerifyReport: function() {
+            if (!this.verifyReport) {
+                return;
+            }
+            var report = {
+                report: 'ArchivioMD document integrity check',
+                site: window.location.host,
+                generated_at: this.verifyReport.generatedAt,
+                summary: this.verifyReport.counts,
+                documents: this.verifyReport.results
+            };
+            var blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+            var url = URL.createObjectURL(blob);
+            var link = document.createElement('a');
+            link.href = url;
+            link.download = 'archiviomd-integrity-' + this.verifyReport.generatedAt.slice(0, 10) + '.json';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            setTimeout(function() {
+                URL.revokeObjectURL(url);
+            }, 1000);
+        },
+        
         /**
          * Filter files based on search
          */
@@ -382,26 +2538,158 @@
                 return;
             }
             
-            $('.mdsm-file-card').each(function() {
-                var fileName = $(this).data('filename').toLowerCase();
-                var description = $(this).data('description').toLowerCase();
-                
-                if (fileName.includes(query) || description.includes(query)) {
-                    $(this).removeClass('hidden');
-                } else {
-                    $(this).addClass('hidden');
+            $('.mdsm-file-card').each(function() {
+                var fileName = $(this).data('filename').toLowerCase();
+                var description = $(this).data('description').toLowerCase();
+                
+                if (fileName.includes(query) || description.includes(query)) {
+                    $(this).removeClass('hidden');
+                } else {
+                    $(this).addClass('hidden');
+                }
+            });
+            
+            // Hide categories with no visible files
+            $('.mdsm-category').each(function() {
+                var visibleFiles = $(this).find('.mdsm-file-card:not(.hidden)').length;
+                if (visibleFiles === 0) {
+                    $(this).hide();
+                } else {
+                    $(this).show();
+                }
+            });
+        },
+        
+        /**
+         * Debounce the content search while typing
+         */
+        scheduleContentSearch: function() {
+            var self = this;
+            clearTimeout(self.searchTimer);
+            self.searchTimer = setTimeout(function() {
+                self.searchContents();
+            }, 200);
+        },
+        
+        /**
+         * Fetch every document and build the search index (once, until invalidated)
+         */
+        loadSearchIndex: function() {
+            var self = this;
+            
+            if (self.searchIndex) {
+                return Promise.resolve(self.searchIndex);
+            }
+            if (!self.searchRequest) {
+                self.searchRequest = new Promise(function(resolve, reject) {
+                    $.ajax({
+                        url: mdsmData.ajaxUrl,
+                        type: 'POST',
+                        data: {
+                            action: 'mdsm_get_search_index',
+                            nonce: mdsmData.nonce
+                        },
+                        success: function(response) {
+                            if (response.success) {
+                                self.searchIndex = MDSMSearch.buildIndex(response.data.documents);
+                                resolve(self.searchIndex);
+                            } else {
+                                reject();
+                            }
+                        },
+                        error: function() {
+                            reject();
+                        }
+                    });
+                }).then(function(index) {
+                    self.searchRequest = null;
+                    return index;
+                }, function() {
+                    self.searchRequest = null;
+                    throw new Error(mdsmData.strings.error);
+                });
+            }
+            return self.searchRequest;
+        },
+        
+        /**
+         * Run the content search for the current query and filters
+         */
+        searchContents: function() {
+            var self = this;
+            var query = $.trim($('#mdsm-search').val());
+            
+            if (query.length < 2) {
+                $('#mdsm-search-panel').hide();
+                return;
+            }
+            
+            $('#mdsm-search-panel').show();
+            if (!self.searchIndex) {
+                $('#mdsm-search-count').text(mdsmData.strings.searchLoading);
+            }
+            
+            self.loadSearchIndex().then(function(index) {
+                // Ignore stale responses if the query changed meanwhile
+                if ($.trim($('#mdsm-search').val()) !== query) {
+                    return;
                 }
+                self.renderSearchResults(MDSMSearch.search(index, query, {
+                    category: $('#mdsm-search-category').val(),
+                    status: $('#mdsm-search-status').val()
+                }));
+            }, function(error) {
+                $('#mdsm-search-count').text(error.message);
             });
+        },
+        
+        /**
+         * Render ranked content search results with highlighted snippets
+         */
+        renderSearchResults: function(results) {
+            var self = this;
+            var strings = mdsmData.strings;
+            var html = '';
             
-            // Hide categories with no visible files
-            $('.mdsm-category').each(function() {
-                var visibleFiles = $(this).find('.mdsm-file-card:not(.hidden)').length;
-                if (visibleFiles === 0) {
-                    $(this).hide();
-                } else {
-                    $(this).show();
+            results.forEach(function(result) {
+                var doc = result.doc;
+                var location = result.line ?
+                    strings.searchLine.replace('%d', result.line) :
+                    strings.searchNameMatch;
+                var snippet = '';
+                
+                if (result.snippet) {
+                    snippet = '<div class="mdsm-search-snippet">' +
+                        (result.snippet.before ? '&hellip;' : '') +
+                        MDSMSearch.highlight(result.snippet.text, result.snippet.ranges) +
+                        (result.snippet.after ? '&hellip;' : '') +
+                        '</div>';
+                } else if (doc.description) {
+                    snippet = '<div class="mdsm-search-snippet">' +
+                        MDSMSearch.highlight(doc.description, result.descriptionRanges) +
+                        '</div>';
                 }
+                
+                html += '<li class="mdsm-search-result" tabindex="0" role="button"' +
+                    ' data-file-type="' + self.escapeHtml(doc.type) + '"' +
+                    ' data-file-name="' + self.escapeHtml(doc.name) + '"' +
+                    ' data-line="' + (result.line || '') + '">' +
+                    '<div class="mdsm-search-result-header">' +
+                        '<span class="mdsm-search-result-name">' + MDSMSearch.highlight(doc.name, result.nameRanges) + '</span>' +
+                        '<span class="mdsm-search-result-category">' + self.escapeHtml(doc.category) + '</span>' +
+                        '<span class="mdsm-status-badge ' + (doc.exists ? 'mdsm-status-exists' : 'mdsm-status-empty') + '">' +
+                            (doc.exists ? strings.statusActive : strings.statusEmpty) +
+                        '</span>' +
+                        '<span class="mdsm-search-result-line">' + location + '</span>' +
+                    '</div>' +
+                    snippet +
+                    '</li>';
             });
+            
+            $('#mdsm-search-results').html(html);
+            $('#mdsm-search-count').text(results.length ?
+                strings.searchResults.replace('%d', results.length) :
+                strings.searchNoResults);
         },
         
         /**
@@ -452,23 +2740,7 @@
                 success: function(response) {
                     if (response.success) {
                         self.showToast(mdsmData.strings.htmlGenerated, 'success');
-                        
-                        // Replace button with HTML links
-                        var $card = $('.mdsm-file-card[data-filename="' + fileName + '"]');
-                        var $actions = $card.find('.mdsm-file-actions');
-                        
-                        // Remove generate button
-                        $button.remove();
-                        
-                        // Add HTML view and copy buttons
-                        var htmlButtons = '<a href="' + response.data.html_url + '" target="_blank" class="mdsm-view-link mdsm-html-link">' +
-                            '<span class="dashicons dashicons-media-document"></span> View HTML' +
-                        '</a>' +
-                        '<button class="mdsm-copy-html-link" data-url="' + response.data.html_url + '" data-file-type="' + fileType + '" data-file-name="' + fileName + '" title="Copy HTML Link">' +
-                            '<span class="dashicons dashicons-admin-links"></span> Copy HTML Link' +
-                        '</button>';
-                        
-                        $actions.append(htmlButtons);
+                        self.showHtmlLinks(fileType, fileName, response.data.html_url);
                     } else {
                         self.showToast(response.data.message || mdsmData.strings.error, 'error');
                         $button.prop('disabled', false).html(originalHtml);
@@ -482,44 +2754,632 @@
         },
         
         /**
-         * Show custom markdown file creation prompt
+         * Replace a card's "Generate HTML" button with View / Copy HTML links
          */
-        showCustomMarkdownPrompt: function() {
+        showHtmlLinks: function(fileType, fileName, htmlUrl) {
+            var $card = $('.mdsm-file-card[data-filename="' + fileName + '"]');
+            var $actions = $card.find('.mdsm-file-actions');
+            
+            $actions.find('.mdsm-generate-html').remove();
+            if ($actions.find('.mdsm-html-link').length) {
+                return;
+            }
+            
+            // Add HTML view and copy buttons
+            var htmlButtons = '<a href="' + htmlUrl + '" target="_blank" class="mdsm-view-link mdsm-html-link">' +
+                '<span class="dashicons dashicons-media-document"></span> View HTML' +
+            '</a>' +
+            '<button class="mdsm-copy-html-link" data-url="' + htmlUrl + '" data-file-type="' + fileType + '" data-file-name="' + fileName + '" title="Copy HTML Link">' +
+                '<span class="dashicons dashicons-admin-links"></span> Copy HTML Link' +
+            '</button>';
+            
+            $actions.append(htmlButtons);
+        },
+        
+        /**
+         * Replace a card's HTML links with a "Generate HTML" button
+         */
+        showGenerateButton: function(fileType, fileName) {
+            var $actions = $('.mdsm-file-card[data-filename="' + fileName + '"] .mdsm-file-actions');
+            
+            $actions.find('.mdsm-html-link, .mdsm-copy-html-link').remove();
+            if ($actions.length && !$actions.find('.mdsm-generate-html').length) {
+                $actions.append('<button class="mdsm-generate-html" data-file-type="' + fileType + '" data-file-name="' + fileName + '" title="Generate HTML Version">' +
+                    '<span class="dashicons dashicons-media-code"></span> Generate HTML' +
+                '</button>');
+            }
+        },
+        
+        /**
+         * Remove a custom file card, leaving the empty message if it was the last
+         */
+        removeCustomCard: function($card) {
+            $card.fadeOut(300, function() {
+                $(this).remove();
+                // Check if there are any custom files left
+                var $grid = $('.mdsm-category:has(.mdsm-custom-markdown-controls) .mdsm-file-grid');
+                if ($grid.find('.mdsm-custom-file-card').length === 0) {
+                    $grid.html('<p class="mdsm-empty-message">No custom markdown files yet. Click "+ Custom Markdown" to create one.</p>');
+                }
+            });
+        },
+        
+        /**
+         * Show the bulk bar while any card is selected
+         */
+        updateBulkBar: function() {
+            var count = $('.mdsm-bulk-select:checked').length;
+            $('#mdsm-bulk-count').text(mdsmData.strings.bulkSelected.replace('%d', count));
+            $('#mdsm-bulk-bar').toggle(count > 0);
+        },
+        
+        /**
+         * Queue the chosen bulk action for every selected card
+         */
+        applyBulkAction: function() {
             var self = this;
+            var action = $('#mdsm-bulk-action').val();
             
-            // Prevent multiple simultaneous requests
-            if (self.creatingCustomFile) {
+            if (!action) {
+                self.showToast(mdsmData.strings.bulkChooseAction, 'error');
+                return;
+            }
+            if (self.bulk && self.bulk.running) {
+                $('#mdsm-bulk-modal').addClass('active');
                 return;
             }
             
-            var filename = prompt('Enter the filename for your custom markdown file:\n\n(It will automatically get a .md extension if not provided)');
+            var items = $('.mdsm-bulk-select:checked').map(function() {
+                var $card = $(this).closest('.mdsm-file-card');
+                return {
+                    file: $card.data('filename'),
+                    custom: $card.hasClass('mdsm-custom-file-card'),
+                    status: 'pending',
+                    message: ''
+                };
+            }).get();
             
-            if (!filename) {
-                return; // User cancelled
+            var confirmations = {
+                delete_html: mdsmData.strings.bulkConfirmDeleteHtml,
+                delete_custom: mdsmData.strings.bulkConfirmDeleteCustom
+            };
+            if (confirmations[action] && !confirm(confirmations[action].replace('%d', items.length))) {
+                return;
             }
             
-            filename = filename.trim();
+            self.bulk = { action: action, items: items, running: false };
+            $('#mdsm-bulk-title').text($('#mdsm-bulk-action option:selected').text());
+            $('#mdsm-bulk-modal').addClass('active');
+            self.runBulk();
+        },
+        
+        /**
+         * Work through pending queue items one at a time
+         */
+        runBulk: function() {
+            var self = this;
+            var bulk = self.bulk;
             
-            if (!filename) {
-                self.showToast('Filename cannot be empty', 'error');
+            if (!bulk || bulk.running) {
+                return;
+            }
+            bulk.running = true;
+            
+            function next() {
+                var item = null;
+                for (var i = 0; i < bulk.items.length; i++) {
+                    if (bulk.items[i].status === 'pending') {
+                        item = bulk.items[i];
+                        break;
+                    }
+                }
+                if (!item) {
+                    bulk.running = false;
+                    self.renderBulk();
+                    return;
+                }
+                
+                item.status = 'running';
+                self.renderBulk();
+                
+                self.bulkRequest(bulk.action, item).then(function(result) {
+                    item.status = result.status;
+                    item.message = result.message;
+                    if (result.status === 'done') {
+                        self.afterBulkItem(bulk.action, item, result.data);
+                    }
+                }, function(message) {
+                    item.status = 'failed';
+                    item.message = message;
+                }).then(next);
+            }
+            
+            next();
+        },
+        
+        /**
+         * Run one bulk action for one document. Resolves with
+         * {status: 'done'|'skipped', message, data}; rejects with an error message.
+         */
+        bulkRequest: function(action, item) {
+            var requests = {
+                generate_html: { action: 'mdsm_generate_html', file_type: 'meta', file_name: item.file },
+                delete_html: { action: 'mdsm_delete_html', file_type: 'meta', file_name: item.file },
+                publish: { action: 'mdsm_set_public_document', file_name: item.file, public: '1' },
+                unpublish: { action: 'mdsm_set_public_document', file_name: item.file, public: '0' },
+                delete_custom: { action: 'mdsm_delete_custom_markdown', filename: item.file }
+            };
+            
+            if (action === 'delete_custom' && !item.custom) {
+                return Promise.resolve({ status: 'skipped', message: mdsmData.strings.bulkSkipped });
+            }
+            
+            var data = $.extend({ nonce: mdsmData.nonce }, requests[action]);
+            
+            return new Promise(function(resolve, reject) {
+                $.ajax({
+                    url: mdsmData.ajaxUrl,
+                    type: 'POST',
+                    data: data,
+                    success: function(response) {
+                        var message = response.data && response.data.message ? response.data.message : '';
+                        if (response.success) {
+                            resolve({ status: 'done', message: message, data: response.data });
+                        } else {
+                            reject(message || mdsmData.strings.error);
+                        }
+                    },
+                    error: function() {
+                        reject(mdsmData.strings.error);
+                    }
+                });
+            });
+        },
+        
+        /**
+         * Reflect a completed bulk item on its card
+         */
+        afterBulkItem: function(action, item, data) {
+            var $card = $('.mdsm-file-card[data-filename="' + item.file + '"]');
+            
+            $card.find('.mdsm-bulk-select').prop('checked', false);
+            
+            if (action === 'generate_html') {
+                this.showHtmlLinks('meta', item.file, data.html_url);
+            } else if (action === 'delete_html') {
+                this.showGenerateButton('meta', item.file);
+            } else if (action === 'publish' || action === 'unpublish') {
+                $('input[name="public_docs[]"][value="' + item.file + '"]').prop('checked', action === 'publish');
+            } else if (action === 'delete_custom') {
+                this.removeCustomCard($card);
+            }
+            this.updateBulkBar();
+        },
+        
+        /**
+         * Render queue progress and per-item results
+         */
+        renderBulk: function() {
+            var self = this;
+            var bulk = self.bulk;
+            var finished = 0;
+            var failed = 0;
+            var labels = {
+                pending: mdsmData.strings.bulkPending,
+                running: mdsmData.strings.bulkRunning,
+                done: mdsmData.strings.bulkDone
+            };
+            var html = '';
+            
+            bulk.items.forEach(function(item) {
+                if (item.status === 'failed') {
+                    failed++;
+                }
+                if (item.status !== 'pending' && item.status !== 'running') {
+                    finished++;
+                }
+                html += '<li class="mdsm-bulk-item mdsm-bulk-' + item.status + '">' +
+                    '<span class="mdsm-bulk-item-name">' + self.escapeHtml(item.file) + '</span>' +
+                    '<span class="mdsm-bulk-item-result">' + self.escapeHtml(item.message || labels[item.status] || '') + '</span>' +
+                    '</li>';
+            });
+            
+            $('#mdsm-bulk-items').html(html);
+            $('#mdsm-bulk-progress-fill').css('width', (bulk.items.length ? finished / bulk.items.length * 100 : 100) + '%');
+            $('#mdsm-bulk-status').text(mdsmData.strings.bulkProgress
+                .replace('%1$d', finished)
+                .replace('%2$d', bulk.items.length)
+                .replace('%3$d', failed));
+            $('#mdsm-bulk-retry').toggle(!bulk.running && failed > 0);
+        },
+        
+        /**
+         * Re-queue failed items
+         */
+        retryBulk: function() {
+            if (!this.bulk || this.bulk.running) {
+                return;
+            }
+            this.bulk.items.forEach(function(item) {
+                if (item.status === 'failed') {
+                    item.status = 'pending';
+                    item.message = '';
+                }
+            });
+            this.runBulk();
+        },
+        
+        /**
+         * Read dropped or picked files (unpacking ZIPs), match them to documents
+         * on the server and show the import plan
+         */
+        importFiles: function(filesPromise) {
+            var self = this;
+            var strings = mdsmData.strings;
+            
+            if (self.importQueue && self.importQueue.running) {
+                $('#mdsm-import-modal').addClass('active');
                 return;
             }
             
-            // Ask for optional description
-            var description = prompt('Enter an optional description for this file:', 'Custom markdown documentation');
+            filesPromise.then(MDSMImport.expand).then(function(files) {
+                if (!files.length) {
+                    self.showToast(strings.importNothing, 'error');
+                    return;
+                }
+                
+                var readable = files.filter(function(file) {
+                    return !file.error;
+                });
+                
+                // Checksums let the server recognise files that are already up to date
+                return Promise.all(readable.map(function(file) {
+                    return ArchivioCrypto.digestHex('sha256', ArchivioCrypto.utf8(file.content)).catch(function() {
+                        return '';
+                    });
+                })).then(function(checksums) {
+                    return readable.length ? $.ajax({
+                        url: mdsmData.ajaxUrl,
+                        type: 'POST',
+                        data: {
+                            action: 'mdsm_import_plan',
+                            nonce: mdsmData.nonce,
+                            files: readable.map(function(file, i) {
+                                return { path: file.path, checksum: checksums[i] };
+                            })
+                        }
+                    }) : { success: true, data: { items: [] } };
+                }).then(function(response) {
+                    if (!response.success) {
+                        self.showToast(response.data && response.data.message ? response.data.message : strings.error, 'error');
+                        return;
+                    }
+                    
+                    var planned = response.data.items;
+                    var next = 0;
+                    
+                    self.importQueue = {
+                        running: false,
+                        imported: 0,
+                        items: files.map(function(file) {
+                            if (file.error) {
+                                return { path: file.path, file_name: '', status: 'unreadable', action: 'skip', message: strings['importError_' + file.error] || strings.error };
+                            }
+                            var item = $.extend({}, planned[next++], { content: file.content, message: '' });
+                            item.action = item.status === 'new' ? 'import' : 'skip';
+                            return item;
+                        })
+                    };
+                    
+                    $('#mdsm-import-progress').hide();
+                    $('#mdsm-import-diff').hide();
+                    self.renderImport();
+                    $('#mdsm-import-modal').addClass('active');
+                });
+            }).catch(function() {
+                self.showToast(strings.error, 'error');
+            });
+        },
+        
+        /**
+         * Render the import plan: target, status and the per-file choice or result
+         */
+        renderImport: function() {
+            var self = this;
+            var strings = mdsmData.strings;
+            var queue = self.importQueue;
+            var statuses = {
+                'new': strings.importNew,
+                conflict: strings.importConflict,
+                identical: strings.importIdentical,
+                duplicate: strings.importDuplicate,
+                unsupported: strings.importUnsupported
+            };
+            var queued = 0;
+            var done = 0;
+            
+            var html = queue.items.map(function(item, index) {
+                var status = item.status === 'unreadable' ? item.message : statuses[item.status];
+                var action = '&mdash;';
+                
+                if (item.result === 'running') {
+                    action = self.escapeHtml(strings.bulkRunning);
+                } else if (item.result) {
+                    action = self.escapeHtml(item.message);
+                } else if (item.status === 'new' || item.status === 'conflict') {
+                    var verb = item.status === 'new' ? 'import' : 'overwrite';
+                    action = '<select class="mdsm-import-choice">' +
+                        '<option value="' + verb + '"' + (item.action === verb ? ' selected' : '') + '>' + self.escapeHtml(strings[verb === 'import' ? 'importDoImport' : 'importDoOverwrite']) + '</option>' +
+                        '<option value="skip"' + (item.action === 'skip' ? ' selected' : '') + '>' + self.escapeHtml(strings.importDoSkip) + '</option>' +
+                    '</select>';
+                    if (item.status === 'conflict') {
+                        action += ' <button type="button" class="button button-small mdsm-import-diff-button">' + self.escapeHtml(strings.importShowDiff) + '</button>';
+                    }
+                }
+                
+                if (item.action !== 'skip' && item.result !== 'done') {
+                    queued++;
+                }
+                if (item.result === 'done') {
+                    done++;
+                }
+                
+                return '<tr data-index="' + index + '" class="mdsm-import-' + item.status + (item.result ? ' mdsm-import-result-' + item.result : '') + '">' +
+                    '<td><code>' + self.escapeHtml(item.path) + '</code></td>' +
+                    '<td>' + (item.file_name && item.status !== 'unsupported'
+                        ? '<strong>' + self.escapeHtml(item.file_name) + '</strong>' +
+                          (item.kind === 'new_custom' ? ' <span class="mdsm-import-badge">' + self.escapeHtml(strings.importNewCustom) + '</span>' : '') +
+                          '<br><small>' + self.escapeHtml(item.category) + '</small>'
+                        : '&mdash;') + '</td>' +
+                    '<td>' + self.escapeHtml(status || '') + '</td>' +
+                    '<td>' + action + '</td>' +
+                '</tr>';
+            }).join('');
+            
+            $('#mdsm-import-items').html(html);
+            $('#mdsm-import-summary').text(strings.importSummary
+                .replace('%1$d', queue.items.length)
+                .replace('%2$d', queued)
+                .replace('%3$d', done));
+            $('#mdsm-import-run-label').text(strings.importRun.replace('%d', queued));
+            $('#mdsm-import-run').prop('disabled', queue.running || !queued);
+        },
+        
+        /**
+         * Import the chosen files one at a time; failed ones stay queued for another run
+         */
+        runImport: function() {
+            var self = this;
+            var queue = self.importQueue;
+            
+            if (!queue || queue.running) {
+                return;
+            }
+            
+            var pending = queue.items.filter(function(item) {
+                return item.action !== 'skip' && item.result !== 'done';
+            });
+            var total = pending.length;
+            
+            queue.running = true;
+            $('#mdsm-import-progress').show();
+            $('#mdsm-import-progress-fill').css('width', '0%');
+            
+            function next() {
+                var item = pending.shift();
+                
+                $('#mdsm-import-progress-fill').css('width', ((total - pending.length - (item ? 1 : 0)) / total * 100) + '%');
+                
+                if (!item) {
+                    queue.running = false;
+                    self.renderImport();
+                    if (queue.imported) {
+                        // Index content changed; rebuild the content search on next use
+                        self.searchIndex = null;
+                        if (!$('#mdsm-import-modal').hasClass('active')) {
+                            location.reload();
+                        }
+                    }
+                    return;
+                }
+                
+                item.result = 'running';
+                self.renderImport();
+                
+                $.ajax({
+                    url: mdsmData.ajaxUrl,
+                    type: 'POST',
+                    data: {
+                        action: 'mdsm_import_file',
+                        nonce: mdsmData.nonce,
+                        path: item.path,
+                        content: item.content,
+                        overwrite: item.action === 'overwrite' ? '1' : '0'
+                    }
+                }).done(function(response) {
+                    if (response.success) {
+                        item.result = 'done';
+                        item.message = mdsmData.strings.importDone;
+                        queue.imported++;
+                    } else {
+                        item.result = 'failed';
+                        item.message = response.data && response.data.message ? response.data.message : mdsmData.strings.error;
+                    }
+                }).fail(function() {
+                    item.result = 'failed';
+                    item.message = mdsmData.strings.error;
+                }).always(next);
+            }
+            
+            next();
+        },
+        
+        /**
+         * Diff the current document against the file that would replace it
+         */
+        showImportDiff: function(index) {
+            var self = this;
+            var item = self.importQueue.items[index];
+            
+            $.ajax({
+                url: mdsmData.ajaxUrl,
+                type: 'POST',
+                data: {
+                    action: 'mdsm_get_file_content',
+                    nonce: mdsmData.nonce,
+                    file_type: item.file_type,
+                    file_name: item.file_name
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        self.showToast(response.data && response.data.message ? response.data.message : mdsmData.strings.error, 'error');
+                        return;
+                    }
+                    
+                    var ops = MDSMDiff.diffLines(response.data.content, item.content);
+                    var stats = MDSMDiff.stats(ops);
+                    $('#mdsm-import-diff-summary').html(
+                        '<span class="mdsm-diff-count-text">' + self.escapeHtml(mdsmData.strings.importDiffTitle.replace('%s', item.file_name)) + '</span> ' +
+                        '<span class="mdsm-diff-count-add">+' + stats.added + '</span> ' +
+                        '<span class="mdsm-diff-count-del">&minus;' + stats.removed + '</span>'
+                    );
+                    $('#mdsm-import-diff-output').html(self.diffHtml(ops));
+                    $('#mdsm-import-diff').show();
+                },
+                error: function() {
+                    self.showToast(mdsmData.strings.error, 'error');
+                }
+            });
+        },
+        
+        /**
+         * Close the import dialog; reload to show imported documents once nothing is running
+         */
+        closeImport: function() {
+            $('#mdsm-import-modal').removeClass('active');
+            
+            if (this.importQueue && !this.importQueue.running && this.importQueue.imported) {
+                location.reload();
+            }
+        },
+        
+        /**
+         * Open the custom markdown creation dialog
+         */
+        openCreateDialog: function() {
+            $('#mdsm-create-form')[0].reset();
+            $('#mdsm-create-preview-wrap').hide();
+            this.createAutofill = {};
+            this.validateCreateFilename();
+            $('#mdsm-create-modal').addClass('active');
+            $('#mdsm-create-filename').trigger('focus');
+        },
+        
+        /**
+         * Normalise a typed filename the way the server will (spaces to dashes,
+         * a trailing .md in any case lowercased, otherwise .md appended) and
+         * check it. Returns {filename, error}.
+         */
+        checkCustomFilename: function(value) {
+            var strings = mdsmData.strings;
+            var filename = $.trim(value).replace(/\s+/g, '-');
+            
+            if (!filename) {
+                return { filename: '', error: strings.filenameRequired };
+            }
+            if (filename.toLowerCase().slice(-3) === '.md') {
+                filename = filename.slice(0, -3) + '.md';
+            } else {
+                filename += '.md';
+            }
+            if (!/^[A-Za-z0-9][A-Za-z0-9._-]*\.md$/.test(filename)) {
+                return { filename: filename, error: strings.filenameInvalid };
+            }
+            
+            // Compare case-insensitively, as the server does
+            var taken = $('.mdsm-file-card[data-filename]').filter(function() {
+                return String($(this).data('filename')).toLowerCase() === filename.toLowerCase();
+            }).length > 0;
+            if (taken) {
+                return { filename: filename, error: strings.filenameTaken.replace('%s', filename) };
+            }
             
-            if (description === null) {
-                description = ''; // User cancelled description, but we continue
+            return { filename: filename, error: null };
+        },
+        
+        /**
+         * Show live filename feedback and enable Create only for a valid name
+         */
+        validateCreateFilename: function() {
+            var $input = $('#mdsm-create-filename');
+            var check = this.checkCustomFilename($input.val());
+            var empty = $.trim($input.val()) === '';
+            
+            $('#mdsm-create-filename-status')
+                .text(empty ? '' : (check.error || mdsmData.strings.filenameOk.replace('%s', check.filename)))
+                .toggleClass('mdsm-create-status-error', !!check.error && !empty)
+                .toggleClass('mdsm-create-status-ok', !check.error);
+            $input.attr('aria-invalid', check.error && !empty ? 'true' : 'false');
+            $('#mdsm-create-submit').prop('disabled', !!check.error || this.creatingCustomFile);
+            
+            return check;
+        },
+        
+        /**
+         * Prefill the dialog from a template. Fields the user has typed into are left alone.
+         */
+        applyCreateTemplate: function(key) {
+            var self = this;
+            var template = key ? mdsmData.customTemplates[key] : null;
+            var fields = {
+                filename: '#mdsm-create-filename',
+                description: '#mdsm-create-description',
+                category: '#mdsm-create-category'
+            };
+            
+            $.each(fields, function(field, selector) {
+                var $input = $(selector);
+                var current = $input.val();
+                if (current === '' || current === self.createAutofill[field]) {
+                    var value = template ? template[field] : '';
+                    $input.val(value);
+                    self.createAutofill[field] = value;
+                }
+            });
+            
+            $('#mdsm-create-preview').text(template ? template.content : '');
+            $('#mdsm-create-preview-wrap').toggle(!!template);
+            self.validateCreateFilename();
+        },
+        
+        /**
+         * Create the custom markdown file, then reload and open it in the editor
+         */
+        createCustomMarkdownFile: function() {
+            var self = this;
+            
+            // Prevent multiple simultaneous requests
+            if (self.creatingCustomFile) {
+                return;
+            }
+            
+            var check = self.validateCreateFilename();
+            if (check.error) {
+                $('#mdsm-create-filename').trigger('focus');
+                return;
             }
             
             // Set flag to prevent duplicate requests
             self.creatingCustomFile = true;
+            $('#mdsm-create-submit').prop('disabled', true);
             
             var ajaxData = {
                 action: 'mdsm_create_custom_markdown',
                 nonce: mdsmData.nonce,
-                filename: filename,
-                description: description
+                filename: check.filename,
+                description: $.trim($('#mdsm-create-description').val()),
+                category: $.trim($('#mdsm-create-category').val()),
+                template: $('#mdsm-create-template').val()
             };
             
             // Create the file
@@ -529,20 +3389,22 @@
                 dataType: 'json',
                 data: ajaxData,
                 success: function(response) {
-                    self.creatingCustomFile = false;  // Reset flag
-                    
                     if (response.success) {
-                        self.showToast(response.data.message, 'success');
-                        // Reload page to show the new file
+                        self.showToast(mdsmData.strings.customCreated, 'success');
+                        // Reload page to show the new file, opening it in the editor
+                        window.history.replaceState(null, '', self.buildRoute({ tab: 'meta-docs', edit: response.data.filename }));
                         setTimeout(function() {
                             location.reload();
                         }, 1000);
                     } else {
+                        self.creatingCustomFile = false;  // Reset flag
+                        self.validateCreateFilename();
                         self.showToast(response.data.message || 'Failed to create custom markdown file', 'error');
                     }
                 },
                 error: function(xhr, status, error) {
                     self.creatingCustomFile = false;  // Reset flag
+                    self.validateCreateFilename();
                     self.showToast('Error creating custom markdown file. Check console for details.', 'error');
                 }
             });
@@ -573,14 +3435,7 @@
                     if (response.success) {
                         self.showToast(response.data.message, 'success');
                         // Remove the card from the UI
-                        $button.closest('.mdsm-custom-file-card').fadeOut(300, function() {
-                            $(this).remove();
-                            // Check if there are any custom files left
-                            var $grid = $('.mdsm-category:has(.mdsm-custom-markdown-controls) .mdsm-file-grid');
-                            if ($grid.find('.mdsm-custom-file-card').length === 0) {
-                                $grid.html('<p class="mdsm-empty-message">No custom markdown files yet. Click "+ Custom Markdown" to create one.</p>');
-                            }
-                        });
+                        self.removeCustomCard($button.closest('.mdsm-custom-file-card'));
                     } else {
                         self.showToast(response.data.message || 'Failed to delete custom markdown file', 'error');
                         $button.prop('disabled', false).html(originalHtml);
@@ -609,6 +3464,8 @@
     'use strict';
     
     $(document).ready(function() {
+        MDSM.setupIndexLayout();
+        
         // Toggle between page and shortcode mode
         $('input[name="index_output_mode"]').on('change', function() {
             var mode = $(this).val();
@@ -619,6 +3476,7 @@
                 $('#mdsm-page-config').hide();
                 $('#mdsm-shortcode-info').show();
             }
+            MDSM.schedulePublicIndexPreview();
         });
         
         // Trigger initial state on page load
@@ -654,15 +3512,10 @@
             
             $button.prop('disabled', true).html('<span class="dashicons dashicons-update"></span> Saving...');
             
-            // Get mode
-            var mode = $('input[name="index_output_mode"]:checked').val();
-            var enabled = mode === 'page' ? '1' : '0';
-            
-            // Get page ID
-            var pageId = $('#index_page_id').val();
+            var settings = MDSM.collectPublicIndexSettings();
             
             // Validate page selection if page mode is enabled
-            if (mode === 'page' && !pageId) {
+            if (settings.enabled === '1' && !settings.page_id) {
                 if (typeof window.MDSM !== 'undefined' && window.MDSM.showToast) {
                     window.MDSM.showToast('Please select a page to display the Public Index', 'error');
                 } else {
@@ -672,30 +3525,10 @@
                 return;
             }
             
-            // Get selected documents
-            var publicDocs = {};
-            $('input[name="public_docs[]"]:checked').each(function() {
-                publicDocs[$(this).val()] = true;
-            });
-            
-            // Get descriptions
-            var descriptions = {};
-            $('input[name^="doc_desc_"]').each(function() {
-                var filename = $(this).attr('name').replace('doc_desc_', '');
-                var value = $(this).val();
-                if (value) {
-                    descriptions[filename] = value;
-                }
-            });
-            
-            var ajaxData = {
+            var ajaxData = $.extend({
                 action: 'mdsm_save_public_index',
-                nonce: mdsmData.nonce,
-                enabled: enabled,
-                page_id: pageId,
-                public_docs: publicDocs,
-                descriptions: descriptions
-            };
+                nonce: mdsmData.nonce
+            }, settings);
             
             // Save via AJAX
             $.ajax({
@@ -737,6 +3570,383 @@
         });
     });
     
+    /**
+     * Read the Public Index tab into the fields sent to mdsm_save_public_index
+     */
+    MDSM.collectPublicIndexSettings = function() {
+        // Get selected documents
+        var publicDocs = {};
+        $('input[name="public_docs[]"]:checked').each(function() {
+            publicDocs[$(this).val()] = true;
+        });
+        
+        // Get descriptions
+        var descriptions = {};
+        $('input[name^="doc_desc_"]').each(function() {
+            var filename = $(this).attr('name').replace('doc_desc_', '');
+            var value = $(this).val();
+            if (value) {
+                descriptions[filename] = value;
+            }
+        });
+        
+        return {
+            enabled: $('input[name="index_output_mode"]:checked').val() === 'page' ? '1' : '0',
+            page_id: $('#index_page_id').val(),
+            public_docs: publicDocs,
+            descriptions: descriptions,
+            layout: this.indexLayout || []
+        };
+    };
+    
+    /**
+     * Build the layout editor and wire up dragging, sections and the preview
+     */
+    MDSM.setupIndexLayout = function() {
+        var self = this;
+        var $layout = $('#mdsm-index-layout');
+        
+        if (!$layout.length) {
+            return;
+        }
+        
+        self.indexCategories = $layout.data('categories') || {};
+        self.indexLayout = ($layout.data('layout') || []).map(function(section) {
+            return { title: section.title, files: (section.files || []).slice() };
+        });
+        self.syncIndexLayout();
+        
+        $('input[name="public_docs[]"]').on('change', function() {
+            self.syncIndexLayout();
+        });
+        
+        $('input[name^="doc_desc_"], #index_page_id').on('input change', function() {
+            self.schedulePublicIndexPreview();
+        });
+        
+        $('#mdsm-index-add-section').on('click', function() {
+            var $title = $('#mdsm-index-new-section');
+            var title = $.trim($title.val());
+            
+            if (!title) {
+                $title.trigger('focus');
+                return;
+            }
+            
+            self.indexLayout.push({ title: title, files: [] });
+            $title.val('');
+            self.renderIndexLayout();
+        });
+        
+        $('#mdsm-index-new-section').on('keydown', function(e) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                $('#mdsm-index-add-section').trigger('click');
+            }
+        });
+        
+        $('#mdsm-index-reset-layout').on('click', function() {
+            self.indexLayout = [];
+            self.syncIndexLayout();
+        });
+        
+        $layout.on('input', '.mdsm-index-section-title', function() {
+            var index = $(this).closest('.mdsm-index-layout-group').data('section');
+            self.indexLayout[index].title = $(this).val();
+            $('#mdsm-index-layout-input').val(JSON.stringify(self.indexLayout));
+            self.schedulePublicIndexPreview();
+        });
+        
+        $layout.on('click', '.mdsm-index-remove-section', function() {
+            self.indexLayout.splice($(this).closest('.mdsm-index-layout-group').data('section'), 1);
+            self.renderIndexLayout();
+        });
+        
+        // Alt+Arrow moves the focused document or section without a mouse
+        $layout.on('keydown', '.mdsm-index-layout-item, .mdsm-index-layout-handle', function(e) {
+            if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) {
+                return;
+            }
+            e.preventDefault();
+            
+            var step = e.key === 'ArrowUp' ? -1 : 1;
+            var section = $(this).closest('.mdsm-index-layout-group').data('section');
+            
+            if ($(this).hasClass('mdsm-index-layout-handle')) {
+                var to = section + step;
+                if (to >= 0 && to < self.indexLayout.length) {
+                    self.moveIndexSection(section, to);
+                    $layout.find('.mdsm-index-layout-handle').eq(to).trigger('focus');
+                }
+                return;
+            }
+            
+            var file = $(this).attr('data-file');
+            var position = self.indexLayout[section].files.indexOf(file) + step;
+            
+            // Step into the neighbouring section at either end
+            if (position < 0 && section > 0) {
+                section -= 1;
+                position = self.indexLayout[section].files.length;
+            } else if (position >= self.indexLayout[section].files.length && section < self.indexLayout.length - 1) {
+                section += 1;
+                position = 0;
+            } else {
+                // Moving down within a section skips past the entry itself
+                position += step > 0 ? 1 : 0;
+            }
+            
+            if (position >= 0) {
+                self.moveIndexDocument(file, section, position);
+                $layout.find('.mdsm-index-layout-item').filter(function() {
+                    return $(this).attr('data-file') === file;
+                }).trigger('focus');
+            }
+        });
+        
+        $layout.on('dragstart', '.mdsm-index-layout-item, .mdsm-index-layout-handle', function(e) {
+            var transfer = e.originalEvent.dataTransfer;
+            var $group = $(this).closest('.mdsm-index-layout-group');
+            
+            if ($(this).hasClass('mdsm-index-layout-handle')) {
+                self.indexDrag = { section: $group.data('section') };
+                transfer.setDragImage($group[0], 20, 20);
+                $group.addClass('mdsm-dragging');
+            } else {
+                self.indexDrag = { file: $(this).attr('data-file') };
+                $(this).addClass('mdsm-dragging');
+            }
+            
+            transfer.effectAllowed = 'move';
+            transfer.setData('text/plain', self.indexDrag.file || '');
+            e.stopPropagation();
+        });
+        
+        $layout.on('dragover', '.mdsm-index-layout-group', function(e) {
+            if (!self.indexDrag) {
+                return;
+            }
+            e.preventDefault();
+            e.originalEvent.dataTransfer.dropEffect = 'move';
+            
+            var section = $(this).data('section');
+            var $target = $(this);
+            var position;
+            
+            if (self.indexDrag.file === undefined) {
+                position = self.isBeforeMiddle(e, this) ? section : section + 1;
+            } else {
+                var $item = $(e.target).closest('.mdsm-index-layout-item');
+                if ($item.length) {
+                    $target = $item;
+                    position = $item.index() + (self.isBeforeMiddle(e, $item[0]) ? 0 : 1);
+                } else {
+                    $target = $(this).find('.mdsm-index-layout-list');
+                    position = self.indexLayout[section].files.length;
+                }
+            }
+            
+            self.indexDrop = { section: section, position: position };
+            $layout.find('.mdsm-drop-before, .mdsm-drop-after, .mdsm-drop-inside').removeClass('mdsm-drop-before mdsm-drop-after mdsm-drop-inside');
+            if ($target.is('ul')) {
+                $target.addClass('mdsm-drop-inside');
+            } else {
+                $target.addClass(self.isBeforeMiddle(e, $target[0]) ? 'mdsm-drop-before' : 'mdsm-drop-after');
+            }
+        });
+        
+        $layout.on('drop', function(e) {
+            e.preventDefault();
+            
+            var drag = self.indexDrag;
+            var drop = self.indexDrop;
+            if (!drag || !drop) {
+                return;
+            }
+            
+            if (drag.file === undefined) {
+                // Inserting after the dragged section shifts the target down by one
+                self.moveIndexSection(drag.section, drop.position > drag.section ? drop.position - 1 : drop.position);
+            } else {
+                self.moveIndexDocument(drag.file, drop.section, drop.position);
+            }
+        });
+        
+        $layout.on('dragend', function() {
+            self.indexDrag = null;
+            self.indexDrop = null;
+            $layout.find('.mdsm-dragging, .mdsm-drop-before, .mdsm-drop-after, .mdsm-drop-inside')
+                .removeClass('mdsm-dragging mdsm-drop-before mdsm-drop-after mdsm-drop-inside');
+        });
+    };
+    
+    /**
+     * Whether a drag event is over the top half of an element
+     */
+    MDSM.isBeforeMiddle = function(e, element) {
+        var rect = element.getBoundingClientRect();
+        return e.originalEvent.clientY < rect.top + rect.height / 2;
+    };
+    
+    /**
+     * Reconcile the layout with the ticked documents: drop unticked ones and
+     * add newly ticked ones to the section named after their category
+     */
+    MDSM.syncIndexLayout = function() {
+        var self = this;
+        var publicDocs = {};
+        var placed = {};
+        
+        $('input[name="public_docs[]"]:checked').each(function() {
+            publicDocs[$(this).val()] = true;
+        });
+        
+        self.indexLayout.forEach(function(section) {
+            section.files = section.files.filter(function(file) {
+                var keep = publicDocs[file] && !placed[file];
+                placed[file] = true;
+                return keep;
+            });
+        });
+        
+        // Same placement rule the shortcode applies to documents the layout does not list
+        Object.keys(self.indexCategories).forEach(function(file) {
+            if (!publicDocs[file] || placed[file]) {
+                return;
+            }
+            
+            var category = self.indexCategories[file];
+            var section = self.indexLayout.filter(function(candidate) {
+                return candidate.title === category;
+            })[0];
+            
+            if (!section) {
+                section = { title: category, files: [] };
+                self.indexLayout.push(section);
+            }
+            section.files.push(file);
+        });
+        
+        self.renderIndexLayout();
+    };
+    
+    /**
+     * Move a document to a position within a section
+     */
+    MDSM.moveIndexDocument = function(file, sectionIndex, position) {
+        this.indexLayout.forEach(function(section, index) {
+            var current = section.files.indexOf(file);
+            if (current !== -1) {
+                section.files.splice(current, 1);
+                if (index === sectionIndex && current < position) {
+                    position -= 1;
+                }
+            }
+        });
+        
+        this.indexLayout[sectionIndex].files.splice(position, 0, file);
+        this.renderIndexLayout();
+    };
+    
+    /**
+     * Move a section to a new index
+     */
+    MDSM.moveIndexSection = function(from, to) {
+        if (from !== to) {
+            this.indexLayout.splice(to, 0, this.indexLayout.splice(from, 1)[0]);
+            this.renderIndexLayout();
+        }
+    };
+    
+    /**
+     * Render the layout editor from the current sections
+     */
+    MDSM.renderIndexLayout = function() {
+        var self = this;
+        var strings = mdsmData.strings;
+        
+        var html = self.indexLayout.map(function(section, index) {
+            var items = section.files.map(function(file) {
+                return '<li class="mdsm-index-layout-item" draggable="true" tabindex="0" data-file="' + self.escapeHtml(file) + '" title="' + self.escapeHtml(strings.indexMoveHint) + '">' +
+                    '<span class="dashicons dashicons-menu"></span>' + self.escapeHtml(file) +
+                '</li>';
+            }).join('');
+            
+            return '<div class="mdsm-index-layout-group" data-section="' + index + '">' +
+                '<div class="mdsm-index-layout-group-header">' +
+                    '<span class="mdsm-index-layout-handle dashicons dashicons-move" draggable="true" tabindex="0" title="' + self.escapeHtml(strings.indexDragSection) + '"></span>' +
+                    '<input type="text" class="mdsm-index-section-title" value="' + self.escapeHtml(section.title) + '" aria-label="' + self.escapeHtml(strings.indexSectionTitle) + '">' +
+                    '<button type="button" class="button-link mdsm-index-remove-section"' +
+                        (section.files.length ? ' disabled title="' + self.escapeHtml(strings.indexSectionNotEmpty) + '"' : ' title="' + self.escapeHtml(strings.remove) + '"') + '>' +
+                        '<span class="dashicons dashicons-trash"></span>' +
+                    '</button>' +
+                '</div>' +
+                '<ul class="mdsm-index-layout-list" data-empty="' + self.escapeHtml(strings.indexDropHere) + '">' + items + '</ul>' +
+            '</div>';
+        }).join('');
+        
+        $('#mdsm-index-layout').html(html || '<p class="mdsm-index-layout-empty">' + self.escapeHtml(strings.indexNoDocuments) + '</p>');
+        $('#mdsm-index-layout-input').val(JSON.stringify(self.indexLayout));
+        self.schedulePublicIndexPreview();
+    };
+    
+    /**
+     * Refresh the public index preview shortly after the last change
+     */
+    MDSM.schedulePublicIndexPreview = function() {
+        var self = this;
+        
+        if (!$('#mdsm-index-preview-frame').length) {
+            return;
+        }
+        
+        clearTimeout(self.indexPreviewTimer);
+        self.indexPreviewTimer = setTimeout(function() {
+            self.previewPublicIndex();
+        }, 400);
+    };
+    
+    /**
+     * Render the unsaved index on the server and show it in the preview frame
+     */
+    MDSM.previewPublicIndex = function() {
+        var self = this;
+        var settings = self.collectPublicIndexSettings();
+        
+        if (self.indexPreviewRequest) {
+            self.indexPreviewRequest.abort();
+        }
+        
+        $('#mdsm-index-preview-mode').text(settings.enabled === '1' ? mdsmData.strings.indexPreviewPage : mdsmData.strings.indexPreviewShortcode);
+        
+        self.indexPreviewRequest = $.ajax({
+            url: mdsmData.ajaxUrl,
+            type: 'POST',
+            data: $.extend({
+                action: 'mdsm_preview_public_index',
+                nonce: mdsmData.nonce
+            }, settings),
+            success: function(response) {
+                if (response.success) {
+                    $('#mdsm-index-preview-frame').attr('srcdoc', response.data.html);
+                }
+            },
+            complete: function() {
+                self.indexPreviewRequest = null;
+            }
+        });
+    };
+    
+    /**
+     * Close the changelog modal and drop it from the URL
+     */
+    MDSM.closeChangelog = function() {
+        if ($('#mdsm-changelog-modal').hasClass('active')) {
+            this.updateRoute({ view: null, file: null }, false, true);
+        }
+        $('#mdsm-changelog-modal').removeClass('active');
+    };
+    
     /**
      * View changelog for a document
      */
@@ -753,34 +3963,24 @@
             },
             success: function(response) {
                 if (response.success) {
-                    var changelog = response.data.changelog;
-                    var displayName = response.data.file_name;
+                    self.changelog = {
+                        fileName: response.data.file_name,
+                        entries: response.data.changelog || []
+                    };
+                    self.comparePicks = [];
+                    self.compareOps = null;
                     
                     // Set filename in modal
-                    $('#mdsm-changelog-filename').text('File: ' + displayName);
+                    $('#mdsm-changelog-filename').text('File: ' + self.changelog.fileName);
+                    $('#mdsm-changelog-diff').hide();
+                    $('#mdsm-changelog-diff-output').empty();
                     
-                    // Build changelog HTML
-                    var html = '';
-                    if (changelog && changelog.length > 0) {
-                        changelog.forEach(function(entry) {
-                            var actionClass = 'mdsm-changelog-action-' + entry.action.toLowerCase();
-                            html += '<div class="mdsm-changelog-entry">';
-                            html += '  <div class="mdsm-changelog-header">';
-                            html += '    <span class="mdsm-changelog-action ' + actionClass + '">' + entry.action + '</span>';
-                            html += '    <span class="mdsm-changelog-timestamp">' + entry.timestamp + '</span>';
-                            html += '  </div>';
-                            html += '  <div class="mdsm-changelog-details">';
-                            html += '    <div><span class="mdsm-changelog-label">User:</span> <span class="mdsm-changelog-value">' + entry.user + '</span></div>';
-                            html += '    <div><span class="mdsm-changelog-label">Checksum:</span> <span class="mdsm-changelog-value">' + entry.checksum + '</span></div>';
-                            html += '  </div>';
-                            html += '</div>';
-                        });
-                    } else {
-                        html = '<p class="mdsm-empty-message">No changelog entries found.</p>';
-                    }
-                    
-                    $('#mdsm-changelog-content').html(html);
+                    self.renderChangelog();
                     $('#mdsm-changelog-modal').addClass('active');
+                    self.updateRoute({
+                        view: 'changelog',
+                        file: self.changelog.fileName === self.route.edit ? null : self.changelog.fileName
+                    }, true);
                 } else {
                     self.showToast(response.data.message || 'Failed to load changelog', 'error');
                 }
@@ -791,4 +3991,227 @@
         });
     };
     
+    /**
+     * Render changelog entries with compare, copy, re-verify and restore controls
+     */
+    MDSM.renderChangelog = function() {
+        var self = this;
+        var entries = self.changelog.entries;
+        var esc = self.escapeHtml;
+        var html = '';
+        
+        if (!entries.length) {
+            $('#mdsm-changelog-content').html('<p class="mdsm-empty-message">No changelog entries found.</p>');
+            self.updateCompareButton();
+            return;
+        }
+        
+        entries.forEach(function(entry, i) {
+            var actionClass = 'mdsm-changelog-action-' + entry.action.toLowerCase();
+            var isLatest = i === entries.length - 1;
+            
+            html += '<div class="mdsm-changelog-entry" data-index="' + entry.index + '">';
+            html += '  <div class="mdsm-changelog-header">';
+            html += '    <label class="mdsm-changelog-select">';
+            html += '      <input type="checkbox" class="mdsm-changelog-pick" value="' + entry.index + '"' +
+                (entry.has_content ? '' : ' disabled') + (self.comparePicks.indexOf(entry.index) !== -1 ? ' checked' : '') + '>';
+            html += '      <span class="mdsm-changelog-number">#' + (entry.index + 1) + '</span>';
+            html += '      <span class="mdsm-changelog-action ' + actionClass + '">' + esc(entry.action) + '</span>';
+            html += '    </label>';
+            html += '    <span class="mdsm-changelog-timestamp">' + esc(entry.timestamp) + '</span>';
+            html += '  </div>';
+            html += '  <div class="mdsm-changelog-details">';
+            html += '    <div><span class="mdsm-changelog-label">User:</span> <span class="mdsm-changelog-value">' + esc(entry.user) + '</span></div>';
+            html += '    <div class="mdsm-changelog-checksum"><span class="mdsm-changelog-label">Checksum:</span> ' +
+                '<code class="mdsm-changelog-value">' + esc(entry.checksum) + '</code> ' +
+                '<button type="button" class="button-link mdsm-copy-checksum" data-checksum="' + esc(entry.checksum) + '" title="' + esc(mdsmData.strings.copyChecksum) + '">' +
+                '<span class="dashicons dashicons-admin-page"></span></button></div>';
+            if (entry.algorithm) {
+                html += '    <div><span class="mdsm-changelog-label">Algorithm:</span> <span class="mdsm-changelog-value">' +
+                    esc(entry.algorithm) + (entry.mode ? ' (' + esc(entry.mode) + ')' : '') + '</span></div>';
+            }
+            if (entry.restored_from) {
+                html += '    <div><span class="mdsm-changelog-label">' + esc(mdsmData.strings.restoredFrom) + '</span> ' +
+                    '<code class="mdsm-changelog-value">' + esc(entry.restored_from) + '</code></div>';
+            }
+            html += '  </div>';
+            html += '  <div class="mdsm-changelog-actions">';
+            if (entry.has_content) {
+                html += '    <button type="button" class="button button-small mdsm-verify-revision">' +
+                    '<span class="dashicons dashicons-shield"></span> ' + esc(mdsmData.strings.reverifyRevision) + '</button>';
+                if (!isLatest) {
+                    html += '    <button type="button" class="button button-small mdsm-restore-revision">' +
+                        '<span class="dashicons dashicons-backup"></span> ' + esc(mdsmData.strings.restoreRevision) + '</button>';
+                }
+            } else {
+                html += '    <span class="mdsm-changelog-note">' + esc(mdsmData.strings.revisionNotStored) + '</span>';
+            }
+            html += '    <span class="mdsm-revision-status"></span>';
+            html += '  </div>';
+            html += '</div>';
+        });
+        
+        $('#mdsm-changelog-content').html(html);
+        self.updateCompareButton();
+    };
+    
+    /**
+     * Track the (at most two) revisions selected for comparison
+     */
+    MDSM.pickRevision = function(index, checked) {
+        var picks = this.comparePicks.filter(function(i) {
+            return i !== index;
+        });
+        if (checked) {
+            picks.push(index);
+            // Keep the two most recent picks
+            if (picks.length > 2) {
+                $('.mdsm-changelog-pick[value="' + picks.shift() + '"]').prop('checked', false);
+            }
+        }
+        this.comparePicks = picks;
+        this.updateCompareButton();
+    };
+    
+    MDSM.updateCompareButton = function() {
+        $('#mdsm-changelog-compare').prop('disabled', this.comparePicks.length !== 2);
+    };
+    
+    /**
+     * Fetch a revision's stored content
+     */
+    MDSM.fetchRevision = function(index) {
+        return $.ajax({
+            url: mdsmData.ajaxUrl,
+            type: 'POST',
+            data: {
+                action: 'mdsm_get_revision',
+                nonce: mdsmData.nonce,
+                file_name: this.changelog.fileName,
+                index: index
+            }
+        });
+    };
+    
+    /**
+     * Diff the two selected revisions, older on the left
+     */
+    MDSM.compareRevisions = function() {
+        var self = this;
+        var picks = self.comparePicks.slice().sort(function(a, b) {
+            return a - b;
+        });
+        if (picks.length !== 2) {
+            return;
+        }
+        
+        var $button = $('#mdsm-changelog-compare');
+        $button.prop('disabled', true);
+        
+        $.when(self.fetchRevision(picks[0]), self.fetchRevision(picks[1])).done(function(older, newer) {
+            older = older[0];
+            newer = newer[0];
+            if (!older.success || !newer.success) {
+                var failed = !older.success ? older : newer;
+                self.showToast(failed.data && failed.data.message ? failed.data.message : mdsmData.strings.error, 'error');
+                return;
+            }
+            
+            self.compareOps = MDSMDiff.diffLines(older.data.content, newer.data.content);
+            var stats = MDSMDiff.stats(self.compareOps);
+            $('#mdsm-changelog-diff-summary').html(
+                '<span class="mdsm-diff-count-text">' + self.escapeHtml(
+                    mdsmData.strings.compareRevisions.replace('%1$d', picks[0] + 1).replace('%2$d', picks[1] + 1)
+                ) + '</span> ' +
+                '<span class="mdsm-diff-count-add">+' + stats.added + '</span> ' +
+                '<span class="mdsm-diff-count-del">&minus;' + stats.removed + '</span>'
+            );
+            self.renderCompare();
+            $('#mdsm-changelog-diff').show();
+        }).fail(function() {
+            self.showToast(mdsmData.strings.error, 'error');
+        }).always(function() {
+            self.updateCompareButton();
+        });
+    };
+    
+    /**
+     * Render the revision comparison in the selected diff layout
+     */
+    MDSM.renderCompare = function() {
+        if (!this.compareOps) {
+            return;
+        }
+        var stats = MDSMDiff.stats(this.compareOps);
+        $('#mdsm-changelog-diff-output').html(
+            stats.added || stats.removed
+                ? this.diffHtml(this.compareOps)
+                : '<p class="mdsm-empty-message">' + this.escapeHtml(mdsmData.strings.identicalRevisions) + '</p>'
+        );
+    };
+    
+    /**
+     * Recompute a stored revision's checksum on the server
+     */
+    MDSM.verifyRevision = function(index) {
+        var self = this;
+        var $status = $('.mdsm-changelog-entry[data-index="' + index + '"] .mdsm-revision-status');
+        
+        $status.removeClass('verified mismatch').text(mdsmData.strings.verifyingRevision);
+        
+        $.ajax({
+            url: mdsmData.ajaxUrl,
+            type: 'POST',
+            data: {
+                action: 'mdsm_verify_revision',
+                nonce: mdsmData.nonce,
+                file_name: self.changelog.fileName,
+                index: index
+            },
+            success: function(response) {
+                if (!response.success) {
+                    $status.addClass('mismatch').text(response.data && response.data.message ? response.data.message : mdsmData.strings.error);
+                    return;
+                }
+                var messages = {
+                    verified: mdsmData.strings.revisionVerified,
+                    mismatch: mdsmData.strings.revisionMismatch,
+                    hmac_unavailable: mdsmData.strings.revisionHmacUnavailable
+                };
+                $status.addClass(response.data.status === 'verified' ? 'verified' : 'mismatch')
+                    .text(messages[response.data.status] + ' (' + response.data.algorithm + ', ' + response.data.mode + ')');
+            },
+            error: function() {
+                $status.addClass('mismatch').text(mdsmData.strings.error);
+            }
+        });
+    };
+    
+    /**
+     * Load an earlier revision into the editor. Saving it goes through the
+     * usual review and save path and is logged as a "restored" entry.
+     */
+    MDSM.restoreRevision = function(index) {
+        var self = this;
+        var fileName = self.changelog.fileName;
+        
+        if (!confirm(mdsmData.strings.confirmRestore)) {
+            return;
+        }
+        
+        self.fetchRevision(index).done(function(response) {
+            if (!response.success) {
+                self.showToast(response.data && response.data.message ? response.data.message : mdsmData.strings.error, 'error');
+                return;
+            }
+            self.closeChangelog();
+            self.openEditor('meta', fileName, {
+                content: response.data.content,
+                checksum: response.data.checksum
+            });
+        }).fail(function() {
+            self.showToast(mdsmData.strings.error, 'error');
+        });
+    };
+    
 })(jQuery);
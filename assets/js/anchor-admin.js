@@ -201,6 +201,7 @@
 					$('#mdsm-queue-count, #mdsm-queue-count-detail').text('0');
 					$btn.prop('disabled', true);
 					showFeedback($feedback, response.data.message || strings.queueCleared || 'Queue cleared.', 'success');
+					$(document).trigger('mdsm:queue-changed');
 				} else {
 					showFeedback($feedback, (response.data && response.data.message) || strings.error || 'Error.', 'error');
 					$btn.prop('disabled', false).text('Clear Anchor Queue');
@@ -300,15 +301,629 @@
 }(jQuery));
 
 
+// ── Queue Monitor ─────────────────────────────────────────────────────────────
+
+(function ($) {
+	'use strict';
+
+	var anchorData   = window.mdsmAnchorData || {};
+	var strings      = anchorData.strings || {};
+	var POLL_MS      = 15000;
+	var pollTimer    = null;
+	var pending      = null;
+	var expanded     = {};   // job ID → true while its detail row is open
+	var lastJobs     = [];
+	var serverOffset = 0;    // server clock minus browser clock, in seconds
+
+	var providerLabels = {
+		github:  'GitHub',
+		gitlab:  'GitLab',
+		rfc3161: 'RFC 3161',
+		rekor:   'Rekor'
+	};
+
+	var legColors = {
+		pending:          '#9a6700',
+		done:             '#00a32a',
+		failed_permanent: '#d63638'
+	};
+
+	function escHtml(str) {
+		if (!str && str !== 0) { return ''; }
+		return String(str)
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;');
+	}
+
+	function format(template) {
+		var args = Array.prototype.slice.call(arguments, 1);
+		var next = 0;
+		return String(template).replace(/%(?:(\d)\$)?[sd]/g, function (match, n) {
+			return String(args[n ? n - 1 : next++]);
+		});
+	}
+
+	function nowSeconds() {
+		return Math.floor(Date.now() / 1000) + serverOffset;
+	}
+
+	function absoluteTime(ts) {
+		return ts ? new Date(ts * 1000).toLocaleString() : '';
+	}
+
+	// "in 4 min", "in 1 h 10 min" or "due now", relative to the server clock.
+	function relativeTime(ts) {
+		var diff = ts - nowSeconds();
+		if (diff <= 0) { return strings.dueNow || 'due now'; }
+		if (diff < 60) { return format(strings.inSeconds || 'in %s s', diff); }
+		if (diff < 3600) { return format(strings.inMinutes || 'in %s min', Math.round(diff / 60)); }
+		return format(strings.inHours || 'in %1$s h %2$s min', Math.floor(diff / 3600), Math.round((diff % 3600) / 60));
+	}
+
+	function providerName(key) {
+		return providerLabels[ key ] || String(key).toUpperCase();
+	}
+
+	function legBadge(leg) {
+		var color = legColors[ leg.status ] || '#50575e';
+		return '<span class="mdsm-queue-leg" style="border-color:' + color + ';color:' + color + ';" title="' + escHtml(leg.status.replace('_', ' ')) + '">'
+			+ escHtml(providerName(leg.provider))
+			+ '</span>';
+	}
+
+	// Earliest retry across the legs that are still pending.
+	function nextRetry(job) {
+		var next = null;
+		$.each(job.providers, function (i, leg) {
+			if (leg.status === 'pending' && (next === null || leg.next_attempt < next)) {
+				next = leg.next_attempt;
+			}
+		});
+		return next === null ? job.next_attempt : next;
+	}
+
+	function detailRow(job) {
+		var legs = '';
+		$.each(job.providers, function (i, leg) {
+			legs += '<tr>'
+				+ '<td>' + legBadge(leg) + '</td>'
+				+ '<td>' + escHtml(leg.status.replace('_', ' ')) + '</td>'
+				+ '<td>' + leg.attempts + '</td>'
+				+ '<td>' + (leg.status === 'pending' ? '<span title="' + escHtml(absoluteTime(leg.next_attempt)) + '">' + escHtml(relativeTime(leg.next_attempt)) + '</span>' : '&mdash;') + '</td>'
+				+ '<td class="mdsm-log-error">' + escHtml(leg.last_error) + '</td>'
+				+ '</tr>';
+		});
+
+		return '<tr class="mdsm-queue-detail" data-job="' + escHtml(job.id) + '"><td colspan="6">'
+			+ '<dl class="mdsm-queue-meta">'
+			+ '<dt>' + escHtml(strings.jobId || 'Job ID') + '</dt><dd><code>' + escHtml(job.id) + '</code></dd>'
+			+ '<dt>' + escHtml(strings.documentId || 'Document ID') + '</dt><dd><code>' + escHtml(job.document_id) + '</code></dd>'
+			+ '<dt>' + escHtml(strings.type || 'Type') + '</dt><dd>' + escHtml(job.post_type) + '</dd>'
+			+ '<dt>' + escHtml(strings.queued || 'Queued') + '</dt><dd>' + escHtml(absoluteTime(job.created_at)) + '</dd>'
+			+ '<dt>' + escHtml(strings.hash || 'Hash') + '</dt><dd><code>' + escHtml((job.hash_algorithm || '').toUpperCase()) + ' ' + escHtml(job.hash_value) + '</code></dd>'
+			+ '</dl>'
+			+ (legs ? '<table class="mdsm-queue-legs"><thead><tr>'
+				+ '<th>' + escHtml(strings.provider || 'Provider') + '</th>'
+				+ '<th>' + escHtml(strings.status || 'Status') + '</th>'
+				+ '<th>' + escHtml(strings.attempts || 'Attempts') + '</th>'
+				+ '<th>' + escHtml(strings.nextAttempt || 'Next Attempt') + '</th>'
+				+ '<th>' + escHtml(strings.lastError || 'Last Error') + '</th>'
+				+ '</tr></thead><tbody>' + legs + '</tbody></table>' : '')
+			+ '</td></tr>';
+	}
+
+	function render(jobs) {
+		var $tbody  = $('#mdsm-queue-tbody');
+		var rows    = '';
+		var toFront = escHtml(strings.moveToFront || 'Move to front');
+		var toBack  = escHtml(strings.moveToBack || 'Move to back');
+
+		lastJobs = jobs;
+
+		if (!jobs.length) {
+			$tbody.html('<tr><td colspan="6" class="mdsm-log-empty">' + escHtml(strings.queueEmpty || 'The queue is empty.') + '</td></tr>');
+			return;
+		}
+
+		$.each(jobs, function (i, job) {
+			var legs  = '';
+			var next  = nextRetry(job);
+			var open  = !!expanded[ job.id ];
+			$.each(job.providers, function (j, leg) { legs += legBadge(leg) + ' '; });
+
+			rows += '<tr class="mdsm-queue-row" data-job="' + escHtml(job.id) + '" data-document="' + escHtml(job.document) + '">'
+				+ '<td class="mdsm-log-doc-id"><button type="button" class="button-link mdsm-queue-toggle" aria-expanded="' + open + '">'
+				+ '<span class="dashicons dashicons-arrow-' + (open ? 'down' : 'right') + '-alt2"></span>' + escHtml(job.document) + '</button></td>'
+				+ '<td>' + legs + '</td>'
+				+ '<td>' + job.attempts + '</td>'
+				+ '<td><span title="' + escHtml(absoluteTime(next)) + '">' + escHtml(relativeTime(next)) + '</span></td>'
+				+ '<td class="mdsm-log-error mdsm-queue-error" title="' + escHtml(job.last_error) + '">' + escHtml(job.last_error) + '</td>'
+				+ '<td class="mdsm-queue-actions">'
+				+ '<button type="button" class="button button-small mdsm-queue-retry">' + escHtml(strings.retryNow || 'Retry now') + '</button> '
+				+ '<button type="button" class="button button-small mdsm-queue-move" data-position="top" title="' + toFront + '" aria-label="' + toFront + '"' + (i === 0 ? ' disabled' : '') + '>&uarr;</button> '
+				+ '<button type="button" class="button button-small mdsm-queue-move" data-position="bottom" title="' + toBack + '" aria-label="' + toBack + '"' + (i === jobs.length - 1 ? ' disabled' : '') + '>&darr;</button> '
+				+ '<button type="button" class="button-link mdsm-queue-cancel">' + escHtml(strings.cancel || 'Cancel') + '</button>'
+				+ '</td>'
+				+ '</tr>';
+
+			if (open) {
+				rows += detailRow(job);
+			}
+		});
+
+		$tbody.html(rows);
+	}
+
+	function refresh() {
+		if (!$('#mdsm-queue-tbody').length) { return; }
+		if (pending) { pending.abort(); }
+
+		pending = $.post(anchorData.ajaxUrl, {
+			action: 'mdsm_anchor_queue_status',
+			nonce:  anchorData.nonce
+		}, function (response) {
+			if (!response.success) {
+				$('#mdsm-queue-tbody').html('<tr><td colspan="6" style="color:#d63638;padding:12px;">Error loading queue.</td></tr>');
+				return;
+			}
+
+			var data = response.data;
+			serverOffset = data.now - Math.floor(Date.now() / 1000);
+
+			$('#mdsm-queue-count, #mdsm-queue-count-detail').text(data.count);
+			$('#mdsm-anchor-clear-queue').prop('disabled', data.count === 0);
+			$('#mdsm-queue-updated').text(format(strings.queueUpdated || 'Updated %s', new Date().toLocaleTimeString()));
+
+			render(data.jobs || []);
+		})
+		.fail(function (xhr, status) {
+			if (status !== 'abort') {
+				$('#mdsm-queue-updated').text(strings.error || 'An error occurred. Please try again.');
+			}
+		})
+		.always(function () {
+			pending = null;
+		});
+	}
+
+	function schedule() {
+		clearInterval(pollTimer);
+		pollTimer = null;
+
+		// Polling pauses while the tab is hidden or auto-refresh is off.
+		if ($('#mdsm-queue-autorefresh').is(':checked') && !document.hidden) {
+			pollTimer = setInterval(refresh, POLL_MS);
+		}
+	}
+
+	function jobAction($button, action, extra, done) {
+		var $row      = $button.closest('tr');
+		var $feedback = $('#mdsm-queue-feedback');
+
+		$row.find('button').prop('disabled', true);
+
+		$.post(anchorData.ajaxUrl, $.extend({
+			action: action,
+			nonce:  anchorData.nonce,
+			job_id: $row.data('job')
+		}, extra), function (response) {
+			var message = (response.data && response.data.message) || '';
+			if (response.success) {
+				showFeedback($feedback, message, done ? done(response.data) : 'success');
+			} else {
+				showFeedback($feedback, message || strings.error || 'Error.', 'error');
+			}
+			refresh();
+		})
+		.fail(function () {
+			showFeedback($feedback, strings.error || 'Error.', 'error');
+			refresh();
+		});
+	}
+
+	function showFeedback($el, message, type) {
+		$el.removeClass('success error info').addClass(type).text(message).show();
+	}
+
+	// ── Row actions ──────────────────────────────────────────────────────────
+
+	$(document).on('click', '.mdsm-queue-toggle', function () {
+		var id = $(this).closest('tr').data('job');
+		if (expanded[ id ]) {
+			delete expanded[ id ];
+		} else {
+			expanded[ id ] = true;
+		}
+		render(lastJobs);
+	});
+
+	$(document).on('click', '.mdsm-queue-retry', function () {
+		var $btn = $(this);
+		$btn.text(strings.retrying || 'Retrying…');
+		// The job is processed in this request, so a failure still comes back as success.
+		jobAction($btn, 'mdsm_anchor_retry_job', {}, function (data) {
+			return data.job && data.job.last_error ? 'error' : 'success';
+		});
+	});
+
+	$(document).on('click', '.mdsm-queue-cancel', function () {
+		var $row = $(this).closest('tr');
+		if (!confirm(format(strings.confirmCancel || 'Cancel anchoring for "%s"?', $row.data('document')))) {
+			return;
+		}
+		delete expanded[ $row.data('job') ];
+		jobAction($(this), 'mdsm_anchor_cancel_job', {});
+	});
+
+	$(document).on('click', '.mdsm-queue-move', function () {
+		jobAction($(this), 'mdsm_anchor_move_job', { position: $(this).data('position') });
+	});
+
+	$(document).on('click', '#mdsm-queue-refresh', refresh);
+	$(document).on('change', '#mdsm-queue-autorefresh', schedule);
+	$(document).on('mdsm:queue-changed', refresh);
+
+	$(document).on('visibilitychange', function () {
+		if (!document.hidden) { refresh(); }
+		schedule();
+	});
+
+	// ── Initialise ───────────────────────────────────────────────────────────
+
+	$(function () {
+		if (!$('#mdsm-queue-tbody').length) { return; }
+		refresh();
+		schedule();
+	});
+
+}(jQuery));
+
+// ── Log entry details ─────────────────────────────────────────────────────────
+// Expandable detail rows for the activity logs. A log marks a row expandable
+// by rendering a .mdsm-log-expand button in it and attaching the entry with
+// $row.data('mdsmEntry', entry).
+
+(function ($) {
+	'use strict';
+
+	var anchorData = window.mdsmAnchorData || {};
+	var ENTRY_ROW  = 'tr:has(> td > .mdsm-log-expand)';
+
+	function escHtml(str) {
+		if (str === null || str === undefined) { return ''; }
+		return String(str)
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;');
+	}
+
+	function parseDetails(entry) {
+		try {
+			return entry.anchor_details ? JSON.parse(entry.anchor_details) || {} : {};
+		} catch (e) {
+			return {};
+		}
+	}
+
+	function urlParam(url, name) {
+		var m = String(url || '').match(new RegExp('[?&]' + name + '=([^&#]+)'));
+		return m ? decodeURIComponent(m[1]) : '';
+	}
+
+	function copyButton(text) {
+		return ' <button type="button" class="button button-small mdsm-log-copy" data-copy="' + escHtml(text) + '">Copy</button>';
+	}
+
+	function field(label, valueHtml, copyText) {
+		return '<dt>' + escHtml(label) + '</dt><dd>' + valueHtml + (copyText ? copyButton(copyText) : '') + '</dd>';
+	}
+
+	function code(value) {
+		return '<code>' + escHtml(value) + '</code>';
+	}
+
+	function link(url) {
+		return '<a href="' + escHtml(url) + '" target="_blank" rel="noopener noreferrer">' + escHtml(url) + '</a>';
+	}
+
+	// Rekor identifies entries by log index; older rows only have it in the search URL.
+	function rekorIndex(entry, details) {
+		return parseInt(details.log_index, 10) || parseInt(urlParam(entry.anchor_url, 'logIndex'), 10) || 0;
+	}
+
+	function providerFields(entry, details) {
+		var html = '';
+
+		switch (entry.provider) {
+			case 'github':
+				if (details.commit_sha) { html += field('Commit', code(details.commit_sha), details.commit_sha); }
+				if (details.path)       { html += field('Path', code(details.path), details.path); }
+				break;
+
+			case 'gitlab':
+				if (details.path)   { html += field('Path', code(details.path), details.path); }
+				if (details.branch) { html += field('Branch', code(details.branch)); }
+				break;
+
+			case 'rfc3161':
+				if (details.tsa_url)  { html += field('TSA', link(details.tsa_url)); }
+				if (details.gen_time) { html += field('TSA time', escHtml(details.gen_time)); }
+				if (details.serial)   { html += field('Token serial', code(details.serial), details.serial); }
+				if (details.imprint_method) {
+					html += field('Message imprint', details.imprint_method === 'direct'
+						? 'SHA-256 document hash, used directly'
+						: 'SHA-256 of the hex document hash');
+				}
+				if (/\.tsr$/.test(entry.anchor_url || '')) {
+					html += field('Manifest', link(entry.anchor_url.replace(/\.tsr$/, '.manifest.json')));
+				}
+				break;
+
+			case 'rekor':
+				var index = rekorIndex(entry, details);
+				var uuid  = details.rekor_uuid || urlParam(entry.anchor_url, 'uuid');
+				if (index) { html += field('Log index', code(index), String(index)); }
+				if (uuid)  { html += field('Entry UUID', code(uuid), uuid); }
+				break;
+		}
+
+		return html;
+	}
+
+	// Stored RFC 3161 tokens open in the Trusted Timestamps page's token inspector.
+	function canInspectToken(entry) {
+		return entry.provider === 'rfc3161' && /\.tsr$/.test(entry.anchor_url || '') && $('#mdsm-tsr-card').length > 0;
+	}
+
+	// Anchored Rekor entries open in the Rekor page's inclusion proof checker.
+	function canVerifyProof(entry, details) {
+		return entry.provider === 'rekor' && rekorIndex(entry, details) > 0 && $('#mdsm-rekor-proof-card').length > 0;
+	}
+
+	function canReverify(entry, details) {
+		if (entry.status !== 'anchored') { return false; }
+		if (entry.provider === 'rekor') { return rekorIndex(entry, details) > 0; }
+		return ['github', 'gitlab', 'rfc3161'].indexOf(entry.provider) !== -1;
+	}
+
+	function detailRow(entry, colspan) {
+		var details = parseDetails(entry);
+		var algo    = (entry.hash_algorithm || '').toUpperCase();
+		var html    = '<dl class="mdsm-log-detail-grid">';
+
+		html += field('Hash' + (algo ? ' (' + algo + ')' : ''), code(entry.hash_value), entry.hash_value);
+		if (entry.hmac_value) { html += field('HMAC', code(entry.hmac_value), entry.hmac_value); }
+		html += field('Integrity mode', escHtml(entry.integrity_mode));
+		html += field('Job ID', code(entry.job_id), entry.job_id);
+		html += field('Attempt', escHtml(entry.attempt_number));
+		if (parseInt(entry.http_status, 10)) { html += field('HTTP status', escHtml(entry.http_status)); }
+		if (entry.error_message) { html += field('Error', '<span class="mdsm-log-detail-error">' + escHtml(entry.error_message) + '</span>'); }
+		if (entry.anchor_url)    { html += field('Anchor URL', link(entry.anchor_url), entry.anchor_url); }
+		html += providerFields(entry, details);
+		html += '</dl>';
+
+		html += '<div class="mdsm-log-detail-record"><h4>Anchor record';
+		if (entry.anchor_record) {
+			html += copyButton(entry.anchor_record) + '</h4><pre>' + escHtml(entry.anchor_record) + '</pre>';
+		} else {
+			html += '</h4><p class="description">Not stored for this entry: the log keeps anchor records only for entries written after upgrading.</p>';
+		}
+		html += '</div>';
+
+		if (canReverify(entry, details)) {
+			html += '<div class="mdsm-log-detail-verify">'
+				+ '<button type="button" class="button button-secondary mdsm-log-reverify">Re-verify</button>'
+				+ (canInspectToken(entry) ? ' <button type="button" class="button button-secondary mdsm-log-inspect-tsr">Inspect token</button>' : '')
+				+ (canVerifyProof(entry, details) ? ' <button type="button" class="button button-secondary mdsm-log-verify-proof">Verify inclusion proof</button>' : '')
+				+ '<div class="mdsm-log-verify-result" aria-live="polite"></div>'
+				+ '</div>';
+		}
+
+		return '<tr class="mdsm-log-detail-row"><td colspan="' + colspan + '"><div class="mdsm-log-detail">' + html + '</div></td></tr>';
+	}
+
+	// ── Re-verification ──────────────────────────────────────────────────────
+
+	function renderChecks($result, verified, checks) {
+		var html = '<strong class="' + (verified ? 'mdsm-log-verify-ok' : 'mdsm-log-verify-fail') + '">'
+			+ (verified ? '\u2714 Verified' : '\u2718 Verification failed') + '</strong><ul>';
+		$.each(checks, function (i, c) {
+			html += '<li class="' + (c.ok ? 'is-ok' : 'is-fail') + '">' + (c.ok ? '\u2714 ' : '\u2718 ') + escHtml(c.label)
+				+ (c.detail ? '<br><code>' + escHtml(c.detail) + '</code>' : '') + '</li>';
+		});
+		$result.html(html + '</ul>');
+	}
+
+	function sha256Hex(text) {
+		return window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)).then(function (buffer) {
+			return Array.prototype.map.call(new Uint8Array(buffer), function (b) {
+				return ('0' + b.toString(16)).slice(-2);
+			}).join('');
+		});
+	}
+
+	// Rekor's artifact is the anchor record itself, so its hash is checked here
+	// against the stored record rather than by the server.
+	function reverifyRekor(entry, details) {
+		return $.post(anchorData.ajaxUrl, {
+			action:     'mdsm_anchor_rekor_verify',
+			nonce:      anchorData.nonce,
+			log_index:  rekorIndex(entry, details),
+			local_hash: entry.hash_value || '',
+			id:         entry.id
+		}).then(function (response) {
+			if (!response.success) {
+				return $.Deferred().reject((response.data && response.data.message) || 'Verification failed.');
+			}
+			var d = response.data;
+			var checks = [
+				{ label: 'Entry found at this log index', ok: !!d.index_matches, detail: d.uuid },
+				{ label: 'Integrated into the log', ok: !!d.integrated_time, detail: d.integrated_time },
+				{ label: 'Inclusion proof present', ok: !!d.has_inclusion_proof, detail: d.tree_size ? 'Tree size ' + d.tree_size : '' },
+				{ label: 'Signed entry timestamp present', ok: !!d.signed_entry_ts, detail: '' }
+			];
+
+			if (!entry.anchor_record || !window.crypto || !window.crypto.subtle) {
+				return checks;
+			}
+			return sha256Hex(entry.anchor_record).then(function (hex) {
+				checks.push({
+					label:  'Rekor artifact hash matches the logged record',
+					ok:     hex === String(d.rekor_hash || '').toLowerCase(),
+					detail: 'SHA-256 ' + hex
+				});
+				return checks;
+			});
+		}, function () {
+			return $.Deferred().reject('Request failed.');
+		});
+	}
+
+	function reverifyEntry(entry) {
+		return $.post(anchorData.ajaxUrl, {
+			action: 'mdsm_anchor_reverify_entry',
+			nonce:  anchorData.nonce,
+			id:     entry.id
+		}).then(function (response) {
+			if (!response.success) {
+				return $.Deferred().reject((response.data && response.data.message) || 'Verification failed.');
+			}
+			return response.data.checks || [];
+		}, function () {
+			return $.Deferred().reject('Request failed.');
+		});
+	}
+
+	$(document).on('click', '.mdsm-log-reverify', function () {
+		var $btn    = $(this);
+		var $result = $btn.siblings('.mdsm-log-verify-result');
+		var entry   = $btn.closest('.mdsm-log-detail-row').prevAll(ENTRY_ROW).first().data('mdsmEntry');
+		if (!entry) { return; }
+
+		var details = parseDetails(entry);
+		$btn.prop('disabled', true).text('Verifying\u2026');
+		$result.removeClass('is-error').empty();
+
+		var request = entry.provider === 'rekor' ? reverifyRekor(entry, details) : reverifyEntry(entry);
+
+		$.when(request).then(function (checks) {
+			renderChecks($result, checks.every(function (c) { return c.ok; }), checks);
+		}, function (message) {
+			$result.addClass('is-error').text(message);
+		}).always(function () {
+			$btn.prop('disabled', false).text('Re-verify');
+		});
+	});
+
+	$(document).on('click', '.mdsm-log-inspect-tsr', function () {
+		var entry = $(this).closest('.mdsm-log-detail-row').prevAll(ENTRY_ROW).first().data('mdsmEntry');
+		if (entry) { $(document).trigger('mdsm:inspect-tsr', [entry]); }
+	});
+
+	$(document).on('click', '.mdsm-log-verify-proof', function () {
+		var entry = $(this).closest('.mdsm-log-detail-row').prevAll(ENTRY_ROW).first().data('mdsmEntry');
+		if (!entry) { return; }
+		var details = parseDetails(entry);
+		$(document).trigger('mdsm:verify-rekor-proof', [entry, details, rekorIndex(entry, details)]);
+	});
+
+	// ── Copy ─────────────────────────────────────────────────────────────────
+
+	function copyText(text) {
+		if (navigator.clipboard && window.isSecureContext) {
+			return navigator.clipboard.writeText(text);
+		}
+		var $ta = $('<textarea readonly>').val(text).css({ position: 'fixed', top: '-1000px' }).appendTo('body');
+		$ta[0].select();
+		var ok = document.execCommand('copy');
+		$ta.remove();
+		return ok ? Promise.resolve() : Promise.reject();
+	}
+
+	$(document).on('click', '.mdsm-log-copy', function () {
+		var $btn = $(this);
+		copyText($btn.attr('data-copy')).then(function () {
+			$btn.text('Copied');
+		}, function () {
+			$btn.text('Copy failed');
+		}).then(function () {
+			setTimeout(function () { $btn.text('Copy'); }, 1500);
+		});
+	});
+
+	// ── Expand / collapse ────────────────────────────────────────────────────
+
+	function toggle($row) {
+		var entry = $row.data('mdsmEntry');
+		// Other panels (e.g. the Rekor page's Verify) may sit between the row and its details.
+		var $next = $row.nextUntil(ENTRY_ROW).filter('.mdsm-log-detail-row');
+		var open  = !$next.length;
+
+		if (!entry) { return; }
+
+		if (open) {
+			$row.after(detailRow(entry, $row.children('td').length));
+		} else {
+			$next.remove();
+		}
+		$row.toggleClass('is-expanded', open)
+			.find('.mdsm-log-expand').attr('aria-expanded', open ? 'true' : 'false');
+	}
+
+	$(document).on('click', '.mdsm-log-expand', function (e) {
+		e.stopPropagation();
+		toggle($(this).closest('tr'));
+	});
+
+	// The whole row toggles too, except its own links and buttons and when
+	// the click ends a text selection.
+	$(document).on('click', 'tr', function (e) {
+		var $row = $(this);
+		if (!$row.is(ENTRY_ROW) || $(e.target).closest('a, button, input').length) { return; }
+		if (window.getSelection && String(window.getSelection())) { return; }
+		toggle($row);
+	});
+
+}(jQuery));
+
 // ── Activity Log ──────────────────────────────────────────────────────────────
 
 (function ($) {
 	'use strict';
 
-	var anchorData    = window.mdsmAnchorData || {};
-	var currentPage   = 1;
-	var currentFilter = 'all';
-	var totalPages    = 1;
+	var anchorData = window.mdsmAnchorData || {};
+	var totalPages = 1;
+	var searchTimer = null;
+
+	// Current view. Mirrored into the page URL (log_* parameters) so a
+	// filtered log can be bookmarked or shared.
+	var defaults = {
+		page:      1,
+		filter:    'all',
+		search:    '',
+		date_from: '',
+		date_to:   '',
+		provider:  '',
+		algorithm: '',
+		orderby:   'created_at',
+		order:     'desc'
+	};
+	var state = $.extend({}, defaults);
+
+	var urlKeys = {
+		page:      'log_page',
+		filter:    'log_status',
+		search:    'log_search',
+		date_from: 'log_from',
+		date_to:   'log_to',
+		provider:  'log_provider',
+		algorithm: 'log_algo',
+		orderby:   'log_orderby',
+		order:     'log_order'
+	};
 
 	var statusColors = {
 		anchored: '#00a32a',
@@ -332,24 +947,100 @@
 			.replace(/"/g, '&quot;');
 	}
 
+	// ── URL state ────────────────────────────────────────────────────────────
+
+	function readUrlState() {
+		var params = new URLSearchParams(window.location.search);
+		$.each(urlKeys, function (key, param) {
+			if (params.has(param)) {
+				state[ key ] = key === 'page' ? Math.max(1, parseInt(params.get(param), 10) || 1) : params.get(param);
+			}
+		});
+	}
+
+	// Only non-default values are written, so an unfiltered log keeps a clean URL.
+	function writeUrlState() {
+		if (!window.history || !window.history.replaceState) { return; }
+
+		var url = new URL(window.location.href);
+		$.each(urlKeys, function (key, param) {
+			if (String(state[ key ]) !== String(defaults[ key ])) {
+				url.searchParams.set(param, state[ key ]);
+			} else {
+				url.searchParams.delete(param);
+			}
+		});
+		window.history.replaceState(window.history.state, '', url.toString());
+	}
+
+	// Push state into the controls (on load and after a reset).
+	function syncControls() {
+		$('.mdsm-log-badge').removeClass('active');
+		$('.mdsm-log-badge[data-filter="' + state.filter + '"]').addClass('active');
+		$('#mdsm-log-search').val(state.search);
+		$('#mdsm-log-date-from').val(state.date_from);
+		$('#mdsm-log-date-to').val(state.date_to);
+		ensureOption($('#mdsm-log-provider'), state.provider);
+		ensureOption($('#mdsm-log-algorithm'), state.algorithm);
+		$('#mdsm-log-provider').val(state.provider);
+		$('#mdsm-log-algorithm').val(state.algorithm);
+
+		$('#mdsm-log-table th[data-sort]').each(function () {
+			var active = $(this).data('sort') === state.orderby;
+			$(this).toggleClass('sorted', active)
+				.attr('aria-sort', active ? (state.order === 'asc' ? 'ascending' : 'descending') : 'none')
+				.find('.mdsm-log-sort-indicator').text(active ? (state.order === 'asc' ? '\u25B2' : '\u25BC') : '');
+		});
+	}
+
+	// A value from the URL may not be in the log yet; keep it selectable.
+	function ensureOption($select, value) {
+		if (value && !$select.find('option').filter(function () { return this.value === value; }).length) {
+			$select.append($('<option>').val(value).text(value.toUpperCase()));
+		}
+	}
+
+	function fillOptions($select, values) {
+		var current = $select.val();
+		$select.find('option').not(':first').remove();
+		$.each(values || [], function (i, value) {
+			$select.append($('<option>').val(value).text(value.toUpperCase()));
+		});
+		ensureOption($select, current);
+		$select.val(current);
+		// A single choice is no filter at all (e.g. the Trusted Timestamps page).
+		$select.toggle($select.find('option').length > 2 || !!current);
+	}
+
 	// ── Load log page ────────────────────────────────────────────────────────
 
-	function loadLog(page, filter) {
+	function loadLog() {
 		var $tbody    = $('#mdsm-log-tbody');
 		var $pageInfo = $('#mdsm-log-page-info');
 		var $prev     = $('#mdsm-log-prev');
 		var $next     = $('#mdsm-log-next');
+		var page      = state.page;
 
 		if (!$tbody.length) { return; }
 
+		syncControls();
+		writeUrlState();
+
 		$tbody.html('<tr><td colspan="7" style="text-align:center;padding:16px;color:#666;">Loading\u2026</td></tr>');
 
 		$.post(anchorData.ajaxUrl, {
 			action:    'mdsm_anchor_get_log',
 			nonce:     anchorData.nonce,
 			page:      page,
-			filter:    filter,
-			log_scope: anchorData.logScope || 'all'
+			filter:    state.filter,
+			log_scope: anchorData.logScope || 'all',
+			search:    state.search,
+			date_from: state.date_from,
+			date_to:   state.date_to,
+			provider:  state.provider,
+			algorithm: state.algorithm,
+			orderby:   state.orderby,
+			order:     state.order
 		}, function (response) {
 			if (!response.success) {
 				$tbody.html('<tr><td colspan="7" style="color:#d63638;padding:12px;">Error loading log.</td></tr>');
@@ -360,10 +1051,15 @@
 			var entries = data.entries || [];
 			totalPages  = data.pages || 1;
 
+			if (data.filter_options) {
+				fillOptions($('#mdsm-log-provider'), data.filter_options.providers);
+				fillOptions($('#mdsm-log-algorithm'), data.filter_options.algorithms);
+			}
+
 			if (entries.length === 0) {
 				$tbody.html('<tr><td colspan="7" style="text-align:center;padding:16px;color:#888;">No log entries found.</td></tr>');
 				$pageInfo.text('');
-				$prev.prop('disabled', true);
+				$prev.prop('disabled', page <= 1);
 				$next.prop('disabled', true);
 				return;
 			}
@@ -378,7 +1074,7 @@
 				var td = 'style="padding:8px 14px;vertical-align:middle;border-bottom:1px solid #f0f0f1;"';
 				var tdMono = 'style="padding:8px 14px;vertical-align:middle;border-bottom:1px solid #f0f0f1;font-family:monospace;font-size:11.5px;"';
 				rows += '<tr>'
-					+ '<td ' + td + '>' + escHtml(e.created_at) + ' UTC</td>'
+					+ '<td ' + td + '><button type="button" class="mdsm-log-expand" aria-expanded="false" aria-label="Show details"></button> ' + escHtml(e.created_at) + ' UTC</td>'
 					+ '<td ' + td + '>' + statusBadge(e.status) + '</td>'
 					+ '<td ' + tdMono + '>' + escHtml(e.document_id) + '</td>'
 					+ '<td ' + td + '>' + escHtml((e.provider || '').toUpperCase()) + '</td>'
@@ -389,6 +1085,10 @@
 			});
 
 			$tbody.html(rows);
+			// The detail row (see Log entry details) reads the entry from here.
+			$tbody.children('tr').each(function (i) {
+				$(this).data('mdsmEntry', entries[ i ]);
+			});
 			$pageInfo.text('Page ' + page + ' of ' + totalPages + ' (' + data.total + ' entries)');
 			$prev.prop('disabled', page <= 1);
 			$next.prop('disabled', page >= totalPages);
@@ -401,21 +1101,71 @@
 	// ── Filter badges ────────────────────────────────────────────────────────
 
 	$(document).on('click', '.mdsm-log-badge', function () {
-		$('.mdsm-log-badge').removeClass('active');
-		$(this).addClass('active');
-		currentFilter = $(this).data('filter') || 'all';
-		currentPage   = 1;
-		loadLog(currentPage, currentFilter);
+		state.filter = $(this).data('filter') || 'all';
+		state.page   = 1;
+		loadLog();
+	});
+
+	// ── Search, date range, provider and algorithm ───────────────────────────
+
+	$(document).on('input', '#mdsm-log-search', function () {
+		var value = $.trim($(this).val());
+		clearTimeout(searchTimer);
+		searchTimer = setTimeout(function () {
+			if (value !== state.search) {
+				state.search = value;
+				state.page   = 1;
+				loadLog();
+			}
+		}, 350);
+	});
+
+	$(document).on('change', '#mdsm-log-date-from, #mdsm-log-date-to, #mdsm-log-provider, #mdsm-log-algorithm', function () {
+		state.date_from = $('#mdsm-log-date-from').val() || '';
+		state.date_to   = $('#mdsm-log-date-to').val() || '';
+		state.provider  = $('#mdsm-log-provider').val() || '';
+		state.algorithm = $('#mdsm-log-algorithm').val() || '';
+		state.page      = 1;
+		loadLog();
+	});
+
+	$(document).on('click', '#mdsm-log-reset', function () {
+		clearTimeout(searchTimer);
+		state = $.extend({}, defaults);
+		loadLog();
+	});
+
+	// ── Sorting ──────────────────────────────────────────────────────────────
+
+	// Clicking the sorted column flips its direction; a new column starts
+	// newest/highest first for the timestamp and A→Z for the text columns.
+	$(document).on('click', '#mdsm-log-table th[data-sort]', function () {
+		var column = $(this).data('sort');
+		if (column === state.orderby) {
+			state.order = state.order === 'asc' ? 'desc' : 'asc';
+		} else {
+			state.orderby = column;
+			state.order   = column === 'created_at' ? 'desc' : 'asc';
+		}
+		state.page = 1;
+		loadLog();
+	});
+
+	$(document).on('keydown', '#mdsm-log-table th[data-sort]', function (e) {
+		if (e.key === 'Enter' || e.key === ' ') {
+			e.preventDefault();
+			$(this).trigger('click');
+		}
 	});
 
 	// ── Pagination ───────────────────────────────────────────────────────────
 
 	$(document).on('click', '#mdsm-log-prev', function () {
-		if (currentPage > 1) { currentPage--; loadLog(currentPage, currentFilter); }
+		if (state.page > 1) { state.page--; loadLog(); }
 	});
 
 	$(document).on('click', '#mdsm-log-next', function () {
-		if (currentPage < totalPages) { currentPage++; loadLog(currentPage, currentFilter); }
+		if (state.page < totalPages) { state.page++; loadLog(); }
 	});
 
 	// ── Clear log modal ──────────────────────────────────────────────────────
@@ -455,10 +1205,8 @@
 		}, function (response) {
 			if (response.success) {
 				$('#mdsm-clear-log-modal').hide();
-				currentPage = 1; currentFilter = 'all';
-				$('.mdsm-log-badge').removeClass('active');
-				$('.mdsm-log-badge[data-filter="all"]').addClass('active');
-				loadLog(1, 'all');
+				state = $.extend({}, defaults);
+				loadLog();
 				$('.mdsm-log-badge strong').text('0');
 				$('#mdsm-anchor-clear-log').prop('disabled', true);
 				var $lf = $('#mdsm-log-feedback');
@@ -479,8 +1227,554 @@
 	// ── Initialise ───────────────────────────────────────────────────────────
 
 	$( function () {
-		$('.mdsm-log-badge[data-filter="all"]').addClass('active');
-		loadLog(1, 'all');
+		readUrlState();
+		loadLog();
 	});
 
 }( jQuery ));
+
+// ── Anchoring Health ──────────────────────────────────────────────────────────
+
+(function ($) {
+	'use strict';
+
+	var anchorData = window.mdsmAnchorData || {};
+
+	var providerNames = {
+		github:  'GitHub',
+		gitlab:  'GitLab',
+		rfc3161: 'RFC 3161',
+		rekor:   'Rekor'
+	};
+
+	// Stacked bottom to top, matching the log's status badges.
+	var series = [
+		{ key: 'anchored', label: 'Anchored', color: '#00a32a' },
+		{ key: 'retry',    label: 'Retry',    color: '#dba617' },
+		{ key: 'failed',   label: 'Failed',   color: '#d63638' }
+	];
+
+	// Chart geometry, in viewBox units; the SVG scales to the card width.
+	var W = 640, H = 150, PAD_L = 34, PAD_R = 6, PAD_T = 8, PAD_B = 20;
+
+	function escHtml(str) {
+		if (str === null || str === undefined) { return ''; }
+		return String(str)
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;');
+	}
+
+	function providerName(key) {
+		return providerNames[ key ] || String(key || '').toUpperCase();
+	}
+
+	function formatDuration(seconds) {
+		if (seconds === null || seconds === undefined) { return '\u2014'; }
+		if (seconds < 60) { return seconds + 's'; }
+		if (seconds < 3600) { return Math.floor(seconds / 60) + 'm ' + (seconds % 60) + 's'; }
+		if (seconds < 86400) { return Math.floor(seconds / 3600) + 'h ' + Math.floor((seconds % 3600) / 60) + 'm'; }
+		return Math.floor(seconds / 86400) + 'd ' + Math.floor((seconds % 86400) / 3600) + 'h';
+	}
+
+	function sum(totals) {
+		return totals.anchored + totals.retry + totals.failed;
+	}
+
+	// A round axis maximum (1, 2, 5 × 10^n) at or above the busiest day.
+	function niceMax(value) {
+		if (value <= 1) { return 1; }
+		var step = Math.pow(10, Math.floor(Math.log(value) / Math.LN10));
+		var nice = [1, 2, 5, 10];
+		for (var i = 0; i < nice.length; i++) {
+			if (nice[ i ] * step >= value) { return nice[ i ] * step; }
+		}
+		return 10 * step;
+	}
+
+	function shortDate(day) {
+		return day.substring(5);
+	}
+
+	/**
+	 * One provider's results per day as a stacked bar chart. Each segment
+	 * carries a <title>, so hovering a bar shows the day and counts.
+	 */
+	function barChart(days, daily) {
+		var plotW = W - PAD_L - PAD_R;
+		var plotH = H - PAD_T - PAD_B;
+		var max   = niceMax(Math.max.apply(null, daily.map(sum).concat([0])));
+		var slot  = plotW / days.length;
+		var barW  = Math.max(1, slot * 0.7);
+		var svg   = '';
+
+		svg += '<svg class="mdsm-health-chart" viewBox="0 0 ' + W + ' ' + H + '">';
+
+		// Axis: gridline at the top and midpoint, baseline at zero.
+		$.each([max, max / 2, 0], function (i, value) {
+			var y = PAD_T + plotH - (value / max) * plotH;
+			svg += '<line x1="' + PAD_L + '" x2="' + (W - PAD_R) + '" y1="' + y + '" y2="' + y + '" class="' + (value ? 'grid' : 'base') + '"/>';
+			if (value === Math.round(value)) {
+				svg += '<text x="' + (PAD_L - 4) + '" y="' + (y + 3) + '" text-anchor="end">' + value + '</text>';
+			}
+		});
+
+		$.each(daily, function (i, counts) {
+			var x     = PAD_L + i * slot + (slot - barW) / 2;
+			var y     = PAD_T + plotH;
+			var label = days[ i ] + ': ' + series.map(function (s) { return counts[ s.key ] + ' ' + s.label.toLowerCase(); }).join(', ');
+
+			svg += '<g><title>' + escHtml(label) + '</title>';
+			$.each(series, function (j, s) {
+				if (!counts[ s.key ]) { return; }
+				var h = (counts[ s.key ] / max) * plotH;
+				y -= h;
+				svg += '<rect x="' + x.toFixed(2) + '" y="' + y.toFixed(2) + '" width="' + barW.toFixed(2) + '" height="' + h.toFixed(2) + '" fill="' + s.color + '"/>';
+			});
+			// Transparent hit area so empty days still show their tooltip.
+			svg += '<rect x="' + (PAD_L + i * slot).toFixed(2) + '" y="' + PAD_T + '" width="' + slot.toFixed(2) + '" height="' + plotH + '" fill="transparent"/>';
+			svg += '</g>';
+		});
+
+		// First, middle and last date under the axis.
+		$.each([0, Math.floor((days.length - 1) / 2), days.length - 1], function (i, index) {
+			var anchor = i === 0 ? 'start' : (i === 2 ? 'end' : 'middle');
+			var x      = i === 0 ? PAD_L : (i === 2 ? W - PAD_R : PAD_L + (index + 0.5) * slot);
+			svg += '<text x="' + x.toFixed(2) + '" y="' + (H - 5) + '" text-anchor="' + anchor + '">' + escHtml(shortDate(days[ index ])) + '</text>';
+		});
+
+		return svg + '</svg>';
+	}
+
+	function legend() {
+		return '<div class="mdsm-health-legend">' + series.map(function (s) {
+			return '<span><i style="background:' + s.color + ';"></i>' + escHtml(s.label) + '</span>';
+		}).join('') + '</div>';
+	}
+
+	function tile(label, value, modifier) {
+		return '<div class="mdsm-health-tile' + (modifier ? ' mdsm-health-tile--' + modifier : '') + '">'
+			+ '<span>' + escHtml(label) + '</span><strong>' + escHtml(value) + '</strong></div>';
+	}
+
+	function successRate(totals) {
+		var attempts = sum(totals);
+		return attempts ? Math.round((totals.anchored / attempts) * 1000) / 10 + '%' : '\u2014';
+	}
+
+	function render(data) {
+		var providers = data.providers || [];
+		var totals    = { anchored: 0, retry: 0, failed: 0 };
+
+		$.each(providers, function (i, p) {
+			totals.anchored += p.totals.anchored;
+			totals.retry    += p.totals.retry;
+			totals.failed   += p.totals.failed;
+		});
+
+		$('#mdsm-health-summary').html(
+			tile('Anchored', totals.anchored, 'anchored')
+			+ tile('Retries', totals.retry, 'retry')
+			+ tile('Failures', totals.failed, 'failed')
+			+ tile('Success rate', successRate(totals))
+			+ tile('Median time to anchor', formatDuration(data.median_seconds))
+		);
+
+		if (!providers.length) {
+			$('#mdsm-health-charts').html('<p class="mdsm-health-empty">No anchoring activity in this period.</p>');
+		} else {
+			$('#mdsm-health-charts').html(legend() + providers.map(function (p) {
+				return '<div class="mdsm-health-provider">'
+					+ '<div class="mdsm-health-provider-head">'
+					+ '<strong>' + escHtml(providerName(p.provider)) + '</strong>'
+					+ '<span>' + p.totals.anchored + ' anchored \u00b7 ' + p.totals.retry + ' retries \u00b7 ' + p.totals.failed + ' failed'
+					+ ' \u00b7 median ' + escHtml(formatDuration(p.median_seconds)) + '</span>'
+					+ '</div>'
+					+ barChart(data.days, p.daily)
+					+ '</div>';
+			}).join(''));
+		}
+
+		var reasons = data.failure_reasons || [];
+		if (!reasons.length) {
+			$('#mdsm-health-failures').html('<p class="mdsm-health-empty">No failures in this period.</p>');
+			return;
+		}
+
+		var rows = reasons.map(function (r) {
+			return '<tr>'
+				+ '<td class="mdsm-health-count">' + r.count + '</td>'
+				+ '<td>' + escHtml(providerName(r.provider)) + '</td>'
+				+ '<td class="mdsm-health-reason">' + escHtml(r.error_message) + '</td>'
+				+ '<td>' + escHtml(r.last_seen) + ' UTC</td>'
+				+ '</tr>';
+		}).join('');
+
+		$('#mdsm-health-failures').html(
+			'<table class="mdsm-anchor-log-table"><thead><tr>'
+			+ '<th>Count</th><th>Provider</th><th>Error</th><th>Last seen</th>'
+			+ '</tr></thead><tbody>' + rows + '</tbody></table>'
+		);
+	}
+
+	function load() {
+		var scope = $('#mdsm-health-scope').val() || anchorData.logScope || 'all';
+
+		$('#mdsm-health-charts').html('<p class="mdsm-health-empty">Loading\u2026</p>');
+
+		$.post(anchorData.ajaxUrl, {
+			action:    'mdsm_anchor_get_log_stats',
+			nonce:     anchorData.nonce,
+			days:      $('#mdsm-health-days').val() || 30,
+			log_scope: scope
+		}, function (response) {
+			if (!response.success) {
+				$('#mdsm-health-charts').html('<p class="mdsm-health-empty error">'
+					+ escHtml((response.data && response.data.message) || 'Error loading statistics.') + '</p>');
+				return;
+			}
+			render(response.data);
+		})
+		.fail(function () {
+			$('#mdsm-health-charts').html('<p class="mdsm-health-empty error">Request failed.</p>');
+		});
+	}
+
+	$(document).on('change', '#mdsm-health-days, #mdsm-health-scope', load);
+	$(document).on('click', '#mdsm-health-refresh', load);
+
+	$(function () {
+		if (!$('#mdsm-health-card').length) { return; }
+		load();
+	});
+
+}(jQuery));
+
+// ── Timestamp token inspector ─────────────────────────────────────────────────
+// Trusted Timestamps page: decodes and verifies a .tsr token in the browser
+// with window.ArchivioTSR, from a picked file or a log entry's stored token.
+
+(function ($) {
+	'use strict';
+
+	var anchorData = window.mdsmAnchorData || {};
+	var current    = null; // { name, bytes }
+
+	function escHtml(str) {
+		if (str === null || str === undefined) { return ''; }
+		return String(str)
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;');
+	}
+
+	function showFeedback(message, type) {
+		$('#mdsm-tsr-feedback').removeClass('success error info').addClass(type).text(message).show();
+	}
+
+	function field(label, valueHtml, copyText) {
+		return '<dt>' + escHtml(label) + '</dt><dd>' + valueHtml
+			+ (copyText ? ' <button type="button" class="button button-small mdsm-log-copy" data-copy="' + escHtml(copyText) + '">Copy</button>' : '')
+			+ '</dd>';
+	}
+
+	function code(value) {
+		return '<code>' + escHtml(value) + '</code>';
+	}
+
+	function accuracy(a) {
+		var parts = [];
+		if (a.seconds) { parts.push(a.seconds + ' s'); }
+		if (a.millis)  { parts.push(a.millis + ' ms'); }
+		if (a.micros)  { parts.push(a.micros + ' \u00B5s'); }
+		return parts.length ? '\u00B1 ' + parts.join(' ') : 'Not stated';
+	}
+
+	function render(parsed, result) {
+		var token = parsed.token;
+		var html  = '<p><strong class="' + (result.verified ? 'mdsm-log-verify-ok' : 'mdsm-log-verify-fail') + '">'
+			+ (result.verified ? '\u2714 Token verified' : '\u2718 Verification failed') + '</strong> '
+			+ code(current.name) + '</p>';
+
+		if (token) {
+			var t    = token.tstInfo;
+			var cert = window.ArchivioTSR.signerCertificate(token);
+
+			html += '<dl class="mdsm-log-detail-grid">';
+			if (parsed.status) { html += field('Status', escHtml(parsed.status.name)); }
+			html += field('Time (genTime)', escHtml(t.genTime.toISOString()) + ' ' + code(t.genTimeText));
+			html += field('Serial number', code('0x' + t.serial) + (t.serialDecimal ? ' (' + escHtml(t.serialDecimal) + ')' : ''), t.serial);
+			html += field('Policy', code(t.policy));
+			html += field('Message imprint', escHtml(String(t.messageImprint.algorithm).toUpperCase()) + ' '
+				+ code(t.messageImprint.hashedMessage), t.messageImprint.hashedMessage);
+			html += field('TSA name', t.tsa ? escHtml(t.tsa) : 'Not included');
+			if (t.accuracy) { html += field('Accuracy', escHtml(accuracy(t.accuracy))); }
+			html += field('Ordering', t.ordering ? 'Yes' : 'No');
+			if (t.nonce) { html += field('Nonce', code('0x' + t.nonce)); }
+			if (cert) {
+				html += field('Certificate subject', escHtml(cert.subject));
+				html += field('Certificate issuer', escHtml(cert.issuer));
+			} else {
+				html += field('Signer certificate', 'Not included');
+			}
+			html += '</dl>';
+		}
+
+		html += '<div class="mdsm-log-verify-result"><ul>';
+		$.each(result.checks, function (i, c) {
+			var cls  = c.ok === null ? 'is-skip' : (c.ok ? 'is-ok' : 'is-fail');
+			var mark = c.ok === null ? '\u2013 ' : (c.ok ? '\u2714 ' : '\u2718 ');
+			html += '<li class="' + cls + '">' + mark + escHtml(c.label)
+				+ (c.detail ? '<br><code>' + escHtml(c.detail) + '</code>' : '') + '</li>';
+		});
+		html += '</ul></div>';
+
+		$('#mdsm-tsr-result').html(html);
+	}
+
+	function verify() {
+		var $btn    = $('#mdsm-tsr-verify');
+		var $result = $('#mdsm-tsr-result');
+		var parsed;
+
+		if (!current) { return; }
+
+		try {
+			parsed = window.ArchivioTSR.parse(current.bytes);
+		} catch (e) {
+			$result.empty();
+			showFeedback(e.message, 'error');
+			return;
+		}
+
+		$('#mdsm-tsr-feedback').hide();
+		$btn.prop('disabled', true).text('Verifying\u2026');
+
+		window.ArchivioTSR.verify(parsed, {
+			hashValue:     $.trim($('#mdsm-tsr-hash').val()),
+			hashAlgorithm: $('#mdsm-tsr-algorithm').val()
+		}).then(function (result) {
+			render(parsed, result);
+		}, function (e) {
+			$result.empty();
+			showFeedback(e.message, 'error');
+		}).then(function () {
+			$btn.prop('disabled', false).text('Verify Token');
+		});
+	}
+
+	function load(name, bytes) {
+		current = { name: name, bytes: bytes };
+		$('#mdsm-tsr-verify').prop('disabled', false);
+		verify();
+	}
+
+	$(document).on('change', '#mdsm-tsr-file', function () {
+		var file = this.files && this.files[0];
+		if (!file) { return; }
+		file.arrayBuffer().then(function (buffer) {
+			load(file.name, new Uint8Array(buffer));
+		}).catch(function (e) {
+			$('#mdsm-tsr-result').empty();
+			showFeedback(e.message || 'The file could not be read.', 'error');
+		});
+	});
+
+	$(document).on('click', '#mdsm-tsr-verify', verify);
+
+	// "Inspect token" in an expanded RFC 3161 log entry.
+	$(document).on('mdsm:inspect-tsr', function (e, entry) {
+		var $card = $('#mdsm-tsr-card');
+		if (!$card.length || !window.ArchivioTSR) { return; }
+
+		showFeedback('Loading the stored token\u2026', 'info');
+		$('html, body').animate({ scrollTop: $card.offset().top - 40 }, 200);
+
+		$.post(anchorData.ajaxUrl, {
+			action: 'mdsm_anchor_get_tsr',
+			nonce:  anchorData.nonce,
+			id:     entry.id
+		})
+		.done(function (response) {
+			if (!response.success) {
+				showFeedback((response.data && response.data.message) || 'The token could not be loaded.', 'error');
+				return;
+			}
+			$('#mdsm-tsr-file').val('');
+			$('#mdsm-tsr-hash').val(response.data.hash_value);
+			$('#mdsm-tsr-algorithm').val(response.data.hash_algorithm);
+			load(response.data.file, window.ArchivioCrypto.fromBase64(response.data.tsr));
+		})
+		.fail(function () {
+			showFeedback('Request failed.', 'error');
+		});
+	});
+
+	$(function () {
+		if ($('#mdsm-tsr-card').length && !window.ArchivioTSR) {
+			$('#mdsm-tsr-file, #mdsm-tsr-verify').prop('disabled', true);
+		}
+	});
+
+}(jQuery));
+
+// ── Rekor inclusion proof ─────────────────────────────────────────────────────
+// Rekor page: verifies a stored Rekor entry offline with window.ArchivioRekor —
+// leaf hash, Merkle inclusion path, checkpoint and signed entry timestamp —
+// from a picked or pasted entry JSON, or a log entry's stored copy.
+
+(function ($) {
+	'use strict';
+
+	var anchorData = window.mdsmAnchorData || {};
+	var loaded     = null; // { uuid, record } of the log entry in the textarea
+
+	function escHtml(str) {
+		if (str === null || str === undefined) { return ''; }
+		return String(str)
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;');
+	}
+
+	function showFeedback(message, type) {
+		$('#mdsm-rekor-proof-feedback').removeClass('success error info').addClass(type).text(message).show();
+	}
+
+	function field(label, valueHtml, copyText) {
+		return '<dt>' + escHtml(label) + '</dt><dd>' + valueHtml
+			+ (copyText ? ' <button type="button" class="button button-small mdsm-log-copy" data-copy="' + escHtml(copyText) + '">Copy</button>' : '')
+			+ '</dd>';
+	}
+
+	function code(value) {
+		return '<code>' + escHtml(value) + '</code>';
+	}
+
+	function render(result) {
+		var html = '<p><strong class="' + (result.verified ? 'mdsm-log-verify-ok' : 'mdsm-log-verify-fail') + '">'
+			+ (result.verified ? '\u2714 Inclusion verified' : '\u2718 Verification failed') + '</strong></p>';
+
+		html += '<dl class="mdsm-log-detail-grid">';
+		if (!isNaN(result.logIndex)) { html += field('Log index', code(result.logIndex), String(result.logIndex)); }
+		if (result.uuid) { html += field('Entry UUID', code(result.uuid), result.uuid); }
+		if (result.treeSize) { html += field('Leaf', escHtml(result.leafIndex + ' of ' + result.treeSize + ' in this log shard')); }
+		html += '</dl>';
+
+		html += '<div class="mdsm-log-verify-result"><ul>';
+		$.each(result.checks, function (i, c) {
+			var cls  = c.ok === null ? 'is-skip' : (c.ok ? 'is-ok' : 'is-fail');
+			var mark = c.ok === null ? '\u2013 ' : (c.ok ? '\u2714 ' : '\u2718 ');
+			html += '<li class="' + cls + '">' + mark + escHtml(c.label)
+				+ (c.detail ? '<br><code>' + escHtml(c.detail) + '</code>' : '') + '</li>';
+		});
+		html += '</ul></div>';
+
+		if (result.path.length) {
+			html += '<h4>Merkle path</h4>'
+				+ '<table class="widefat striped mdsm-rekor-path"><thead><tr>'
+				+ '<th>Level</th><th>Sibling</th><th>Sibling hash</th><th>Node hash</th>'
+				+ '</tr></thead><tbody>';
+			$.each(result.path, function (i, s) {
+				html += '<tr><td>' + (i + 1) + '</td><td>' + (s.side === 'left' ? 'Left' : 'Right') + '</td>'
+					+ '<td>' + code(s.sibling) + '</td><td>' + code(s.hash) + '</td></tr>';
+			});
+			html += '</tbody></table>'
+				+ '<p class="description">Each node hash is SHA-256(0x01 || left || right); the last one is the root.</p>';
+		}
+
+		$('#mdsm-rekor-proof-result').html(html);
+	}
+
+	function verify() {
+		var $btn    = $('#mdsm-rekor-proof-verify');
+		var $result = $('#mdsm-rekor-proof-result');
+		var text    = $.trim($('#mdsm-rekor-proof-json').val());
+
+		if (!text) {
+			showFeedback('Pick or paste a Rekor entry first.', 'error');
+			return;
+		}
+
+		$('#mdsm-rekor-proof-feedback').hide();
+		$btn.prop('disabled', true).text('Verifying\u2026');
+
+		window.ArchivioRekor.verifyEntry(text, {
+			publicKey: anchorData.rekorPublicKey,
+			uuid:      loaded ? loaded.uuid : '',
+			record:    loaded ? loaded.record : ''
+		}).then(render, function (e) {
+			$result.empty();
+			showFeedback(e.message, 'error');
+		}).then(function () {
+			$btn.prop('disabled', false).text('Verify Proof');
+		});
+	}
+
+	function load(json, source) {
+		loaded = source || null;
+		$('#mdsm-rekor-proof-json').val(json);
+		verify();
+	}
+
+	$(document).on('change', '#mdsm-rekor-proof-file', function () {
+		var file = this.files && this.files[0];
+		if (!file) { return; }
+		file.text().then(function (text) {
+			load(text, null);
+		});
+	});
+
+	// Once edited, the entry is no longer the log entry's own.
+	$(document).on('input', '#mdsm-rekor-proof-json', function () {
+		loaded = null;
+	});
+
+	$(document).on('click', '#mdsm-rekor-proof-verify', verify);
+
+	// "Verify inclusion proof" in an expanded Rekor log entry. Entries logged
+	// before they were stored are fetched once through the server proxy,
+	// which then keeps them on the log row.
+	$(document).on('mdsm:verify-rekor-proof', function (e, entry, details, logIndex) {
+		var $card = $('#mdsm-rekor-proof-card');
+		if (!$card.length || !window.ArchivioRekor) { return; }
+
+		$('#mdsm-rekor-proof-file').val('');
+		$('html, body').animate({ scrollTop: $card.offset().top - 40 }, 200);
+
+		if (details.rekor_entry && details.rekor_entry.body) {
+			load(JSON.stringify(details.rekor_entry, null, 2), { uuid: details.rekor_uuid || '', record: entry.anchor_record || '' });
+			return;
+		}
+
+		showFeedback('Fetching the entry from Rekor\u2026', 'info');
+
+		$.post(anchorData.ajaxUrl, {
+			action:     'mdsm_anchor_rekor_verify',
+			nonce:      anchorData.nonce,
+			log_index:  logIndex,
+			local_hash: entry.hash_value || '',
+			id:         entry.id
+		})
+		.done(function (response) {
+			if (!response.success || !response.data.entry) {
+				showFeedback((response.data && response.data.message) || 'The entry could not be loaded.', 'error');
+				return;
+			}
+			load(JSON.stringify(response.data.entry, null, 2), { uuid: response.data.uuid || '', record: entry.anchor_record || '' });
+		})
+		.fail(function () {
+			showFeedback('Request failed.', 'error');
+		});
+	});
+
+	$(function () {
+		if ($('#mdsm-rekor-proof-card').length && !window.ArchivioRekor) {
+			$('#mdsm-rekor-proof-file, #mdsm-rekor-proof-verify').prop('disabled', true);
+		}
+	});
+
+}(jQuery));
@@ -0,0 +1,584 @@
+/**
+ * ArchivioMD External Anchoring — Chain verification
+ *
+ * Git Distribution page only: checks anchor records from the repository
+ * (picked JSON files, a ZIP of the anchor folder or pasted JSON) against the
+ * activity log, rebuilding each document's chain of hashes in commit order.
+ * ZIPs are read with window.MDSMImport; strings come from mdsmAnchorData.
+ */
+/* global jQuery, mdsmAnchorData */
+(function ($) {
+	'use strict';
+
+	var anchorData = window.mdsmAnchorData || {};
+	var strings    = (anchorData.strings || {}).chain || {};
+	var report     = null;
+
+	// Providers commit <document_id>-<YmdHis>.json seconds before the log row
+	// is written; a wider gap means the file was renamed.
+	var FILE_NAME      = /^(.+)-(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})\.json$/;
+	var TIME_TOLERANCE = 300;
+
+	var STATUS = {
+		verified:  { label: strings.verified  || 'Verified',                severity: 'ok' },
+		tampered:  { label: strings.tampered  || 'Tampered',                severity: 'fail' },
+		reordered: { label: strings.reordered || 'Reordered',               severity: 'fail' },
+		missing:   { label: strings.missing   || 'Missing',                 severity: 'fail' },
+		unlogged:  { label: strings.unlogged  || 'Not in the activity log', severity: 'fail' },
+		invalid:   { label: strings.invalid   || 'Unreadable',              severity: 'fail' },
+		unchecked: { label: strings.unchecked || 'Before the log',          severity: 'skip' },
+		newer:     { label: strings.newer     || 'Not uploaded yet',        severity: 'skip' },
+		duplicate: { label: strings.duplicate || 'Duplicate',               severity: 'skip' }
+	};
+
+	var IMPORT_ERRORS = {
+		'not-zip':     strings.notZip      || 'Not a readable ZIP archive.',
+		'zip64':       strings.zip64       || 'ZIP64 archives are not supported.',
+		'encrypted':   strings.encrypted   || 'Encrypted ZIP entry.',
+		'compression': strings.compression || 'Unsupported ZIP compression.',
+		'too-large':   strings.tooLarge    || 'File too large.',
+		'binary':      strings.binary      || 'Binary file.'
+	};
+
+	function escHtml(str) {
+		if (str === null || str === undefined) { return ''; }
+		return String(str)
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&quot;');
+	}
+
+	// Fills %s / %d placeholders in order, or %1$s-style ones by position.
+	function format(template) {
+		var args = Array.prototype.slice.call(arguments, 1);
+		var next = 0;
+		return String(template).replace(/%(?:(\d)\$)?[sd]/g, function (match, n) {
+			return String(args[n ? n - 1 : next++]);
+		});
+	}
+
+	function showFeedback(message, type) {
+		$('#mdsm-chain-feedback').removeClass('success error info').addClass(type).text(message).show();
+	}
+
+	function code(value) {
+		return '<code>' + escHtml(value) + '</code>';
+	}
+
+	function sha256Hex(text) {
+		return window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)).then(function (buffer) {
+			return Array.prototype.map.call(new Uint8Array(buffer), function (b) {
+				return ('0' + b.toString(16)).slice(-2);
+			}).join('');
+		});
+	}
+
+	// ── Record encoding ──────────────────────────────────────────────────────
+	// A record as wp_json_encode( $record, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES )
+	// writes it, so pasted or reformatted records still compare with the log.
+
+	function phpString(str) {
+		return JSON.stringify(str).replace(/[\u0080-\uffff]/g, function (c) {
+			return '\\u' + ('000' + c.charCodeAt(0).toString(16)).slice(-4);
+		});
+	}
+
+	function phpJson(value, indent) {
+		var inner = indent + '    ';
+
+		if (Array.isArray(value)) {
+			if (!value.length) { return '[]'; }
+			return '[\n' + value.map(function (v) {
+				return inner + phpJson(v, inner);
+			}).join(',\n') + '\n' + indent + ']';
+		}
+		if (value && typeof value === 'object') {
+			var keys = Object.keys(value);
+			if (!keys.length) { return '{}'; }
+			return '{\n' + keys.map(function (k) {
+				return inner + phpString(k) + ': ' + phpJson(value[k], inner);
+			}).join(',\n') + '\n' + indent + '}';
+		}
+		return typeof value === 'string' ? phpString(value) : JSON.stringify(value);
+	}
+
+	// ── Input ────────────────────────────────────────────────────────────────
+
+	function isRecord(data) {
+		return !!data && typeof data === 'object' && !Array.isArray(data)
+			&& typeof data.document_id === 'string' && typeof data.hash_value === 'string';
+	}
+
+	function fileTime(m) {
+		return Date.UTC(+m[2], +m[3] - 1, +m[4], +m[5], +m[6], +m[7]) / 1000;
+	}
+
+	function logTime(createdAt) {
+		return Date.parse(String(createdAt).replace(' ', 'T') + 'Z') / 1000;
+	}
+
+	function formatTime(seconds) {
+		return seconds === null ? '' : new Date(seconds * 1000).toISOString().replace('T', ' ').slice(0, 19);
+	}
+
+	/**
+	 * Records in one file or pasted text: { records, unreadable }. A file
+	 * holds one record, named after its document and commit time; a JSON
+	 * array holds several, placed by their log entries.
+	 */
+	function collect(source, content, isFile) {
+		var data;
+		try {
+			data = JSON.parse(content);
+		} catch (e) {
+			return { records: [], unreadable: [{ source: source, reason: strings.notJson || 'Not valid JSON.', invalid: true }] };
+		}
+
+		if (Array.isArray(data)) {
+			return data.reduce(function (out, item, i) {
+				var label = source + ' [' + i + ']';
+				if (isRecord(item)) {
+					out.records.push({ source: label, file: '', raw: null, data: item, time: null, nameId: '' });
+				} else {
+					out.unreadable.push({ source: label, reason: strings.notRecord || 'Not an anchor record.', invalid: false });
+				}
+				return out;
+			}, { records: [], unreadable: [] });
+		}
+
+		if (!isRecord(data)) {
+			return { records: [], unreadable: [{ source: source, reason: strings.notRecord || 'Not an anchor record.', invalid: false }] };
+		}
+
+		var file = isFile ? source.split('/').pop() : '';
+		var m    = FILE_NAME.exec(file);
+		return {
+			records: [{
+				source: source,
+				file:   file,
+				raw:    content,
+				data:   data,
+				time:   m ? fileTime(m) : null,
+				nameId: m ? m[1] : ''
+			}],
+			unreadable: []
+		};
+	}
+
+	function readInputs() {
+		var input = $('#mdsm-chain-files')[0];
+		var paste = $.trim($('#mdsm-chain-paste').val());
+		var files = input && input.files && input.files.length && window.MDSMImport
+			? window.MDSMImport.expand(window.MDSMImport.fromFileList(input.files))
+			: Promise.resolve([]);
+
+		return files.then(function (items) {
+			var out = { records: [], unreadable: [] };
+
+			items.forEach(function (item) {
+				if (item.error) {
+					out.unreadable.push({ source: item.path, reason: IMPORT_ERRORS[item.error] || item.error, invalid: true });
+					return;
+				}
+				// ZIPs of a repository folder carry READMEs and the like.
+				if (!/\.json$/i.test(item.path)) { return; }
+
+				var c = collect(item.path, item.content, true);
+				out.records    = out.records.concat(c.records);
+				out.unreadable = out.unreadable.concat(c.unreadable);
+			});
+
+			if (paste) {
+				var c = collect(strings.pasted || 'Pasted JSON', paste, false);
+				out.records    = out.records.concat(c.records);
+				out.unreadable = out.unreadable.concat(c.unreadable);
+			}
+
+			// Git may check files out with CRLF line endings.
+			return Promise.all(out.records.map(function (r) {
+				return Promise.all([
+					r.raw === null ? '' : sha256Hex(r.raw.replace(/\r\n/g, '\n')),
+					sha256Hex(phpJson(r.data, ''))
+				]).then(function (hashes) {
+					r.rawSha   = hashes[0];
+					r.canonSha = hashes[1];
+				});
+			})).then(function () {
+				return out;
+			});
+		});
+	}
+
+	function fetchLog(provider) {
+		var entries = [];
+
+		function page(n) {
+			return Promise.resolve($.post(anchorData.ajaxUrl, {
+				action:   'mdsm_anchor_get_chain_log',
+				nonce:    anchorData.nonce,
+				page:     n,
+				provider: provider
+			})).then(function (response) {
+				if (!response.success) {
+					throw new Error((response.data && response.data.message) || strings.logFailed || 'The activity log could not be loaded.');
+				}
+				entries = entries.concat(response.data.entries);
+				if (n < response.data.pages) { return page(n + 1); }
+				return {
+					entries:       entries,
+					oldest:        response.data.oldest,
+					retentionDays: response.data.retention_days
+				};
+			}, function (e) {
+				throw e instanceof Error ? e : new Error(strings.requestFailed || 'Request failed.');
+			});
+		}
+
+		return page(1);
+	}
+
+	// ── Verification ─────────────────────────────────────────────────────────
+
+	function basename(path) {
+		return String(path || '').split('/').pop();
+	}
+
+	function issue(link, type, detail) {
+		link.issues.push({ type: type, detail: detail });
+	}
+
+	/**
+	 * Compare a record with the log entry it was matched to.
+	 */
+	function compare(link, r, entry) {
+		var loggedAt = logTime(entry.created_at);
+
+		if (entry.record_sha256) {
+			if (r.rawSha === entry.record_sha256) {
+				link.note = strings.identical || 'Identical to the committed record';
+			} else if (r.canonSha === entry.record_sha256) {
+				link.note = strings.reformatted || 'Same record, formatted differently';
+			} else if (r.data.hash_value !== entry.hash_value) {
+				issue(link, 'tampered', format(strings.hashDiffers || 'hash_value %1$s differs from the logged %2$s', r.data.hash_value, entry.hash_value));
+			} else {
+				issue(link, 'tampered', strings.fieldsDiffer || 'Fields other than the hash differ from the committed record');
+			}
+		} else if (r.data.hash_value !== entry.hash_value || r.data.document_id !== entry.document_id) {
+			issue(link, 'tampered', format(strings.loggedAs || 'Logged as %1$s %2$s', entry.document_id, entry.hash_value));
+		} else {
+			link.note = strings.noFullRecord || 'Document and hash match; the log holds no copy of the full record';
+		}
+
+		if (r.nameId && /^[A-Za-z0-9._-]+$/.test(r.data.document_id) && r.nameId !== r.data.document_id) {
+			issue(link, 'tampered', format(strings.nameMismatch || 'The file name is for %1$s but the record is for %2$s', r.nameId, r.data.document_id));
+		}
+		if (r.file && entry.path && basename(entry.path) !== r.file) {
+			issue(link, 'reordered', format(strings.committedAs || 'Committed as %s', basename(entry.path)));
+		} else if (r.time !== null && Math.abs(r.time - loggedAt) > TIME_TOLERANCE) {
+			issue(link, 'reordered', format(strings.namedFor || 'Named for %1$s but anchored %2$s', formatTime(r.time), formatTime(loggedAt)));
+		}
+	}
+
+	function buildReport(input, log, provider) {
+		var byName = {}, bySha = {}, byDocHash = {}, matched = {};
+		var oldest = log.oldest ? logTime(log.oldest) : null;
+		var seen   = {};
+		var links  = [];
+		var newest = null;
+
+		log.entries.forEach(function (entry) {
+			if (entry.path) { byName[basename(entry.path)] = entry; }
+			if (entry.record_sha256) { bySha[entry.record_sha256] = entry; }
+			var key = entry.document_id + '\n' + entry.hash_value;
+			(byDocHash[key] = byDocHash[key] || []).push(entry);
+		});
+
+		input.records.forEach(function (r) {
+			var link = {
+				document_id:    r.data.document_id,
+				source:         r.source,
+				time:           r.time,
+				hash_algorithm: r.data.hash_algorithm || '',
+				hash_value:     r.data.hash_value,
+				log_id:         null,
+				logged_at:      '',
+				commit_sha:     '',
+				note:           '',
+				issues:         []
+			};
+			links.push(link);
+
+			// The same file picked twice (on its own and inside a ZIP) or pasted
+			// as well. Records hold no time, so differently named files may match.
+			var twin = (seen[r.canonSha] || []).filter(function (other) {
+				return other.file === r.file || !other.file || !r.file;
+			})[0];
+			if (twin) {
+				issue(link, 'duplicate', format(strings.sameAs || 'Same record as %s', twin.source));
+				return;
+			}
+			(seen[r.canonSha] = seen[r.canonSha] || []).push(r);
+
+			var entry = (r.file && byName[r.file]) || bySha[r.rawSha] || bySha[r.canonSha] || null;
+			if (!entry) {
+				// Older rows kept neither the path nor the record: the closest unmatched
+				// entry for the same document and hash.
+				entry = (byDocHash[r.data.document_id + '\n' + r.data.hash_value] || []).filter(function (e) {
+					return !matched[e.id] && !e.path;
+				}).sort(function (a, b) {
+					return r.time === null ? 0 : Math.abs(logTime(a.created_at) - r.time) - Math.abs(logTime(b.created_at) - r.time);
+				})[0] || null;
+			}
+
+			if (!entry) {
+				if (r.time !== null && oldest !== null && r.time < oldest - TIME_TOLERANCE) {
+					issue(link, 'unchecked', format(strings.beforeLog || 'Older than the oldest activity log entry (%s UTC)', log.oldest));
+				} else {
+					issue(link, 'unlogged', strings.noRecord || 'This site has no record of anchoring it');
+				}
+			} else {
+				matched[entry.id]  = true;
+				link.log_id        = entry.id;
+				link.logged_at     = entry.created_at;
+				link.commit_sha    = entry.commit_sha;
+				link.time          = link.time !== null ? link.time : logTime(entry.created_at);
+				compare(link, r, entry);
+			}
+
+			if (link.time !== null && (newest === null || link.time > newest)) { newest = link.time; }
+		});
+
+		// Pasted records alone are checked against their own documents only;
+		// a folder upload against every logged document.
+		var docs = {};
+		var scoped = !input.records.some(function (r) { return r.file; });
+		input.records.forEach(function (r) { docs[r.data.document_id] = true; });
+
+		log.entries.forEach(function (entry) {
+			if (matched[entry.id] || (scoped && !docs[entry.document_id])) { return; }
+			var time = logTime(entry.created_at);
+			var link = {
+				document_id:    entry.document_id,
+				source:         entry.path ? basename(entry.path) : '',
+				time:           time,
+				hash_algorithm: entry.hash_algorithm,
+				hash_value:     entry.hash_value,
+				log_id:         entry.id,
+				logged_at:      entry.created_at,
+				commit_sha:     entry.commit_sha,
+				note:           '',
+				issues:         []
+			};
+			if (newest !== null && time > newest + TIME_TOLERANCE) {
+				issue(link, 'newer', strings.afterUpload || 'Anchored after the newest uploaded record');
+			} else {
+				issue(link, 'missing', format(strings.notUploaded || 'Anchored %1$s UTC (%2$s) but not in the upload', entry.created_at, entry.provider));
+			}
+			links.push(link);
+		});
+
+		return {
+			report:       'ArchivioMD anchor chain verification',
+			site:         window.location.host,
+			generated_at: new Date().toISOString(),
+			provider:     provider || 'github, gitlab',
+			log:          { entries: log.entries.length, oldest: log.oldest, retention_days: log.retentionDays },
+			summary:      {},
+			documents:    chains(links),
+			unreadable:   input.unreadable
+		};
+	}
+
+	/**
+	 * Group links by document and order each chain by commit time, then
+	 * check the log agrees with that order.
+	 */
+	function chains(links) {
+		var docs = {};
+
+		links.forEach(function (link) {
+			(docs[link.document_id] = docs[link.document_id] || []).push(link);
+		});
+
+		return Object.keys(docs).sort().map(function (id) {
+			var chain     = docs[id].filter(function (l) { return !l.issues.length || l.issues[0].type !== 'duplicate'; });
+			var extra     = docs[id].filter(function (l) { return chain.indexOf(l) === -1; });
+			var lastLogId = 0;
+			var previous  = null;
+
+			chain.sort(function (a, b) {
+				return (a.time === null ? Infinity : a.time) - (b.time === null ? Infinity : b.time)
+					|| (a.log_id || 0) - (b.log_id || 0);
+			});
+
+			chain.forEach(function (link, i) {
+				link.position      = i + 1;
+				link.hash_changed  = !!previous && previous.hash_value !== link.hash_value;
+				link.previous_hash = previous ? previous.hash_value : '';
+
+				if (link.log_id) {
+					if (link.log_id < lastLogId && !link.issues.length) {
+						issue(link, 'reordered', strings.outOfSequence || 'Anchored before the record it follows');
+					}
+					lastLogId = Math.max(lastLogId, link.log_id);
+				}
+				previous = link;
+			});
+
+			chain.concat(extra).forEach(function (link) {
+				link.status = link.issues.length ? link.issues[0].type : 'verified';
+				link.time   = formatTime(link.time);
+			});
+
+			var status = 'unchecked';
+			if (chain.some(function (l) { return STATUS[l.status].severity === 'fail'; })) {
+				status = 'problems';
+			} else if (chain.some(function (l) { return l.status === 'verified'; })) {
+				status = 'ok';
+			}
+
+			return { document_id: id, status: status, links: chain.concat(extra) };
+		});
+	}
+
+	function summarize(result) {
+		var summary = { records: 0, documents: result.documents.length };
+
+		Object.keys(STATUS).forEach(function (status) { summary[status] = 0; });
+		result.documents.forEach(function (doc) {
+			doc.links.forEach(function (link) {
+				summary[link.status]++;
+				if (link.status !== 'missing' && link.status !== 'newer') { summary.records++; }
+			});
+		});
+		// Unreadable .json files may be damaged records; other JSON is just not ours.
+		summary.invalid = result.unreadable.filter(function (u) { return u.invalid; }).length;
+
+		result.summary = summary;
+		return result;
+	}
+
+	// ── Rendering ────────────────────────────────────────────────────────────
+
+	function statusHtml(link) {
+		var s    = STATUS[link.status];
+		var html = '<span class="mdsm-chain-status is-' + s.severity + '">' + escHtml(s.label) + '</span>';
+
+		link.issues.forEach(function (i) {
+			html += '<br><small>' + (i.type !== link.status ? escHtml(STATUS[i.type].label) + ': ' : '') + escHtml(i.detail) + '</small>';
+		});
+		if (link.note) { html += '<br><small>' + escHtml(link.note) + '</small>'; }
+		return html;
+	}
+
+	function render(result) {
+		var s        = result.summary;
+		var problems = s.tampered + s.reordered + s.missing + s.unlogged + s.invalid;
+		var html     = '<p><strong class="' + (problems ? 'mdsm-log-verify-fail' : 'mdsm-log-verify-ok') + '">'
+			+ (problems
+				? '\u2718 ' + escHtml(format(problems === 1 ? strings.problem || '%d problem found' : strings.problems || '%d problems found', problems))
+				: '\u2714 ' + escHtml(strings.intact || 'Chain intact: every record matches the activity log'))
+			+ '</strong></p>';
+
+		html += '<ul class="mdsm-chain-summary">'
+			+ '<li>' + escHtml(format(strings.counts || '%1$d records, %2$d documents', s.records, s.documents)) + '</li>';
+		Object.keys(STATUS).forEach(function (status) {
+			if (s[status]) {
+				html += '<li class="is-' + STATUS[status].severity + '">' + escHtml(STATUS[status].label) + ': <strong>' + s[status] + '</strong></li>';
+			}
+		});
+		html += '</ul>';
+
+		result.documents.forEach(function (doc) {
+			var mark = { problems: '\u2718 ', ok: '\u2714 ', unchecked: '\u2013 ' }[doc.status];
+			html += '<details class="mdsm-chain-doc is-' + doc.status + '"' + (doc.status === 'problems' ? ' open' : '') + '>'
+				+ '<summary>' + mark + code(doc.document_id)
+				+ ' \u2014 ' + escHtml(format(doc.links.length === 1 ? strings.record || '%d record' : strings.records || '%d records', doc.links.length)) + '</summary>'
+				+ '<table class="widefat striped mdsm-chain-table"><thead><tr>'
+				+ '<th>#</th><th>' + escHtml(strings.colTime || 'Time (UTC)') + '</th><th>' + escHtml(strings.colFile || 'File')
+				+ '</th><th>' + escHtml(strings.colHash || 'Hash') + '</th><th>' + escHtml(strings.colLog || 'Log entry')
+				+ '</th><th>' + escHtml(strings.colStatus || 'Status') + '</th>'
+				+ '</tr></thead><tbody>';
+
+			doc.links.forEach(function (link) {
+				html += '<tr class="is-' + STATUS[link.status].severity + '">'
+					+ '<td>' + (link.position || '') + '</td>'
+					+ '<td>' + escHtml(link.time) + '</td>'
+					+ '<td>' + escHtml(link.source) + '</td>'
+					+ '<td>' + code(link.hash_value) + '<br><small>' + escHtml(String(link.hash_algorithm).toUpperCase())
+						+ (link.hash_changed ? ' \u00B7 ' + escHtml(format(strings.changedFrom || 'changed from %s', link.previous_hash.substr(0, 12) + '\u2026')) : '') + '</small></td>'
+					+ '<td>' + (link.log_id ? '#' + escHtml(link.log_id) + '<br><small>' + escHtml(link.logged_at) + '</small>' : '\u2014') + '</td>'
+					+ '<td>' + statusHtml(link) + '</td>'
+					+ '</tr>';
+			});
+			html += '</tbody></table></details>';
+		});
+
+		if (result.unreadable.length) {
+			html += '<h4>' + escHtml(strings.skipped || 'Skipped files') + '</h4><ul class="mdsm-chain-skipped">';
+			result.unreadable.forEach(function (u) {
+				html += '<li>' + code(u.source) + ' ' + escHtml(u.reason) + '</li>';
+			});
+			html += '</ul>';
+		}
+
+		$('#mdsm-chain-result').html(html);
+	}
+
+	// ── Actions ──────────────────────────────────────────────────────────────
+
+	function verify() {
+		var $btn     = $('#mdsm-chain-verify');
+		var provider = $('#mdsm-chain-provider').val();
+
+		$btn.prop('disabled', true).text(strings.verifying || 'Verifying\u2026');
+		$('#mdsm-chain-export').prop('disabled', true);
+		$('#mdsm-chain-result').empty();
+		showFeedback(strings.reading || 'Reading records and loading the activity log\u2026', 'info');
+		report = null;
+
+		readInputs().then(function (input) {
+			if (!input.records.length) {
+				throw new Error(input.unreadable.length
+					? format(strings.noRecords || 'No anchor records found: %1$s: %2$s', input.unreadable[0].source, input.unreadable[0].reason)
+					: strings.nothingGiven || 'Pick the anchor files or a ZIP of the anchor folder, or paste records, first.');
+			}
+			return fetchLog(provider).then(function (log) {
+				return summarize(buildReport(input, log, provider));
+			});
+		}).then(function (result) {
+			report = result;
+			$('#mdsm-chain-feedback').hide();
+			$('#mdsm-chain-export').prop('disabled', false);
+			render(result);
+		}, function (e) {
+			showFeedback(e.message, 'error');
+		}).then(function () {
+			$btn.prop('disabled', false).text(strings.verify || 'Verify Chain');
+		});
+	}
+
+	function exportReport() {
+		if (!report) { return; }
+		var blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+		var url  = URL.createObjectURL(blob);
+		var link = document.createElement('a');
+		link.href     = url;
+		link.download = 'archiviomd-chain-' + report.generated_at.slice(0, 10) + '.json';
+		document.body.appendChild(link);
+		link.click();
+		document.body.removeChild(link);
+		setTimeout(function () { URL.revokeObjectURL(url); }, 1000);
+	}
+
+	$(document).on('click', '#mdsm-chain-verify', verify);
+	$(document).on('click', '#mdsm-chain-export', exportReport);
+
+	$(function () {
+		if ($('#mdsm-chain-card').length && !window.MDSMImport) {
+			$('#mdsm-chain-files').prop('disabled', true);
+		}
+	});
+
+}(jQuery));
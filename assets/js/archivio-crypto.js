@@ -0,0 +1,566 @@
+/**
+ * ArchivioMD Browser Crypto Primitives
+ *
+ * Dependency-free hashing and signature helpers shared by the in-browser
+ * verifiers.  SHA-1/SHA-2 and (where supported) Ed25519 go through
+ * WebCrypto; BLAKE2b, BLAKE3 and an Ed25519 fallback (for WebCrypto
+ * without native Ed25519) are bundled here as pure JavaScript so
+ * verification never depends on a third-party CDN.
+ *
+ * Exposed as window.ArchivioCrypto.  Every async helper returns a Promise.
+ *
+ * @package ArchivioMD
+ * @since   1.18.0
+ */
+/* global BigInt */
+(function (root) {
+	'use strict';
+
+	var subtle = root.crypto && root.crypto.subtle;
+	var NO_SUBTLE = 'WebCrypto is unavailable (the page must be served over HTTPS).';
+
+	// ── Byte helpers ───────────────────────────────────────────────────────────
+
+	function utf8(str) {
+		return new TextEncoder().encode(String(str));
+	}
+
+	function toHex(bytes) {
+		var out = '';
+		for (var i = 0; i < bytes.length; i++) {
+			out += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+		}
+		return out;
+	}
+
+	function fromHex(hex) {
+		hex = String(hex).replace(/[^0-9a-f]/gi, '');
+		if (hex.length % 2) { throw new Error('Odd-length hex string'); }
+		var out = new Uint8Array(hex.length / 2);
+		for (var i = 0; i < out.length; i++) {
+			out[i] = parseInt(hex.substr(i * 2, 2), 16);
+		}
+		return out;
+	}
+
+	function fromBase64(b64) {
+		// Accept both standard and URL-safe alphabets, with or without padding.
+		var clean = String(b64).replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/');
+		while (clean.length % 4) { clean += '='; }
+		var bin = root.atob(clean);
+		var out = new Uint8Array(bin.length);
+		for (var i = 0; i < bin.length; i++) {
+			out[i] = bin.charCodeAt(i);
+		}
+		return out;
+	}
+
+	function toBase64(bytes) {
+		var bin = '';
+		for (var i = 0; i < bytes.length; i++) {
+			bin += String.fromCharCode(bytes[i]);
+		}
+		return root.btoa(bin);
+	}
+
+	function concat() {
+		var total = 0, i;
+		for (i = 0; i < arguments.length; i++) { total += arguments[i].length; }
+		var out = new Uint8Array(total), pos = 0;
+		for (i = 0; i < arguments.length; i++) {
+			out.set(arguments[i], pos);
+			pos += arguments[i].length;
+		}
+		return out;
+	}
+
+	function equalBytes(a, b) {
+		if (a.length !== b.length) { return false; }
+		var diff = 0;
+		for (var i = 0; i < a.length; i++) { diff |= a[i] ^ b[i]; }
+		return diff === 0;
+	}
+
+	// ── BLAKE2b-512 (RFC 7693) ─────────────────────────────────────────────────
+	// 64-bit words are held as little-endian pairs of 32-bit halves.
+
+	var B2B_IV32 = new Uint32Array([
+		0xF3BCC908, 0x6A09E667, 0x84CAA73B, 0xBB67AE85,
+		0xFE94F82B, 0x3C6EF372, 0x5F1D36F1, 0xA54FF53A,
+		0xADE682D1, 0x510E527F, 0x2B3E6C1F, 0x9B05688C,
+		0xFB41BD6B, 0x1F83D9AB, 0x137E2179, 0x5BE0CD19
+	]);
+
+	var B2B_SIGMA = [
+		0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+		14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3,
+		11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4,
+		7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8,
+		9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13,
+		2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9,
+		12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11,
+		13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10,
+		6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5,
+		10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0,
+		0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+		14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3
+	].map(function (x) { return x * 2; });
+
+	function b2bAdd(v, a, b) {
+		var lo = v[a] + v[b];
+		var hi = v[a + 1] + v[b + 1];
+		if (lo >= 0x100000000) { hi++; }
+		v[a]     = lo;
+		v[a + 1] = hi;
+	}
+
+	function b2bAddConst(v, a, lo0, hi0) {
+		var lo = v[a] + lo0;
+		var hi = v[a + 1] + hi0;
+		if (lo >= 0x100000000) { hi++; }
+		v[a]     = lo;
+		v[a + 1] = hi;
+	}
+
+	function b2bG(v, m, a, b, c, d, ix, iy) {
+		var x0 = m[ix], x1 = m[ix + 1], y0 = m[iy], y1 = m[iy + 1];
+		var t0, t1;
+
+		b2bAdd(v, a, b);
+		b2bAddConst(v, a, x0, x1);
+		t0 = v[d] ^ v[a]; t1 = v[d + 1] ^ v[a + 1];
+		v[d] = t1; v[d + 1] = t0;                                  // rotr 32
+
+		b2bAdd(v, c, d);
+		t0 = v[b] ^ v[c]; t1 = v[b + 1] ^ v[c + 1];
+		v[b]     = (t0 >>> 24) ^ (t1 << 8);                         // rotr 24
+		v[b + 1] = (t1 >>> 24) ^ (t0 << 8);
+
+		b2bAdd(v, a, b);
+		b2bAddConst(v, a, y0, y1);
+		t0 = v[d] ^ v[a]; t1 = v[d + 1] ^ v[a + 1];
+		v[d]     = (t0 >>> 16) ^ (t1 << 16);                        // rotr 16
+		v[d + 1] = (t1 >>> 16) ^ (t0 << 16);
+
+		b2bAdd(v, c, d);
+		t0 = v[b] ^ v[c]; t1 = v[b + 1] ^ v[c + 1];
+		v[b]     = (t1 >>> 31) ^ (t0 << 1);                         // rotr 63
+		v[b + 1] = (t0 >>> 31) ^ (t1 << 1);
+	}
+
+	function b2bCompress(h, block, t, last) {
+		var v = new Uint32Array(32);
+		var m = new Uint32Array(32);
+		var i;
+
+		for (i = 0; i < 16; i++) {
+			v[i]      = h[i];
+			v[i + 16] = B2B_IV32[i];
+		}
+		v[24] ^= t >>> 0;
+		v[25] ^= Math.floor(t / 0x100000000);
+		if (last) {
+			v[28] = ~v[28];
+			v[29] = ~v[29];
+		}
+		for (i = 0; i < 32; i++) {
+			m[i] = block[4 * i] ^ (block[4 * i + 1] << 8) ^ (block[4 * i + 2] << 16) ^ (block[4 * i + 3] << 24);
+		}
+		for (i = 0; i < 12; i++) {
+			var s = i * 16;
+			b2bG(v, m, 0, 8, 16, 24, B2B_SIGMA[s],      B2B_SIGMA[s + 1]);
+			b2bG(v, m, 2, 10, 18, 26, B2B_SIGMA[s + 2],  B2B_SIGMA[s + 3]);
+			b2bG(v, m, 4, 12, 20, 28, B2B_SIGMA[s + 4],  B2B_SIGMA[s + 5]);
+			b2bG(v, m, 6, 14, 22, 30, B2B_SIGMA[s + 6],  B2B_SIGMA[s + 7]);
+			b2bG(v, m, 0, 10, 20, 30, B2B_SIGMA[s + 8],  B2B_SIGMA[s + 9]);
+			b2bG(v, m, 2, 12, 22, 24, B2B_SIGMA[s + 10], B2B_SIGMA[s + 11]);
+			b2bG(v, m, 4, 14, 16, 26, B2B_SIGMA[s + 12], B2B_SIGMA[s + 13]);
+			b2bG(v, m, 6, 8, 18, 28, B2B_SIGMA[s + 14],  B2B_SIGMA[s + 15]);
+		}
+		for (i = 0; i < 16; i++) {
+			h[i] = h[i] ^ v[i] ^ v[i + 16];
+		}
+	}
+
+	/**
+	 * BLAKE2b, unkeyed.  Matches PHP hash('blake2b512') at the default 64-byte output.
+	 *
+	 * @param  {Uint8Array} input
+	 * @param  {number}     [outLen=64]
+	 * @return {Uint8Array}
+	 */
+	function blake2b(input, outLen) {
+		outLen = outLen || 64;
+		var h = new Uint32Array(B2B_IV32);
+		h[0] ^= 0x01010000 ^ outLen;
+
+		var block = new Uint8Array(128);
+		var pos   = 0;
+
+		// Every full block except the final one is compressed as non-last.
+		while (input.length - pos > 128) {
+			b2bCompress(h, input.subarray(pos, pos + 128), pos + 128, false);
+			pos += 128;
+		}
+		block.set(input.subarray(pos));
+		b2bCompress(h, block, input.length, true);
+
+		var out = new Uint8Array(outLen);
+		for (var i = 0; i < outLen; i++) {
+			out[i] = h[i >> 2] >>> (8 * (i & 3));
+		}
+		return out;
+	}
+
+	// ── BLAKE3-256 ─────────────────────────────────────────────────────────────
+
+	var B3_IV = new Uint32Array([
+		0x6A09E667, 0xBB67AE85, 0x3C6EF372, 0xA54FF53A,
+		0x510E527F, 0x9B05688C, 0x1F83D9AB, 0x5BE0CD19
+	]);
+	var B3_PERM        = [2, 6, 3, 10, 7, 0, 4, 13, 1, 11, 12, 5, 9, 14, 15, 8];
+	var B3_CHUNK_START = 1;
+	var B3_CHUNK_END   = 2;
+	var B3_PARENT      = 4;
+	var B3_ROOT        = 8;
+	var B3_CHUNK_LEN   = 1024;
+
+	function rotr32(x, n) {
+		return (x >>> n) | (x << (32 - n));
+	}
+
+	function b3G(s, a, b, c, d, x, y) {
+		s[a] = (s[a] + s[b] + x) | 0;
+		s[d] = rotr32(s[d] ^ s[a], 16);
+		s[c] = (s[c] + s[d]) | 0;
+		s[b] = rotr32(s[b] ^ s[c], 12);
+		s[a] = (s[a] + s[b] + y) | 0;
+		s[d] = rotr32(s[d] ^ s[a], 8);
+		s[c] = (s[c] + s[d]) | 0;
+		s[b] = rotr32(s[b] ^ s[c], 7);
+	}
+
+	function b3Compress(cv, words, counter, blockLen, flags) {
+		var s = new Uint32Array([
+			cv[0], cv[1], cv[2], cv[3], cv[4], cv[5], cv[6], cv[7],
+			B3_IV[0], B3_IV[1], B3_IV[2], B3_IV[3],
+			counter >>> 0, Math.floor(counter / 0x100000000), blockLen, flags
+		]);
+		var m = new Uint32Array(words);
+		var i, r;
+
+		for (r = 0; r < 7; r++) {
+			b3G(s, 0, 4, 8, 12, m[0], m[1]);
+			b3G(s, 1, 5, 9, 13, m[2], m[3]);
+			b3G(s, 2, 6, 10, 14, m[4], m[5]);
+			b3G(s, 3, 7, 11, 15, m[6], m[7]);
+			b3G(s, 0, 5, 10, 15, m[8], m[9]);
+			b3G(s, 1, 6, 11, 12, m[10], m[11]);
+			b3G(s, 2, 7, 8, 13, m[12], m[13]);
+			b3G(s, 3, 4, 9, 14, m[14], m[15]);
+			if (r < 6) {
+				var permuted = new Uint32Array(16);
+				for (i = 0; i < 16; i++) { permuted[i] = m[B3_PERM[i]]; }
+				m = permuted;
+			}
+		}
+		for (i = 0; i < 8; i++) {
+			s[i]     ^= s[i + 8];
+			s[i + 8] ^= cv[i];
+		}
+		return s;
+	}
+
+	function b3Words(bytes) {
+		var block = new Uint8Array(64);
+		block.set(bytes);
+		var w = new Uint32Array(16);
+		for (var i = 0; i < 16; i++) {
+			w[i] = block[4 * i] | (block[4 * i + 1] << 8) | (block[4 * i + 2] << 16) | (block[4 * i + 3] << 24);
+		}
+		return w;
+	}
+
+	// An "output" is the last compression of a node, kept un-run so the
+	// caller can choose between a chaining value and root output.
+	function b3ChunkOutput(input, start, end, chunkIndex) {
+		var cv    = new Uint32Array(B3_IV);
+		var pos   = start;
+		var first = true;
+
+		while (end - pos > 64) {
+			cv = b3Compress(cv, b3Words(input.subarray(pos, pos + 64)), chunkIndex, 64,
+				first ? B3_CHUNK_START : 0).subarray(0, 8);
+			first = false;
+			pos  += 64;
+		}
+		return {
+			cv:       cv,
+			words:    b3Words(input.subarray(pos, end)),
+			counter:  chunkIndex,
+			blockLen: end - pos,
+			flags:    (first ? B3_CHUNK_START : 0) | B3_CHUNK_END
+		};
+	}
+
+	function b3ParentOutput(left, right) {
+		var words = new Uint32Array(16);
+		words.set(left);
+		words.set(right, 8);
+		return { cv: B3_IV, words: words, counter: 0, blockLen: 64, flags: B3_PARENT };
+	}
+
+	function b3ChainingValue(out) {
+		return b3Compress(out.cv, out.words, out.counter, out.blockLen, out.flags).subarray(0, 8);
+	}
+
+	/**
+	 * BLAKE3 with a 32-byte output (the default, as in hash('blake3')).
+	 *
+	 * @param  {Uint8Array} input
+	 * @return {Uint8Array}
+	 */
+	function blake3(input) {
+		var chunks = Math.max(1, Math.ceil(input.length / B3_CHUNK_LEN));
+		var stack  = [];
+		var c, out;
+
+		for (c = 0; c < chunks - 1; c++) {
+			var cv    = b3ChainingValue(b3ChunkOutput(input, c * B3_CHUNK_LEN, (c + 1) * B3_CHUNK_LEN, c));
+			var total = c + 1;
+			// Merge completed subtrees: one merge per trailing zero bit.
+			while ((total & 1) === 0) {
+				cv = b3ChainingValue(b3ParentOutput(stack.pop(), cv));
+				total >>= 1;
+			}
+			stack.push(cv);
+		}
+
+		out = b3ChunkOutput(input, (chunks - 1) * B3_CHUNK_LEN, input.length, chunks - 1);
+		while (stack.length) {
+			out = b3ParentOutput(stack.pop(), b3ChainingValue(out));
+		}
+
+		var words = b3Compress(out.cv, out.words, 0, out.blockLen, out.flags | B3_ROOT);
+		var bytes = new Uint8Array(32);
+		for (var i = 0; i < 32; i++) {
+			bytes[i] = words[i >> 2] >>> (8 * (i & 3));
+		}
+		return bytes;
+	}
+
+	// ── Digest dispatcher ──────────────────────────────────────────────────────
+
+	var SUBTLE_ALGOS = {
+		sha1:   'SHA-1',
+		sha256: 'SHA-256',
+		sha384: 'SHA-384',
+		sha512: 'SHA-512'
+	};
+
+	/**
+	 * Algorithms this module can recompute, keyed by the plugin's algorithm ids
+	 * (see MDSM_Hash_Helper::allowed_algorithms()).
+	 */
+	function supportedAlgorithms() {
+		return ['sha1', 'sha256', 'sha256d', 'sha384', 'sha512', 'blake2b', 'blake3'];
+	}
+
+	function isSupported(algorithm) {
+		return supportedAlgorithms().indexOf(algorithm) !== -1;
+	}
+
+	/**
+	 * Hash bytes with one of the plugin's algorithm ids.
+	 *
+	 * @param  {string}     algorithm  e.g. 'sha256', 'blake2b', 'blake3'
+	 * @param  {Uint8Array} bytes
+	 * @return {Promise<Uint8Array>}
+	 */
+	function digest(algorithm, bytes) {
+		if (SUBTLE_ALGOS[algorithm]) {
+			if (!subtle) {
+				return Promise.reject(new Error(NO_SUBTLE));
+			}
+			return subtle.digest(SUBTLE_ALGOS[algorithm], bytes).then(function (buf) {
+				return new Uint8Array(buf);
+			});
+		}
+		if (algorithm === 'sha256d') {
+			return digest('sha256', bytes).then(function (first) {
+				return digest('sha256', first);
+			});
+		}
+		if (algorithm === 'blake2b') {
+			return Promise.resolve(blake2b(bytes, 64));
+		}
+		if (algorithm === 'blake3') {
+			return Promise.resolve(blake3(bytes));
+		}
+		return Promise.reject(new Error('Unsupported algorithm: ' + algorithm));
+	}
+
+	function digestHex(algorithm, bytes) {
+		return digest(algorithm, bytes).then(toHex);
+	}
+
+	// ── Ed25519 verification (RFC 8032) ───────────────────────────────────────
+	// WebCrypto first; BigInt fallback for browsers without native Ed25519.
+	// The fallback still hashes with WebCrypto SHA-512, so neither path works
+	// without WebCrypto.
+
+	var ed = null;
+
+	function edConstants() {
+		if (ed) { return ed; }
+		var P = BigInt(2) ** BigInt(255) - BigInt(19);
+		ed = {
+			P:  P,
+			L:  BigInt(2) ** BigInt(252) + BigInt('27742317777372353535851937790883648493'),
+			D:  mod(BigInt(-121665) * modPow(BigInt(121666), P - BigInt(2), P), P),
+			I:  modPow(BigInt(2), (P - BigInt(1)) / BigInt(4), P),
+			Bx: BigInt('15112221349535400772501151409588531511454012693041857206046113283949847762202'),
+			By: BigInt('46316835694926478169428394003475163141307993866256225615783033603165251855960')
+		};
+		ed.D2 = mod(ed.D * BigInt(2), P);
+		ed.B  = [ed.Bx, ed.By, BigInt(1), mod(ed.Bx * ed.By, P)];
+		return ed;
+	}
+
+	function mod(a, m) {
+		var r = a % m;
+		return r < BigInt(0) ? r + m : r;
+	}
+
+	function modPow(base, exp, m) {
+		var result = BigInt(1);
+		base = mod(base, m);
+		while (exp > BigInt(0)) {
+			if (exp & BigInt(1)) { result = (result * base) % m; }
+			base = (base * base) % m;
+			exp >>= BigInt(1);
+		}
+		return result;
+	}
+
+	function bytesToBigLE(bytes) {
+		var n = BigInt(0);
+		for (var i = bytes.length - 1; i >= 0; i--) {
+			n = (n << BigInt(8)) + BigInt(bytes[i]);
+		}
+		return n;
+	}
+
+	// Extended twisted Edwards coordinates [X, Y, Z, T]; complete addition (a = -1).
+	function edAdd(p, q) {
+		var P = ed.P;
+		var a = mod((p[1] - p[0]) * (q[1] - q[0]), P);
+		var b = mod((p[1] + p[0]) * (q[1] + q[0]), P);
+		var c = mod(p[3] * ed.D2 * q[3], P);
+		var d = mod(p[2] * BigInt(2) * q[2], P);
+		var e = b - a, f = d - c, g = d + c, h = b + a;
+		return [mod(e * f, P), mod(g * h, P), mod(f * g, P), mod(e * h, P)];
+	}
+
+	function edMul(point, scalar) {
+		var result = [BigInt(0), BigInt(1), BigInt(1), BigInt(0)];
+		var addend = point;
+		while (scalar > BigInt(0)) {
+			if (scalar & BigInt(1)) { result = edAdd(result, addend); }
+			addend = edAdd(addend, addend);
+			scalar >>= BigInt(1);
+		}
+		return result;
+	}
+
+	function edDecode(bytes) {
+		var P    = ed.P;
+		var copy = new Uint8Array(bytes);
+		var sign = copy[31] >> 7;
+		copy[31] &= 0x7f;
+		var y = bytesToBigLE(copy);
+		if (y >= P) { return null; }
+
+		var y2 = mod(y * y, P);
+		var u  = mod(y2 - BigInt(1), P);
+		var v  = mod(ed.D * y2 + BigInt(1), P);
+		var v3 = mod(v * v * v, P);
+		var x  = mod(u * v3 * modPow(u * v3 * v3 * v, (P - BigInt(5)) / BigInt(8), P), P);
+		var vx2 = mod(v * x * x, P);
+
+		if (vx2 !== u) {
+			if (vx2 !== mod(-u, P)) { return null; }
+			x = mod(x * ed.I, P);
+		}
+		if (x === BigInt(0) && sign) { return null; }
+		if (Number(x & BigInt(1)) !== sign) { x = P - x; }
+		return [x, y, BigInt(1), mod(x * y, P)];
+	}
+
+	function edEquals(p, q) {
+		var P = ed.P;
+		return mod(p[0] * q[2] - q[0] * p[2], P) === BigInt(0) &&
+			mod(p[1] * q[2] - q[1] * p[2], P) === BigInt(0);
+	}
+
+	function ed25519VerifyFallback(publicKey, signature, message) {
+		if (typeof BigInt === 'undefined') {
+			return Promise.reject(new Error('This browser supports neither WebCrypto Ed25519 nor BigInt.'));
+		}
+		edConstants();
+		var A = edDecode(publicKey);
+		var R = edDecode(signature.subarray(0, 32));
+		var S = bytesToBigLE(signature.subarray(32, 64));
+		if (!A || !R || S >= ed.L) {
+			return Promise.resolve(false);
+		}
+		return digest('sha512', concat(signature.subarray(0, 32), publicKey, message)).then(function (h) {
+			var k = mod(bytesToBigLE(h), ed.L);
+			return edEquals(edMul(ed.B, S), edAdd(R, edMul(A, k)));
+		});
+	}
+
+	/**
+	 * Verify a detached Ed25519 signature.
+	 *
+	 * @param  {Uint8Array} publicKey  32 bytes
+	 * @param  {Uint8Array} signature  64 bytes
+	 * @param  {Uint8Array} message
+	 * @return {Promise<boolean>}  Rejects when WebCrypto is unavailable.
+	 */
+	function ed25519Verify(publicKey, signature, message) {
+		if (publicKey.length !== 32 || signature.length !== 64) {
+			return Promise.resolve(false);
+		}
+		if (!subtle) {
+			return Promise.reject(new Error(NO_SUBTLE));
+		}
+		return subtle.importKey('raw', publicKey, { name: 'Ed25519' }, false, ['verify'])
+			.then(function (key) {
+				return subtle.verify({ name: 'Ed25519' }, key, signature, message);
+			})
+			.catch(function () {
+				return ed25519VerifyFallback(publicKey, signature, message);
+			});
+	}
+
+	// ── Public surface ─────────────────────────────────────────────────────────
+
+	root.ArchivioCrypto = {
+		utf8:                utf8,
+		toHex:               toHex,
+		fromHex:             fromHex,
+		fromBase64:          fromBase64,
+		toBase64:            toBase64,
+		concat:              concat,
+		equalBytes:          equalBytes,
+		blake2b:             blake2b,
+		blake3:              blake3,
+		digest:              digest,
+		digestHex:           digestHex,
+		isSupported:         isSupported,
+		supportedAlgorithms: supportedAlgorithms,
+		ed25519Verify:       ed25519Verify
+	};
+
+})(window);
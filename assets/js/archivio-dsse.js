@@ -0,0 +1,524 @@
+/**
+ * ArchivioMD Browser DSSE Verifier
+ *
+ * Verifies Dead Simple Signing Envelopes produced by the Ed25519, ECDSA
+ * P-256 and RSA signing modules without a server round-trip.  The PAE is
+ * rebuilt from the decoded payload exactly as the PHP sign_dsse() methods
+ * build it, and each signatures[] entry is checked with WebCrypto against
+ * the keys published under /.well-known/.
+ *
+ * Key material is accepted as the text those endpoints serve: a PEM
+ * certificate (ecdsa-cert.pem), a PEM SubjectPublicKeyInfo behind "#"
+ * comment lines (rsa-pubkey.pem), or a hex Ed25519 key line
+ * (ed25519-pubkey.txt).  SLH-DSA entries are reported as unsupported.
+ *
+ * Exposed as window.ArchivioDSSE.  Requires window.ArchivioCrypto.
+ *
+ * @package ArchivioMD
+ * @since   1.18.0
+ */
+(function (root) {
+	'use strict';
+
+	var AC     = root.ArchivioCrypto;
+	var subtle = root.crypto && root.crypto.subtle;
+
+	// Algorithm OIDs, DER-encoded content bytes.
+	var OID_EC_PUBLIC_KEY = '2a8648ce3d0201';
+	var OID_P256          = '2a8648ce3d030107';
+	var OID_RSA           = '2a864886f70d010101';
+	var OID_ED25519       = '2b6570';
+
+	// ── DSSE ───────────────────────────────────────────────────────────────────
+
+	/**
+	 * Pre-Authentication Encoding per DSSE §3, over raw payload bytes.
+	 *
+	 * @param  {string}     payloadType
+	 * @param  {Uint8Array} payload
+	 * @return {Uint8Array}
+	 */
+	function pae(payloadType, payload) {
+		var typeBytes = AC.utf8(payloadType);
+		return AC.concat(
+			AC.utf8('DSSEv1 ' + typeBytes.length + ' '),
+			typeBytes,
+			AC.utf8(' ' + payload.length + ' '),
+			payload
+		);
+	}
+
+	/**
+	 * Accept an envelope as a JSON string or object and validate its shape.
+	 *
+	 * @param  {string|Object} input
+	 * @return {{payloadType: string, payload: Uint8Array, signatures: Array}}
+	 */
+	function parseEnvelope(input) {
+		var env = input;
+		if (typeof input === 'string') {
+			try {
+				env = JSON.parse(input);
+			} catch (e) {
+				throw new Error('Envelope is not valid JSON.');
+			}
+		}
+		if (!env || typeof env !== 'object') {
+			throw new Error('Envelope must be a JSON object.');
+		}
+		if (typeof env.payload !== 'string' || typeof env.payloadType !== 'string') {
+			throw new Error('Envelope is missing payload or payloadType.');
+		}
+		if (!Array.isArray(env.signatures) || !env.signatures.length) {
+			throw new Error('Envelope has no signatures.');
+		}
+		return {
+			payloadType: env.payloadType,
+			payload:     AC.fromBase64(env.payload),
+			signatures:  env.signatures
+		};
+	}
+
+	/**
+	 * Map an entry's "alg" to a verifier family.  Entries without "alg" are
+	 * Ed25519, matching MDSM_Ed25519_Signing::sign_dsse().
+	 */
+	function algFamily(alg) {
+		alg = String(alg || 'ed25519').toLowerCase();
+		if (alg === 'ed25519') { return 'ed25519'; }
+		if (alg.indexOf('ecdsa') !== -1 || alg === 'es256') { return 'ecdsa'; }
+		if (alg.indexOf('pss') !== -1 || alg === 'ps256') { return 'rsa-pss'; }
+		if (alg.indexOf('pkcs1') !== -1 || alg === 'rs256') { return 'rsa-pkcs1v15'; }
+		if (alg.indexOf('rsa') === 0) { return 'rsa'; }
+		return 'unsupported';
+	}
+
+	// ── Minimal DER reader ─────────────────────────────────────────────────────
+
+	function readTlv(bytes, offset) {
+		if (offset + 2 > bytes.length) { throw new Error('Truncated DER'); }
+		var tag = bytes[offset];
+		var len = bytes[offset + 1];
+		var pos = offset + 2;
+		if (len & 0x80) {
+			var n = len & 0x7f;
+			if (!n || n > 4 || pos + n > bytes.length) { throw new Error('Unsupported DER length'); }
+			len = 0;
+			for (var i = 0; i < n; i++) {
+				len = len * 256 + bytes[pos++];
+			}
+		}
+		if (pos + len > bytes.length) { throw new Error('Truncated DER'); }
+		return { tag: tag, start: offset, valueStart: pos, end: pos + len };
+	}
+
+	function children(bytes, tlv) {
+		var out = [];
+		for (var pos = tlv.valueStart; pos < tlv.end; ) {
+			var child = readTlv(bytes, pos);
+			out.push(child);
+			pos = child.end;
+		}
+		return out;
+	}
+
+	function value(bytes, tlv) {
+		return bytes.subarray(tlv.valueStart, tlv.end);
+	}
+
+	function encodeLength(len) {
+		if (len < 0x80) { return new Uint8Array([len]); }
+		var out = [];
+		while (len > 0) {
+			out.unshift(len & 0xff);
+			len = Math.floor(len / 256);
+		}
+		return new Uint8Array([0x80 | out.length].concat(out));
+	}
+
+	function encodeTlv(tag, content) {
+		return AC.concat(new Uint8Array([tag]), encodeLength(content.length), content);
+	}
+
+	// ── Keys ───────────────────────────────────────────────────────────────────
+
+	/**
+	 * Extract every PEM block from text, ignoring comment lines around them.
+	 *
+	 * @param  {string} text
+	 * @return {Array<{label: string, der: Uint8Array}>}
+	 */
+	function pemBlocks(text) {
+		var out = [];
+		var re  = /-----BEGIN ([A-Z0-9 ]+)-----([\s\S]*?)-----END \1-----/g;
+		var m;
+		while ((m = re.exec(String(text))) !== null) {
+			out.push({ label: m[1], der: AC.fromBase64(m[2].replace(/\s+/g, '')) });
+		}
+		return out;
+	}
+
+	/**
+	 * Describe a SubjectPublicKeyInfo: key type, curve and RSA modulus size.
+	 */
+	function inspectSpki(spki) {
+		var top  = readTlv(spki, 0);
+		var seq  = children(spki, top);
+		var alg  = children(spki, seq[0]);
+		var oid  = AC.toHex(value(spki, alg[0]));
+		var info = { spki: spki.subarray(top.start, top.end) };
+
+		if (oid === OID_EC_PUBLIC_KEY) {
+			if (!alg[1] || AC.toHex(value(spki, alg[1])) !== OID_P256) {
+				throw new Error('Only NIST P-256 EC keys are supported.');
+			}
+			info.type = 'ecdsa';
+		} else if (oid === OID_RSA) {
+			// BIT STRING → unused-bits byte, then RSAPublicKey SEQUENCE { n, e }.
+			var bits    = value(spki, seq[1]).subarray(1);
+			var modulus = value(bits, children(bits, readTlv(bits, 0))[0]);
+			var i = 0;
+			while (i < modulus.length - 1 && modulus[i] === 0) { i++; }
+			modulus = modulus.subarray(i);
+			info.type    = 'rsa';
+			info.modBits = (modulus.length - 1) * 8 + modulus[0].toString(2).length;
+		} else if (oid === OID_ED25519) {
+			info.type = 'ed25519';
+			info.raw  = value(spki, seq[1]).subarray(1);
+		} else {
+			throw new Error('Unsupported public key algorithm.');
+		}
+		return info;
+	}
+
+	/** Pull the SubjectPublicKeyInfo out of a DER X.509 certificate. */
+	function certificateSpki(der) {
+		var cert = readTlv(der, 0);
+		var tbs  = children(der, children(der, cert)[0]);
+		// tbsCertificate: [0] version (optional), serial, signature, issuer,
+		// validity, subject, subjectPublicKeyInfo, …
+		var idx  = tbs[0].tag === 0xa0 ? 6 : 5;
+		if (!tbs[idx]) { throw new Error('Malformed certificate.'); }
+		return der.subarray(tbs[idx].start, tbs[idx].end);
+	}
+
+	/** Wrap a PKCS#1 RSAPublicKey in a SubjectPublicKeyInfo. */
+	function rsaPkcs1ToSpki(der) {
+		var algId = encodeTlv(0x30, AC.concat(encodeTlv(0x06, AC.fromHex(OID_RSA)), new Uint8Array([0x05, 0x00])));
+		var bits  = encodeTlv(0x03, AC.concat(new Uint8Array([0]), der));
+		return encodeTlv(0x30, AC.concat(algId, bits));
+	}
+
+	/**
+	 * Parse published key text into verification keys.
+	 *
+	 * Each key carries every keyid the plugin might have written for it:
+	 * SHA-256 of the certificate DER (ECDSA), of the SPKI DER, or of the raw
+	 * 32-byte key (Ed25519).
+	 *
+	 * @param  {string} text    PEM, or hex Ed25519 key text.
+	 * @param  {string} source  Where the text came from, echoed in results.
+	 * @return {Promise<Array<Object>>}
+	 */
+	function parseKeys(text, source) {
+		try {
+			return Promise.all(parseKeyBlocks(text, source || ''));
+		} catch (e) {
+			return Promise.reject(e);
+		}
+	}
+
+	function parseKeyBlocks(text, source) {
+		var pending = [];
+
+		pemBlocks(text).forEach(function (block) {
+			var info, keyidInputs = [];
+			if (block.label === 'CERTIFICATE') {
+				info = inspectSpki(certificateSpki(block.der));
+				info.cert = block.der;
+				keyidInputs.push(block.der);
+			} else if (block.label === 'PUBLIC KEY') {
+				info = inspectSpki(block.der);
+			} else if (block.label === 'RSA PUBLIC KEY') {
+				info = inspectSpki(rsaPkcs1ToSpki(block.der));
+			} else {
+				return;
+			}
+			keyidInputs.push(info.spki);
+			if (info.raw) { keyidInputs.push(info.raw); }
+			info.source = source;
+			pending.push(withKeyids(info, keyidInputs));
+		});
+
+		if (!pending.length) {
+			String(text).split('\n').forEach(function (line) {
+				line = line.trim();
+				if (/^[0-9a-f]{64}$/i.test(line)) {
+					var raw = AC.fromHex(line);
+					pending.push(withKeyids({ type: 'ed25519', raw: raw, source: source }, [raw]));
+				}
+			});
+		}
+
+		return pending;
+	}
+
+	function withKeyids(info, inputs) {
+		return Promise.all(inputs.map(function (bytes) {
+			return AC.digestHex('sha256', bytes);
+		})).then(function (ids) {
+			info.keyids = ids;
+			return info;
+		});
+	}
+
+	/**
+	 * Fetch and parse published keys.  Unreachable URLs are reported in
+	 * `errors` rather than rejecting, so one missing key does not block the
+	 * others.
+	 *
+	 * @param  {string[]} urls
+	 * @return {Promise<{keys: Array<Object>, errors: Array<{url: string, message: string}>}>}
+	 */
+	function fetchKeys(urls) {
+		var keys = [], errors = [];
+		return Promise.all((urls || []).filter(Boolean).map(function (url) {
+			return fetch(url, { credentials: 'omit', cache: 'no-store' })
+				.then(function (res) {
+					if (!res.ok) { throw new Error('HTTP ' + res.status); }
+					return res.text();
+				})
+				.then(function (text) {
+					return parseKeys(text, url);
+				})
+				.then(function (parsed) {
+					if (!parsed.length) { throw new Error('No usable key found'); }
+					keys.push.apply(keys, parsed);
+				}, function (err) {
+					errors.push({ url: url, message: err.message });
+				});
+		})).then(function () {
+			return { keys: keys, errors: errors };
+		});
+	}
+
+	// ── Signature primitives ───────────────────────────────────────────────────
+
+	/**
+	 * Convert a DER ECDSA-Sig-Value to the fixed-width r||s form WebCrypto
+	 * expects.  Raw 64-byte input is passed through.
+	 */
+	function ecdsaDerToRaw(sig, size) {
+		size = size || 32;
+		if (sig.length === size * 2 && sig[0] !== 0x30) { return sig; }
+		var seq = children(sig, readTlv(sig, 0));
+		if (seq.length !== 2) { throw new Error('Malformed ECDSA signature.'); }
+		var out = new Uint8Array(size * 2);
+		[seq[0], seq[1]].forEach(function (tlv, i) {
+			var v = value(sig, tlv);
+			while (v.length > size && v[0] === 0) { v = v.subarray(1); }
+			if (v.length > size) { throw new Error('Malformed ECDSA signature.'); }
+			out.set(v, i * size + size - v.length);
+		});
+		return out;
+	}
+
+	function verifyEcdsa(key, sig, message) {
+		var raw;
+		try {
+			raw = ecdsaDerToRaw(sig, 32);
+		} catch (e) {
+			return Promise.resolve(false);
+		}
+		var alg = { name: 'ECDSA', namedCurve: 'P-256' };
+		return subtle.importKey('spki', key.spki, alg, false, ['verify']).then(function (k) {
+			return subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, k, raw, message);
+		});
+	}
+
+	/**
+	 * RSA-PSS salt length is not carried in the signature.  OpenSSL signs
+	 * with the digest length or the maximum for the modulus depending on
+	 * version, so both are tried.
+	 */
+	function verifyRsaPss(key, sig, message) {
+		var maxSalt = Math.ceil((key.modBits - 1) / 8) - 32 - 2;
+		var alg = { name: 'RSA-PSS', hash: 'SHA-256' };
+		return subtle.importKey('spki', key.spki, alg, false, ['verify']).then(function (k) {
+			return [32, maxSalt].reduce(function (prev, saltLength) {
+				return prev.then(function (ok) {
+					return ok || subtle.verify({ name: 'RSA-PSS', saltLength: saltLength }, k, sig, message);
+				});
+			}, Promise.resolve(false));
+		});
+	}
+
+	function verifyRsaPkcs1(key, sig, message) {
+		var alg = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' };
+		return subtle.importKey('spki', key.spki, alg, false, ['verify']).then(function (k) {
+			return subtle.verify(alg, k, sig, message);
+		});
+	}
+
+	/**
+	 * Verify one detached signature with one key.
+	 *
+	 * @param  {string}     family   ed25519 | ecdsa | rsa-pss | rsa-pkcs1v15 | rsa
+	 * @param  {Object}     key      From parseKeys().
+	 * @param  {Uint8Array} sig
+	 * @param  {Uint8Array} message
+	 * @return {Promise<boolean>}
+	 */
+	function verifySignature(family, key, sig, message) {
+		if (family === 'ed25519') {
+			return AC.ed25519Verify(key.raw, sig, message);
+		}
+		if (!subtle) {
+			return Promise.reject(new Error('WebCrypto is unavailable. Verification requires HTTPS.'));
+		}
+		if (family === 'ecdsa') {
+			return verifyEcdsa(key, sig, message);
+		}
+		if (family === 'rsa-pss') {
+			return verifyRsaPss(key, sig, message);
+		}
+		if (family === 'rsa-pkcs1v15') {
+			return verifyRsaPkcs1(key, sig, message);
+		}
+		// Scheme unknown (e.g. PHP < 8.1 silently downgraded PSS): try both.
+		return verifyRsaPss(key, sig, message).then(function (ok) {
+			return ok || verifyRsaPkcs1(key, sig, message);
+		});
+	}
+
+	function keyType(family) {
+		return family.indexOf('rsa') === 0 ? 'rsa' : family;
+	}
+
+	// ── Envelope verification ──────────────────────────────────────────────────
+
+	/**
+	 * Verify every signature in a DSSE envelope.
+	 *
+	 * Each result has a status of:
+	 *   valid        — signature verified against a published key
+	 *   invalid      — signature does not verify
+	 *   keyid        — entry keyid matches no published key of its type
+	 *   no-key       — no published key of the entry's type was supplied
+	 *   unsupported  — algorithm cannot be checked in a browser (SLH-DSA)
+	 *
+	 * An entry's embedded x5c certificate is only used when no published
+	 * ECDSA certificate was supplied; such results carry source "x5c" and
+	 * are not counted in verifiedKeyids, since the envelope vouching for
+	 * its own key proves nothing about who signed it.
+	 *
+	 * @param  {string|Object} envelope
+	 * @param  {Array<Object>} keys  From parseKeys() / fetchKeys().
+	 * @return {Promise<{payloadType: string, payload: Uint8Array, pae: Uint8Array,
+	 *                   results: Array<Object>, verifiedKeyids: string[]}>}
+	 */
+	function verifyEnvelope(envelope, keys) {
+		var env;
+		try {
+			env = parseEnvelope(envelope);
+		} catch (e) {
+			return Promise.reject(e);
+		}
+		var message = pae(env.payloadType, env.payload);
+		keys = keys || [];
+
+		return Promise.all(env.signatures.map(function (entry, index) {
+			var family = algFamily(entry.alg);
+			var keyid  = String(entry.keyid || '').toLowerCase();
+			var result = { index: index, keyid: keyid, alg: entry.alg || 'ed25519', family: family, status: 'unsupported', source: '' };
+
+			if (family === 'unsupported' || !entry.sig) {
+				return Promise.resolve(result);
+			}
+
+			var sig;
+			try {
+				sig = AC.fromBase64(entry.sig);
+			} catch (e) {
+				result.status = 'invalid';
+				return Promise.resolve(result);
+			}
+
+			var candidates = keys.filter(function (k) { return k.type === keyType(family); });
+			var embedded   = Promise.resolve(candidates);
+
+			if (!candidates.length && family === 'ecdsa' && entry.x5c) {
+				// x5c is base64 of the PEM text (see MDSM_ECDSA_Signing::sign_dsse()).
+				var pemText;
+				try {
+					pemText = new TextDecoder().decode(AC.fromBase64(entry.x5c));
+				} catch (e) {
+					pemText = '';
+				}
+				if (pemText.indexOf('-----BEGIN') === -1) {
+					pemText = '-----BEGIN CERTIFICATE-----\n' + entry.x5c + '\n-----END CERTIFICATE-----';
+				}
+				embedded = parseKeys(pemText, 'x5c').catch(function () { return []; });
+			}
+
+			return embedded.then(function (pool) {
+				if (!pool.length) {
+					result.status = 'no-key';
+					return result;
+				}
+				if (keyid) {
+					var matching = pool.filter(function (k) { return k.keyids.indexOf(keyid) !== -1; });
+					if (!matching.length) {
+						result.status = 'keyid';
+						return result;
+					}
+					pool = matching;
+				}
+				return pool.reduce(function (prev, key) {
+					return prev.then(function (found) {
+						if (found) { return found; }
+						return verifySignature(family, key, sig, message).then(function (ok) {
+							return ok ? key : null;
+						}, function () {
+							return null;
+						});
+					});
+				}, Promise.resolve(null)).then(function (key) {
+					result.status = key ? 'valid' : 'invalid';
+					result.source = key ? key.source : '';
+					if (key && !keyid) {
+						result.keyid = key.keyids[0];
+					}
+					return result;
+				});
+			});
+		})).then(function (results) {
+			return {
+				payloadType:    env.payloadType,
+				payload:        env.payload,
+				pae:            message,
+				results:        results,
+				verifiedKeyids: results.filter(function (r) {
+					return r.status === 'valid' && r.source !== 'x5c';
+				}).map(function (r) {
+					return r.keyid;
+				})
+			};
+		});
+	}
+
+	// ── Public surface ─────────────────────────────────────────────────────────
+
+	root.ArchivioDSSE = {
+		pae:             pae,
+		parseEnvelope:   parseEnvelope,
+		algFamily:       algFamily,
+		pemBlocks:       pemBlocks,
+		parseKeys:       parseKeys,
+		fetchKeys:       fetchKeys,
+		ecdsaDerToRaw:   ecdsaDerToRaw,
+		verifySignature: verifySignature,
+		verifyEnvelope:  verifyEnvelope
+	};
+
+})(window);
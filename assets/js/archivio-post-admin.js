@@ -4,6 +4,7 @@
  * @package ArchivioMD
  * @since   1.2.0
  * @updated 1.5.7 – Sync with inline page script; add Algorithm/Mode columns, Refresh button, visibility auto-refresh
+ * @updated 1.18.0 – In-browser DSSE envelope verifier on the Audit Log tab
  */
 
 (function($) {
@@ -165,6 +166,97 @@
         });
     }
 
+    // ── DSSE envelope verifier ──────────────────────────────────────────────
+
+    function dsseStatusText(result) {
+        var strings = archivioPostData.strings;
+        if (result.status === 'valid') {
+            return result.source === 'x5c' ? strings.dsseX5cOnly : strings.dsseValid;
+        }
+        return {
+            'invalid':     strings.dsseInvalid,
+            'keyid':       strings.dsseKeyid,
+            'no-key':      strings.dsseNoKey,
+            'unsupported': strings.dsseUnsupported
+        }[result.status] || result.status;
+    }
+
+    function verifyDsseEnvelope() {
+        var DSSE     = window.ArchivioDSSE;
+        var strings  = archivioPostData.strings;
+        var $btn     = $('#dsse-verify-btn');
+        var $status  = $('.archivio-dsse-verify-status');
+        var $results = $('#dsse-verify-results');
+        var envelope = $('#dsse-verify-envelope').val();
+        var extra    = $('#dsse-verify-keys').val();
+
+        $results.empty();
+
+        if (!DSSE || !window.crypto || !window.crypto.subtle) {
+            $status.html('<span style="color:#d73a49;">✗ ' + escapeHtml(strings.dsseNoWebCrypto) + '</span>');
+            return;
+        }
+
+        $btn.prop('disabled', true);
+        $status.html('<span class="spinner is-active" style="float:none;"></span> ' + escapeHtml(strings.dsseVerifying));
+
+        Promise.all([
+            DSSE.fetchKeys(archivioPostData.wellKnownKeys || []),
+            extra.trim() ? DSSE.parseKeys(extra, 'pasted') : Promise.resolve([])
+        ]).then(function(loaded) {
+            var keys = loaded[0].keys.concat(loaded[1]);
+            var notes = loaded[0].errors.map(function(err) {
+                return strings.dsseKeyMissing.replace('%s', err.url) + ' (' + err.message + ')';
+            });
+            if (!keys.length) {
+                notes.push(strings.dsseNoKeys);
+            }
+            return DSSE.verifyEnvelope(envelope, keys).then(function(report) {
+                report.notes = notes;
+                return report;
+            });
+        }).then(function(report) {
+            var total = report.results.length;
+            var ok    = report.verifiedKeyids.length;
+            var color = ok === total ? '#0a7537' : '#d73a49';
+
+            $status.html('<span style="color:' + color + ';">' + (ok === total ? '✓ ' : '✗ ') +
+                escapeHtml(strings.dsseVerified.replace('%1$d', ok).replace('%2$d', total)) + '</span>');
+
+            var html = '';
+            $.each(report.notes, function(i, note) {
+                html += '<div class="notice notice-warning inline"><p>' + escapeHtml(note) + '</p></div>';
+            });
+
+            html += '<table id="dsse-verify-table" class="widefat striped" style="margin-top:12px;"><thead><tr>' +
+                '<th>#</th><th>' + escapeHtml(strings.dsseAlgorithm) + '</th><th>' + escapeHtml(strings.dsseKeyId) + '</th>' +
+                '<th>' + escapeHtml(strings.dsseKeySource) + '</th><th>' + escapeHtml(strings.dsseResult) + '</th>' +
+                '</tr></thead><tbody>';
+            $.each(report.results, function(i, r) {
+                var good = r.status === 'valid' && r.source !== 'x5c';
+                html += '<tr>' +
+                    '<td>' + (r.index + 1) + '</td>' +
+                    '<td><code>' + escapeHtml(r.alg) + '</code></td>' +
+                    '<td><code class="audit-log-hash">' + escapeHtml(r.keyid || '—') + '</code></td>' +
+                    '<td>' + escapeHtml(r.source || '—') + '</td>' +
+                    '<td style="color:' + (good ? '#0a7537' : (r.status === 'unsupported' ? '#646970' : '#d73a49')) + ';font-weight:600;">' +
+                    escapeHtml(dsseStatusText(r)) + '</td>' +
+                    '</tr>';
+            });
+            html += '</tbody></table>';
+
+            html += '<p style="margin:14px 0 4px;"><strong>payloadType:</strong> <code>' + escapeHtml(report.payloadType) + '</code></p>' +
+                '<pre style="background:#f6f7f7;border:1px solid #dcdcde;padding:10px;max-height:240px;overflow:auto;white-space:pre-wrap;">' +
+                escapeHtml(new TextDecoder().decode(report.payload)) + '</pre>';
+
+            $results.html(html);
+        }).catch(function(err) {
+            $status.html('<span style="color:#d73a49;">✗ ' + escapeHtml(err.message || strings.error) + '</span>');
+        }).then(function() {
+            $btn.prop('disabled', false);
+        });
+    }
+
     // ── Init ────────────────────────────────────────────────────────────────
 
     $(document).ready(function() {
@@ -199,6 +291,9 @@
             saveSettings();
         });
 
+        // DSSE envelope verifier
+        $('#dsse-verify-btn').on('click', verifyDsseEnvelope);
+
     });
 
     // Expose for pagination onclick handlers
@@ -83,6 +83,471 @@
         $button.html(icon);
     }
     
+    /**
+     * PHP trim() strips only these characters; String#trim() strips more.
+     */
+    function phpTrim(str) {
+        return str.replace(/^[ \t\n\r\0\x0B]+|[ \t\n\r\0\x0B]+$/g, '');
+    }
+    
+    /**
+     * Canonicalize post content exactly as
+     * MDSM_Archivio_Post::canonicalize_content() does on the server.
+     */
+    function canonicalize(content, postId, authorId) {
+        var lines = String(content).replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
+        var body  = phpTrim(lines.map(phpTrim).join('\n'));
+        
+        return 'post_id:' + postId + '\n' +
+               'author_id:' + authorId + '\n' +
+               'content:\n' + body;
+    }
+    
+    /**
+     * PHP strip_tags() with no allowed tags: drops tags (quote-aware),
+     * comments, <!...> declarations and <?...?> blocks. A "<" followed by
+     * whitespace is text, as in PHP.
+     */
+    function stripTags(html) {
+        var out   = '';
+        var state = 0; // 0 text, 1 tag, 2 <?...?>, 3 <!...>, 4 <!--...-->
+        var depth = 0;
+        var quote = '';
+        
+        for (var i = 0; i < html.length; i++) {
+            var c = html.charAt(i);
+            var prev = html.charAt(i - 1);
+            
+            if (state === 0) {
+                if (c !== '<' || /[ \t\n\r\v\f]/.test(html.charAt(i + 1))) {
+                    out += c;
+                } else if (html.substr(i, 4) === '<!--') {
+                    state = 4;
+                    i += 3;
+                } else if (html.charAt(i + 1) === '!') {
+                    state = 3;
+                } else if (html.charAt(i + 1) === '?') {
+                    state = 2;
+                } else {
+                    state = 1;
+                }
+            } else if (state === 1) {
+                if (quote) {
+                    if (c === quote && prev !== '\\') {
+                        quote = '';
+                    }
+                } else if ((c === '"' || c === "'") && prev !== '\\') {
+                    quote = c;
+                } else if (c === '<') {
+                    depth++;
+                } else if (c === '>') {
+                    if (depth) {
+                        depth--;
+                    } else {
+                        state = 0;
+                    }
+                }
+            } else if (c === '>' && (state === 3 || (state === 2 && prev === '?') || (state === 4 && html.substr(i - 2, 2) === '--'))) {
+                state = 0;
+            }
+        }
+        return out;
+    }
+    
+    /**
+     * Rebuild the message the Ed25519, ECDSA and RSA signatures cover, as
+     * MDSM_Ed25519_Signing::canonical_message_post() does on the server
+     * (wp_strip_all_tags() of the content between title/slug and date).
+     */
+    function signedMessage(data) {
+        var text = String(data.content).replace(/<(script|style)[^>]*?>[\s\S]*?<\/\1>/gi, '');
+        
+        return [
+            'mdsm-ed25519-v1',
+            String(data.post_id),
+            String(data.title),
+            String(data.slug),
+            phpTrim(stripTags(text)),
+            String(data.date_gmt)
+        ].join('\n');
+    }
+    
+    /**
+     * Fetch the published Ed25519 key and return its 32 raw bytes
+     */
+    function fetchPublicKey() {
+        return fetch(archivioPostFrontend.pubkeyUrl, { credentials: 'omit', cache: 'no-store' })
+            .then(function(res) {
+                if (!res.ok) {
+                    throw new Error('HTTP ' + res.status);
+                }
+                return res.text();
+            })
+            .then(function(text) {
+                // The file is comment lines ("# ...") followed by one hex key line.
+                var match = text.split('\n').map(function(line) {
+                    return line.trim();
+                }).filter(function(line) {
+                    return /^[0-9a-f]{64}$/i.test(line);
+                })[0];
+                
+                if (!match) {
+                    throw new Error('No Ed25519 key found');
+                }
+                return window.ArchivioCrypto.fromHex(match);
+            });
+    }
+    
+    /**
+     * Recompute the content hash. Resolves to a check result.
+     */
+    function checkContentHash(data) {
+        var AC = window.ArchivioCrypto;
+        var strings = archivioPostFrontend.strings;
+        var hash = data.hash;
+        var result = { label: strings.contentHash + ' (' + hash.label + ')', status: 'skipped', detail: '' };
+        
+        if (hash.mode === 'hmac') {
+            result.detail = strings.hmacSkipped;
+            return Promise.resolve(result);
+        }
+        if (!AC.isSupported(hash.algorithm)) {
+            result.detail = strings.algoSkipped.replace('%s', hash.label);
+            return Promise.resolve(result);
+        }
+        
+        var bytes = AC.utf8(canonicalize(data.content, data.post_id, data.author_id));
+        
+        return AC.digestHex(hash.algorithm, bytes).then(function(computed) {
+            if (computed === hash.hex) {
+                result.status = 'pass';
+                result.detail = computed;
+                return result;
+            }
+            
+            // Servers without native BLAKE3 store BLAKE2b-512 truncated to 256
+            // bits under the "blake3" label (see MDSM_BLAKE3::hash()).
+            if (hash.algorithm === 'blake3') {
+                var fallback = AC.toHex(AC.blake2b(bytes, 64)).substr(0, 64);
+                if (fallback === hash.hex) {
+                    result.status = 'pass';
+                    result.detail = fallback + ' — ' + strings.blakeFallback;
+                    return result;
+                }
+            }
+            
+            result.status = 'fail';
+            result.detail = computed + ' ≠ ' + hash.hex;
+            return result;
+        });
+    }
+    
+    /**
+     * Check the bare Ed25519 signature and every Ed25519 entry in the
+     * DSSE envelope against the published public key. Both must cover the
+     * message rebuilt from the post fields; an envelope whose payload is
+     * anything else fails even when its signature is valid.
+     */
+    function checkSignatures(data) {
+        var AC = window.ArchivioCrypto;
+        var strings = archivioPostFrontend.strings;
+        var ed = data.ed25519;
+        
+        if (!ed) {
+            return Promise.resolve([{ label: strings.signature, status: 'skipped', detail: strings.noSignature }]);
+        }
+        
+        var message = AC.utf8(signedMessage(data));
+        
+        return fetchPublicKey().then(function(pubkey) {
+            return AC.digestHex('sha256', pubkey).then(function(fingerprint) {
+                var pending = [];
+                var tried = 0;
+                var verified = 0;
+                
+                // Verify one signature against the key. A malformed signature
+                // fails its own row rather than the whole check.
+                function attempt(label, run) {
+                    pending.push(Promise.resolve().then(function() {
+                        var check = run();
+                        tried++;
+                        return check.verify.then(function(valid) {
+                            if (valid) {
+                                verified++;
+                            }
+                            return check.result(valid);
+                        });
+                    }).catch(function(err) {
+                        return { label: label, status: 'fail', detail: err.message };
+                    }));
+                }
+                
+                if (ed.sig) {
+                    attempt(strings.signature, function() {
+                        return {
+                            verify: AC.ed25519Verify(pubkey, AC.fromHex(ed.sig), message),
+                            result: function(valid) {
+                                return { label: strings.signature, status: valid ? 'pass' : 'fail', detail: ed.sig.substr(0, 32) + '…' };
+                            }
+                        };
+                    });
+                }
+                
+                if (ed.dsse && ed.dsse.payload && ed.dsse.payloadType) {
+                    var bound = false;
+                    var pae = null;
+                    try {
+                        var payload = AC.fromBase64(ed.dsse.payload);
+                        pae = window.ArchivioDSSE.pae(ed.dsse.payloadType, payload);
+                        bound = AC.equalBytes(payload, message);
+                    } catch (err) {
+                        pending.push(Promise.resolve({ label: strings.dsseSignature, status: 'fail', detail: err.message }));
+                    }
+                    
+                    (pae ? ed.dsse.signatures || [] : []).forEach(function(entry, idx) {
+                        var alg = (entry.alg || 'ed25519').toLowerCase();
+                        if (alg !== 'ed25519' || !entry.sig) {
+                            return;
+                        }
+                        var label = strings.dsseSignature + ' [' + (idx + 1) + ']';
+                        
+                        if (entry.keyid && entry.keyid.toLowerCase() !== fingerprint) {
+                            pending.push(Promise.resolve({ label: label, status: 'fail', detail: strings.keyidMismatch }));
+                            return;
+                        }
+                        attempt(label, function() {
+                            return {
+                                verify: AC.ed25519Verify(pubkey, AC.fromBase64(entry.sig), pae),
+                                result: function(valid) {
+                                    if (valid && !bound) {
+                                        return { label: label, status: 'fail', detail: strings.payloadMismatch };
+                                    }
+                                    return { label: label, status: valid ? 'pass' : 'fail', detail: strings.keyidDetail.replace('%s', (entry.keyid || fingerprint).substr(0, 16)) };
+                                }
+                            };
+                        });
+                    });
+                }
+                
+                return Promise.all(pending).then(function(results) {
+                    // The key passes only when a signature actually verified against it
+                    var key = { label: strings.publicKey, status: 'pass', detail: AC.toHex(pubkey) };
+                    if (!tried) {
+                        key.status = 'skipped';
+                        key.detail = strings.keyUnused;
+                    } else if (!verified) {
+                        key.status = 'fail';
+                        key.detail = strings.keyNoMatch;
+                    }
+                    return [key].concat(results);
+                });
+            });
+        }, function() {
+            return [{
+                label: strings.publicKey,
+                status: 'fail',
+                detail: strings.keyUnavailable.replace('%s', archivioPostFrontend.pubkeyUrl)
+            }];
+        });
+    }
+    
+    /**
+     * Check the ECDSA P-256 and RSA signatures against the certificate and
+     * public key published under /.well-known/. As with Ed25519, they must
+     * cover the message rebuilt from the post fields, and so must the
+     * payload of the ECDSA DSSE envelope.
+     */
+    function checkX509Signatures(data) {
+        var AC = window.ArchivioCrypto;
+        var DSSE = window.ArchivioDSSE;
+        var strings = archivioPostFrontend.strings;
+        var ecdsa = data.ecdsa;
+        var rsa = data.rsa;
+        var message = AC.utf8(signedMessage(data));
+        var urls = [];
+        
+        if (ecdsa) {
+            urls.push(archivioPostFrontend.ecdsaCertUrl);
+        }
+        if (rsa) {
+            urls.push(archivioPostFrontend.rsaPubkeyUrl);
+        }
+        if (!urls.length) {
+            return Promise.resolve([]);
+        }
+        
+        return DSSE.fetchKeys(urls).then(function(fetched) {
+            var keys = fetched.keys;
+            var checks = fetched.errors.map(function(err) {
+                return { label: strings.publishedKey, status: 'fail', detail: strings.keyUnavailable.replace('%s', err.url) };
+            });
+            var pending = [];
+            
+            function bare(label, family, sigHex) {
+                var type = family.indexOf('rsa') === 0 ? 'rsa' : family;
+                var candidates = keys.filter(function(k) { return k.type === type; });
+                if (!candidates.length) {
+                    return;
+                }
+                pending.push(
+                    Promise.resolve().then(function() {
+                        return DSSE.verifySignature(family, candidates[0], AC.fromHex(sigHex), message);
+                    }).then(function(valid) {
+                        return { label: label, status: valid ? 'pass' : 'fail', detail: sigHex.substr(0, 32) + '…' };
+                    }, function(err) {
+                        return { label: label, status: 'fail', detail: err.message };
+                    })
+                );
+            }
+            
+            if (ecdsa && ecdsa.sig) {
+                bare(strings.ecdsaSignature, 'ecdsa', ecdsa.sig);
+            }
+            if (rsa && rsa.sig) {
+                bare(strings.rsaSignature, DSSE.algFamily(rsa.scheme || 'rsa'), rsa.sig);
+            }
+            
+            if (ecdsa && ecdsa.dsse) {
+                pending.push(
+                    DSSE.verifyEnvelope(ecdsa.dsse, keys).then(function(report) {
+                        var bound = AC.equalBytes(report.payload, message);
+                        return report.results.map(function(r) {
+                            var label = strings.ecdsaDsse + ' [' + (r.index + 1) + ']';
+                            if (r.status === 'valid' && !bound) {
+                                return { label: label, status: 'fail', detail: strings.payloadMismatch };
+                            }
+                            if (r.status === 'valid' && r.source === 'x5c') {
+                                return { label: label, status: 'skipped', detail: strings.x5cOnly };
+                            }
+                            if (r.status === 'valid') {
+                                return { label: label, status: 'pass', detail: strings.keyidDetail.replace('%s', r.keyid.substr(0, 16)) };
+                            }
+                            if (r.status === 'keyid') {
+                                return { label: label, status: 'fail', detail: strings.keyidMismatch };
+                            }
+                            if (r.status === 'invalid') {
+                                return { label: label, status: 'fail', detail: strings.keyidDetail.replace('%s', (r.keyid || '').substr(0, 16)) };
+                            }
+                            return null;
+                        });
+                    }, function(err) {
+                        return [{ label: strings.ecdsaDsse, status: 'fail', detail: err.message }];
+                    })
+                );
+            }
+            
+            return Promise.all(pending).then(function(results) {
+                return results.reduce(function(all, r) {
+                    return all.concat(r);
+                }, checks).filter(Boolean);
+            });
+        });
+    }
+    
+    /**
+     * Render the pass/fail breakdown dialog
+     */
+    function showVerifyDialog(checks, errorMessage) {
+        var strings = archivioPostFrontend.strings;
+        
+        $('.archivio-verify-overlay').remove();
+        
+        var $overlay = $('<div class="archivio-verify-overlay" role="dialog" aria-modal="true"></div>');
+        var $dialog  = $('<div class="archivio-verify-dialog"></div>').appendTo($overlay);
+        var $header  = $('<div class="archivio-verify-header"></div>').appendTo($dialog);
+        
+        $('<h2 class="archivio-verify-title"></h2>').text(strings.verifyTitle).appendTo($header);
+        $('<button type="button" class="archivio-verify-close">&times;</button>')
+            .attr('aria-label', strings.close)
+            .appendTo($header);
+        
+        var $summary = $('<p class="archivio-verify-summary"></p>').appendTo($dialog);
+        
+        if (errorMessage) {
+            $summary.addClass('fail').text(errorMessage);
+        } else {
+            var failed  = checks.filter(function(c) { return c.status === 'fail'; }).length;
+            var passed  = checks.filter(function(c) { return c.status === 'pass'; }).length;
+            
+            if (failed) {
+                $summary.addClass('fail').text(strings.someFailed);
+            } else if (passed) {
+                $summary.addClass('pass').text(strings.allPassed);
+            } else {
+                $summary.addClass('skipped').text(strings.nothingChecked);
+            }
+            
+            var $list = $('<ul class="archivio-verify-checks"></ul>').appendTo($dialog);
+            checks.forEach(function(check) {
+                var $item = $('<li class="archivio-verify-check"></li>').addClass(check.status).appendTo($list);
+                $('<span class="avc-status"></span>').text(strings[check.status]).appendTo($item);
+                $('<span class="avc-label"></span>').text(check.label).appendTo($item);
+                if (check.detail) {
+                    $('<code class="avc-detail"></code>').text(check.detail).appendTo($item);
+                }
+            });
+        }
+        
+        $overlay.appendTo('body');
+        $overlay.find('.archivio-verify-close').trigger('focus');
+    }
+    
+    /**
+     * Verify a post entirely in the browser
+     */
+    function handleVerify(postId) {
+        var $button = $('.archivio-post-verify[data-post-id="' + postId + '"]');
+        var originalHtml = $button.html();
+        var originalTitle = $button.attr('title');
+        var strings = archivioPostFrontend.strings;
+        
+        if (!window.crypto || !window.crypto.subtle || !window.ArchivioCrypto || !window.ArchivioDSSE) {
+            showVerifyDialog([], strings.noWebCrypto);
+            return;
+        }
+        
+        $button.prop('disabled', true).attr('title', strings.verifying).html(
+            '<svg class="spin" width="14" height="14" viewBox="0 0 16 16" fill="currentColor">' +
+            '<path d="M8 0a8 8 0 1 0 0 16A8 8 0 0 0 8 0zm0 14.5a6.5 6.5 0 1 1 0-13 6.5 6.5 0 0 1 0 13z" opacity=".3"/>' +
+            '<path d="M8 0v3a5 5 0 0 1 0 10v3a8 8 0 0 0 0-16z"/>' +
+            '</svg>'
+        );
+        
+        // Wrap in a native Promise so a throw inside then() becomes a rejection
+        // regardless of the jQuery version WordPress ships.
+        Promise.resolve($.ajax({
+            url: archivioPostFrontend.ajaxUrl,
+            type: 'POST',
+            data: {
+                action: 'archivio_post_get_verification_data',
+                nonce: archivioPostFrontend.nonce,
+                post_id: postId
+            }
+        })).then(function(response) {
+            if (!response.success) {
+                throw new Error(response.data && response.data.message ? response.data.message : strings.verifyError);
+            }
+            return Promise.all([
+                checkContentHash(response.data),
+                checkSignatures(response.data),
+                checkX509Signatures(response.data)
+            ]);
+        }).then(function(results) {
+            var checks = [results[0]].concat(results[1], results[2]);
+            var failed = checks.some(function(c) { return c.status === 'fail'; });
+            showVerifyDialog(checks);
+            showFeedback($button, failed ? 'error' : 'success');
+        }, function(err) {
+            console.error('In-browser verification failed:', err);
+            showVerifyDialog([], (err && err.message) || strings.verifyError);
+            showFeedback($button, 'error');
+        }).then(function() {
+            setTimeout(function() {
+                $button.prop('disabled', false).attr('title', originalTitle).html(originalHtml);
+            }, 1000);
+        });
+    }
+    
     /**
      * Initialize
      */
@@ -97,6 +562,29 @@
                 handleDownload(postId);
             }
         });
+        
+        // Bind in-browser verify button clicks
+        $(document).on('click', '.archivio-post-verify', function(e) {
+            e.preventDefault();
+            e.stopPropagation();
+            
+            var postId = $(this).data('post-id');
+            if (postId) {
+                handleVerify(postId);
+            }
+        });
+        
+        // Close the verification dialog
+        $(document).on('click', '.archivio-verify-overlay', function(e) {
+            if ($(e.target).is('.archivio-verify-overlay, .archivio-verify-close')) {
+                $('.archivio-verify-overlay').remove();
+            }
+        });
+        $(document).on('keydown', function(e) {
+            if (e.key === 'Escape') {
+                $('.archivio-verify-overlay').remove();
+            }
+        });
     });
     
 })(jQuery);
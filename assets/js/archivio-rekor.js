@@ -0,0 +1,341 @@
+/**
+ * ArchivioMD Browser Rekor Inclusion Proof Verifier
+ *
+ * Verifies a stored Rekor log entry without contacting Rekor: the leaf hash
+ * is recomputed from the entry body, the inclusion proof is walked up to the
+ * tree root with RFC 6962 hashing, and the checkpoint (signed tree head) and
+ * signed entry timestamp are checked against the log's public key.
+ *
+ * The input is the entry object exactly as Rekor returned it — either the
+ * { "<uuid>": { body, integratedTime, logID, logIndex, verification } } map
+ * or the inner object — so saved API responses can be checked as they are.
+ *
+ * Exposed as window.ArchivioRekor.  Requires window.ArchivioCrypto and
+ * window.ArchivioDSSE (PEM key parsing and signature primitives).
+ *
+ * @package ArchivioMD
+ * @since   1.18.0
+ */
+(function (root) {
+	'use strict';
+
+	var AC   = root.ArchivioCrypto;
+	var DSSE = root.ArchivioDSSE;
+
+	// ── RFC 6962 Merkle hashing ────────────────────────────────────────────────
+
+	function leafHash(leaf) {
+		return AC.digest('sha256', AC.concat(new Uint8Array([0x00]), leaf));
+	}
+
+	function nodeHash(left, right) {
+		return AC.digest('sha256', AC.concat(new Uint8Array([0x01]), left, right));
+	}
+
+	/**
+	 * Walk an inclusion proof from a leaf hash up to the root (RFC 9162
+	 * §2.1.3.2).  Indices stay below 2^53, so halving stands in for shifts.
+	 *
+	 * @param  {number}       index     Leaf index in the tree.
+	 * @param  {number}       treeSize
+	 * @param  {Uint8Array}   leaf      Leaf hash.
+	 * @param  {Uint8Array[]} proof     Sibling hashes, leaf to root.
+	 * @return {Promise<{root: Uint8Array, steps: Array<{side: string, sibling: Uint8Array, hash: Uint8Array}>}>}
+	 *         side is where the sibling sits: 'left' or 'right'.
+	 */
+	function rootFromInclusionProof(index, treeSize, leaf, proof) {
+		if (!(index >= 0 && index < treeSize)) {
+			return Promise.reject(new Error('Leaf index ' + index + ' is outside a tree of size ' + treeSize + '.'));
+		}
+
+		var fn    = index;
+		var sn    = treeSize - 1;
+		var steps = [];
+
+		return proof.reduce(function (prev, sibling) {
+			return prev.then(function (r) {
+				if (sn === 0) { throw new Error('The proof has more hashes than the tree has levels.'); }
+
+				var left = fn % 2 === 1 || fn === sn;
+				var next = left ? nodeHash(sibling, r) : nodeHash(r, sibling);
+
+				if (left && fn % 2 === 0) {
+					// Right edge of an incomplete tree: skip the levels with no sibling.
+					while (fn % 2 === 0 && fn !== 0) {
+						fn = Math.floor(fn / 2);
+						sn = Math.floor(sn / 2);
+					}
+				}
+				fn = Math.floor(fn / 2);
+				sn = Math.floor(sn / 2);
+
+				return next.then(function (hash) {
+					steps.push({ side: left ? 'left' : 'right', sibling: sibling, hash: hash });
+					return hash;
+				});
+			});
+		}, Promise.resolve(leaf)).then(function (r) {
+			if (sn !== 0) { throw new Error('The proof has fewer hashes than the tree has levels.'); }
+			return { root: r, steps: steps };
+		});
+	}
+
+	// ── Checkpoints ────────────────────────────────────────────────────────────
+
+	/**
+	 * Parse a signed checkpoint note: origin, tree size and base64 root hash
+	 * lines, optional extra lines, a blank line, then one or more
+	 * "— <name> <base64(key hint || signature)>" lines.
+	 *
+	 * @param  {string} text
+	 * @return {{origin: string, treeSize: number, rootHash: Uint8Array, extra: string[],
+	 *           body: string, signatures: Array<{name: string, keyHint: string, signature: Uint8Array}>}}
+	 *         body is the signed text, up to and including the line before the blank line.
+	 */
+	function parseCheckpoint(text) {
+		text = String(text || '');
+		var split = text.indexOf('\n\n');
+		if (split === -1) { throw new Error('The checkpoint has no signature block.'); }
+
+		var body  = text.slice(0, split + 1);
+		var lines = body.split('\n');
+		if (lines.length < 4 || !/^\d+$/.test(lines[1])) { throw new Error('Malformed checkpoint.'); }
+
+		var rootHash = decodeBase64(lines[2], 'checkpoint root hash');
+		if (rootHash.length !== 32) { throw new Error('Malformed checkpoint root hash.'); }
+
+		var signatures = text.slice(split + 2).split('\n').filter(Boolean).map(function (line) {
+			var m = /^\u2014 (\S+) (\S+)$/.exec(line);
+			if (!m) { throw new Error('Malformed checkpoint signature line.'); }
+			var raw = decodeBase64(m[2], 'checkpoint signature');
+			if (raw.length < 5) { throw new Error('Malformed checkpoint signature.'); }
+			return { name: m[1], keyHint: AC.toHex(raw.subarray(0, 4)), signature: raw.subarray(4) };
+		});
+
+		return {
+			origin:     lines[0],
+			treeSize:   parseInt(lines[1], 10),
+			rootHash:   rootHash,
+			extra:      lines.slice(3, -1),
+			body:       body,
+			signatures: signatures
+		};
+	}
+
+	function decodeBase64(text, what) {
+		try {
+			return AC.fromBase64(text);
+		} catch (e) {
+			throw new Error('Malformed ' + what + '.');
+		}
+	}
+
+	// ── Keys ───────────────────────────────────────────────────────────────────
+
+	/**
+	 * Load the log's PEM public key.  Its log ID, the SHA-256 of the PKIX
+	 * bytes, is keyids[0]; checkpoint key hints are its first four bytes.
+	 *
+	 * @param  {string} pem
+	 * @return {Promise<Object>}  Key from ArchivioDSSE.parseKeys(), with logId.
+	 */
+	function loadLogKey(pem) {
+		return DSSE.parseKeys(pem, 'rekor').then(function (keys) {
+			if (!keys.length) { throw new Error('No public key found in the configured Rekor key.'); }
+			keys[0].logId = keys[0].keyids[0];
+			return keys[0];
+		});
+	}
+
+	function keyFamily(key) {
+		return key.type === 'ecdsa' || key.type === 'ed25519' ? key.type : 'rsa';
+	}
+
+	// ── Entry verification ─────────────────────────────────────────────────────
+
+	/**
+	 * Split an API response map into its UUID and entry; entries pass through.
+	 */
+	function unwrapEntry(input) {
+		var entry = typeof input === 'string' ? JSON.parse(input) : input;
+		if (!entry || typeof entry !== 'object') { throw new Error('Not a Rekor log entry.'); }
+		if (entry.body === undefined) {
+			var uuids = Object.keys(entry);
+			if (uuids.length === 1 && entry[uuids[0]] && entry[uuids[0]].body !== undefined) {
+				return { uuid: uuids[0], entry: entry[uuids[0]] };
+			}
+			throw new Error('Not a Rekor log entry: no body.');
+		}
+		return { uuid: '', entry: entry };
+	}
+
+	/**
+	 * Verify a stored Rekor entry step by step.
+	 *
+	 * @param  {Object|string} input              Entry, API response map, or its JSON.
+	 * @param  {Object}        options
+	 * @param  {string}        options.publicKey  PEM public key of the log.
+	 * @param  {string}        [options.uuid]     Entry UUID, when not in the input.
+	 * @param  {string}        [options.record]   Anchor record the entry logged; its
+	 *                                            SHA-256 is compared with the body.
+	 * @return {Promise<{verified: boolean, checks: Array<{label: string, ok: ?boolean, detail: string}>,
+	 *                   path: Array<{side: string, sibling: string, hash: string}>,
+	 *                   leafIndex: number, treeSize: number, logIndex: number, uuid: string}>}
+	 *         A check's ok is null when it was skipped.  path holds the
+	 *         Merkle path as hex, leaf to root.
+	 */
+	function verifyEntry(input, options) {
+		options = options || {};
+
+		var unwrapped;
+		try {
+			unwrapped = unwrapEntry(input);
+		} catch (e) {
+			return Promise.reject(e instanceof SyntaxError ? new Error('The entry is not valid JSON.') : e);
+		}
+
+		var entry  = unwrapped.entry;
+		var uuid   = String(unwrapped.uuid || options.uuid || '').toLowerCase();
+		var proof  = (entry.verification && entry.verification.inclusionProof) || null;
+		var set    = (entry.verification && entry.verification.signedEntryTimestamp) || '';
+		var checks = [];
+		var state  = { leaf: null, root: null, key: null, pathOk: false, checkpointOk: false };
+		var result = {
+			verified:  false,
+			checks:    checks,
+			path:      [],
+			leafIndex: proof ? Number(proof.logIndex) : -1,
+			treeSize:  proof ? Number(proof.treeSize) : 0,
+			logIndex:  Number(entry.logIndex),
+			uuid:      uuid
+		};
+
+		function add(label, ok, detail) {
+			checks.push({ label: label, ok: ok, detail: detail || '' });
+		}
+
+		function step(label, fn) {
+			return function () {
+				return Promise.resolve().then(fn).catch(function (e) {
+					add(label, false, e.message);
+				});
+			};
+		}
+
+		var label = {
+			body:       'Entry body decodes',
+			record:     'Entry records the SHA-256 of the anchor record',
+			path:       'Inclusion proof reproduces the root hash',
+			checkpoint: 'Checkpoint commits to the same tree',
+			key:        'Log ID matches the configured Rekor key',
+			signature:  'Checkpoint is signed by the configured Rekor key',
+			set:        'Signed entry timestamp is valid'
+		};
+
+		var bodyBytes;
+
+		return Promise.resolve()
+			.then(step(label.body, function () {
+				bodyBytes = decodeBase64(entry.body, 'entry body');
+				var body = JSON.parse(new TextDecoder('utf-8').decode(bodyBytes));
+				add(label.body, true, body.kind + ' ' + body.apiVersion);
+
+				var hash = body.spec && body.spec.data && body.spec.data.hash;
+				if (!options.record) {
+					add(label.record, null, 'No anchor record stored for this entry');
+				} else if (!hash || hash.algorithm !== 'sha256') {
+					add(label.record, false, 'The entry body holds no SHA-256 artifact hash.');
+				} else {
+					return AC.digestHex('sha256', AC.utf8(options.record)).then(function (hex) {
+						add(label.record, hex === String(hash.value).toLowerCase(), 'SHA-256 ' + hex);
+					});
+				}
+			}))
+			.then(step('Leaf hash is SHA-256(0x00 || body)', function () {
+				if (!bodyBytes) { throw new Error('No entry body to hash.'); }
+				return leafHash(bodyBytes).then(function (leaf) {
+					state.leaf = leaf;
+					add('Leaf hash is SHA-256(0x00 || body)', true, AC.toHex(leaf));
+					if (uuid) {
+						// UUIDs are the leaf hash, prefixed with a 16-hex-digit tree ID on sharded logs.
+						add('Entry UUID ends with the leaf hash', uuid.slice(-64) === AC.toHex(leaf), uuid);
+					}
+				});
+			}))
+			.then(step(label.path, function () {
+				if (!proof) { throw new Error('The entry carries no inclusion proof.'); }
+				if (!state.leaf) { throw new Error('No leaf hash to start from.'); }
+
+				var hashes = (proof.hashes || []).map(function (h) { return AC.fromHex(h); });
+				return rootFromInclusionProof(result.leafIndex, result.treeSize, state.leaf, hashes).then(function (walk) {
+					result.path = walk.steps.map(function (s) {
+						return { side: s.side, sibling: AC.toHex(s.sibling), hash: AC.toHex(s.hash) };
+					});
+					state.root   = walk.root;
+					state.pathOk = AC.toHex(walk.root) === String(proof.rootHash).toLowerCase();
+					add(label.path, state.pathOk, 'Leaf ' + result.leafIndex + ' of ' + result.treeSize
+						+ ', ' + hashes.length + ' hashes \u2192 root ' + AC.toHex(walk.root));
+				});
+			}))
+			.then(step(label.key, function () {
+				if (!options.publicKey) { throw new Error('No Rekor public key is configured.'); }
+				return loadLogKey(options.publicKey).then(function (key) {
+					state.key = key;
+					add(label.key, String(entry.logID || '').toLowerCase() === key.logId, key.logId);
+				});
+			}))
+			.then(step(label.checkpoint, function () {
+				if (!proof || !proof.checkpoint) { throw new Error('The entry carries no checkpoint.'); }
+				var cp = parseCheckpoint(proof.checkpoint);
+				add(label.checkpoint,
+					cp.treeSize === result.treeSize && AC.toHex(cp.rootHash) === String(proof.rootHash).toLowerCase(),
+					cp.origin + ', tree size ' + cp.treeSize + ', root ' + AC.toHex(cp.rootHash));
+
+				if (!state.key) { return; }
+				var hint = state.key.logId.slice(0, 8);
+				var sig  = cp.signatures.filter(function (s) { return s.keyHint === hint; })[0];
+				if (!sig) {
+					add(label.signature, false, 'No signature with key hint ' + hint);
+					return;
+				}
+				return DSSE.verifySignature(keyFamily(state.key), state.key, sig.signature, AC.utf8(cp.body)).then(function (ok) {
+					state.checkpointOk = ok;
+					add(label.signature, ok, sig.name + ', key hint ' + hint);
+				});
+			}))
+			.then(step(label.set, function () {
+				if (!set) {
+					add(label.set, null, 'Not present');
+					return;
+				}
+				if (!state.key) { throw new Error('No Rekor public key to verify against.'); }
+				// Signed over the canonical JSON of these four fields, keys sorted.
+				var payload = JSON.stringify({
+					body:           entry.body,
+					integratedTime: entry.integratedTime,
+					logID:          entry.logID,
+					logIndex:       entry.logIndex
+				});
+				return DSSE.verifySignature(keyFamily(state.key), state.key, decodeBase64(set, 'signed entry timestamp'), AC.utf8(payload))
+					.then(function (ok) {
+						var when = entry.integratedTime ? new Date(entry.integratedTime * 1000).toISOString() : '';
+						add(label.set, ok, when ? 'Integrated ' + when : '');
+					});
+			}))
+			.then(function () {
+				result.verified = state.pathOk && state.checkpointOk && !checks.some(function (c) { return c.ok === false; });
+				return result;
+			});
+	}
+
+	// ── Public surface ─────────────────────────────────────────────────────────
+
+	root.ArchivioRekor = {
+		leafHash:               leafHash,
+		nodeHash:               nodeHash,
+		rootFromInclusionProof: rootFromInclusionProof,
+		parseCheckpoint:        parseCheckpoint,
+		verifyEntry:            verifyEntry
+	};
+
+})(window);
@@ -0,0 +1,736 @@
+/**
+ * ArchivioMD Browser RFC 3161 Token Verifier
+ *
+ * Parses RFC 3161 timestamp responses (.tsr) and bare TimeStampTokens and
+ * verifies them without a server round-trip: the TSTInfo fields are
+ * decoded, the message imprint is compared with a document hash using the
+ * same rule the RFC 3161 provider uses when it builds the request, and the
+ * CMS SignedData signature is checked with WebCrypto against the TSA
+ * certificate embedded in the token.
+ *
+ * The TSA certificate is not chained to a trusted root here; that still
+ * takes `openssl ts -verify -CAfile`.
+ *
+ * Exposed as window.ArchivioTSR.  Requires window.ArchivioCrypto.
+ *
+ * @package ArchivioMD
+ * @since   1.18.0
+ */
+/* global BigInt */
+(function (root) {
+	'use strict';
+
+	var AC     = root.ArchivioCrypto;
+	var subtle = root.crypto && root.crypto.subtle;
+
+	// Object identifiers, dotted.
+	var OID = {
+		signedData:    '1.2.840.113549.1.7.2',
+		tstInfo:       '1.2.840.113549.1.9.16.1.4',
+		messageDigest: '1.2.840.113549.1.9.4',
+		signingCert:   '1.2.840.113549.1.9.16.2.12',
+		signingCertV2: '1.2.840.113549.1.9.16.2.47',
+		rsaEncryption: '1.2.840.113549.1.1.1',
+		rsaPss:        '1.2.840.113549.1.1.10',
+		ecPublicKey:   '1.2.840.10045.2.1',
+		subjectKeyId:  '2.5.29.14',
+		extKeyUsage:   '2.5.29.37',
+		timeStamping:  '1.3.6.1.5.5.7.3.8'
+	};
+
+	// Digest algorithm OIDs → ArchivioCrypto algorithm ids.
+	var DIGESTS = {
+		'1.3.14.3.2.26':          'sha1',
+		'2.16.840.1.101.3.4.2.1': 'sha256',
+		'2.16.840.1.101.3.4.2.2': 'sha384',
+		'2.16.840.1.101.3.4.2.3': 'sha512'
+	};
+
+	// Signature algorithm OIDs that name their digest.
+	var SIGNATURES = {
+		'1.2.840.113549.1.1.5':  { family: 'rsa', digest: 'sha1' },
+		'1.2.840.113549.1.1.11': { family: 'rsa', digest: 'sha256' },
+		'1.2.840.113549.1.1.12': { family: 'rsa', digest: 'sha384' },
+		'1.2.840.113549.1.1.13': { family: 'rsa', digest: 'sha512' },
+		'1.2.840.10045.4.1':     { family: 'ec', digest: 'sha1' },
+		'1.2.840.10045.4.3.2':   { family: 'ec', digest: 'sha256' },
+		'1.2.840.10045.4.3.3':   { family: 'ec', digest: 'sha384' },
+		'1.2.840.10045.4.3.4':   { family: 'ec', digest: 'sha512' }
+	};
+
+	var CURVES = {
+		'1.2.840.10045.3.1.7': { name: 'P-256', size: 32 },
+		'1.3.132.0.34':        { name: 'P-384', size: 48 },
+		'1.3.132.0.35':        { name: 'P-521', size: 66 }
+	};
+
+	var SUBTLE_HASH = { sha1: 'SHA-1', sha256: 'SHA-256', sha384: 'SHA-384', sha512: 'SHA-512' };
+
+	// Name attribute types, as OpenSSL abbreviates them.
+	var NAME_ATTRS = {
+		'2.5.4.3':              'CN',
+		'2.5.4.5':              'serialNumber',
+		'2.5.4.6':              'C',
+		'2.5.4.7':              'L',
+		'2.5.4.8':              'ST',
+		'2.5.4.10':             'O',
+		'2.5.4.11':             'OU',
+		'2.5.4.97':             'organizationIdentifier',
+		'1.2.840.113549.1.9.1': 'emailAddress'
+	};
+
+	// RFC 3161 §2.4.2 PKIStatus values and PKIFailureInfo bits.
+	var PKI_STATUS = ['granted', 'grantedWithMods', 'rejection', 'waiting', 'revocationWarning', 'revocationNotification'];
+	var FAIL_INFO  = {
+		0:  'badAlg',
+		2:  'badRequest',
+		5:  'badDataFormat',
+		14: 'timeNotAvailable',
+		15: 'unacceptedPolicy',
+		16: 'unacceptedExtension',
+		17: 'addInfoNotAvailable',
+		25: 'systemFailure'
+	};
+
+	// ── ASN.1 reader ───────────────────────────────────────────────────────────
+	// Some TSAs wrap the token in BER indefinite-length encoding, so that is
+	// accepted for constructed values.  Everything that is hashed or signed
+	// (TSTInfo, signed attributes, certificates) is DER and is sliced out
+	// byte-for-byte.  `end` is where the value ends, `next` where the element
+	// does (after an end-of-contents marker, if any).
+
+	function readTlv(bytes, offset) {
+		if (offset + 2 > bytes.length) { throw new Error('Truncated ASN.1 data.'); }
+		var tag = bytes[offset];
+		var len = bytes[offset + 1];
+		var pos = offset + 2;
+
+		if ((tag & 0x1f) === 0x1f) { throw new Error('Unsupported ASN.1 tag.'); }
+
+		if (len === 0x80) {
+			if (!(tag & 0x20)) { throw new Error('Malformed ASN.1 length.'); }
+			var end = pos;
+			while (!(bytes[end] === 0 && bytes[end + 1] === 0)) {
+				if (end + 2 > bytes.length) { throw new Error('Truncated ASN.1 data.'); }
+				end = readTlv(bytes, end).next;
+			}
+			return { tag: tag, start: offset, valueStart: pos, end: end, next: end + 2 };
+		}
+
+		if (len & 0x80) {
+			var n = len & 0x7f;
+			if (n > 4 || pos + n > bytes.length) { throw new Error('Unsupported ASN.1 length.'); }
+			len = 0;
+			for (var i = 0; i < n; i++) {
+				len = len * 256 + bytes[pos++];
+			}
+		}
+		if (pos + len > bytes.length) { throw new Error('Truncated ASN.1 data.'); }
+		return { tag: tag, start: offset, valueStart: pos, end: pos + len, next: pos + len };
+	}
+
+	function children(bytes, tlv) {
+		var out = [];
+		for (var pos = tlv.valueStart; pos < tlv.end; ) {
+			var child = readTlv(bytes, pos);
+			out.push(child);
+			pos = child.next;
+		}
+		return out;
+	}
+
+	function value(bytes, tlv) {
+		return bytes.subarray(tlv.valueStart, tlv.end);
+	}
+
+	/** The whole element, tag and length included. */
+	function element(bytes, tlv) {
+		return bytes.subarray(tlv.start, tlv.next);
+	}
+
+	function expect(tlv, tag, what) {
+		if (!tlv || tlv.tag !== tag) { throw new Error('Malformed ' + what + '.'); }
+		return tlv;
+	}
+
+	function oid(bytes) {
+		var parts = [], n = 0;
+		for (var i = 0; i < bytes.length; i++) {
+			n = n * 128 + (bytes[i] & 0x7f);
+			if (bytes[i] & 0x80) { continue; }
+			if (!parts.length) {
+				var first = n < 80 ? Math.floor(n / 40) : 2;
+				parts.push(first, n - first * 40);
+			} else {
+				parts.push(n);
+			}
+			n = 0;
+		}
+		return parts.join('.');
+	}
+
+	function smallInt(bytes) {
+		var n = 0;
+		for (var i = 0; i < bytes.length; i++) { n = n * 256 + bytes[i]; }
+		return n;
+	}
+
+	/** Unsigned INTEGER content as lowercase hex, without leading zero bytes. */
+	function integerHex(bytes) {
+		var i = 0;
+		while (i < bytes.length - 1 && bytes[i] === 0) { i++; }
+		return AC.toHex(bytes.subarray(i));
+	}
+
+	function latin1(bytes) {
+		var out = '';
+		for (var i = 0; i < bytes.length; i++) { out += String.fromCharCode(bytes[i]); }
+		return out;
+	}
+
+	function text(bytes, tlv) {
+		var v = value(bytes, tlv);
+		if (tlv.tag === 0x1e) {
+			// BMPString: UTF-16BE.
+			var out = '';
+			for (var i = 0; i + 1 < v.length; i += 2) { out += String.fromCharCode(v[i] << 8 | v[i + 1]); }
+			return out;
+		}
+		if (tlv.tag === 0x14) { return latin1(v); }
+		return new TextDecoder('utf-8').decode(v);
+	}
+
+	/** Name as "C=…, O=…, CN=…", in certificate order (as `openssl ts -reply -text` prints it). */
+	function name(bytes, tlv) {
+		return children(bytes, tlv).map(function (rdn) {
+			return children(bytes, rdn).map(function (atv) {
+				var parts = children(bytes, atv);
+				var type  = oid(value(bytes, parts[0]));
+				return (NAME_ATTRS[type] || type) + '=' + text(bytes, parts[1]);
+			}).join(' + ');
+		}).join(', ');
+	}
+
+	function time(bytes, tlv) {
+		var raw = latin1(value(bytes, tlv));
+		var m   = tlv.tag === 0x17
+			? /^(\d\d)(\d\d)(\d\d)(\d\d)(\d\d)(\d\d)Z$/.exec(raw)
+			: /^(\d{4})(\d\d)(\d\d)(\d\d)(\d\d)(\d\d)(?:[.,](\d+))?Z$/.exec(raw);
+		if (!m) { throw new Error('Unsupported time value ' + raw + '.'); }
+
+		var year = +m[1];
+		if (tlv.tag === 0x17) { year += year < 50 ? 2000 : 1900; }
+		var ms = m[7] ? Math.floor(Number('0.' + m[7]) * 1000) : 0;
+
+		return { text: raw, date: new Date(Date.UTC(year, +m[2] - 1, +m[3], +m[4], +m[5], +m[6], ms)) };
+	}
+
+	/** AlgorithmIdentifier → { oid, params } with params as DER bytes, or null. */
+	function algorithm(bytes, tlv) {
+		var parts = children(bytes, expect(tlv, 0x30, 'algorithm identifier'));
+		return {
+			oid:    oid(value(bytes, expect(parts[0], 0x06, 'algorithm identifier'))),
+			params: parts[1] && parts[1].tag !== 0x05 ? element(bytes, parts[1]) : null
+		};
+	}
+
+	function generalName(bytes, tlv) {
+		switch (tlv.tag) {
+			case 0xa4: return name(bytes, children(bytes, tlv)[0]); // directoryName
+			case 0x81: return latin1(value(bytes, tlv));             // rfc822Name
+			case 0x82: return latin1(value(bytes, tlv));             // dNSName
+			case 0x86: return latin1(value(bytes, tlv));             // uniformResourceIdentifier
+		}
+		return '[GeneralName tag 0x' + tlv.tag.toString(16) + ']';
+	}
+
+	// ── Structures ─────────────────────────────────────────────────────────────
+
+	function statusInfo(bytes, tlv) {
+		var parts = children(bytes, tlv);
+		var code  = smallInt(value(bytes, expect(parts[0], 0x02, 'PKIStatusInfo')));
+		var out   = { code: code, name: PKI_STATUS[code] || String(code), text: '', failInfo: [] };
+
+		parts.slice(1).forEach(function (part) {
+			if (part.tag === 0x30) {
+				out.text = children(bytes, part).map(function (s) { return text(bytes, s); }).join(' ');
+			} else if (part.tag === 0x03) {
+				var bits = value(bytes, part);
+				for (var b = 0; b < (bits.length - 1) * 8; b++) {
+					if (bits[1 + (b >> 3)] & (0x80 >> (b & 7))) { out.failInfo.push(FAIL_INFO[b] || 'bit ' + b); }
+				}
+			}
+		});
+		return out;
+	}
+
+	function tstInfo(der) {
+		var parts   = children(der, expect(readTlv(der, 0), 0x30, 'TSTInfo'));
+		var imprint = children(der, expect(parts[2], 0x30, 'message imprint'));
+		var hashAlg = algorithm(der, imprint[0]);
+		var serial  = integerHex(value(der, expect(parts[3], 0x02, 'serial number')));
+		var gen     = time(der, expect(parts[4], 0x18, 'genTime'));
+		var info    = {
+			version:        smallInt(value(der, parts[0])),
+			policy:         oid(value(der, expect(parts[1], 0x06, 'policy'))),
+			messageImprint: {
+				algorithm:     DIGESTS[hashAlg.oid] || hashAlg.oid,
+				hashedMessage: AC.toHex(value(der, expect(imprint[1], 0x04, 'message imprint')))
+			},
+			serial:        serial,
+			serialDecimal: typeof BigInt === 'function' ? BigInt('0x' + serial).toString() : null,
+			genTime:       gen.date,
+			genTimeText:   gen.text,
+			accuracy:      null,
+			ordering:      false,
+			nonce:         null,
+			tsa:           null
+		};
+
+		parts.slice(5).forEach(function (part) {
+			switch (part.tag) {
+				case 0x30:
+					info.accuracy = { seconds: 0, millis: 0, micros: 0 };
+					children(der, part).forEach(function (a) {
+						var key = a.tag === 0x02 ? 'seconds' : (a.tag === 0x80 ? 'millis' : (a.tag === 0x81 ? 'micros' : ''));
+						if (key) { info.accuracy[key] = smallInt(value(der, a)); }
+					});
+					break;
+				case 0x01:
+					info.ordering = value(der, part)[0] !== 0;
+					break;
+				case 0x02:
+					info.nonce = integerHex(value(der, part));
+					break;
+				case 0xa0:
+					info.tsa = generalName(der, children(der, part)[0]);
+					break;
+			}
+		});
+		return info;
+	}
+
+	function certificate(bytes, tlv) {
+		var tbs      = children(bytes, children(bytes, tlv)[0]);
+		// tbsCertificate: [0] version (optional), serial, signature, issuer,
+		// validity, subject, subjectPublicKeyInfo, …, [3] extensions
+		var i        = tbs[0].tag === 0xa0 ? 1 : 0;
+		var validity = children(bytes, tbs[i + 3]);
+		var cert     = {
+			der:          element(bytes, tlv),
+			serial:       integerHex(value(bytes, tbs[i])),
+			issuerDer:    element(bytes, tbs[i + 2]),
+			issuer:       name(bytes, tbs[i + 2]),
+			notBefore:    time(bytes, validity[0]).date,
+			notAfter:     time(bytes, validity[1]).date,
+			subject:      name(bytes, tbs[i + 4]),
+			spki:         element(bytes, tbs[i + 5]),
+			subjectKeyId: null,
+			extKeyUsage:  []
+		};
+
+		tbs.slice(i + 6).filter(function (t) { return t.tag === 0xa3; }).forEach(function (t) {
+			children(bytes, children(bytes, t)[0]).forEach(function (ext) {
+				var parts = children(bytes, ext);
+				var id    = oid(value(bytes, parts[0]));
+				var inner = value(bytes, parts[parts.length - 1]);
+				if (id === OID.subjectKeyId) {
+					cert.subjectKeyId = AC.toHex(value(inner, readTlv(inner, 0)));
+				} else if (id === OID.extKeyUsage) {
+					cert.extKeyUsage = children(inner, readTlv(inner, 0)).map(function (k) {
+						return oid(value(inner, k));
+					});
+				}
+			});
+		});
+		return cert;
+	}
+
+	function signerInfo(bytes, tlv) {
+		var parts = children(bytes, tlv);
+		var sid   = parts[1];
+		var i     = 2;
+		var info  = { sid: null, digestAlgorithm: null, signedAttrs: null, attributes: {}, signatureAlgorithm: null, signature: null };
+
+		if (sid.tag === 0x80) {
+			info.sid = { subjectKeyId: AC.toHex(value(bytes, sid)) };
+		} else {
+			var ias = children(bytes, expect(sid, 0x30, 'signer identifier'));
+			info.sid = { issuerDer: element(bytes, ias[0]), issuer: name(bytes, ias[0]), serial: integerHex(value(bytes, ias[1])) };
+		}
+
+		info.digestAlgorithm = algorithm(bytes, parts[i++]);
+
+		if (parts[i] && parts[i].tag === 0xa0) {
+			info.signedAttrs = element(bytes, parts[i]);
+			children(bytes, parts[i]).forEach(function (attr) {
+				var a = children(bytes, attr);
+				info.attributes[oid(value(bytes, a[0]))] = children(bytes, a[1]).map(function (v) {
+					return element(bytes, v);
+				});
+			});
+			i++;
+		}
+
+		info.signatureAlgorithm = algorithm(bytes, parts[i++]);
+		info.signature          = value(bytes, expect(parts[i], 0x04, 'signature'));
+		return info;
+	}
+
+	// eContent is a DER OCTET STRING, or a constructed BER one split into chunks.
+	function octetString(bytes, tlv) {
+		if (tlv.tag === 0x04) { return value(bytes, tlv); }
+		if (tlv.tag === 0x24) {
+			return AC.concat.apply(null, children(bytes, tlv).map(function (c) { return octetString(bytes, c); }));
+		}
+		throw new Error('Malformed eContent.');
+	}
+
+	function token(bytes, tlv) {
+		var ci = children(bytes, expect(tlv, 0x30, 'ContentInfo'));
+		if (oid(value(bytes, expect(ci[0], 0x06, 'ContentInfo'))) !== OID.signedData) {
+			throw new Error('The token is not CMS SignedData.');
+		}
+
+		// SignedData: version, digestAlgorithms, encapContentInfo, [0] certificates, [1] crls, signerInfos
+		var sd  = children(bytes, expect(children(bytes, expect(ci[1], 0xa0, 'ContentInfo'))[0], 0x30, 'SignedData'));
+		var eci = children(bytes, expect(sd[2], 0x30, 'encapsulated content'));
+		if (!eci[1]) { throw new Error('The token carries no TSTInfo.'); }
+
+		var content = octetString(bytes, children(bytes, eci[1])[0]);
+		var out     = {
+			contentType:  oid(value(bytes, eci[0])),
+			tstInfoDer:   content,
+			tstInfo:      tstInfo(content),
+			certificates: [],
+			signers:      []
+		};
+
+		sd.slice(3).forEach(function (part) {
+			if (part.tag === 0xa0) {
+				out.certificates = children(bytes, part).filter(function (c) {
+					return c.tag === 0x30;
+				}).map(function (c) {
+					return certificate(bytes, c);
+				});
+			} else if (part.tag === 0x31) {
+				out.signers = children(bytes, part).map(function (s) {
+					return signerInfo(bytes, s);
+				});
+			}
+		});
+		return out;
+	}
+
+	/**
+	 * Parse a DER TimeStampResp (what the TSA returned, stored as .tsr) or a
+	 * bare TimeStampToken.
+	 *
+	 * @param  {Uint8Array|ArrayBuffer} bytes
+	 * @return {{status: ?Object, token: ?Object}}  status is null for a bare
+	 *         token; token is null when the TSA rejected the request.
+	 * @throws {Error} When the bytes are not a timestamp response or token.
+	 */
+	function parse(bytes) {
+		bytes = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+		try {
+			var top   = expect(readTlv(bytes, 0), 0x30, 'timestamp response');
+			var parts = children(bytes, top);
+
+			// TimeStampResp opens with PKIStatusInfo; a token with its content type OID.
+			if (parts[0] && parts[0].tag === 0x30) {
+				return {
+					status: statusInfo(bytes, parts[0]),
+					token:  parts[1] ? token(bytes, parts[1]) : null
+				};
+			}
+			return { status: null, token: token(bytes, top) };
+		} catch (e) {
+			throw new Error('Not an RFC 3161 timestamp token: ' + (e instanceof TypeError ? 'malformed structure.' : e.message));
+		}
+	}
+
+	// ── Verification ───────────────────────────────────────────────────────────
+
+	/**
+	 * The message imprint the plugin sends for a document hash: a 64-character
+	 * SHA-256 hash is used as is, any other hash has its hex string hashed
+	 * with SHA-256 (see MDSM_Anchor_Provider_RFC3161::push()).
+	 *
+	 * @param  {string} hashValue  Hex document hash.
+	 * @param  {string} algorithm  Its algorithm id, e.g. 'sha256', 'blake2b'.
+	 * @return {Promise<Uint8Array>}
+	 */
+	function expectedImprint(hashValue, algorithm) {
+		var hex = String(hashValue).trim().toLowerCase();
+		if (String(algorithm).toLowerCase() === 'sha256' && /^[0-9a-f]{64}$/.test(hex)) {
+			return Promise.resolve(AC.fromHex(hex));
+		}
+		return AC.digest('sha256', AC.utf8(hex));
+	}
+
+	function publicKey(spki) {
+		var alg = algorithm(spki, children(spki, readTlv(spki, 0))[0]);
+		if (alg.oid === OID.rsaEncryption || alg.oid === OID.rsaPss) {
+			return { type: 'rsa' };
+		}
+		if (alg.oid === OID.ecPublicKey) {
+			var curve = alg.params && alg.params[0] === 0x06 ? CURVES[oid(value(alg.params, readTlv(alg.params, 0)))] : null;
+			if (!curve) { throw new Error('Unsupported elliptic curve.'); }
+			return { type: 'ec', curve: curve };
+		}
+		throw new Error('Unsupported public key algorithm ' + alg.oid + '.');
+	}
+
+	// RSASSA-PSS-params: [0] hashAlgorithm (SHA-1), [1] maskGen, [2] saltLength (20), [3] trailer.
+	function pssParams(params) {
+		var out = { digest: 'sha1', saltLength: 20 };
+		if (!params || params[0] !== 0x30) { return out; }
+		children(params, readTlv(params, 0)).forEach(function (p) {
+			var inner = children(params, p)[0];
+			if (p.tag === 0xa0) {
+				out.digest = DIGESTS[algorithm(params, inner).oid] || '';
+			} else if (p.tag === 0xa2) {
+				out.saltLength = smallInt(value(params, inner));
+			}
+		});
+		return out;
+	}
+
+	/** DER ECDSA-Sig-Value → fixed-width r||s, as WebCrypto expects. */
+	function ecdsaDerToRaw(sig, size) {
+		var seq = children(sig, expect(readTlv(sig, 0), 0x30, 'ECDSA signature'));
+		if (seq.length !== 2) { throw new Error('Malformed ECDSA signature.'); }
+		var out = new Uint8Array(size * 2);
+		seq.forEach(function (tlv, i) {
+			var v = value(sig, tlv);
+			while (v.length > size && v[0] === 0) { v = v.subarray(1); }
+			if (v.length > size) { throw new Error('Malformed ECDSA signature.'); }
+			out.set(v, i * size + size - v.length);
+		});
+		return out;
+	}
+
+	/**
+	 * Check the SignerInfo signature over the DER SET OF signed attributes.
+	 *
+	 * @return {Promise<{ok: boolean, detail: string}>}
+	 */
+	function verifySignerSignature(signer, cert) {
+		if (!subtle) {
+			return Promise.reject(new Error('WebCrypto is unavailable (the page must be served over HTTPS).'));
+		}
+
+		// signedAttrs is signed with its universal SET tag, not the [0] it is stored under.
+		var message = new Uint8Array(signer.signedAttrs);
+		message[0]  = 0x31;
+
+		var key    = publicKey(cert.spki);
+		var sigOid = signer.signatureAlgorithm.oid;
+		var named  = SIGNATURES[sigOid];
+		var digest = named ? named.digest : DIGESTS[signer.digestAlgorithm.oid];
+		var importAlg, verifyAlg, signature = signer.signature, label;
+
+		if (sigOid === OID.rsaPss && key.type === 'rsa') {
+			var pss   = pssParams(signer.signatureAlgorithm.params);
+			digest    = pss.digest;
+			importAlg = { name: 'RSA-PSS', hash: SUBTLE_HASH[digest] };
+			verifyAlg = { name: 'RSA-PSS', saltLength: pss.saltLength };
+			label     = 'RSA-PSS';
+		} else if (key.type === 'rsa' && (named ? named.family === 'rsa' : sigOid === OID.rsaEncryption)) {
+			importAlg = { name: 'RSASSA-PKCS1-v1_5', hash: SUBTLE_HASH[digest] };
+			verifyAlg = { name: 'RSASSA-PKCS1-v1_5' };
+			label     = 'RSA PKCS#1 v1.5';
+		} else if (key.type === 'ec' && (named ? named.family === 'ec' : sigOid === OID.ecPublicKey)) {
+			importAlg = { name: 'ECDSA', namedCurve: key.curve.name };
+			verifyAlg = { name: 'ECDSA', hash: SUBTLE_HASH[digest] };
+			signature = ecdsaDerToRaw(signature, key.curve.size);
+			label     = 'ECDSA ' + key.curve.name;
+		} else {
+			throw new Error('Unsupported signature algorithm ' + sigOid + '.');
+		}
+
+		if (!SUBTLE_HASH[digest]) {
+			throw new Error('Unsupported signature digest algorithm.');
+		}
+
+		return subtle.importKey('spki', cert.spki, importAlg, false, ['verify']).then(function (k) {
+			return subtle.verify(verifyAlg, k, signature, message);
+		}).then(function (ok) {
+			return { ok: ok, detail: label + ' with ' + SUBTLE_HASH[digest] };
+		});
+	}
+
+	function findSignerCertificate(certs, sid) {
+		return certs.filter(function (c) {
+			if (sid.subjectKeyId) { return c.subjectKeyId === sid.subjectKeyId; }
+			return c.serial === sid.serial && AC.equalBytes(c.issuerDer, sid.issuerDer);
+		})[0] || null;
+	}
+
+	// SigningCertificate(V2) → [{ algorithm, hash }]; the first entry names the signer.
+	/**
+	 * The certificate named by the token's first SignerInfo, or null when the
+	 * token does not include it.
+	 */
+	function signerCertificate(tst) {
+		return tst && tst.signers[0] ? findSignerCertificate(tst.certificates, tst.signers[0].sid) : null;
+	}
+
+	function essCertIds(der, v2) {
+		var certs = children(der, children(der, readTlv(der, 0))[0]);
+		return certs.map(function (c) {
+			var parts = children(der, c);
+			var alg   = v2 ? 'sha256' : 'sha1';
+			var k     = 0;
+			if (v2 && parts[0].tag === 0x30) {
+				var id = algorithm(der, parts[0]).oid;
+				alg = DIGESTS[id] || id;
+				k   = 1;
+			}
+			return { algorithm: alg, hash: AC.toHex(value(der, parts[k])) };
+		});
+	}
+
+	function isoTime(date) {
+		return date.toISOString().replace('.000Z', 'Z');
+	}
+
+	/**
+	 * Verify a parsed token: TSA status, message imprint against the document
+	 * hash, the signed message digest over TSTInfo, the signer certificate
+	 * and the CMS signature.
+	 *
+	 * @param  {Object} parsed                   Result of parse().
+	 * @param  {Object} [options]
+	 * @param  {string} [options.hashValue]      Hex document hash; the imprint
+	 *                                           check is skipped without one.
+	 * @param  {string} [options.hashAlgorithm]  Its algorithm id (default 'sha256').
+	 * @return {Promise<{verified: boolean, checks: Array<{label: string, ok: ?boolean, detail: string}>}>}
+	 *         A check's ok is null when it was skipped.
+	 */
+	function verify(parsed, options) {
+		options = options || {};
+
+		var checks = [];
+		var tst    = parsed.token;
+		var signer = tst && tst.signers[0];
+		var cert   = null;
+		var signatureOk = false;
+
+		function add(label, ok, detail) {
+			checks.push({ label: label, ok: ok, detail: detail || '' });
+		}
+
+		// Run one check, turning a thrown or rejected error into a failure.
+		function step(label, fn) {
+			return function () {
+				return Promise.resolve().then(fn).catch(function (e) {
+					add(label, false, e.message);
+				});
+			};
+		}
+
+		if (parsed.status) {
+			var s = parsed.status;
+			add('TSA granted the timestamp', s.code === 0 || s.code === 1,
+				s.name + (s.text ? ': ' + s.text : '') + (s.failInfo.length ? ' (' + s.failInfo.join(', ') + ')' : ''));
+		}
+		if (!tst) {
+			add('Response contains a timestamp token', false, '');
+			return Promise.resolve({ verified: false, checks: checks });
+		}
+
+		add('Token content is TSTInfo', tst.contentType === OID.tstInfo, tst.contentType);
+
+		var label = {
+			imprint:   'Message imprint matches the document hash',
+			digest:    'Signed message digest matches the TSTInfo',
+			cert:      'TSA certificate included in the token',
+			ess:       'Signing certificate attribute names that certificate',
+			signature: 'CMS signature is valid'
+		};
+
+		return Promise.resolve()
+			.then(step(label.imprint, function () {
+				var mi = tst.tstInfo.messageImprint;
+				if (!options.hashValue) {
+					add(label.imprint, null, 'No document hash given');
+					return;
+				}
+				return expectedImprint(options.hashValue, options.hashAlgorithm || 'sha256').then(function (expected) {
+					var hex = AC.toHex(expected);
+					add(label.imprint, mi.algorithm === 'sha256' && hex === mi.hashedMessage, 'Expected SHA-256 ' + hex);
+				});
+			}))
+			.then(step(label.digest, function () {
+				if (!signer) { throw new Error('The token has no SignerInfo.'); }
+				if (!signer.signedAttrs || !signer.attributes[OID.messageDigest]) {
+					throw new Error('The SignerInfo has no signed message digest.');
+				}
+				var algo   = DIGESTS[signer.digestAlgorithm.oid];
+				var attr   = signer.attributes[OID.messageDigest][0];
+				var signed = AC.toHex(value(attr, readTlv(attr, 0)));
+				if (!algo) { throw new Error('Unsupported digest algorithm ' + signer.digestAlgorithm.oid + '.'); }
+				return AC.digestHex(algo, tst.tstInfoDer).then(function (hex) {
+					add(label.digest, hex === signed, SUBTLE_HASH[algo] + ' ' + hex);
+				});
+			}))
+			.then(step(label.cert, function () {
+				if (!signer) { throw new Error('The token has no SignerInfo.'); }
+				cert = signerCertificate(tst);
+				if (!cert) {
+					var wanted = signer.sid.subjectKeyId
+						? 'key identifier ' + signer.sid.subjectKeyId
+						: signer.sid.issuer + ', serial ' + signer.sid.serial;
+					throw new Error('Not included (' + wanted + '); the TSA must be asked to include its certificate (certReq).');
+				}
+				add(label.cert, true, cert.subject);
+
+				var genTime = tst.tstInfo.genTime;
+				add('Certificate valid at the timestamp time',
+					genTime >= cert.notBefore && genTime <= cert.notAfter,
+					isoTime(cert.notBefore) + ' \u2013 ' + isoTime(cert.notAfter));
+				add('Certificate is issued for timestamping',
+					cert.extKeyUsage.indexOf(OID.timeStamping) !== -1,
+					cert.extKeyUsage.length ? cert.extKeyUsage.join(', ') : 'No extended key usage');
+			}))
+			.then(step(label.ess, function () {
+				if (!cert) { return; }
+				var v2  = signer.attributes[OID.signingCertV2];
+				var v1  = signer.attributes[OID.signingCert];
+				if (!v2 && !v1) {
+					add(label.ess, null, 'Attribute not present');
+					return;
+				}
+				var ids = essCertIds((v2 || v1)[0], !!v2);
+				if (!ids.length) { throw new Error('The attribute lists no certificate.'); }
+				return AC.digestHex(ids[0].algorithm, cert.der).then(function (hex) {
+					add(label.ess, hex === ids[0].hash, ids[0].algorithm.toUpperCase() + ' ' + ids[0].hash);
+				});
+			}))
+			.then(step(label.signature, function () {
+				if (!cert) { throw new Error('No certificate to verify against.'); }
+				return verifySignerSignature(signer, cert).then(function (r) {
+					signatureOk = r.ok;
+					add(label.signature, r.ok, r.detail);
+				});
+			}))
+			.then(function () {
+				return {
+					verified: signatureOk && !checks.some(function (c) { return c.ok === false; }),
+					checks:   checks
+				};
+			});
+	}
+
+	// ── Public surface ─────────────────────────────────────────────────────────
+
+	root.ArchivioTSR = {
+		parse:             parse,
+		verify:            verify,
+		expectedImprint:   expectedImprint,
+		signerCertificate: signerCertificate
+	};
+
+})(window);
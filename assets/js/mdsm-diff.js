@@ -0,0 +1,424 @@
+/**
+ * Meta Documentation & SEO Manager - Line Diff
+ *
+ * Myers O(ND) linear-space line diff used by the editor's "Review changes" step,
+ * plus a diff3-style three-way merge for resolving save conflicts.
+ * Exposed as window.MDSMDiff.
+ */
+
+(function(root) {
+    'use strict';
+
+    // Upper bound on diagonal probes per diff. Past it the remaining region
+    // is reported as a wholesale replacement rather than stalling the browser.
+    var PROBE_BUDGET = 50000000;
+
+    /**
+     * Split text into lines, normalising line endings. An empty document has
+     * no lines; a trailing newline does not produce an extra empty line.
+     */
+    function splitLines(text) {
+        text = String(text || '').replace(/\r\n?/g, '\n');
+        if (text === '') {
+            return [];
+        }
+        var lines = text.split('\n');
+        if (lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+        return lines;
+    }
+
+    /**
+     * Find the middle snake of a[aLo..aHi) × b[bLo..bHi) (Myers 1986, §4b).
+     * Returns the snake's start and end relative to (aLo, bLo), or null once
+     * the probe budget is spent.
+     */
+    function middleSnake(a, aLo, aHi, b, bLo, bHi, budget) {
+        var n = aHi - aLo;
+        var m = bHi - bLo;
+        var delta = n - m;
+        var odd = (delta & 1) !== 0;
+        var max = Math.ceil((n + m) / 2);
+        var offset = max + 1;
+        var vf = new Int32Array(2 * max + 3);
+        var vb = new Int32Array(2 * max + 3);
+        var d, k, x, y, x0, c;
+
+        for (d = 0; d <= max; d++) {
+            budget.left -= 2 * d + 2;
+            if (budget.left < 0) {
+                return null;
+            }
+
+            for (k = -d; k <= d; k += 2) {
+                x = (k === -d || (k !== d && vf[offset + k - 1] < vf[offset + k + 1]))
+                    ? vf[offset + k + 1]
+                    : vf[offset + k - 1] + 1;
+                y = x - k;
+                x0 = x;
+                while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+                    x++;
+                    y++;
+                }
+                vf[offset + k] = x;
+
+                c = delta - k;
+                if (odd && c >= -(d - 1) && c <= d - 1 && x + vb[offset + c] >= n) {
+                    return { x0: x0, y0: x0 - k, x1: x, y1: y };
+                }
+            }
+
+            // Backward pass runs on reversed sequences: diagonal k here is
+            // forward diagonal delta - k.
+            for (k = -d; k <= d; k += 2) {
+                x = (k === -d || (k !== d && vb[offset + k - 1] < vb[offset + k + 1]))
+                    ? vb[offset + k + 1]
+                    : vb[offset + k - 1] + 1;
+                y = x - k;
+                x0 = x;
+                while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) {
+                    x++;
+                    y++;
+                }
+                vb[offset + k] = x;
+
+                c = delta - k;
+                if (!odd && c >= -d && c <= d && x + vf[offset + c] >= n) {
+                    return { x0: n - x, y0: m - y, x1: n - x0, y1: m - x0 + k };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Append the shortest edit script for a[aLo..aHi) → b[bLo..bHi) to
+     * `out` as 'equal' | 'del' | 'add' steps. Linear space.
+     */
+    function editScript(a, aLo, aHi, b, bLo, bHi, out, budget) {
+        var suffix = 0;
+        var i;
+
+        while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) {
+            out.push('equal');
+            aLo++;
+            bLo++;
+        }
+        while (aLo < aHi && bLo < bHi && a[aHi - 1] === b[bHi - 1]) {
+            aHi--;
+            bHi--;
+            suffix++;
+        }
+
+        var snake = (aLo < aHi && bLo < bHi) ? middleSnake(a, aLo, aHi, b, bLo, bHi, budget) : null;
+
+        if (snake) {
+            editScript(a, aLo, aLo + snake.x0, b, bLo, bLo + snake.y0, out, budget);
+            for (i = snake.x0; i < snake.x1; i++) {
+                out.push('equal');
+            }
+            editScript(a, aLo + snake.x1, aHi, b, bLo + snake.y1, bHi, out, budget);
+        } else {
+            for (i = aLo; i < aHi; i++) {
+                out.push('del');
+            }
+            for (i = bLo; i < bHi; i++) {
+                out.push('add');
+            }
+        }
+
+        for (i = 0; i < suffix; i++) {
+            out.push('equal');
+        }
+    }
+
+    /**
+     * Diff two texts line by line.
+     *
+     * @param  {string} oldText
+     * @param  {string} newText
+     * @return {Array<{type: string, text: string, oldNo: number|null, newNo: number|null}>}
+     */
+    function diffLines(oldText, newText) {
+        var a = splitLines(oldText);
+        var b = splitLines(newText);
+        var steps = [];
+
+        editScript(a, 0, a.length, b, 0, b.length, steps, { left: PROBE_BUDGET });
+
+        var ops = [];
+        var ai = 0;
+        var bi = 0;
+        steps.forEach(function(type) {
+            if (type === 'equal') {
+                ops.push({ type: 'equal', text: a[ai], oldNo: ai + 1, newNo: bi + 1 });
+                ai++;
+                bi++;
+            } else if (type === 'del') {
+                ops.push({ type: 'del', text: a[ai], oldNo: ai + 1, newNo: null });
+                ai++;
+            } else {
+                ops.push({ type: 'add', text: b[bi], oldNo: null, newNo: bi + 1 });
+                bi++;
+            }
+        });
+        return ops;
+    }
+
+    /**
+     * Count added and removed lines.
+     */
+    function stats(ops) {
+        var result = { added: 0, removed: 0 };
+        ops.forEach(function(op) {
+            if (op.type === 'add') {
+                result.added++;
+            } else if (op.type === 'del') {
+                result.removed++;
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Group changes into hunks with `context` unchanged lines on each side.
+     * `start` / `end` index into `ops`, so callers can count the lines
+     * folded away between hunks.
+     *
+     * @return {Array<{start: number, end: number, oldStart: number, oldLines: number, newStart: number, newLines: number, ops: Array}>}
+     */
+    function hunks(ops, context) {
+        context = context === undefined ? 3 : context;
+        var result = [];
+        var current = null;
+        var lastChange = -Infinity;
+
+        ops.forEach(function(op, i) {
+            if (op.type === 'equal') {
+                return;
+            }
+            var from = Math.max(0, i - context);
+            if (current && from <= lastChange + context + 1) {
+                current.end = i;
+            } else {
+                if (current) {
+                    result.push(current);
+                }
+                current = { start: Math.max(from, lastChange + context + 1), end: i };
+            }
+            lastChange = i;
+        });
+        if (current) {
+            result.push(current);
+        }
+
+        return result.map(function(range) {
+            var end = Math.min(ops.length, range.end + context + 1);
+            var slice = ops.slice(range.start, end);
+            var hunk = { start: range.start, end: end, oldStart: 0, oldLines: 0, newStart: 0, newLines: 0, ops: slice };
+            slice.forEach(function(op) {
+                if (op.type !== 'add') {
+                    hunk.oldStart = hunk.oldStart || op.oldNo;
+                    hunk.oldLines++;
+                }
+                if (op.type !== 'del') {
+                    hunk.newStart = hunk.newStart || op.newNo;
+                    hunk.newLines++;
+                }
+            });
+            return hunk;
+        });
+    }
+
+    /**
+     * Pair a hunk's lines into side-by-side rows. Runs of removed lines are
+     * matched row-for-row with the added lines that replace them.
+     *
+     * @return {Array<{left: Object|null, right: Object|null}>}
+     */
+    function sideBySide(ops) {
+        var rows = [];
+        var dels = [];
+        var adds = [];
+
+        function flush() {
+            for (var i = 0; i < Math.max(dels.length, adds.length); i++) {
+                rows.push({ left: dels[i] || null, right: adds[i] || null });
+            }
+            dels = [];
+            adds = [];
+        }
+
+        ops.forEach(function(op) {
+            if (op.type === 'equal') {
+                flush();
+                rows.push({ left: op, right: op });
+            } else if (op.type === 'del') {
+                if (adds.length) {
+                    flush();
+                }
+                dels.push(op);
+            } else {
+                adds.push(op);
+            }
+        });
+        flush();
+        return rows;
+    }
+
+    /**
+     * Render ops as unified diff text.
+     */
+    function unified(ops, oldLabel, newLabel, context) {
+        var out = ['--- ' + (oldLabel || 'a'), '+++ ' + (newLabel || 'b')];
+        hunks(ops, context).forEach(function(h) {
+            out.push('@@ -' + (h.oldLines ? h.oldStart : 0) + ',' + h.oldLines +
+                     ' +' + (h.newLines ? h.newStart : 0) + ',' + h.newLines + ' @@');
+            h.ops.forEach(function(op) {
+                out.push((op.type === 'add' ? '+' : op.type === 'del' ? '-' : ' ') + op.text);
+            });
+        });
+        return out.join('\n') + '\n';
+    }
+
+    /**
+     * Collapse a diff against the base into change regions: base lines
+     * [baseStart, baseEnd) are replaced by `lines`. Pure insertions have
+     * baseStart === baseEnd.
+     */
+    function changeRegions(ops, side) {
+        var regions = [];
+        var current = null;
+        var basePos = 0;
+
+        ops.forEach(function(op) {
+            if (op.type === 'equal') {
+                current = null;
+                basePos++;
+                return;
+            }
+            if (!current) {
+                current = { side: side, baseStart: basePos, baseEnd: basePos, lines: [] };
+                regions.push(current);
+            }
+            if (op.type === 'del') {
+                basePos++;
+                current.baseEnd = basePos;
+            } else {
+                current.lines.push(op.text);
+            }
+        });
+        return regions;
+    }
+
+    /**
+     * Apply one side's regions to base[from..to).
+     */
+    function applyRegions(base, from, to, regions) {
+        var out = [];
+        var pos = from;
+        regions.forEach(function(region) {
+            out.push.apply(out, base.slice(pos, region.baseStart));
+            out.push.apply(out, region.lines);
+            pos = region.baseEnd;
+        });
+        out.push.apply(out, base.slice(pos, to));
+        return out;
+    }
+
+    function sameLines(a, b) {
+        if (a.length !== b.length) {
+            return false;
+        }
+        for (var i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Three-way merge of two edits of a common base. Changes that touch
+     * different parts of the base are combined; changes that overlap or
+     * abut are reported as conflicts unless both sides made the same edit.
+     *
+     * @param  {string} baseText   Version both sides started from
+     * @param  {string} mineText   Local edit
+     * @param  {string} theirsText Version saved by someone else
+     * @return {{chunks: Array<{type: string, lines?: Array, base?: Array, mine?: Array, theirs?: Array}>, conflicts: number}}
+     *         `ok` chunks carry merged `lines`; `conflict` chunks carry all three versions.
+     */
+    function merge3(baseText, mineText, theirsText) {
+        var base = splitLines(baseText);
+        var regions = changeRegions(diffLines(baseText, mineText), 'mine')
+            .concat(changeRegions(diffLines(baseText, theirsText), 'theirs'))
+            .sort(function(a, b) {
+                return a.baseStart - b.baseStart || a.baseEnd - b.baseEnd;
+            });
+
+        var chunks = [];
+        var conflicts = 0;
+        var pos = 0;
+
+        function pushOk(lines) {
+            if (!lines.length) {
+                return;
+            }
+            var last = chunks[chunks.length - 1];
+            if (last && last.type === 'ok') {
+                last.lines.push.apply(last.lines, lines);
+            } else {
+                chunks.push({ type: 'ok', lines: lines.slice() });
+            }
+        }
+
+        for (var i = 0; i < regions.length;) {
+            // Gather every region overlapping or touching this one.
+            var group = [regions[i]];
+            var start = regions[i].baseStart;
+            var end = regions[i].baseEnd;
+            for (i++; i < regions.length && regions[i].baseStart <= end; i++) {
+                group.push(regions[i]);
+                end = Math.max(end, regions[i].baseEnd);
+            }
+
+            pushOk(base.slice(pos, start));
+            pos = end;
+
+            var mine = group.filter(function(r) { return r.side === 'mine'; });
+            var theirs = group.filter(function(r) { return r.side === 'theirs'; });
+            var mineLines = applyRegions(base, start, end, mine);
+            var theirLines = applyRegions(base, start, end, theirs);
+
+            if (!theirs.length) {
+                pushOk(mineLines);
+            } else if (!mine.length || sameLines(mineLines, theirLines)) {
+                pushOk(theirLines);
+            } else {
+                conflicts++;
+                chunks.push({
+                    type: 'conflict',
+                    base: base.slice(start, end),
+                    mine: mineLines,
+                    theirs: theirLines
+                });
+            }
+        }
+        pushOk(base.slice(pos));
+
+        return { chunks: chunks, conflicts: conflicts };
+    }
+
+    root.MDSMDiff = {
+        splitLines: splitLines,
+        diffLines: diffLines,
+        stats: stats,
+        hunks: hunks,
+        sideBySide: sideBySide,
+        unified: unified,
+        merge3: merge3
+    };
+
+})(window);
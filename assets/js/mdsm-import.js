@@ -0,0 +1,272 @@
+/**
+ * Meta Documentation & SEO Manager - Document Import
+ *
+ * Turns dropped files, folders and ZIP archives into a flat list of text
+ * files for the dashboard import: walks dropped folders, reads ZIP central
+ * directories (stored and deflated entries, inflated with the browser's
+ * DecompressionStream) and decodes contents as UTF-8, rejecting binary data.
+ * Exposed as window.MDSMImport.
+ */
+
+(function(root) {
+    'use strict';
+
+    // Documentation is small; anything larger is almost certainly not a document.
+    var MAX_FILE_BYTES = 1024 * 1024;
+
+    // Archive and operating system clutter that is never imported
+    var IGNORED = /(^|\/)(__MACOSX|\.git|node_modules)\/|(^|\/)(\.DS_Store|Thumbs\.db|desktop\.ini)$/i;
+
+    var SIG_LOCAL = 0x04034b50;
+    var SIG_CENTRAL = 0x02014b50;
+    var SIG_END = 0x06054b50;
+
+    function flatten(lists) {
+        return lists.reduce(function(all, list) {
+            return all.concat(list);
+        }, []);
+    }
+
+    function isZip(name) {
+        return /\.zip$/i.test(name);
+    }
+
+    /**
+     * UTF-8 text of a file, without a byte order mark; null for binary data
+     */
+    function decodeText(bytes) {
+        if (bytes.indexOf(0) !== -1) {
+            return null;
+        }
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes).replace(/^\uFEFF/, '');
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Inflate a raw deflate stream, giving up with Error('too-large') as soon
+     * as the output passes limit bytes. The size an archive declares cannot
+     * be trusted, so a small entry that inflates to gigabytes is cut off here.
+     */
+    function inflateRaw(bytes, limit) {
+        if (typeof DecompressionStream === 'undefined') {
+            return Promise.reject(new Error('compression'));
+        }
+        var reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+        var chunks = [];
+        var total = 0;
+
+        function read() {
+            return reader.read().then(function(result) {
+                if (result.done) {
+                    var out = new Uint8Array(total);
+                    var at = 0;
+                    chunks.forEach(function(chunk) {
+                        out.set(chunk, at);
+                        at += chunk.length;
+                    });
+                    return out;
+                }
+                total += result.value.length;
+                if (total > limit) {
+                    reader.cancel();
+                    throw new Error('too-large');
+                }
+                chunks.push(result.value);
+                return read();
+            });
+        }
+        return read();
+    }
+
+    /**
+     * Files in a ZIP archive: Promise of [{path, bytes}], or [{path, error}]
+     * for entries that cannot be read. Rejects with Error('not-zip') or
+     * Error('zip64') when the archive itself cannot be read.
+     */
+    function readZip(buffer) {
+        var bytes = new Uint8Array(buffer);
+        var view = new DataView(buffer);
+        var end = -1;
+        var i;
+
+        // The end record sits in the last 22 bytes plus an optional comment of up to 64 KiB
+        for (i = bytes.length - 22; i >= 0 && i >= bytes.length - 22 - 65535; i--) {
+            if (view.getUint32(i, true) === SIG_END) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) {
+            return Promise.reject(new Error('not-zip'));
+        }
+
+        var count = view.getUint16(end + 10, true);
+        var offset = view.getUint32(end + 16, true);
+        if (count === 0xffff || offset === 0xffffffff) {
+            return Promise.reject(new Error('zip64'));
+        }
+
+        var entries = [];
+        for (i = 0; i < count; i++) {
+            if (offset + 46 > bytes.length || view.getUint32(offset, true) !== SIG_CENTRAL) {
+                return Promise.reject(new Error('not-zip'));
+            }
+            var nameLength = view.getUint16(offset + 28, true);
+            var entry = {
+                flags: view.getUint16(offset + 8, true),
+                method: view.getUint16(offset + 10, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                size: view.getUint32(offset + 24, true),
+                localOffset: view.getUint32(offset + 42, true),
+                path: new TextDecoder('utf-8').decode(bytes.subarray(offset + 46, offset + 46 + nameLength))
+            };
+            offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+
+            if (!/\/$/.test(entry.path)) {
+                entries.push(entry);
+            }
+        }
+
+        return Promise.all(entries.map(function(entry) {
+            var local = entry.localOffset;
+            if (local + 30 > bytes.length || view.getUint32(local, true) !== SIG_LOCAL) {
+                return { path: entry.path, error: 'not-zip' };
+            }
+            if (entry.flags & 1) {
+                return { path: entry.path, error: 'encrypted' };
+            }
+            if (entry.size > MAX_FILE_BYTES) {
+                return { path: entry.path, error: 'too-large' };
+            }
+
+            var start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+            var data = bytes.subarray(start, start + entry.compressedSize);
+
+            if (entry.method === 0) {
+                return data.length > MAX_FILE_BYTES ? { path: entry.path, error: 'too-large' } : { path: entry.path, bytes: data };
+            }
+            if (entry.method !== 8) {
+                return { path: entry.path, error: 'compression' };
+            }
+            return inflateRaw(data, MAX_FILE_BYTES).then(function(inflated) {
+                return { path: entry.path, bytes: inflated };
+            }, function(error) {
+                var known = error.message === 'compression' || error.message === 'too-large';
+                return { path: entry.path, error: known ? error.message : 'not-zip' };
+            });
+        }));
+    }
+
+    function walkEntry(entry) {
+        if (entry.isFile) {
+            return new Promise(function(resolve) {
+                entry.file(function(file) {
+                    resolve([{ path: entry.fullPath.replace(/^\//, ''), file: file }]);
+                }, function() {
+                    resolve([]);
+                });
+            });
+        }
+
+        // readEntries returns directories in batches until it returns an empty one
+        var reader = entry.createReader();
+        var children = [];
+        return new Promise(function(resolve) {
+            function read() {
+                reader.readEntries(function(batch) {
+                    if (!batch.length) {
+                        Promise.all(children.map(walkEntry)).then(function(lists) {
+                            resolve(flatten(lists));
+                        });
+                        return;
+                    }
+                    children = children.concat(Array.prototype.slice.call(batch));
+                    read();
+                }, function() {
+                    resolve([]);
+                });
+            }
+            read();
+        });
+    }
+
+    /**
+     * Files dropped on the page, descending into folders: Promise of [{path, file}].
+     * Must be called from the drop handler itself, while the data is readable.
+     */
+    function droppedFiles(dataTransfer) {
+        var items = dataTransfer.items;
+
+        if (items && items.length && items[0].webkitGetAsEntry) {
+            var entries = [];
+            for (var i = 0; i < items.length; i++) {
+                var entry = items[i].kind === 'file' ? items[i].webkitGetAsEntry() : null;
+                if (entry) {
+                    entries.push(entry);
+                }
+            }
+            return Promise.all(entries.map(walkEntry)).then(flatten);
+        }
+
+        return Promise.resolve(fromFileList(dataTransfer.files));
+    }
+
+    /**
+     * Files picked in a file input: [{path, file}]
+     */
+    function fromFileList(fileList) {
+        return Array.prototype.map.call(fileList || [], function(file) {
+            return { path: file.webkitRelativePath || file.name, file: file };
+        });
+    }
+
+    function fromBytes(path, bytes) {
+        var content = decodeText(bytes);
+        return content === null ? { path: path, error: 'binary' } : { path: path, content: content };
+    }
+
+    /**
+     * Read picked or dropped files, unpacking ZIP archives: Promise of
+     * [{path, content}] or [{path, error}] with error one of 'not-zip',
+     * 'zip64', 'encrypted', 'compression', 'too-large' or 'binary'.
+     * Archive entries are reported as "archive.zip/inner/path.md".
+     */
+    function expand(files) {
+        return Promise.all(files.filter(function(item) {
+            return !IGNORED.test(item.path);
+        }).map(function(item) {
+            if (isZip(item.path)) {
+                return item.file.arrayBuffer().then(readZip).then(function(entries) {
+                    return entries.filter(function(entry) {
+                        return !IGNORED.test(entry.path);
+                    }).map(function(entry) {
+                        var path = item.path + '/' + entry.path;
+                        return entry.error ? { path: path, error: entry.error } : fromBytes(path, entry.bytes);
+                    });
+                }, function(error) {
+                    return [{ path: item.path, error: error.message }];
+                });
+            }
+
+            if (item.file.size > MAX_FILE_BYTES) {
+                return [{ path: item.path, error: 'too-large' }];
+            }
+            return item.file.arrayBuffer().then(function(buffer) {
+                return [fromBytes(item.path, new Uint8Array(buffer))];
+            });
+        })).then(flatten);
+    }
+
+    root.MDSMImport = {
+        MAX_FILE_BYTES: MAX_FILE_BYTES,
+        decodeText: decodeText,
+        readZip: readZip,
+        droppedFiles: droppedFiles,
+        fromFileList: fromFileList,
+        expand: expand
+    };
+
+})(window);
@@ -0,0 +1,319 @@
+/**
+ * Meta Documentation & SEO Manager - Markdown Preview Renderer
+ *
+ * Client-side port of MDSM_HTML_Renderer::parse_markdown() so the editor's
+ * live preview matches the HTML that mdsm_generate_html writes. Keep the
+ * rules here in step with includes/class-html-renderer.php, including its
+ * quirks (blank lines become <br>, an unclosed code fence is dropped).
+ *
+ * Exposed as window.MDSMMarkdown.
+ */
+
+(function(root) {
+    'use strict';
+
+    // wp_allowed_protocols() defaults, used by esc_url().
+    var ALLOWED_PROTOCOLS = [
+        'http', 'https', 'ftp', 'ftps', 'mailto', 'news', 'irc', 'irc6', 'ircs', 'gopher', 'nntp', 'feed',
+        'telnet', 'mms', 'rtsp', 'sms', 'svn', 'tel', 'fax', 'xmpp', 'webcal', 'urn'
+    ];
+
+    /**
+     * esc_html(): escapes specials but, like WordPress, leaves existing
+     * entities alone rather than double-encoding them.
+     */
+    function escHtml(text) {
+        return String(text)
+            .replace(/&(?!(?:[a-zA-Z][a-zA-Z0-9]*|#[0-9]+|#x[0-9a-fA-F]+);)/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    /**
+     * html_entity_decode( $text, ENT_QUOTES ) for the entities escHtml() emits
+     * plus numeric references.
+     */
+    function decodeEntities(text) {
+        var named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+        return String(text).replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, function(match, ref) {
+            if (ref.charAt(0) === '#') {
+                var code = ref.charAt(1).toLowerCase() === 'x' ? parseInt(ref.substr(2), 16) : parseInt(ref.substr(1), 10);
+                return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+            }
+            return Object.prototype.hasOwnProperty.call(named, ref) ? named[ref] : match;
+        });
+    }
+
+    /**
+     * esc_url() in display context: strips disallowed characters, rejects
+     * unknown protocols and prefixes bare hosts with http://.
+     */
+    function escUrl(url) {
+        url = String(url).replace(/^\s+/, '').replace(/ /g, '%20');
+        url = url.replace(/[^a-z0-9\-~+_.?#=!&;,\/:%@$|*'()\[\]\u0080-\uFFFF]/gi, '');
+        if (url === '') {
+            return '';
+        }
+        if (url.toLowerCase().indexOf('mailto:') !== 0) {
+            url = url.replace(/%0[da]/gi, '');
+        }
+        url = url.replace(/;\/\//g, '://');
+
+        if (url.indexOf(':') === -1 && ['/', '#', '?'].indexOf(url.charAt(0)) === -1 && !/^[a-z0-9-]+?\.php/i.test(url)) {
+            url = 'http://' + url;
+        }
+
+        if (url.charAt(0) !== '/') {
+            var scheme = /^([^\/?#:]+):/.exec(url);
+            if (scheme && ALLOWED_PROTOCOLS.indexOf(scheme[1].toLowerCase()) === -1) {
+                return '';
+            }
+        }
+
+        return url
+            .replace(/&(?!(?:[a-zA-Z][a-zA-Z0-9]*|#[0-9]+|#x[0-9a-fA-F]+);)/g, '&amp;')
+            .replace(/&amp;/g, '&#038;')
+            .replace(/'/g, '&#039;');
+    }
+
+    /**
+     * PHP trim() character set.
+     */
+    function phpTrim(str) {
+        return String(str).replace(/^[ \t\n\r\0\x0B]+|[ \t\n\r\0\x0B]+$/g, '');
+    }
+
+    /**
+     * MDSM_HTML_Renderer::parse_inline()
+     */
+    function parseInline(text) {
+        text = escHtml(text);
+
+        // Images: ![alt](url)
+        text = text.replace(/!\[([^\]]*)\]\(([^\)]+)\)/g, function(match, alt, url) {
+            return '<img src="' + escUrl(decodeEntities(url)) + '" alt="' + escHtml(decodeEntities(alt)) + '">';
+        });
+
+        // Links: [text](url)
+        text = text.replace(/\[([^\]]+)\]\(([^\)]+)\)/g, function(match, label, url) {
+            return '<a href="' + escUrl(decodeEntities(url)) + '">' + escHtml(decodeEntities(label)) + '</a>';
+        });
+
+        // Bold: **text** or __text__
+        text = text.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
+        text = text.replace(/__(.+?)__/g, '<strong>$1</strong>');
+
+        // Italic: *text* or _text_
+        text = text.replace(/\*(.+?)\*/g, '<em>$1</em>');
+        text = text.replace(/_(.+?)_/g, '<em>$1</em>');
+
+        // Inline code: `code`
+        text = text.replace(/`([^`]+)`/g, function(match, code) {
+            return '<code>' + escHtml(decodeEntities(code)) + '</code>';
+        });
+
+        return text;
+    }
+
+    function isTableDelimiter(line) {
+        return line.indexOf('|') !== -1 &&
+            /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line);
+    }
+
+    function splitTableRow(line) {
+        line = phpTrim(line);
+        if (line.charAt(0) === '|') {
+            line = line.substr(1);
+        }
+        if (line.slice(-1) === '|' && line.slice(-2) !== '\\|') {
+            line = line.slice(0, -1);
+        }
+        // Split on pipes not preceded by a backslash (no lookbehind, for older Safari).
+        var cells = [];
+        var current = '';
+        for (var i = 0; i < line.length; i++) {
+            if (line.charAt(i) === '|' && line.charAt(i - 1) !== '\\') {
+                cells.push(current);
+                current = '';
+            } else {
+                current += line.charAt(i);
+            }
+        }
+        cells.push(current);
+
+        return cells.map(function(cell) {
+            return phpTrim(cell).replace(/\\\|/g, '|');
+        });
+    }
+
+    function tableAlignments(line) {
+        return splitTableRow(line).map(function(cell) {
+            var left = cell.charAt(0) === ':';
+            var right = cell.slice(-1) === ':';
+            if (left && right) {
+                return ' style="text-align:center"';
+            }
+            if (right) {
+                return ' style="text-align:right"';
+            }
+            if (left) {
+                return ' style="text-align:left"';
+            }
+            return '';
+        });
+    }
+
+    /**
+     * MDSM_HTML_Renderer::parse_markdown()
+     *
+     * @param  {string} markdown
+     * @return {string} HTML fragment (the body of the generated document)
+     */
+    function render(markdown) {
+        var lines = String(markdown).split('\n');
+        var count = lines.length;
+        var html = '';
+        var inCodeBlock = false;
+        var codeBlock = '';
+        var codeLanguage = '';
+        var inList = false;
+        var listType = '';
+        var matches;
+
+        function closeList() {
+            if (inList) {
+                html += '</' + listType + '>';
+                inList = false;
+            }
+        }
+
+        function openList(type) {
+            if (!inList || listType !== type) {
+                if (inList) {
+                    html += '</' + listType + '>';
+                }
+                html += '<' + type + '>';
+                inList = true;
+                listType = type;
+            }
+        }
+
+        for (var i = 0; i < count; i++) {
+            var line = lines[i];
+
+            // Code blocks
+            if ((matches = /^```(\w*)/.exec(line))) {
+                if (!inCodeBlock) {
+                    inCodeBlock = true;
+                    codeLanguage = matches[1] || '';
+                    codeBlock = '';
+                } else {
+                    inCodeBlock = false;
+                    var langClass = codeLanguage ? ' class="language-' + escHtml(codeLanguage) + '"' : '';
+                    html += '<pre><code' + langClass + '>' + escHtml(codeBlock) + '</code></pre>';
+                    codeBlock = '';
+                    codeLanguage = '';
+                }
+                continue;
+            }
+
+            if (inCodeBlock) {
+                codeBlock += line + '\n';
+                continue;
+            }
+
+            // Empty lines
+            if (phpTrim(line) === '') {
+                closeList();
+                html += '<br>';
+                continue;
+            }
+
+            // Headings
+            if ((matches = /^(#{1,6})\s+(.+)$/.exec(line))) {
+                closeList();
+                var level = matches[1].length;
+                html += '<h' + level + '>' + parseInline(matches[2]) + '</h' + level + '>';
+                continue;
+            }
+
+            // Unordered lists
+            if ((matches = /^[\*\-\+]\s+(.+)$/.exec(line))) {
+                openList('ul');
+                html += '<li>' + parseInline(matches[1]) + '</li>';
+                continue;
+            }
+
+            // Ordered lists
+            if ((matches = /^\d+\.\s+(.+)$/.exec(line))) {
+                openList('ol');
+                html += '<li>' + parseInline(matches[1]) + '</li>';
+                continue;
+            }
+
+            // Blockquotes
+            if ((matches = /^>\s+(.+)$/.exec(line))) {
+                closeList();
+                html += '<blockquote>' + parseInline(matches[1]) + '</blockquote>';
+                continue;
+            }
+
+            // Horizontal rules
+            if (/^(\*{3,}|-{3,}|_{3,})$/.test(line)) {
+                closeList();
+                html += '<hr>';
+                continue;
+            }
+
+            // Tables: header row, delimiter row (|---|:---:|), then body rows
+            if (line.indexOf('|') !== -1 && i + 1 < count && isTableDelimiter(lines[i + 1])) {
+                var headers = splitTableRow(line);
+                var aligns = tableAlignments(lines[i + 1]);
+
+                if (headers.length === aligns.length) {
+                    closeList();
+
+                    html += '<table><thead><tr>';
+                    headers.forEach(function(cell, col) {
+                        html += '<th' + aligns[col] + '>' + parseInline(cell) + '</th>';
+                    });
+                    html += '</tr></thead><tbody>';
+
+                    i += 2;
+                    while (i < count && phpTrim(lines[i]) !== '' && lines[i].indexOf('|') !== -1) {
+                        var cells = splitTableRow(lines[i]);
+                        html += '<tr>';
+                        aligns.forEach(function(align, col) {
+                            html += '<td' + align + '>' + parseInline(col < cells.length ? cells[col] : '') + '</td>';
+                        });
+                        html += '</tr>';
+                        i++;
+                    }
+                    i--;
+
+                    html += '</tbody></table>';
+                    continue;
+                }
+            }
+
+            // Regular paragraphs
+            closeList();
+            html += '<p>' + parseInline(line) + '</p>';
+        }
+
+        // Close any open lists
+        closeList();
+
+        return html;
+    }
+
+    root.MDSMMarkdown = {
+        render: render,
+        parseInline: parseInline,
+        escHtml: escHtml,
+        escUrl: escUrl
+    };
+
+})(window);
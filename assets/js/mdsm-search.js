@@ -0,0 +1,316 @@
+/**
+ * Meta Documentation & SEO Manager - Content Search
+ *
+ * In-browser inverted index over every document's filename, description and
+ * content, with ranked exact / prefix / substring / fuzzy (edit distance)
+ * word matching and highlighted snippets for the dashboard search.
+ * Exposed as window.MDSMSearch.
+ */
+
+(function(root) {
+    'use strict';
+
+    var TOKEN = /[A-Za-z0-9\u00C0-\uFFFF]+/g;
+
+    // A filename hit outranks a description hit, which outranks body text.
+    var FIELD_WEIGHT = { name: 3, description: 2, content: 1 };
+
+    var SNIPPET_LENGTH = 160;
+    var MAX_RESULTS = 50;
+
+    function splitLines(text) {
+        return String(text || '').replace(/\r\n?/g, '\n').split('\n');
+    }
+
+    /**
+     * Words in `text` with their offsets: [{word, start, end}]
+     */
+    function tokenize(text) {
+        var tokens = [];
+        var match;
+        TOKEN.lastIndex = 0;
+        while ((match = TOKEN.exec(text)) !== null) {
+            tokens.push({
+                word: match[0].toLowerCase(),
+                start: match.index,
+                end: match.index + match[0].length
+            });
+        }
+        return tokens;
+    }
+
+    /**
+     * Levenshtein distance, giving up (returning max + 1) once it must exceed max.
+     */
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) {
+            return max + 1;
+        }
+        var prev = [];
+        var i, j;
+        for (j = 0; j <= b.length; j++) {
+            prev[j] = j;
+        }
+        for (i = 1; i <= a.length; i++) {
+            var row = [i];
+            var rowMin = i;
+            for (j = 1; j <= b.length; j++) {
+                var cost = a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1;
+                row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+                if (row[j] < rowMin) {
+                    rowMin = row[j];
+                }
+            }
+            if (rowMin > max) {
+                return max + 1;
+            }
+            prev = row;
+        }
+        return prev[b.length];
+    }
+
+    /**
+     * How well an indexed word matches a query term, from 0 (no match) to 1 (exact):
+     * exact, prefix, substring, then typo-tolerant whole word or prefix.
+     */
+    function matchQuality(word, term) {
+        if (word === term) {
+            return 1;
+        }
+        var at = word.indexOf(term);
+        if (at === 0 && term.length >= 2) {
+            return 0.8;
+        }
+        if (at > 0 && term.length >= 3) {
+            return 0.5;
+        }
+        if (term.length >= 4) {
+            var max = term.length >= 8 ? 2 : 1;
+            var distance = editDistance(term, word, max);
+            if (distance <= max) {
+                return distance === 1 ? 0.6 : 0.45;
+            }
+            // Misspelt start of a longer word ("vulnerabilty" → "vulnerabilities")
+            if (word.length > term.length && editDistance(term, word.substr(0, term.length), max) <= max) {
+                return 0.4;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Build the index from [{type, name, category, description, exists, content}].
+     */
+    function buildIndex(docs) {
+        var vocab = Object.create(null);
+        var lines = [];
+
+        function add(doc, field, line, text) {
+            tokenize(text).forEach(function(token) {
+                (vocab[token.word] || (vocab[token.word] = [])).push({
+                    doc: doc,
+                    field: field,
+                    line: line,
+                    start: token.start,
+                    end: token.end
+                });
+            });
+        }
+
+        docs.forEach(function(doc, d) {
+            add(d, 'name', -1, doc.name);
+            add(d, 'description', -1, doc.description || '');
+            lines[d] = doc.exists ? splitLines(doc.content) : [];
+            lines[d].forEach(function(text, l) {
+                add(d, 'content', l, text);
+            });
+        });
+
+        return { docs: docs, lines: lines, vocab: vocab, words: Object.keys(vocab) };
+    }
+
+    /**
+     * Sort and merge overlapping [start, end) ranges.
+     */
+    function mergeRanges(ranges) {
+        var merged = [];
+        ranges.slice().sort(function(a, b) {
+            return a[0] - b[0];
+        }).forEach(function(range) {
+            var last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push([range[0], range[1]]);
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Cut a long line down to a window around its first match.
+     */
+    function snippet(text, ranges) {
+        ranges = mergeRanges(ranges);
+        if (text.length <= SNIPPET_LENGTH) {
+            return { text: text, ranges: ranges, before: false, after: false };
+        }
+        var from = ranges.length ? Math.max(0, ranges[0][0] - 60) : 0;
+        var to = Math.min(text.length, from + SNIPPET_LENGTH);
+        from = Math.max(0, to - SNIPPET_LENGTH);
+        return {
+            text: text.substring(from, to),
+            ranges: ranges.filter(function(range) {
+                return range[0] >= from && range[1] <= to;
+            }).map(function(range) {
+                return [range[0] - from, range[1] - from];
+            }),
+            before: from > 0,
+            after: to < text.length
+        };
+    }
+
+    /**
+     * Search the index. Every query term must match somewhere in a document.
+     *
+     * @param  {Object} index   From buildIndex()
+     * @param  {string} query
+     * @param  {Object} filters {category: '' | label, status: '' | 'active' | 'empty'}
+     * @return {Array}  Best first: [{doc, score, line (1-based) | null, snippet | null, nameRanges, descriptionRanges}]
+     */
+    function search(index, query, filters) {
+        filters = filters || {};
+        var terms = [];
+        tokenize(query).forEach(function(token) {
+            if (terms.indexOf(token.word) === -1) {
+                terms.push(token.word);
+            }
+        });
+        if (!terms.length) {
+            return [];
+        }
+
+        function included(doc) {
+            if (filters.category && doc.category !== filters.category) {
+                return false;
+            }
+            if (filters.status === 'active' && !doc.exists) {
+                return false;
+            }
+            if (filters.status === 'empty' && doc.exists) {
+                return false;
+            }
+            return true;
+        }
+
+        var found = Object.create(null);
+
+        terms.forEach(function(term, t) {
+            index.words.forEach(function(word) {
+                var quality = matchQuality(word, term);
+                if (!quality) {
+                    return;
+                }
+                index.vocab[word].forEach(function(posting) {
+                    if (!included(index.docs[posting.doc])) {
+                        return;
+                    }
+                    var hit = found[posting.doc] || (found[posting.doc] = {
+                        best: terms.map(function() { return 0; }),
+                        occurrences: 0,
+                        lines: Object.create(null),
+                        nameRanges: [],
+                        descriptionRanges: []
+                    });
+                    var score = quality * FIELD_WEIGHT[posting.field];
+                    if (score > hit.best[t]) {
+                        hit.best[t] = score;
+                    }
+                    var range = [posting.start, posting.end];
+                    if (posting.field === 'name') {
+                        hit.nameRanges.push(range);
+                    } else if (posting.field === 'description') {
+                        hit.descriptionRanges.push(range);
+                    } else {
+                        hit.occurrences++;
+                        var line = hit.lines[posting.line] || (hit.lines[posting.line] = {
+                            best: terms.map(function() { return 0; }),
+                            ranges: []
+                        });
+                        line.best[t] = Math.max(line.best[t], quality);
+                        line.ranges.push(range);
+                    }
+                });
+            });
+        });
+
+        var results = [];
+        Object.keys(found).forEach(function(d) {
+            var hit = found[d];
+            if (hit.best.indexOf(0) !== -1) {
+                return;
+            }
+
+            // The line covering the most terms (best quality) is where the editor opens
+            var bestLine = null;
+            var bestLineScore = 0;
+            Object.keys(hit.lines).forEach(function(l) {
+                var lineScore = hit.lines[l].best.reduce(function(sum, q) {
+                    return sum + q;
+                }, 0);
+                if (lineScore > bestLineScore || (lineScore === bestLineScore && +l < bestLine)) {
+                    bestLine = +l;
+                    bestLineScore = lineScore;
+                }
+            });
+
+            results.push({
+                doc: index.docs[d],
+                score: hit.best.reduce(function(sum, s) {
+                    return sum + s;
+                }, 0) + bestLineScore + Math.log(1 + hit.occurrences) * 0.5,
+                line: bestLine === null ? null : bestLine + 1,
+                snippet: bestLine === null ? null : snippet(index.lines[d][bestLine], hit.lines[bestLine].ranges),
+                nameRanges: mergeRanges(hit.nameRanges),
+                descriptionRanges: mergeRanges(hit.descriptionRanges)
+            });
+        });
+
+        results.sort(function(a, b) {
+            return b.score - a.score || a.doc.name.localeCompare(b.doc.name);
+        });
+
+        return results.slice(0, MAX_RESULTS);
+    }
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    /**
+     * Escape `text` and wrap each [start, end) range in <mark>.
+     */
+    function highlight(text, ranges) {
+        var html = '';
+        var pos = 0;
+        mergeRanges(ranges || []).forEach(function(range) {
+            html += escapeHtml(text.substring(pos, range[0])) +
+                '<mark>' + escapeHtml(text.substring(range[0], range[1])) + '</mark>';
+            pos = range[1];
+        });
+        return html + escapeHtml(text.substring(pos));
+    }
+
+    root.MDSMSearch = {
+        buildIndex: buildIndex,
+        search: search,
+        highlight: highlight,
+        editDistance: editDistance
+    };
+
+})(window);
@@ -0,0 +1,826 @@
+/**
+ * Meta Documentation & SEO Manager - Structured SEO File Editors
+ *
+ * Parsers, validators and serializers behind the editor's structured mode for
+ * SEO files, chosen by file name:
+ *
+ *   robots.txt             rule groups, RFC 9309 checks and a URL tester
+ *   security.txt           RFC 9116 fields, required Contact / Expires, expiry warnings
+ *   ads.txt, app-ads.txt   IAB ads.txt 1.1 record and variable validation
+ *   humans.txt             section / field checks
+ *   sellers.json           JSON and IAB sellers.json shape checks
+ *
+ * Validators return [{line (1-based) | null, severity: 'error'|'warning', code, args, message}];
+ * message is English, describe() swaps in a translated template by code.
+ * The textarea stays the source of truth: structured forms serialize back into it.
+ * Exposed as window.MDSMSeoEditors.
+ */
+
+(function(root) {
+    'use strict';
+
+    function splitLines(text) {
+        return String(text || '').replace(/\r\n?/g, '\n').split('\n');
+    }
+
+    /**
+     * English text for each issue code. The admin page passes translations
+     * (mdsmData.strings.seoChecks) to describe().
+     */
+    var MESSAGES = {
+        noValue: '%s has no value.',
+        robotsEmptyGroup: 'This user-agent group has no Allow or Disallow rules.',
+        robotsTooLarge: 'robots.txt is larger than 500 KiB; Google ignores rules past that size.',
+        robotsNotDirective: 'Expected "Directive: value".',
+        robotsUnknownDirective: 'Unknown directive "%s"; most crawlers ignore it.',
+        robotsEmptyAgent: 'User-agent needs a crawler name or *.',
+        robotsRuleOutsideGroup: '%s appears before any User-agent line, so no crawler applies it.',
+        robotsEmptyAllow: 'Empty Allow has no effect.',
+        robotsPathStart: 'Paths should start with "/" (or "*").',
+        robotsPathSpaces: 'Paths cannot contain spaces; percent-encode them as %20.',
+        robotsSitemapUrl: 'Sitemap must be an absolute http(s) URL.',
+        robotsCrawlDelay: 'Crawl-delay must be a number of seconds.',
+        robotsCrawlDelayOutsideGroup: 'Crawl-delay appears before any User-agent line.',
+        robotsNoGroups: 'No User-agent groups: crawlers will treat everything as allowed.',
+        securityUnknownField: 'Unknown field "%s".',
+        securityRepeated: '%s must appear only once.',
+        securityContactHttps: 'Web contact URIs must use https://.',
+        securityContactScheme: 'Contact must be a mailto:, tel: or https:// URI.',
+        securityExpiresFormat: 'Expires must be an RFC 3339 date-time, e.g. 2026-12-31T23:59:59Z.',
+        securityExpired: 'This security.txt expired %d day(s) ago; clients should ignore it.',
+        securityExpiresSoon: 'Expires in %d day(s). Renew it soon.',
+        securityExpiresFar: 'Expires is more than a year away; RFC 9116 recommends less than a year.',
+        securityLanguages: 'Preferred-Languages should be comma-separated language tags, e.g. "en, fr".',
+        securityEncryption: 'Encryption should be an https://, dns: or openpgp4fpr: URI.',
+        securityHttps: '%s should be an https:// URI.',
+        securityNotField: 'Expected "Field: value".',
+        securityNoContact: 'At least one Contact field is required.',
+        securityNoExpires: 'An Expires field is required.',
+        adsUnknownVariable: 'Unknown variable "%s".',
+        adsManagerDomain: 'MANAGERDOMAIN must be a domain, optionally followed by ", CC" (country code).',
+        adsVariableDomain: '%s must be a domain name.',
+        adsNotRecord: 'Expected "domain, account ID, DIRECT|RESELLER[, certification authority ID]".',
+        adsSystemDomain: '"%s" is not a valid advertising system domain.',
+        adsAccountId: 'Account ID is missing or contains spaces.',
+        adsRelationship: 'Relationship must be DIRECT or RESELLER, not "%s".',
+        adsCertificationId: 'Certification authority ID should be alphanumeric (e.g. a TAG-ID).',
+        adsDuplicate: 'Duplicate of line %d.',
+        adsNoRecords: 'No seller records found.',
+        humansHeaderCase: 'Section headers are usually upper case, e.g. /* TEAM */.',
+        humansBeforeSection: 'Text before the first /* SECTION */ header.',
+        humansLastUpdate: 'Last update is conventionally written YYYY/MM/DD.',
+        humansNoSections: 'humans.txt usually groups lines under /* TEAM */, /* THANKS */ and /* SITE */ headers.',
+        sellersInvalidJson: 'Invalid JSON: %s',
+        sellersShape: 'sellers.json must be an object with a "sellers" array.',
+        sellersVersion: 'Missing "version" (currently "1.0").',
+        sellersNotObject: 'Seller #%d is not an object.',
+        sellersNoId: 'Seller #%d has no seller_id.',
+        sellersRepeatedId: 'Seller #%1$d repeats seller_id "%2$s".',
+        sellersType: 'Seller #%d: seller_type must be PUBLISHER, INTERMEDIARY or BOTH.',
+        sellersNoName: 'Seller #%d is not confidential but has no name.'
+    };
+
+    /**
+     * Fill %s / %d placeholders, in order or by position (%1$s).
+     */
+    function format(template, args) {
+        var next = 0;
+        return String(template).replace(/%(?:(\d)\$)?[sd]/g, function(match, n) {
+            return String(args[n ? n - 1 : next++]);
+        });
+    }
+
+    function issue(line, severity, code) {
+        var args = Array.prototype.slice.call(arguments, 3);
+        return { line: line, severity: severity, code: code, args: args, message: format(MESSAGES[code], args) };
+    }
+
+    /**
+     * Text for an issue, from `messages` (code => template) when it has one.
+     */
+    function describe(item, messages) {
+        var template = messages && messages[item.code];
+        return template ? format(template, item.args) : item.message;
+    }
+
+    /**
+     * Split "Field: value # comment" into its parts, or null if it is not a field line.
+     */
+    function splitField(line) {
+        var hash = line.indexOf('#');
+        var comment = hash === -1 ? '' : line.substring(hash + 1).trim();
+        var body = (hash === -1 ? line : line.substring(0, hash)).trim();
+        var match = /^([A-Za-z][A-Za-z0-9-]*)\s*:\s*(.*)$/.exec(body);
+        if (!match) {
+            return null;
+        }
+        return { name: match[1], value: match[2].trim(), comment: comment };
+    }
+
+    function isHttpUrl(value) {
+        return /^https?:\/\/[^\s\/?#]+[^\s]*$/i.test(value);
+    }
+
+    function isDomain(value) {
+        return /^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i.test(value);
+    }
+
+    /* ----------------------------------------------------------------------
+     * robots.txt (RFC 9309)
+     * -------------------------------------------------------------------- */
+
+    var ROBOTS_FIELDS = ['user-agent', 'allow', 'disallow', 'sitemap', 'crawl-delay', 'host', 'clean-param'];
+
+    /**
+     * Model: {preamble: [raw line], groups: [{agents: [string], rules: [{directive, value, comment, line}]}], sitemaps: [string]}.
+     * Rules keep comments (directive '#') and non-standard directives so a round trip loses nothing but blank lines.
+     */
+    function parseRobots(text) {
+        var model = { preamble: [], groups: [], sitemaps: [] };
+        var group = null;
+        var lastWasAgent = false;
+
+        splitLines(text).forEach(function(raw, i) {
+            var line = raw.trim();
+            if (line === '') {
+                return;
+            }
+            if (line.charAt(0) === '#') {
+                if (group) {
+                    group.rules.push({ directive: '#', value: line.substring(1).trim(), comment: '', line: i + 1 });
+                } else {
+                    model.preamble.push(line);
+                }
+                return;
+            }
+
+            var field = splitField(line);
+            if (!field) {
+                if (group) {
+                    group.rules.push({ directive: '', value: line, comment: '', line: i + 1 });
+                } else {
+                    model.preamble.push(line);
+                }
+                return;
+            }
+
+            var name = field.name.toLowerCase();
+            if (name === 'user-agent') {
+                if (!group || !lastWasAgent) {
+                    group = { agents: [], rules: [] };
+                    model.groups.push(group);
+                }
+                group.agents.push(field.value);
+                lastWasAgent = true;
+                return;
+            }
+            lastWasAgent = false;
+
+            if (name === 'sitemap') {
+                model.sitemaps.push(field.value);
+                return;
+            }
+            var directive = name === 'allow' ? 'Allow' : name === 'disallow' ? 'Disallow' : field.name;
+            var rule = { directive: directive, value: field.value, comment: field.comment, line: i + 1 };
+            if (group) {
+                group.rules.push(rule);
+            } else {
+                model.preamble.push(line);
+            }
+        });
+
+        return model;
+    }
+
+    function serializeRobots(model) {
+        var out = [];
+
+        model.preamble.forEach(function(line) {
+            out.push(line);
+        });
+
+        model.groups.forEach(function(group) {
+            if (out.length) {
+                out.push('');
+            }
+            // An empty agent list is kept visible (and flagged by the validator)
+            (group.agents.length ? group.agents : ['']).forEach(function(agent) {
+                out.push('User-agent: ' + agent);
+            });
+            group.rules.forEach(function(rule) {
+                if (rule.directive === '#') {
+                    out.push('# ' + rule.value);
+                } else if (rule.directive === '') {
+                    out.push(rule.value);
+                } else {
+                    out.push(rule.directive + ': ' + rule.value + (rule.comment ? ' # ' + rule.comment : ''));
+                }
+            });
+        });
+
+        if (model.sitemaps.length) {
+            if (out.length) {
+                out.push('');
+            }
+            model.sitemaps.forEach(function(url) {
+                out.push('Sitemap: ' + url);
+            });
+        }
+
+        return out.join('\n') + (out.length ? '\n' : '');
+    }
+
+    function validateRobots(text) {
+        var issues = [];
+        var inGroup = false;
+        var groupStart = null;
+        var groupRules = 0;
+        var groups = 0;
+
+        function closeGroup() {
+            if (inGroup && groupRules === 0) {
+                issues.push(issue(groupStart, 'warning', 'robotsEmptyGroup'));
+            }
+        }
+
+        if (String(text).length > 500 * 1024) {
+            issues.push(issue(null, 'warning', 'robotsTooLarge'));
+        }
+
+        var lastWasAgent = false;
+        splitLines(text).forEach(function(raw, i) {
+            var n = i + 1;
+            var line = raw.trim();
+            if (line === '' || line.charAt(0) === '#') {
+                return;
+            }
+
+            var field = splitField(line);
+            if (!field) {
+                issues.push(issue(n, 'error', 'robotsNotDirective'));
+                return;
+            }
+
+            var name = field.name.toLowerCase();
+            if (ROBOTS_FIELDS.indexOf(name) === -1) {
+                issues.push(issue(n, 'warning', 'robotsUnknownDirective', field.name));
+            }
+
+            if (name === 'user-agent') {
+                if (!lastWasAgent) {
+                    closeGroup();
+                    inGroup = true;
+                    groupStart = n;
+                    groupRules = 0;
+                    groups++;
+                }
+                if (field.value === '') {
+                    issues.push(issue(n, 'error', 'robotsEmptyAgent'));
+                }
+                lastWasAgent = true;
+                return;
+            }
+            lastWasAgent = false;
+
+            if (name === 'allow' || name === 'disallow') {
+                groupRules++;
+                if (!inGroup) {
+                    issues.push(issue(n, 'error', 'robotsRuleOutsideGroup', field.name));
+                }
+                if (field.value === '' && name === 'allow') {
+                    issues.push(issue(n, 'warning', 'robotsEmptyAllow'));
+                } else if (field.value !== '' && !/^[\/*]/.test(field.value)) {
+                    issues.push(issue(n, 'warning', 'robotsPathStart'));
+                }
+                if (/\s/.test(field.value)) {
+                    issues.push(issue(n, 'error', 'robotsPathSpaces'));
+                }
+            } else if (name === 'sitemap') {
+                if (!isHttpUrl(field.value)) {
+                    issues.push(issue(n, 'error', 'robotsSitemapUrl'));
+                }
+            } else if (name === 'crawl-delay') {
+                if (!/^\d+(\.\d+)?$/.test(field.value)) {
+                    issues.push(issue(n, 'error', 'robotsCrawlDelay'));
+                }
+                if (!inGroup) {
+                    issues.push(issue(n, 'error', 'robotsCrawlDelayOutsideGroup'));
+                }
+            }
+        });
+        closeGroup();
+
+        if (groups === 0 && String(text).trim() !== '') {
+            issues.push(issue(null, 'warning', 'robotsNoGroups'));
+        }
+
+        return issues;
+    }
+
+    /**
+     * RFC 9309 path pattern: "*" matches any sequence, a trailing "$" anchors the end.
+     */
+    function robotsPatternMatches(pattern, path) {
+        var anchored = pattern.slice(-1) === '$';
+        var body = anchored ? pattern.slice(0, -1) : pattern;
+        var regex = body.split('*').map(function(part) {
+            return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        }).join('.*');
+        return new RegExp('^' + regex + (anchored ? '$' : '')).test(path);
+    }
+
+    /**
+     * Decide whether `userAgent` may fetch `url` under `text`.
+     * Groups for the longest user-agent token that prefixes the crawler name are
+     * combined (else "*"); the longest matching rule wins and Allow wins ties.
+     *
+     * @return {{allowed: boolean, rule: Object|null, agent: string|null, path: string}}
+     */
+    function testRobots(text, userAgent, url) {
+        var model = parseRobots(text);
+        var token = String(userAgent || '*').trim().toLowerCase().split('/')[0];
+        var path;
+
+        try {
+            var parsed = new URL(url, 'http://example.invalid/');
+            path = parsed.pathname + parsed.search;
+        } catch (e) {
+            path = '/';
+        }
+
+        if (path === '/robots.txt') {
+            return { allowed: true, rule: null, agent: null, path: path };
+        }
+
+        var best = null;
+        model.groups.forEach(function(group) {
+            group.agents.forEach(function(agent) {
+                var a = agent.toLowerCase();
+                if (a !== '*' && token.indexOf(a) === 0 && (!best || a.length > best.length)) {
+                    best = a;
+                }
+            });
+        });
+        var chosen = best || '*';
+
+        var rules = [];
+        model.groups.forEach(function(group) {
+            var applies = group.agents.some(function(agent) {
+                return agent.toLowerCase() === chosen;
+            });
+            if (applies) {
+                group.rules.forEach(function(rule) {
+                    if ((rule.directive === 'Allow' || rule.directive === 'Disallow') && rule.value !== '') {
+                        rules.push(rule);
+                    }
+                });
+            }
+        });
+
+        var winner = null;
+        rules.forEach(function(rule) {
+            if (!robotsPatternMatches(rule.value, path)) {
+                return;
+            }
+            if (!winner || rule.value.length > winner.value.length ||
+                (rule.value.length === winner.value.length && rule.directive === 'Allow')) {
+                winner = rule;
+            }
+        });
+
+        return {
+            allowed: !winner || winner.directive === 'Allow',
+            rule: winner,
+            agent: rules.length || best ? chosen : null,
+            path: path
+        };
+    }
+
+    /* ----------------------------------------------------------------------
+     * security.txt (RFC 9116)
+     * -------------------------------------------------------------------- */
+
+    var SECURITY_FIELDS = [
+        { name: 'Contact', multiple: true, required: true, placeholder: 'mailto:security@example.com' },
+        { name: 'Expires', multiple: false, required: true },
+        { name: 'Encryption', multiple: true, placeholder: 'https://example.com/pgp-key.txt' },
+        { name: 'Acknowledgments', multiple: true, placeholder: 'https://example.com/hall-of-fame' },
+        { name: 'Policy', multiple: true, placeholder: 'https://example.com/security-policy' },
+        { name: 'Hiring', multiple: true, placeholder: 'https://example.com/jobs' },
+        { name: 'Preferred-Languages', multiple: false, placeholder: 'en, fr' },
+        { name: 'Canonical', multiple: true, placeholder: 'https://example.com/.well-known/security.txt' },
+        { name: 'CSAF', multiple: true, placeholder: 'https://example.com/.well-known/csaf/provider-metadata.json' }
+    ];
+
+    var EXPIRY_WARNING_DAYS = 30;
+    var DAY = 24 * 60 * 60 * 1000;
+
+    function knownSecurityField(name) {
+        for (var i = 0; i < SECURITY_FIELDS.length; i++) {
+            if (SECURITY_FIELDS[i].name.toLowerCase() === name.toLowerCase()) {
+                return SECURITY_FIELDS[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Model: {signed, comments: [string], fields: [{name, value, line}], other: [{text, line}]}.
+     * For a PGP clear-signed file only the signed body is parsed (and the form is read-only).
+     */
+    function parseSecurityTxt(text) {
+        var lines = splitLines(text);
+        var model = { signed: false, comments: [], fields: [], other: [] };
+        var start = 0;
+        var end = lines.length;
+
+        if (/^-----BEGIN PGP SIGNED MESSAGE-----/.test(String(text).trim())) {
+            model.signed = true;
+            start = lines.indexOf('') + 1;
+            for (var s = start; s < lines.length; s++) {
+                if (/^-----BEGIN PGP SIGNATURE-----/.test(lines[s])) {
+                    end = s;
+                    break;
+                }
+            }
+        }
+
+        for (var i = start; i < end; i++) {
+            var line = lines[i].replace(/^- /, '').trim();
+            if (line === '') {
+                continue;
+            }
+            if (line.charAt(0) === '#') {
+                model.comments.push(line.substring(1).trim());
+                continue;
+            }
+            var match = /^([A-Za-z][A-Za-z0-9-]*)\s*:\s*(.*)$/.exec(line);
+            if (match) {
+                var known = knownSecurityField(match[1]);
+                model.fields.push({ name: known ? known.name : match[1], value: match[2].trim(), line: i + 1 });
+            } else {
+                model.other.push({ text: line, line: i + 1 });
+            }
+        }
+
+        return model;
+    }
+
+    function serializeSecurityTxt(model) {
+        var out = [];
+
+        model.comments.forEach(function(comment) {
+            out.push('# ' + comment);
+        });
+        if (out.length) {
+            out.push('');
+        }
+
+        SECURITY_FIELDS.forEach(function(def) {
+            model.fields.forEach(function(field) {
+                if (field.name === def.name && field.value !== '') {
+                    out.push(field.name + ': ' + field.value);
+                }
+            });
+        });
+        model.fields.forEach(function(field) {
+            if (!knownSecurityField(field.name) && field.value !== '') {
+                out.push(field.name + ': ' + field.value);
+            }
+        });
+        model.other.forEach(function(other) {
+            out.push(other.text);
+        });
+
+        return out.length ? out.join('\n') + '\n' : '';
+    }
+
+    /**
+     * Days until an Expires value, or null when it is not a valid RFC 3339 date-time.
+     */
+    function daysUntil(value, now) {
+        if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/i.test(value)) {
+            return null;
+        }
+        var time = Date.parse(value);
+        if (isNaN(time)) {
+            return null;
+        }
+        return (time - (now || Date.now())) / DAY;
+    }
+
+    function validateSecurityTxt(text, now) {
+        var model = parseSecurityTxt(text);
+        var issues = [];
+        var counts = {};
+
+        model.fields.forEach(function(field) {
+            var key = field.name.toLowerCase();
+            var def = knownSecurityField(field.name);
+            counts[key] = (counts[key] || 0) + 1;
+
+            if (!def) {
+                issues.push(issue(field.line, 'warning', 'securityUnknownField', field.name));
+                return;
+            }
+            if (!def.multiple && counts[key] === 2) {
+                issues.push(issue(field.line, 'error', 'securityRepeated', field.name));
+            }
+            if (field.value === '') {
+                issues.push(issue(field.line, 'error', 'noValue', field.name));
+                return;
+            }
+
+            if (key === 'contact') {
+                if (/^http:/i.test(field.value)) {
+                    issues.push(issue(field.line, 'error', 'securityContactHttps'));
+                } else if (!/^(mailto:|tel:|https:\/\/)/i.test(field.value)) {
+                    issues.push(issue(field.line, 'error', 'securityContactScheme'));
+                }
+            } else if (key === 'expires') {
+                var days = daysUntil(field.value, now);
+                if (days === null) {
+                    issues.push(issue(field.line, 'error', 'securityExpiresFormat'));
+                } else if (days < 0) {
+                    issues.push(issue(field.line, 'error', 'securityExpired', Math.ceil(-days)));
+                } else if (days < EXPIRY_WARNING_DAYS) {
+                    issues.push(issue(field.line, 'warning', 'securityExpiresSoon', Math.floor(days)));
+                } else if (days > 366) {
+                    issues.push(issue(field.line, 'warning', 'securityExpiresFar'));
+                }
+            } else if (key === 'preferred-languages') {
+                if (!/^[A-Za-z]{2,8}(-[A-Za-z0-9]{1,8})*(\s*,\s*[A-Za-z]{2,8}(-[A-Za-z0-9]{1,8})*)*$/.test(field.value)) {
+                    issues.push(issue(field.line, 'warning', 'securityLanguages'));
+                }
+            } else if (key === 'encryption') {
+                if (!/^(https:\/\/|dns:|openpgp4fpr:)/i.test(field.value)) {
+                    issues.push(issue(field.line, 'warning', 'securityEncryption'));
+                }
+            } else if (!/^https:\/\//i.test(field.value)) {
+                issues.push(issue(field.line, 'warning', 'securityHttps', field.name));
+            }
+        });
+
+        model.other.forEach(function(other) {
+            issues.push(issue(other.line, 'error', 'securityNotField'));
+        });
+
+        if (!counts.contact) {
+            issues.unshift(issue(null, 'error', 'securityNoContact'));
+        }
+        if (!counts.expires) {
+            issues.unshift(issue(null, 'error', 'securityNoExpires'));
+        }
+
+        return issues;
+    }
+
+    /* ----------------------------------------------------------------------
+     * ads.txt / app-ads.txt (IAB Tech Lab ads.txt 1.1)
+     * -------------------------------------------------------------------- */
+
+    var ADS_VARIABLES = ['contact', 'subdomain', 'inventorypartnerdomain', 'ownerdomain', 'managerdomain'];
+
+    /**
+     * @return {{issues: Array, summary: {records, direct, reseller, variables}}}
+     */
+    function validateAdsTxt(text) {
+        var issues = [];
+        var summary = { records: 0, direct: 0, reseller: 0, variables: 0 };
+        var seen = {};
+
+        splitLines(text).forEach(function(raw, i) {
+            var n = i + 1;
+            var hash = raw.indexOf('#');
+            var line = (hash === -1 ? raw : raw.substring(0, hash)).trim();
+            if (line === '') {
+                return;
+            }
+
+            var variable = /^([A-Za-z]+)\s*=\s*(.*)$/.exec(line);
+            if (variable) {
+                var name = variable[1].toLowerCase();
+                var value = variable[2].trim();
+                summary.variables++;
+                if (ADS_VARIABLES.indexOf(name) === -1) {
+                    issues.push(issue(n, 'warning', 'adsUnknownVariable', variable[1]));
+                } else if (value === '') {
+                    issues.push(issue(n, 'error', 'noValue', variable[1]));
+                } else if (name === 'managerdomain') {
+                    var parts = value.split(',');
+                    if (!isDomain(parts[0].trim()) || (parts[1] !== undefined && !/^\s*[A-Za-z]{2}\s*$/.test(parts[1]))) {
+                        issues.push(issue(n, 'error', 'adsManagerDomain'));
+                    }
+                } else if (name !== 'contact' && !isDomain(value)) {
+                    issues.push(issue(n, 'error', 'adsVariableDomain', variable[1]));
+                }
+                return;
+            }
+
+            // Extension data after ";" is allowed and not validated
+            var fields = line.split(';')[0].split(',').map(function(field) {
+                return field.trim();
+            });
+            if (fields.length < 3 || fields.length > 4) {
+                issues.push(issue(n, 'error', 'adsNotRecord'));
+                return;
+            }
+
+            summary.records++;
+            if (!isDomain(fields[0])) {
+                issues.push(issue(n, 'error', 'adsSystemDomain', fields[0]));
+            }
+            if (fields[1] === '' || /\s/.test(fields[1])) {
+                issues.push(issue(n, 'error', 'adsAccountId'));
+            }
+            var relationship = fields[2].toUpperCase();
+            if (relationship === 'DIRECT') {
+                summary.direct++;
+            } else if (relationship === 'RESELLER') {
+                summary.reseller++;
+            } else {
+                issues.push(issue(n, 'error', 'adsRelationship', fields[2]));
+            }
+            if (fields[3] !== undefined && !/^[A-Za-z0-9]+$/.test(fields[3])) {
+                issues.push(issue(n, 'warning', 'adsCertificationId'));
+            }
+
+            var key = [fields[0].toLowerCase(), fields[1], relationship].join(',');
+            if (seen[key]) {
+                issues.push(issue(n, 'warning', 'adsDuplicate', seen[key]));
+            } else {
+                seen[key] = n;
+            }
+        });
+
+        if (summary.records === 0 && String(text).trim() !== '') {
+            issues.push(issue(null, 'warning', 'adsNoRecords'));
+        }
+
+        return { issues: issues, summary: summary };
+    }
+
+    /* ----------------------------------------------------------------------
+     * humans.txt (humanstxt.org)
+     * -------------------------------------------------------------------- */
+
+    function validateHumansTxt(text) {
+        var issues = [];
+        var sections = 0;
+        var inSection = false;
+
+        splitLines(text).forEach(function(raw, i) {
+            var n = i + 1;
+            var line = raw.trim();
+            if (line === '') {
+                return;
+            }
+            if (/^\/\*.*\*\/$/.test(line)) {
+                sections++;
+                inSection = true;
+                if (!/^\/\*\s*[A-Z][A-Z ]*\s*\*\/$/.test(line)) {
+                    issues.push(issue(n, 'warning', 'humansHeaderCase'));
+                }
+                return;
+            }
+            if (!inSection) {
+                issues.push(issue(n, 'warning', 'humansBeforeSection'));
+                inSection = true;
+            }
+            var field = /^([^:]+):\s*(.*)$/.exec(line);
+            if (field && /^last update$/i.test(field[1].trim()) && !/^\d{4}\/\d{2}\/\d{2}$/.test(field[2])) {
+                issues.push(issue(n, 'warning', 'humansLastUpdate'));
+            }
+        });
+
+        if (sections === 0 && String(text).trim() !== '') {
+            issues.push(issue(null, 'warning', 'humansNoSections'));
+        }
+
+        return issues;
+    }
+
+    /* ----------------------------------------------------------------------
+     * sellers.json (IAB Tech Lab sellers.json 1.0)
+     * -------------------------------------------------------------------- */
+
+    function validateSellersJson(text) {
+        var issues = [];
+        var data;
+
+        if (String(text).trim() === '') {
+            return issues;
+        }
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            var at = /position (\d+)/.exec(e.message);
+            var line = at ? String(text).substring(0, +at[1]).split('\n').length : null;
+            return [issue(line, 'error', 'sellersInvalidJson', e.message)];
+        }
+
+        if (!data || typeof data !== 'object' || !Array.isArray(data.sellers)) {
+            return [issue(null, 'error', 'sellersShape')];
+        }
+        if (!data.version) {
+            issues.push(issue(null, 'warning', 'sellersVersion'));
+        }
+
+        var ids = {};
+        data.sellers.forEach(function(seller, i) {
+            var number = i + 1;
+            if (!seller || typeof seller !== 'object') {
+                issues.push(issue(null, 'error', 'sellersNotObject', number));
+                return;
+            }
+            if (!seller.seller_id) {
+                issues.push(issue(null, 'error', 'sellersNoId', number));
+            } else if (ids[seller.seller_id]) {
+                issues.push(issue(null, 'warning', 'sellersRepeatedId', number, seller.seller_id));
+            } else {
+                ids[seller.seller_id] = true;
+            }
+            if (['PUBLISHER', 'INTERMEDIARY', 'BOTH'].indexOf(String(seller.seller_type).toUpperCase()) === -1) {
+                issues.push(issue(null, 'error', 'sellersType', number));
+            }
+            if (!seller.is_confidential && !seller.name) {
+                issues.push(issue(null, 'warning', 'sellersNoName', number));
+            }
+        });
+
+        return issues;
+    }
+
+    /* ----------------------------------------------------------------------
+     * Dispatch by file name
+     * -------------------------------------------------------------------- */
+
+    /**
+     * Editor kind for a file name: 'robots', 'securitytxt', 'ads', 'humans', 'sellers' or null.
+     */
+    function kindFor(fileName) {
+        var kinds = {
+            'robots.txt': 'robots',
+            'security.txt': 'securitytxt',
+            'ads.txt': 'ads',
+            'app-ads.txt': 'ads',
+            'humans.txt': 'humans',
+            'sellers.json': 'sellers'
+        };
+        return kinds[String(fileName).toLowerCase()] || null;
+    }
+
+    /**
+     * Kinds with a form editor (the others are validated in raw mode only).
+     */
+    function hasForm(kind) {
+        return kind === 'robots' || kind === 'securitytxt';
+    }
+
+    function validate(kind, text) {
+        switch (kind) {
+            case 'robots':
+                return validateRobots(text);
+            case 'securitytxt':
+                return validateSecurityTxt(text);
+            case 'ads':
+                return validateAdsTxt(text).issues;
+            case 'humans':
+                return validateHumansTxt(text);
+            case 'sellers':
+                return validateSellersJson(text);
+        }
+        return [];
+    }
+
+    root.MDSMSeoEditors = {
+        kindFor: kindFor,
+        hasForm: hasForm,
+        validate: validate,
+        describe: describe,
+        robots: {
+            parse: parseRobots,
+            serialize: serializeRobots,
+            validate: validateRobots,
+            test: testRobots,
+            patternMatches: robotsPatternMatches
+        },
+        securityTxt: {
+            fields: SECURITY_FIELDS,
+            parse: parseSecurityTxt,
+            serialize: serializeSecurityTxt,
+            validate: validateSecurityTxt,
+            daysUntil: daysUntil
+        },
+        adsTxt: {
+            validate: validateAdsTxt
+        },
+        humansTxt: {
+            validate: validateHumansTxt
+        },
+        sellersJson: {
+            validate: validateSellersJson
+        }
+    };
+
+})(window);
@@ -35,6 +35,8 @@
  * Rekor returns a log index (UUID) and a signed tree hash (inclusion proof).
  * The UUID is stored as the anchor_url so it can be looked up later at:
  *   https://search.sigstore.dev/?logIndex=<INDEX>
+ * The returned entry itself is kept in the anchor log details, so the
+ * inclusion proof can be re-verified offline (assets/js/archivio-rekor.js).
  *
  * ── Verification ─────────────────────────────────────────────────────────────
  * Anyone can verify a Rekor entry without pre-trusting the signer's key:
@@ -77,6 +79,13 @@ class MDSM_Anchor_Provider_Rekor implements MDSM_Anchor_Provider_Interface {
 	/** Look-up URL template (human-readable search UI). */
 	const SEARCH_URL_TEMPLATE = 'https://search.sigstore.dev/?logIndex=%d';
 
+	/**
+	 * Public key of the rekor.sigstore.dev log (PKIX, ECDSA P-256), used to
+	 * verify checkpoints and signed entry timestamps.  Its SHA-256 is the log
+	 * ID every entry carries: c0d23d6ad406973f9559f3ba2d1ca01f84147d8ffc5b8445c224f98b9591801d.
+	 */
+	const LOG_PUBLIC_KEY = "-----BEGIN PUBLIC KEY-----\nMFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcDQgAE2G2Y+2tabdTV5BcGiBIx0a9fAFwr\nkBbmLSGtks4L3qX6yYY0zufBnhC8Ur/iy55GhWP/9A/bY2LhC30M9+RYtw==\n-----END PUBLIC KEY-----\n";
+
 	// ── Public interface ──────────────────────────────────────────────────────
 
 	/**
@@ -361,6 +370,9 @@ class MDSM_Anchor_Provider_Rekor implements MDSM_Anchor_Provider_Interface {
 				'rekor_uuid'  => (string) $uuid,
 				'log_index'   => $log_index,
 				'note'        => 'Rekor log entry created' . $ephemeral_note,
+				// Body, inclusion proof, checkpoint and signed entry timestamp,
+				// kept so the entry can be verified later without calling Rekor.
+				'rekor_entry' => is_array( $entry ) ? $entry : array(),
 			);
 		}
 
@@ -385,6 +397,7 @@ class MDSM_Anchor_Provider_Rekor implements MDSM_Anchor_Provider_Interface {
 				'success'     => true,
 				'url'         => $search_url,
 				'http_status' => $code,
+				'rekor_uuid'  => (string) $existing_uuid,
 				'note'        => 'Rekor: identical entry already exists (409 — treated as success)',
 			);
 		}
@@ -210,16 +210,15 @@ class MDSM_Anchor_Provider_RFC3161 implements MDSM_Anchor_Provider_Interface {
 
 		$tsr_url = $stored['success'] ? $stored['url'] : '';
 
-		// Enrich the log entry with timestamping metadata.
-		$record['rfc3161_tsa']        = $endpoint;
-		$record['rfc3161_serial']     = $validation['serial'];
-		$record['rfc3161_timestamp']  = $validation['gen_time'];
-		$record['rfc3161_tsr_url']    = $tsr_url;
-
+		// Timestamping metadata, kept with the log entry.
 		return array(
-			'success'     => true,
-			'url'         => $tsr_url,
-			'http_status' => $http_code,
+			'success'        => true,
+			'url'            => $tsr_url,
+			'http_status'    => $http_code,
+			'tsa_url'        => $endpoint,
+			'serial'         => $validation['serial'],
+			'gen_time'       => $validation['gen_time'],
+			'imprint_method' => $imprint_method,
 		);
 	}
 
@@ -410,6 +409,34 @@ class MDSM_Anchor_Provider_RFC3161 implements MDSM_Anchor_Provider_Interface {
 		return $result;
 	}
 
+	/**
+	 * Re-check a stored TimeStampResp against the content hash it was issued for.
+	 *
+	 * Runs the same structural check as a fresh response and confirms the
+	 * token carries the message imprint push() would have sent for this hash.
+	 * The TSA's signature is not checked here — use the manifest's openssl
+	 * command for that.
+	 *
+	 * @param string $der_body       Raw .tsr file contents.
+	 * @param string $hash_value     Content hash (hex) from the log entry.
+	 * @param string $hash_algorithm Content hash algorithm from the log entry.
+	 * @return array { valid, reason, serial, gen_time, imprint_matches }
+	 */
+	public function inspect_tsr( $der_body, $hash_value, $hash_algorithm ) {
+		$result = $this->validate_tsr( $der_body );
+
+		if ( 'sha256' === strtolower( $hash_algorithm ) && strlen( $hash_value ) === 64 ) {
+			$imprint = hex2bin( $hash_value );
+		} else {
+			$imprint = hash( 'sha256', $hash_value, true );
+		}
+
+		// hashedMessage is an OCTET STRING (tag 0x04) of 32 bytes holding the imprint.
+		$result['imprint_matches'] = false !== $imprint && false !== strpos( $der_body, "\x04\x20" . $imprint );
+
+		return $result;
+	}
+
 	// ── TSR file storage ───────────────────────────────────────────────────────
 
 	/**
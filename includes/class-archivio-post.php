@@ -92,6 +92,8 @@ class MDSM_Archivio_Post {
 
 		add_action( 'wp_ajax_archivio_post_download_verification',        array( $this, 'ajax_download_verification' ) );
 		add_action( 'wp_ajax_nopriv_archivio_post_download_verification',  array( $this, 'ajax_download_verification' ) );
+		add_action( 'wp_ajax_archivio_post_get_verification_data',        array( $this, 'ajax_get_verification_data' ) );
+		add_action( 'wp_ajax_nopriv_archivio_post_get_verification_data',  array( $this, 'ajax_get_verification_data' ) );
 		add_action( 'wp_ajax_archivio_post_get_audit_logs',               array( $this, 'ajax_get_audit_logs' ) );
 		add_action( 'wp_ajax_archivio_post_save_settings',                array( $this, 'ajax_save_settings' ) );
 		add_action( 'wp_ajax_archivio_post_fix_settings',                 array( $this, 'ajax_fix_settings' ) );
@@ -141,10 +143,27 @@ class MDSM_Archivio_Post {
 			MDSM_VERSION
 		);
 
+		// Browser-side verifiers, shared with the frontend badge.
+		wp_enqueue_script(
+			'archivio-crypto',
+			MDSM_PLUGIN_URL . 'assets/js/archivio-crypto.js',
+			array(),
+			MDSM_VERSION,
+			true
+		);
+
+		wp_enqueue_script(
+			'archivio-dsse',
+			MDSM_PLUGIN_URL . 'assets/js/archivio-dsse.js',
+			array( 'archivio-crypto' ),
+			MDSM_VERSION,
+			true
+		);
+
 		wp_enqueue_script(
 			'archivio-post-admin',
 			MDSM_PLUGIN_URL . 'assets/js/archivio-post-admin.js',
-			array( 'jquery' ),
+			array( 'jquery', 'archivio-crypto', 'archivio-dsse' ),
 			MDSM_VERSION,
 			true
 		);
@@ -152,6 +171,11 @@ class MDSM_Archivio_Post {
 		wp_localize_script( 'archivio-post-admin', 'archivioPostData', array(
 			'ajaxUrl'        => admin_url( 'admin-ajax.php' ),
 			'nonce'          => wp_create_nonce( 'archivio_post_nonce' ),
+			'wellKnownKeys'  => array(
+				home_url( '/.well-known/' . MDSM_Ed25519_Signing::WELL_KNOWN_SLUG ),
+				home_url( '/.well-known/' . MDSM_ECDSA_Signing::WELL_KNOWN_SLUG ),
+				home_url( '/.well-known/' . MDSM_RSA_Signing::WELL_KNOWN_PUBKEY ),
+			),
 			'checkboxStates' => array(
 				'auto-generate'   => (bool) get_option( 'archivio_post_auto_generate', false ),
 				'show-badge'      => (bool) get_option( 'archivio_post_show_badge', false ),
@@ -159,10 +183,25 @@ class MDSM_Archivio_Post {
 				'show-badge-pages'=> (bool) get_option( 'archivio_post_show_badge_pages', false ),
 			),
 			'strings' => array(
-				'saving'  => __( 'Saving...', 'archiviomd' ),
-				'saved'   => __( 'Settings saved successfully!', 'archiviomd' ),
-				'error'   => __( 'Error occurred. Please try again.', 'archiviomd' ),
-				'loading' => __( 'Loading...', 'archiviomd' ),
+				'saving'          => __( 'Saving...', 'archiviomd' ),
+				'saved'           => __( 'Settings saved successfully!', 'archiviomd' ),
+				'error'           => __( 'Error occurred. Please try again.', 'archiviomd' ),
+				'loading'         => __( 'Loading...', 'archiviomd' ),
+				'dsseVerifying'   => __( 'Verifying in your browser...', 'archiviomd' ),
+				'dsseNoKeys'      => __( 'No published keys could be loaded. Paste a certificate or public key below.', 'archiviomd' ),
+				'dsseKeyMissing'  => __( 'Could not fetch %s', 'archiviomd' ),
+				'dsseVerified'    => __( '%1$d of %2$d signatures verified.', 'archiviomd' ),
+				'dsseValid'       => __( 'Valid', 'archiviomd' ),
+				'dsseInvalid'     => __( 'Invalid signature', 'archiviomd' ),
+				'dsseKeyid'       => __( 'Keyid matches no published key', 'archiviomd' ),
+				'dsseNoKey'       => __( 'No key of this type', 'archiviomd' ),
+				'dsseUnsupported' => __( 'Not verifiable in a browser', 'archiviomd' ),
+				'dsseX5cOnly'     => __( 'Valid against embedded x5c only', 'archiviomd' ),
+				'dsseNoWebCrypto' => __( 'WebCrypto is unavailable. Verification requires HTTPS.', 'archiviomd' ),
+				'dsseAlgorithm'   => __( 'Algorithm', 'archiviomd' ),
+				'dsseKeyId'       => __( 'Key ID', 'archiviomd' ),
+				'dsseKeySource'   => __( 'Key source', 'archiviomd' ),
+				'dsseResult'      => __( 'Result', 'archiviomd' ),
 			),
 		) );
 	}
@@ -179,20 +218,70 @@ class MDSM_Archivio_Post {
 			MDSM_VERSION
 		);
 
+		wp_enqueue_script(
+			'archivio-crypto',
+			MDSM_PLUGIN_URL . 'assets/js/archivio-crypto.js',
+			array(),
+			MDSM_VERSION,
+			true
+		);
+
+		wp_enqueue_script(
+			'archivio-dsse',
+			MDSM_PLUGIN_URL . 'assets/js/archivio-dsse.js',
+			array( 'archivio-crypto' ),
+			MDSM_VERSION,
+			true
+		);
+
 		wp_enqueue_script(
 			'archivio-post-frontend',
 			MDSM_PLUGIN_URL . 'assets/js/archivio-post-frontend.js',
-			array( 'jquery' ),
+			array( 'jquery', 'archivio-crypto', 'archivio-dsse' ),
 			MDSM_VERSION,
 			true
 		);
 
 		wp_localize_script( 'archivio-post-frontend', 'archivioPostFrontend', array(
-			'ajaxUrl' => admin_url( 'admin-ajax.php' ),
-			'nonce'   => wp_create_nonce( 'archivio_post_frontend_nonce' ),
-			'strings' => array(
-				'downloading' => __( 'Downloading...', 'archiviomd' ),
-				'error'       => __( 'Error downloading verification file.', 'archiviomd' ),
+			'ajaxUrl'      => admin_url( 'admin-ajax.php' ),
+			'nonce'        => wp_create_nonce( 'archivio_post_frontend_nonce' ),
+			'pubkeyUrl'    => home_url( '/.well-known/' . MDSM_Ed25519_Signing::WELL_KNOWN_SLUG ),
+			'ecdsaCertUrl' => home_url( '/.well-known/' . MDSM_ECDSA_Signing::WELL_KNOWN_SLUG ),
+			'rsaPubkeyUrl' => home_url( '/.well-known/' . MDSM_RSA_Signing::WELL_KNOWN_PUBKEY ),
+			'strings'   => array(
+				'downloading'     => __( 'Downloading...', 'archiviomd' ),
+				'error'           => __( 'Error downloading verification file.', 'archiviomd' ),
+				'verifyTitle'     => __( 'In-Browser Verification', 'archiviomd' ),
+				'verifying'       => __( 'Verifying in your browser...', 'archiviomd' ),
+				'verifyError'     => __( 'Could not load verification data.', 'archiviomd' ),
+				'close'           => __( 'Close', 'archiviomd' ),
+				'pass'            => __( 'Pass', 'archiviomd' ),
+				'fail'            => __( 'Fail', 'archiviomd' ),
+				'skipped'         => __( 'Skipped', 'archiviomd' ),
+				'contentHash'     => __( 'Content hash', 'archiviomd' ),
+				'publicKey'       => __( 'Ed25519 public key', 'archiviomd' ),
+				'signature'       => __( 'Ed25519 signature', 'archiviomd' ),
+				'dsseSignature'   => __( 'DSSE envelope signature', 'archiviomd' ),
+				'publishedKey'    => __( 'Published key', 'archiviomd' ),
+				'ecdsaSignature'  => __( 'ECDSA P-256 signature', 'archiviomd' ),
+				'ecdsaDsse'       => __( 'ECDSA DSSE envelope signature', 'archiviomd' ),
+				'rsaSignature'    => __( 'RSA signature', 'archiviomd' ),
+				'x5cOnly'         => __( 'Verified only against the certificate embedded in the envelope; the published certificate could not be fetched.', 'archiviomd' ),
+				'allPassed'       => __( 'All checks passed. The content was verified by your browser, not by the server.', 'archiviomd' ),
+				'someFailed'      => __( 'One or more checks failed. This content may have changed since it was hashed or signed.', 'archiviomd' ),
+				'nothingChecked'  => __( 'Nothing could be checked in this browser. Download the verification file to verify offline.', 'archiviomd' ),
+				'hmacSkipped'     => __( 'HMAC hashes need the site secret and cannot be checked in a browser.', 'archiviomd' ),
+				'algoSkipped'     => __( 'This browser cannot compute %s. Download the verification file to verify offline.', 'archiviomd' ),
+				'blakeFallback'   => __( 'Matches the BLAKE2b-512 (truncated) fallback used by servers without native BLAKE3.', 'archiviomd' ),
+				'noSignature'     => __( 'This post has no Ed25519 signature.', 'archiviomd' ),
+				'keyUnavailable'  => __( 'The public key could not be fetched from %s.', 'archiviomd' ),
+				'keyidMismatch'   => __( 'The envelope keyid does not match the published public key.', 'archiviomd' ),
+				/* translators: %s: first characters of the key ID */
+				'keyidDetail'     => __( 'keyid %s…', 'archiviomd' ),
+				'keyUnused'       => __( 'No signature was checked against this key.', 'archiviomd' ),
+				'keyNoMatch'      => __( 'None of the signatures verify against this key.', 'archiviomd' ),
+				'payloadMismatch' => __( 'The signature is valid, but the envelope payload is not the message rebuilt from this post. The envelope was signed over a different revision.', 'archiviomd' ),
+				'noWebCrypto'     => __( 'WebCrypto is unavailable. In-browser verification requires HTTPS.', 'archiviomd' ),
 			),
 		) );
 	}
@@ -677,6 +766,9 @@ class MDSM_Archivio_Post {
 		// SVG: download arrow
 		$dl_icon = '<svg class="apb-dl-svg" width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true"><path d="M8 2v8M5 7l3 3 3-3M3 13h10" stroke="currentColor" stroke-width="1.75" stroke-linecap="round" stroke-linejoin="round"/></svg>';
 
+		// SVG: shield with check — in-browser verification
+		$verify_icon = '<svg class="apb-dl-svg" width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true"><path d="M8 1.75 2.75 3.75v4c0 3.1 2.2 5.4 5.25 6.5 3.05-1.1 5.25-3.4 5.25-6.5v-4L8 1.75z" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/><path d="M5.75 8.25 7.25 9.75 10.25 6.5" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/></svg>';
+
 		// No hash stored — show "Not Signed" pill
 		if ( empty( $stored_hash ) ) {
 			$label = ! empty( $badge_override ) ? esc_html( $badge_override ) : esc_html__( 'Not Signed', 'archiviomd' );
@@ -704,6 +796,8 @@ class MDSM_Archivio_Post {
 		$html .= '<span class="apb-text">' . $label . '</span>';
 		$html .= '<span class="apb-divider" aria-hidden="true"></span>';
 		$html .= '<button class="apb-download archivio-post-download" data-post-id="' . esc_attr( $post_id ) . '" title="' . esc_attr__( 'Download Verification File', 'archiviomd' ) . '" aria-label="' . esc_attr__( 'Download Verification File', 'archiviomd' ) . '">' . $dl_icon . '</button>';
+		$html .= '<span class="apb-divider" aria-hidden="true"></span>';
+		$html .= '<button class="apb-download apb-verify archivio-post-verify" data-post-id="' . esc_attr( $post_id ) . '" title="' . esc_attr__( 'Verify in Browser', 'archiviomd' ) . '" aria-label="' . esc_attr__( 'Verify in Browser', 'archiviomd' ) . '">' . $verify_icon . '</button>';
 		$html .= '</span>';
 
 		return $html;
@@ -1130,6 +1224,101 @@ class MDSM_Archivio_Post {
 		) );
 	}
 
+	/**
+	 * AJAX: raw inputs for in-browser verification.
+	 *
+	 * Deliberately returns no verdicts — only the unprocessed post fields and
+	 * the stored hash and signatures.  The frontend canonicalizes, hashes and
+	 * checks signatures itself so readers need not trust the rendered badge.
+	 */
+	public function ajax_get_verification_data() {
+		check_ajax_referer( 'archivio_post_frontend_nonce', 'nonce' );
+
+		$post_id = isset( $_POST['post_id'] ) ? intval( $_POST['post_id'] ) : 0;
+
+		if ( ! $post_id ) {
+			wp_send_json_error( array( 'message' => esc_html__( 'Invalid post ID', 'archiviomd' ) ) );
+		}
+
+		// Only content a visitor can already read is exposed here.
+		$post = get_post( $post_id );
+		if ( ! $post || $post->post_status !== 'publish' || post_password_required( $post ) ) {
+			wp_send_json_error( array( 'message' => esc_html__( 'Post not found', 'archiviomd' ) ) );
+		}
+
+		$stored_hash = get_post_meta( $post_id, '_archivio_post_hash', true );
+		if ( empty( $stored_hash ) ) {
+			wp_send_json_error( array( 'message' => esc_html__( 'No hash found for this post', 'archiviomd' ) ) );
+		}
+
+		$unpacked = MDSM_Hash_Helper::unpack( $stored_hash );
+
+		$data = array(
+			'post_id'   => $post_id,
+			'author_id' => (int) $post->post_author,
+			'content'   => $post->post_content,
+			'title'     => $post->post_title,
+			'slug'      => $post->post_name,
+			'date_gmt'  => $post->post_date_gmt,
+			'hash'      => array(
+				'packed'    => $stored_hash,
+				'algorithm' => $unpacked['algorithm'],
+				'label'     => MDSM_Hash_Helper::algorithm_label( $unpacked['algorithm'] ),
+				'mode'      => $unpacked['mode'],
+				'hex'       => strtolower( $unpacked['hash'] ),
+			),
+			'ed25519'   => null,
+			'ecdsa'     => null,
+			'rsa'       => null,
+		);
+
+		// Ed25519: the bare signature covers canonical_message_post(); the DSSE
+		// envelope carries that same message as its payload.  The message itself
+		// is not sent — the browser rebuilds it from the raw fields above.
+		$ed_sig   = get_post_meta( $post_id, '_mdsm_ed25519_sig', true );
+		$ed_dsse  = get_post_meta( $post_id, MDSM_Ed25519_Signing::DSSE_META_KEY, true );
+		$envelope = $ed_dsse ? json_decode( $ed_dsse, true ) : null;
+
+		if ( $ed_sig || is_array( $envelope ) ) {
+			$data['ed25519'] = array(
+				'sig'       => $ed_sig ? strtolower( $ed_sig ) : '',
+				'dsse'      => is_array( $envelope ) ? $envelope : null,
+				'signed_at' => (int) get_post_meta( $post_id, '_mdsm_ed25519_signed_at', true ),
+			);
+		}
+
+		// ECDSA P-256 and RSA sign the same canonical message, which the browser
+		// also rebuilds itself; keys are fetched by the browser from
+		// /.well-known/ so the server is not trusted for them either.
+		if ( class_exists( 'MDSM_ECDSA_Signing' ) ) {
+			$ecdsa_sig  = get_post_meta( $post_id, MDSM_ECDSA_Signing::META_SIG, true );
+			$ecdsa_dsse = get_post_meta( $post_id, MDSM_ECDSA_Signing::META_DSSE, true );
+			$ecdsa_env  = $ecdsa_dsse ? json_decode( $ecdsa_dsse, true ) : null;
+
+			if ( $ecdsa_sig || is_array( $ecdsa_env ) ) {
+				$data['ecdsa'] = array(
+					'sig'       => $ecdsa_sig ? strtolower( $ecdsa_sig ) : '',
+					'dsse'      => is_array( $ecdsa_env ) ? $ecdsa_env : null,
+					'signed_at' => (int) get_post_meta( $post_id, MDSM_ECDSA_Signing::META_SIGNED_AT, true ),
+				);
+			}
+		}
+
+		if ( class_exists( 'MDSM_RSA_Signing' ) ) {
+			$rsa_sig = get_post_meta( $post_id, MDSM_RSA_Signing::META_SIG, true );
+
+			if ( $rsa_sig ) {
+				$data['rsa'] = array(
+					'sig'       => strtolower( $rsa_sig ),
+					'scheme'    => (string) get_post_meta( $post_id, MDSM_RSA_Signing::META_SCHEME, true ),
+					'signed_at' => (int) get_post_meta( $post_id, MDSM_RSA_Signing::META_SIGNED_AT, true ),
+				);
+			}
+		}
+
+		wp_send_json_success( $data );
+	}
+
 	public function ajax_get_audit_logs() {
 		check_ajax_referer( 'archivio_post_nonce', 'nonce' );
 
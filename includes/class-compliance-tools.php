@@ -61,6 +61,7 @@ class MDSM_Compliance_Tools {
         add_action('wp_ajax_mdsm_create_backup_archive', array($this, 'ajax_create_backup_archive'));
         add_action('wp_ajax_mdsm_restore_dryrun', array($this, 'ajax_restore_dryrun'));
         add_action('wp_ajax_mdsm_execute_restore', array($this, 'ajax_execute_restore'));
+        add_action('wp_ajax_mdsm_restore_file_diff', array($this, 'ajax_restore_file_diff'));
         add_action('wp_ajax_mdsm_verify_checksums', array($this, 'ajax_verify_checksums'));
         add_action('wp_ajax_mdsm_download_csv', array($this, 'ajax_download_csv'));
         add_action('wp_ajax_mdsm_download_backup', array($this, 'ajax_download_backup'));
@@ -72,6 +73,8 @@ class MDSM_Compliance_Tools {
         // Add admin notice about backups
         add_action('admin_notices', array($this, 'show_backup_notice'));
         add_action('wp_ajax_mdsm_dismiss_backup_notice', array($this, 'dismiss_backup_notice'));
+        
+        add_action('admin_enqueue_scripts', array($this, 'enqueue_compliance_assets'));
     }
     
     /**
@@ -81,13 +84,16 @@ class MDSM_Compliance_Tools {
      * Enqueue compliance page assets
      */
     public function enqueue_compliance_assets( $hook ) {
-        if ( 'tools_page_archivio-md-compliance' !== $hook ) {
+        // The hook prefix follows the translated parent menu title, so match the page slug only
+        if ( ! str_ends_with( $hook, '_page_archivio-md-compliance' ) ) {
             return;
         }
         // Styles and scripts are added via wp_add_inline_style/script from the page template
         wp_register_style( 'mdsm-compliance-tools', false, array(), MDSM_VERSION );
         wp_enqueue_style( 'mdsm-compliance-tools' );
-        wp_register_script( 'mdsm-compliance-tools-js', false, array( 'jquery' ), MDSM_VERSION, true );
+        // The restore wizard shows backup-versus-site diffs with the editor's line diff
+        wp_register_script( 'mdsm-diff', MDSM_PLUGIN_URL . 'assets/js/mdsm-diff.js', array(), MDSM_VERSION, true );
+        wp_register_script( 'mdsm-compliance-tools-js', false, array( 'jquery', 'mdsm-diff' ), MDSM_VERSION, true );
         wp_enqueue_script( 'mdsm-compliance-tools-js' );
     }
     
@@ -691,7 +697,7 @@ class MDSM_Compliance_Tools {
             throw new Exception('Invalid backup manifest');
         }
         
-        // Analyze each document
+        // Compare each archived document with the copy on this site
         $file_manager = new MDSM_File_Manager();
         $metadata_manager = new MDSM_Document_Metadata();
         
@@ -701,9 +707,48 @@ class MDSM_Compliance_Tools {
             'conflict' => array()   // Documents with issues
         );
         
+        // Every document with its status: unchanged, modified, new, missing or conflict
+        $files = array();
+        
         foreach ($manifest['documents'] as $file_name => $doc_info) {
+            $content_file = $this->get_backup_document_path($extract_dir, $file_name);
+            
+            if (!$content_file) {
+                $reason = 'Document content or metadata is missing from the archive';
+                $actions['conflict'][] = array(
+                    'filename' => $file_name,
+                    'reason' => $reason
+                );
+                $files[] = array(
+                    'filename' => $file_name,
+                    'status' => 'conflict',
+                    'reason' => $reason
+                );
+                continue;
+            }
+            
             $existing_metadata = $metadata_manager->get_metadata($file_name);
-            $file_exists = $file_manager->file_exists('meta', $file_name);
+            $backup_checksum = hash_file('sha256', $content_file);
+            $current_checksum = $file_manager->get_checksum('meta', $file_name);
+            
+            if ($current_checksum === '') {
+                $status = 'new';
+            } elseif (hash_equals($current_checksum, $backup_checksum)) {
+                $status = 'unchanged';
+            } else {
+                $status = 'modified';
+            }
+            
+            $files[] = array(
+                'filename' => $file_name,
+                'status' => $status,
+                'category' => $doc_info['category'] ?? '',
+                'uuid' => $doc_info['uuid'] ?? '',
+                'backup_checksum' => $backup_checksum,
+                'current_checksum' => $current_checksum,
+                'backup_modified_at' => $doc_info['modified_at'] ?? null,
+                'current_modified_at' => $existing_metadata['modified_at']
+            );
             
             if (empty($existing_metadata['uuid'])) {
                 // New document - will be restored
@@ -722,11 +767,26 @@ class MDSM_Compliance_Tools {
             }
         }
         
+        // Documents the backup does not contain are reported but never touched by a restore
+        foreach ($this->get_document_names() as $file_name) {
+            if (isset($manifest['documents'][$file_name]) || !$file_manager->file_exists('meta', $file_name)) {
+                continue;
+            }
+            $existing_metadata = $metadata_manager->get_metadata($file_name);
+            $files[] = array(
+                'filename' => $file_name,
+                'status' => 'missing',
+                'current_checksum' => $file_manager->get_checksum('meta', $file_name),
+                'current_modified_at' => $existing_metadata['modified_at']
+            );
+        }
+        
         // Store extracted backup info for later use
         $backup_id = $manifest['backup_id'];
         set_transient('mdsm_restore_data_' . $backup_id, array(
             'extract_dir' => $extract_dir,
-            'manifest' => $manifest
+            'manifest' => $manifest,
+            'results' => array()
         ), HOUR_IN_SECONDS);
         
         return array(
@@ -736,12 +796,87 @@ class MDSM_Compliance_Tools {
                 'document_count' => $manifest['document_count'],
                 'plugin_version' => $manifest['plugin_version'] ?? 'unknown'
             ),
-            'actions' => $actions
+            'actions' => $actions,
+            'files' => $files
         );
     }
     
+    /**
+     * Filenames of every Markdown document this site manages
+     */
+    private function get_document_names() {
+        $names = array();
+        
+        foreach (mdsm_get_meta_files() as $category => $files) {
+            $names = array_merge($names, array_keys($files));
+        }
+        
+        return array_merge($names, array_keys(mdsm_get_custom_markdown_files()));
+    }
+    
+    /**
+     * Path of a document's content inside an extracted backup, or false when
+     * the content or its .meta.json is absent or the name escapes documents/
+     */
+    private function get_backup_document_path($extract_dir, $file_name) {
+        $documents_dir = $extract_dir . '/documents';
+        $content_file = $documents_dir . '/' . $file_name;
+        
+        if (!self::is_path_confined($content_file, $documents_dir)) {
+            return false;
+        }
+        
+        if (!file_exists($content_file) || !file_exists($content_file . '.meta.json')) {
+            return false;
+        }
+        
+        return $content_file;
+    }
+    
+    /**
+     * AJAX: Archived and current content of one document, for the dry-run diff
+     */
+    public function ajax_restore_file_diff() {
+        check_ajax_referer('mdsm_restore_dryrun', 'nonce');
+        
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => 'Insufficient permissions'));
+        }
+        
+        $backup_id = isset( $_POST['backup_id'] ) ? sanitize_text_field( wp_unslash( $_POST['backup_id'] ) ) : '';
+        $file_name = isset( $_POST['filename'] ) ? sanitize_text_field( wp_unslash( $_POST['filename'] ) ) : '';
+        
+        try {
+            $restore_data = $this->get_restore_session($backup_id);
+            
+            if (!isset($restore_data['manifest']['documents'][$file_name])) {
+                throw new Exception('Document is not part of this backup');
+            }
+            
+            $content_file = $this->get_backup_document_path($restore_data['extract_dir'], $file_name);
+            if (!$content_file) {
+                throw new Exception('Document content or metadata is missing from the archive');
+            }
+            
+            $file_manager = new MDSM_File_Manager();
+            
+            wp_send_json_success(array(
+                'filename' => $file_name,
+                'backup' => file_get_contents($content_file),
+                'current' => $file_manager->read_file('meta', $file_name)
+            ));
+        } catch (Exception $e) {
+            wp_send_json_error(array('message' => $e->getMessage()));
+        }
+    }
+    
     /**
      * AJAX: Execute restore
+     *
+     * Without restore_step every document in the backup is restored at once.
+     * The wizard instead sends restore_step=document once per selected
+     * filename, then restore_step=finish to close the session and sign the
+     * receipt.
      */
     public function ajax_execute_restore() {
         check_ajax_referer('mdsm_execute_restore', 'nonce');
@@ -751,13 +886,21 @@ class MDSM_Compliance_Tools {
         }
         
         $backup_id = isset( $_POST['backup_id'] ) ? sanitize_text_field( wp_unslash( $_POST['backup_id'] ) ) : '';
+        $step = isset( $_POST['restore_step'] ) ? sanitize_key( wp_unslash( $_POST['restore_step'] ) ) : '';
         
         if (empty($backup_id)) {
             wp_send_json_error(array('message' => 'Invalid backup ID'));
         }
         
         try {
-            $result = $this->execute_restore($backup_id);
+            if ($step === 'document') {
+                $file_name = isset( $_POST['filename'] ) ? sanitize_text_field( wp_unslash( $_POST['filename'] ) ) : '';
+                $result = $this->execute_restore_document($backup_id, $file_name);
+            } elseif ($step === 'finish') {
+                $result = $this->finish_restore($backup_id, $this->get_restore_session($backup_id));
+            } else {
+                $result = $this->execute_restore($backup_id);
+            }
             wp_send_json_success($result);
         } catch (Exception $e) {
             wp_send_json_error(array('message' => $e->getMessage()));
@@ -765,80 +908,182 @@ class MDSM_Compliance_Tools {
     }
     
     /**
-     * Execute restore operation
+     * Restore session stored by the dry run
      */
-    private function execute_restore($backup_id) {
-        // Get restore data from transient
+    private function get_restore_session($backup_id) {
         $restore_data = get_transient('mdsm_restore_data_' . $backup_id);
         
         if (empty($restore_data)) {
             throw new Exception('Restore session expired. Please re-upload the backup file.');
         }
         
-        $extract_dir = $restore_data['extract_dir'];
+        if (!file_exists($restore_data['extract_dir'])) {
+            throw new Exception('Backup files not found');
+        }
+        
+        if (!isset($restore_data['results'])) {
+            $restore_data['results'] = array();
+        }
+        
+        return $restore_data;
+    }
+    
+    /**
+     * Execute restore operation for every document in the backup
+     */
+    private function execute_restore($backup_id) {
+        $restore_data = $this->get_restore_session($backup_id);
+        
+        foreach (array_keys($restore_data['manifest']['documents']) as $file_name) {
+            $restore_data['results'][$file_name] = $this->restore_document($restore_data['extract_dir'], $file_name);
+        }
+        
+        return $this->finish_restore($backup_id, $restore_data);
+    }
+    
+    /**
+     * Restore one document and record the outcome in the session for the receipt
+     */
+    private function execute_restore_document($backup_id, $file_name) {
+        $restore_data = $this->get_restore_session($backup_id);
+        
+        if (!isset($restore_data['manifest']['documents'][$file_name])) {
+            throw new Exception('Document is not part of this backup');
+        }
+        
+        $result = $this->restore_document($restore_data['extract_dir'], $file_name);
+        
+        $restore_data['results'][$file_name] = $result;
+        set_transient('mdsm_restore_data_' . $backup_id, $restore_data, HOUR_IN_SECONDS);
+        
+        return $result;
+    }
+    
+    /**
+     * Write one document and its metadata back from the extracted backup
+     *
+     * @return array filename, action (restored, overwritten or failed),
+     *               checksum, previous_checksum and, on failure, message
+     */
+    private function restore_document($extract_dir, $file_name) {
+        $failed = array(
+            'filename' => $file_name,
+            'action' => 'failed'
+        );
+        
+        try {
+            // Read metadata and content from backup
+            $content_file = $this->get_backup_document_path($extract_dir, $file_name);
+            
+            if (!$content_file) {
+                return $failed + array('message' => 'Document content or metadata is missing from the archive');
+            }
+            
+            $metadata = json_decode(file_get_contents($content_file . '.meta.json'), true);
+            $content = file_get_contents($content_file);
+            
+            if (!is_array($metadata)) {
+                return $failed + array('message' => 'Document metadata in the archive is not valid JSON');
+            }
+            
+            $file_manager = new MDSM_File_Manager();
+            $metadata_manager = new MDSM_Document_Metadata();
+            
+            // Check if document exists
+            $existing_metadata = $metadata_manager->get_metadata($file_name);
+            $is_overwrite = !empty($existing_metadata['uuid']);
+            $previous_checksum = $file_manager->get_checksum('meta', $file_name);
+            
+            // Restore file content
+            $result = $file_manager->save_file('meta', $file_name, $content);
+            
+            if (!$result['success']) {
+                return $failed + array('message' => $result['message'] ?? 'Could not write document');
+            }
+            
+            // Restore metadata (overwrite with backup metadata, preserving UUIDs)
+            $option_name = 'mdsm_doc_meta_' . sanitize_key(str_replace(array('.', '/'), '_', $file_name));
+            update_option($option_name, $metadata, false);
+            
+            return array(
+                'filename' => $file_name,
+                'action' => $is_overwrite ? 'overwritten' : 'restored',
+                'checksum' => hash('sha256', $content),
+                'previous_checksum' => $previous_checksum !== '' ? $previous_checksum : null
+            );
+            
+        } catch (Exception $e) {
+            return $failed + array('message' => $e->getMessage());
+        }
+    }
+    
+    /**
+     * Close a restore session: write and sign a receipt listing what was
+     * restored, overwritten, failed or skipped, then remove the extracted files
+     */
+    private function finish_restore($backup_id, $restore_data) {
         $manifest = $restore_data['manifest'];
+        $results = array_values($restore_data['results']);
         
-        if (!file_exists($extract_dir)) {
-            throw new Exception('Backup files not found');
+        $counts = array('restored' => 0, 'overwritten' => 0, 'failed' => 0);
+        foreach ($results as $result) {
+            $counts[$result['action']]++;
         }
         
-        $file_manager = new MDSM_File_Manager();
-        $metadata_manager = new MDSM_Document_Metadata();
+        $skipped = array_values(array_diff(array_keys($manifest['documents']), array_keys($restore_data['results'])));
+        $current_user = wp_get_current_user();
         
-        $restored_count = 0;
-        $overwritten_count = 0;
-        $failed_count = 0;
+        $receipt = array(
+            'archiviomd_restore_receipt' => '1',
+            'backup_id' => $backup_id,
+            'backup_created_at' => $manifest['created_at'] ?? null,
+            'backup_site_url' => $manifest['site_url'] ?? null,
+            'restored_at' => gmdate('Y-m-d\TH:i:s\Z'),
+            'site_url' => get_site_url(),
+            'plugin_version' => MDSM_VERSION,
+            'restored_by_user_id' => $current_user instanceof WP_User ? $current_user->ID : 0,
+            'counts' => $counts + array('skipped' => count($skipped)),
+            'documents' => $results,
+            'skipped' => $skipped
+        );
         
-        foreach ($manifest['documents'] as $file_name => $doc_info) {
-            try {
-                // Read metadata and content from backup
-                $metadata_file = $extract_dir . '/documents/' . $file_name . '.meta.json';
-                $content_file = $extract_dir . '/documents/' . $file_name;
-                
-                if (!file_exists($metadata_file) || !file_exists($content_file)) {
-                    $failed_count++;
-                    continue;
-                }
-                
-                $metadata = json_decode(file_get_contents($metadata_file), true);
-                $content = file_get_contents($content_file);
-                
-                // Check if document exists
-                $existing_metadata = $metadata_manager->get_metadata($file_name);
-                $is_overwrite = !empty($existing_metadata['uuid']);
-                
-                // Restore file content
-                $result = $file_manager->save_file('meta', $file_name, $content);
-                
-                if (!$result['success']) {
-                    $failed_count++;
-                    continue;
-                }
-                
-                // Restore metadata (overwrite with backup metadata, preserving UUIDs)
-                $option_name = 'mdsm_doc_meta_' . sanitize_key(str_replace(array('.', '/'), '_', $file_name));
-                update_option($option_name, $metadata, false);
-                
-                if ($is_overwrite) {
-                    $overwritten_count++;
-                } else {
-                    $restored_count++;
-                }
-                
-            } catch (Exception $e) {
-                $failed_count++;
+        $response = array(
+            'restored_count' => $counts['restored'],
+            'overwritten_count' => $counts['overwritten'],
+            'failed_count' => $counts['failed'],
+            'skipped_count' => count($skipped),
+            'documents' => $results
+        );
+        
+        // Write the receipt to the temp directory so it can be signed like an export
+        $upload_dir = wp_upload_dir();
+        $temp_dir = $upload_dir['basedir'] . '/archivio-md-temp';
+        $receipt_filename = 'restore-receipt-' . gmdate('Y-m-d_H-i-s') . '-' . substr(md5(uniqid()), 0, 8) . '.json';
+        $receipt_file = $temp_dir . '/' . $receipt_filename;
+        $receipt_json = wp_json_encode($receipt, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE);
+        
+        if (file_put_contents($receipt_file, $receipt_json) !== false) { // phpcs:ignore WordPress.WP.AlternativeFunctions
+            $sig_result = $this->sign_export_file($receipt_file, $receipt_filename, 'restore_receipt');
+            
+            // The receipt travels in the response; only its signature is downloaded separately
+            wp_delete_file($receipt_file);
+            
+            $response['receipt'] = $receipt_json;
+            $response['receipt_filename'] = $receipt_filename;
+            
+            if ($sig_result) {
+                $sig_filename = basename($sig_result);
+                $sig_nonce = wp_create_nonce('mdsm_download_export_sig_' . $sig_filename);
+                $response['sig_url'] = admin_url('admin-ajax.php?action=mdsm_download_export_sig&file=' . urlencode($sig_filename) . '&nonce=' . $sig_nonce);
+                $response['sig_filename'] = $sig_filename;
             }
         }
         
         // Clean up
-        $this->delete_directory($extract_dir);
+        $this->delete_directory($restore_data['extract_dir']);
         delete_transient('mdsm_restore_data_' . $backup_id);
         
-        return array(
-            'restored_count' => $restored_count,
-            'overwritten_count' => $overwritten_count,
-            'failed_count' => $failed_count
-        );
+        return $response;
     }
     
     /**
@@ -1596,7 +1841,7 @@ class MDSM_Compliance_Tools {
 	 *
 	 * @param  string $filepath    Absolute path to the file on disk.
 	 * @param  string $filename    Base filename (used in envelope + canonical message).
-	 * @param  string $export_type Short slug: 'metadata_csv', 'compliance_json', or 'backup_zip'.
+	 * @param  string $export_type Short slug: 'metadata_csv', 'compliance_json', 'backup_zip' or 'restore_receipt'.
 	 * @return string|false        Absolute path of the written .sig.json, or false on failure.
 	 */
 	private function sign_export_file( string $filepath, string $filename, string $export_type ) {
@@ -18,6 +18,18 @@ class MDSM_Document_Metadata {
      */
     const META_OPTION_PREFIX = 'mdsm_doc_meta_';
     
+    /**
+     * Revision content option prefix. Content is kept in its own option
+     * (checksum => content) so the metadata row stays small.
+     */
+    const REVISION_OPTION_PREFIX = 'mdsm_doc_rev_';
+    
+    /**
+     * Number of distinct revisions whose content is kept per document.
+     * Older content is pruned on write; the changelog keeps every checksum.
+     */
+    const MAX_REVISIONS = 20;
+    
     /**
      * Get metadata for a document
      * 
@@ -99,6 +111,7 @@ class MDSM_Document_Metadata {
         );
         
         $this->save_metadata($file_name, $metadata);
+        $this->store_revision($file_name, $checksum, $content, $metadata['changelog']);
         
         return $metadata;
     }
@@ -106,11 +119,12 @@ class MDSM_Document_Metadata {
     /**
      * Update metadata after a successful file write
      * 
-     * @param string $file_name The filename
-     * @param string $content The new file content
+     * @param string      $file_name     The filename
+     * @param string      $content       The new file content
+     * @param string|null $restored_from Checksum of the revision being restored, if any
      * @return array The updated metadata
      */
-    public function update_metadata($file_name, $content) {
+    public function update_metadata($file_name, $content, $restored_from = null) {
         $metadata = $this->get_metadata($file_name);
         
         // If no UUID exists, this is a first-time save - initialize
@@ -144,16 +158,21 @@ class MDSM_Document_Metadata {
         $metadata['modified_at'] = $timestamp;
         
         // Append to changelog (append-only; each entry records its own algorithm and mode)
-        $metadata['changelog'][] = array(
+        $entry = array(
             'timestamp' => $timestamp,
             'user_id'   => $user_id,
-            'action'    => 'updated',
+            'action'    => $restored_from ? 'restored' : 'updated',
             'checksum'  => $checksum,
             'algorithm' => $algorithm,
             'mode'      => $mode,
         );
+        if ($restored_from) {
+            $entry['restored_from'] = $restored_from;
+        }
+        $metadata['changelog'][] = $entry;
         
         $this->save_metadata($file_name, $metadata);
+        $this->store_revision($file_name, $checksum, $content, $metadata['changelog']);
         
         return $metadata;
     }
@@ -165,6 +184,8 @@ class MDSM_Document_Metadata {
      * @return bool True on success
      */
     public function delete_metadata($file_name) {
+        delete_option($this->get_option_name($file_name, self::REVISION_OPTION_PREFIX));
+        
         $option_name = $this->get_option_name($file_name);
         return delete_option($option_name);
     }
@@ -217,6 +238,77 @@ class MDSM_Document_Metadata {
         return $metadata['changelog'];
     }
     
+    /**
+     * Get the stored content of a revision (admin only)
+     * 
+     * Revisions are keyed by their packed checksum, so saving identical
+     * content twice stores it once. Entries written before revision
+     * storage existed, or older than the last MAX_REVISIONS revisions,
+     * have no content.
+     * 
+     * @param string $file_name The filename
+     * @param string $checksum  Packed checksum from a changelog entry
+     * @return string|null The content or null if not stored
+     */
+    public function get_revision($file_name, $checksum) {
+        if (!current_user_can('manage_options')) {
+            return null;
+        }
+        
+        $revisions = get_option($this->get_option_name($file_name, self::REVISION_OPTION_PREFIX), array());
+        return isset($revisions[$checksum]) ? $revisions[$checksum] : null;
+    }
+    
+    /**
+     * Get the checksums that have stored revision content
+     * 
+     * @param string $file_name The filename
+     * @return array Packed checksums
+     */
+    public function get_revision_checksums($file_name) {
+        $revisions = get_option($this->get_option_name($file_name, self::REVISION_OPTION_PREFIX), array());
+        return is_array($revisions) ? array_keys($revisions) : array();
+    }
+    
+    /**
+     * Store the content of a revision
+     * 
+     * Only the content of the newest MAX_REVISIONS distinct checksums in the
+     * changelog is kept; anything older is pruned here.
+     * 
+     * @param string $file_name The filename
+     * @param string $checksum  Packed checksum of the content
+     * @param string $content   The file content
+     * @param array  $changelog The changelog, including the entry for $checksum
+     * @return bool True on success
+     */
+    private function store_revision($file_name, $checksum, $content, $changelog) {
+        $option_name = $this->get_option_name($file_name, self::REVISION_OPTION_PREFIX);
+        $revisions = get_option($option_name, array());
+        
+        if (!is_array($revisions)) {
+            $revisions = array();
+        }
+        
+        $keep = array($checksum => true);
+        foreach (array_reverse((array) $changelog) as $entry) {
+            if (count($keep) >= self::MAX_REVISIONS) {
+                break;
+            }
+            if (!empty($entry['checksum'])) {
+                $keep[$entry['checksum']] = true;
+            }
+        }
+        
+        $pruned = array_intersect_key($revisions, $keep);
+        if (isset($pruned[$checksum]) && count($pruned) === count($revisions)) {
+            return true;
+        }
+        
+        $pruned[$checksum] = $content;
+        return update_option($option_name, $pruned, false);
+    }
+    
     /**
      * Generate a UUID v4
      * 
@@ -261,11 +353,12 @@ class MDSM_Document_Metadata {
      * Get the WordPress option name for a file's metadata
      * 
      * @param string $file_name The filename
+     * @param string $prefix    Option prefix (metadata or revisions)
      * @return string The option name
      */
-    private function get_option_name($file_name) {
+    private function get_option_name($file_name, $prefix = self::META_OPTION_PREFIX) {
         // Sanitize filename to create a valid option name
         $safe_name = sanitize_key(str_replace(array('.', '/'), '_', $file_name));
-        return self::META_OPTION_PREFIX . $safe_name;
+        return $prefix . $safe_name;
     }
 }
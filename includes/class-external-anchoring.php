@@ -351,6 +351,99 @@ class MDSM_Anchor_Queue {
 		self::save( array() );
 	}
 
+	/**
+	 * Return every job in processing order. Due jobs are dispatched in this
+	 * order, so a job's position is its priority within a cron run.
+	 *
+	 * @return array Jobs keyed by job ID.
+	 */
+	public static function all() {
+		return self::load();
+	}
+
+	/**
+	 * Make a job due immediately by resetting the back-off of every provider
+	 * leg that is still pending. Attempt counters are left untouched; the
+	 * last error is cleared so a failure reported afterwards belongs to this
+	 * attempt.
+	 *
+	 * @param string $job_id Queue job ID.
+	 * @return bool False if the job is no longer queued.
+	 */
+	public static function retry_now( $job_id ) {
+		$lock  = self::acquire_lock();
+		$queue = self::load();
+
+		if ( ! isset( $queue[ $job_id ] ) ) {
+			self::release_lock( $lock );
+			return false;
+		}
+
+		$now = time();
+
+		if ( isset( $queue[ $job_id ]['provider_states'] ) ) {
+			foreach ( $queue[ $job_id ]['provider_states'] as $pk => $pstate ) {
+				if ( 'pending' === $pstate['status'] ) {
+					$queue[ $job_id ]['provider_states'][ $pk ]['next_attempt'] = $now;
+					$queue[ $job_id ]['provider_states'][ $pk ]['last_error']   = '';
+				}
+			}
+		}
+		$queue[ $job_id ]['next_attempt'] = $now;
+		$queue[ $job_id ]['last_error']   = '';
+
+		self::save( $queue );
+		self::release_lock( $lock );
+		return true;
+	}
+
+	/**
+	 * Remove a single job without touching the rest of the queue.
+	 *
+	 * @param string $job_id Queue job ID.
+	 * @return bool False if the job is no longer queued.
+	 */
+	public static function cancel( $job_id ) {
+		$lock  = self::acquire_lock();
+		$queue = self::load();
+
+		if ( ! isset( $queue[ $job_id ] ) ) {
+			self::release_lock( $lock );
+			return false;
+		}
+
+		unset( $queue[ $job_id ] );
+
+		self::save( $queue );
+		self::release_lock( $lock );
+		return true;
+	}
+
+	/**
+	 * Move a job to the front ('top') or back ('bottom') of the queue.
+	 *
+	 * @param string $job_id   Queue job ID.
+	 * @param string $position 'top' or 'bottom'.
+	 * @return bool False if the job is no longer queued.
+	 */
+	public static function move( $job_id, $position ) {
+		$lock  = self::acquire_lock();
+		$queue = self::load();
+
+		if ( ! isset( $queue[ $job_id ] ) ) {
+			self::release_lock( $lock );
+			return false;
+		}
+
+		$job = array( $job_id => $queue[ $job_id ] );
+		unset( $queue[ $job_id ] );
+		$queue = ( 'top' === $position ) ? $job + $queue : $queue + $job;
+
+		self::save( $queue );
+		self::release_lock( $lock );
+		return true;
+	}
+
 	/**
 	 * Release the concurrency lock acquired by get_due_jobs() or enqueue().
 	 * Call this after all mark_success / mark_failure operations are complete.
@@ -483,6 +576,36 @@ class MDSM_Anchor_Provider_GitHub implements MDSM_Anchor_Provider_Interface {
 		return $this->parse_response( $response );
 	}
 
+	/**
+	 * An anchor file as committed, for re-verification from the log.
+	 *
+	 * @param string $path     Repository path of the anchor file.
+	 * @param string $ref      Commit SHA or branch; the configured branch when empty.
+	 * @param array  $settings Provider settings from get_settings().
+	 * @return string|WP_Error File contents.
+	 */
+	public function fetch_file( $path, $ref, array $settings ) {
+		$ref = '' !== (string) $ref ? $ref : $settings['branch'];
+		$url = $this->api_url( $settings['repo_owner'], $settings['repo_name'], $path ) . '?ref=' . rawurlencode( $ref );
+
+		$response = wp_remote_get( $url, array(
+			'headers' => $this->headers( $settings['token'] ),
+			'timeout' => 15,
+		) );
+		if ( is_wp_error( $response ) ) {
+			return $response;
+		}
+
+		$code = wp_remote_retrieve_response_code( $response );
+		$data = json_decode( wp_remote_retrieve_body( $response ), true );
+		if ( 200 !== $code || ! isset( $data['content'] ) ) {
+			$message = isset( $data['message'] ) ? $data['message'] : "HTTP {$code}";
+			return new WP_Error( 'mdsm_anchor_fetch_failed', 'GitHub: ' . $message );
+		}
+
+		return base64_decode( str_replace( array( "\n", "\r" ), '', $data['content'] ) );
+	}
+
 	private function get_file_sha( $url, $token ) {
 		$response = wp_remote_get( $url, array(
 			'headers' => $this->headers( $token ),
@@ -566,7 +689,13 @@ class MDSM_Anchor_Provider_GitHub implements MDSM_Anchor_Provider_Interface {
 
 		if ( in_array( $code, array( 200, 201 ), true ) ) {
 			$url = isset( $body['content']['html_url'] ) ? $body['content']['html_url'] : '';
-			return array( 'success' => true, 'url' => $url, 'http_status' => $code );
+			return array(
+				'success'     => true,
+				'url'         => $url,
+				'http_status' => $code,
+				'path'        => isset( $body['content']['path'] ) ? $body['content']['path'] : '',
+				'commit_sha'  => isset( $body['commit']['sha'] ) ? $body['commit']['sha'] : '',
+			);
 		}
 
 		$message = isset( $body['message'] ) ? $body['message'] : "HTTP {$code}";
@@ -667,6 +796,39 @@ class MDSM_Anchor_Provider_GitLab implements MDSM_Anchor_Provider_Interface {
 		return $this->parse_response( $response );
 	}
 
+	/**
+	 * An anchor file as committed, for re-verification from the log.
+	 *
+	 * @param string $path     Repository path of the anchor file.
+	 * @param string $ref      Commit SHA or branch; the configured branch when empty.
+	 * @param array  $settings Provider settings from get_settings().
+	 * @return string|WP_Error File contents.
+	 */
+	public function fetch_file( $path, $ref, array $settings ) {
+		$project_id = $this->get_project_id( $settings['repo_owner'], $settings['repo_name'], $settings['token'] );
+		if ( false === $project_id ) {
+			return new WP_Error( 'mdsm_anchor_fetch_failed', 'GitLab project not found.' );
+		}
+
+		$ref = '' !== (string) $ref ? $ref : $settings['branch'];
+		$url = $this->api_base() . '/projects/' . $project_id . '/repository/files/' . $this->encoded_path( $path ) . '/raw?ref=' . rawurlencode( $ref );
+
+		$response = wp_remote_get( $url, array(
+			'headers' => $this->headers( $settings['token'] ),
+			'timeout' => 15,
+		) );
+		if ( is_wp_error( $response ) ) {
+			return $response;
+		}
+
+		$code = wp_remote_retrieve_response_code( $response );
+		if ( 200 !== $code ) {
+			return new WP_Error( 'mdsm_anchor_fetch_failed', "GitLab: HTTP {$code}" );
+		}
+
+		return wp_remote_retrieve_body( $response );
+	}
+
 	private function get_project_id( $owner, $repo, $token ) {
 		$namespace = rawurlencode( $owner . '/' . $repo );
 		$url       = $this->api_base() . '/projects/' . $namespace;
@@ -759,7 +921,13 @@ class MDSM_Anchor_Provider_GitLab implements MDSM_Anchor_Provider_Interface {
 
 		if ( in_array( $code, array( 200, 201 ), true ) ) {
 			$url = isset( $body['file_path'] ) ? $body['file_path'] : '';
-			return array( 'success' => true, 'url' => $url, 'http_status' => $code );
+			return array(
+				'success'     => true,
+				'url'         => $url,
+				'http_status' => $code,
+				'path'        => $url,
+				'branch'      => isset( $body['branch'] ) ? $body['branch'] : '',
+			);
 		}
 
 		$message = isset( $body['message'] ) ? ( is_string( $body['message'] ) ? $body['message'] : wp_json_encode( $body['message'] ) ) : "HTTP {$code}";
@@ -847,13 +1015,20 @@ class MDSM_External_Anchoring {
 		add_action( 'wp_ajax_mdsm_anchor_test_connection', array( $this, 'ajax_test_connection' ) );
 		add_action( 'wp_ajax_mdsm_anchor_clear_queue',     array( $this, 'ajax_clear_queue' ) );
 		add_action( 'wp_ajax_mdsm_anchor_queue_status',    array( $this, 'ajax_queue_status' ) );
+		add_action( 'wp_ajax_mdsm_anchor_retry_job',       array( $this, 'ajax_retry_job' ) );
+		add_action( 'wp_ajax_mdsm_anchor_cancel_job',      array( $this, 'ajax_cancel_job' ) );
+		add_action( 'wp_ajax_mdsm_anchor_move_job',        array( $this, 'ajax_move_job' ) );
 		add_action( 'wp_ajax_mdsm_anchor_get_log',         array( $this, 'ajax_get_anchor_log' ) );
+		add_action( 'wp_ajax_mdsm_anchor_get_log_stats',   array( $this, 'ajax_get_anchor_log_stats' ) );
 		add_action( 'wp_ajax_mdsm_anchor_clear_log',       array( $this, 'ajax_clear_anchor_log' ) );
 		add_action( 'wp_ajax_mdsm_anchor_download_log',    array( $this, 'ajax_download_anchor_log' ) );
 		add_action( 'wp_ajax_mdsm_anchor_download_csv',    array( $this, 'ajax_download_anchor_log_csv' ) );
 		add_action( 'wp_ajax_mdsm_anchor_download_tsr_zip',      array( $this, 'ajax_download_tsr_zip' ) );
 		add_action( 'wp_ajax_mdsm_anchor_dismiss_fail_notice',   array( $this, 'ajax_dismiss_failure_notice' ) );
 		add_action( 'wp_ajax_mdsm_anchor_rekor_verify',          array( $this, 'ajax_rekor_verify' ) );
+		add_action( 'wp_ajax_mdsm_anchor_reverify_entry',        array( $this, 'ajax_reverify_log_entry' ) );
+		add_action( 'wp_ajax_mdsm_anchor_get_tsr',               array( $this, 'ajax_get_tsr_token' ) );
+		add_action( 'wp_ajax_mdsm_anchor_get_chain_log',         array( $this, 'ajax_get_chain_log' ) );
 
 		// Admin menu and asset enqueueing.
 		if ( is_admin() ) {
@@ -1211,8 +1386,11 @@ class MDSM_External_Anchoring {
 	 * failure).
 	 *
 	 * Never throws — all errors are caught and logged per provider.
+	 *
+	 * @param string $only_job_id Process just this job (the queue monitor's
+	 *                            "retry now"); empty for a normal cron run.
 	 */
-	public function process_queue() {
+	public function process_queue( $only_job_id = '' ) {
 		if ( ! $this->is_enabled() ) {
 			return;
 		}
@@ -1237,6 +1415,10 @@ class MDSM_External_Anchoring {
 		$due_jobs = $result['jobs'];
 		$lock     = $result['lock'];
 
+		if ( '' !== (string) $only_job_id ) {
+			$due_jobs = array_intersect_key( $due_jobs, array( $only_job_id => true ) );
+		}
+
 		if ( empty( $due_jobs ) ) {
 			MDSM_Anchor_Queue::release_lock( $lock );
 			return;
@@ -1269,6 +1451,10 @@ class MDSM_External_Anchoring {
 						MDSM_Anchor_Queue::mark_success( $job_id, $pk );
 						$anchor_url = isset( $push_result['url'] ) ? $push_result['url'] : '';
 
+						// Whatever else the provider reported (commit SHA, TSA serial,
+						// Rekor UUID…) is kept for the log's detail view.
+						$details = array_diff_key( $push_result, array_flip( array( 'success', 'url', 'http_status' ) ) );
+
 						MDSM_Anchor_Log::write(
 							$record,
 							$job_id,
@@ -1276,7 +1462,8 @@ class MDSM_External_Anchoring {
 							'anchored',
 							$anchor_url,
 							'',
-							0
+							0,
+							$details
 						);
 
 						$this->write_audit_log( $record, 'anchored', $anchor_url, '' );
@@ -1419,6 +1606,7 @@ class MDSM_External_Anchoring {
 			'provider'            => 'none',      // git provider: none|github|gitlab
 			'rfc3161_enabled'     => '',          // '1' = on, '' = off
 			'rekor_enabled'       => '',          // '1' = on, '' = off (Sigstore / Rekor)
+			'rekor_public_key'    => '',          // PEM; '' = the rekor.sigstore.dev key
 			'visibility'          => 'private',
 			'token'               => '',
 			'repo_owner'          => '',
@@ -1496,10 +1684,21 @@ class MDSM_External_Anchoring {
 		return $providers;
 	}
 
+	/**
+	 * PEM public key that Rekor checkpoints and signed entry timestamps are
+	 * verified against: the configured key, or the rekor.sigstore.dev key.
+	 *
+	 * @return string
+	 */
+	public function get_rekor_public_key() {
+		$settings = $this->get_settings();
+		return '' !== $settings['rekor_public_key'] ? $settings['rekor_public_key'] : MDSM_Anchor_Provider_Rekor::LOG_PUBLIC_KEY;
+	}
+
 	private function save_settings( array $data ) {
 		$current  = $this->get_settings();
 		$allowed  = array(
-			'provider', 'rfc3161_enabled', 'rekor_enabled',
+			'provider', 'rfc3161_enabled', 'rekor_enabled', 'rekor_public_key',
 			'visibility', 'token', 'repo_owner', 'repo_name',
 			'branch', 'folder_path', 'commit_message',
 			// RFC 3161
@@ -1514,6 +1713,8 @@ class MDSM_External_Anchoring {
 				// URL fields must use esc_url_raw; everything else uses sanitize_text_field.
 				if ( 'rfc3161_custom_url' === $key ) {
 					$sanitized[ $key ] = esc_url_raw( $data[ $key ] );
+				} elseif ( 'rekor_public_key' === $key ) {
+					$sanitized[ $key ] = trim( sanitize_textarea_field( $data[ $key ] ) );
 				} else {
 					$sanitized[ $key ] = sanitize_text_field( $data[ $key ] );
 				}
@@ -1555,6 +1756,14 @@ class MDSM_External_Anchoring {
 			$sanitized['rekor_enabled'] = ( '1' === $sanitized['rekor_enabled'] ) ? '1' : '';
 		}
 
+		// ── Rekor log key ─────────────────────────────────────────────────────
+		// Only a PEM public key is kept ('' = the rekor.sigstore.dev key).
+		// ajax_save_settings() refuses anything else; keep the stored key here
+		// too rather than silently falling back to the built-in one.
+		if ( '' !== $sanitized['rekor_public_key'] && ! $this->is_pem_public_key( $sanitized['rekor_public_key'] ) ) {
+			$sanitized['rekor_public_key'] = $current['rekor_public_key'];
+		}
+
 		// Never blank the TSA password if an empty field was submitted (preserve existing).
 		if ( empty( $sanitized['rfc3161_password'] ) && ! empty( $current['rfc3161_password'] ) ) {
 			$sanitized['rfc3161_password'] = $current['rfc3161_password'];
@@ -1566,6 +1775,16 @@ class MDSM_External_Anchoring {
 		update_option( self::SETTINGS_OPTION, $sanitized, false );
 	}
 
+	/**
+	 * Whether a string is a single PEM "PUBLIC KEY" block.
+	 *
+	 * @param string $pem
+	 * @return bool
+	 */
+	private function is_pem_public_key( $pem ) {
+		return 1 === preg_match( '/^-----BEGIN PUBLIC KEY-----[A-Za-z0-9+\/=\s]+-----END PUBLIC KEY-----$/', $pem );
+	}
+
 	// ── Provider factory ──────────────────────────────────────────────────────
 
 	private function make_provider( $provider_key ) {
@@ -1649,33 +1868,196 @@ class MDSM_External_Anchoring {
 			MDSM_VERSION
 		);
 
+		// Determine log scope: 'rfc3161' on the Trusted Timestamps page, 'rekor' on the Rekor page, 'git' everywhere else.
+		$log_scope = 'git';
+		if ( strpos( $hook, 'rfc3161' ) !== false || strpos( $hook, 'timestamps' ) !== false ) {
+			$log_scope = 'rfc3161';
+		} elseif ( strpos( $hook, 'rekor' ) !== false ) {
+			$log_scope = 'rekor';
+		}
+
+		$deps = array( 'jquery' );
+
+		// The Trusted Timestamps page verifies .tsr tokens in the browser, the
+		// Rekor page inclusion proofs.
+		if ( 'git' !== $log_scope ) {
+			wp_register_script(
+				'archivio-crypto',
+				MDSM_PLUGIN_URL . 'assets/js/archivio-crypto.js',
+				array(),
+				MDSM_VERSION,
+				true
+			);
+		}
+
+		if ( 'rfc3161' === $log_scope ) {
+			wp_register_script(
+				'archivio-tsr',
+				MDSM_PLUGIN_URL . 'assets/js/archivio-tsr.js',
+				array( 'archivio-crypto' ),
+				MDSM_VERSION,
+				true
+			);
+
+			$deps[] = 'archivio-tsr';
+		} elseif ( 'rekor' === $log_scope ) {
+			wp_register_script(
+				'archivio-dsse',
+				MDSM_PLUGIN_URL . 'assets/js/archivio-dsse.js',
+				array( 'archivio-crypto' ),
+				MDSM_VERSION,
+				true
+			);
+
+			wp_register_script(
+				'archivio-rekor',
+				MDSM_PLUGIN_URL . 'assets/js/archivio-rekor.js',
+				array( 'archivio-crypto', 'archivio-dsse' ),
+				MDSM_VERSION,
+				true
+			);
+
+			$deps[] = 'archivio-rekor';
+		}
+
 		wp_enqueue_script(
 			'mdsm-anchor-admin',
 			MDSM_PLUGIN_URL . 'assets/js/anchor-admin.js',
-			array( 'jquery' ),
+			$deps,
 			MDSM_VERSION,
 			true
 		);
 
-		// Determine log scope: 'rfc3161' on the Trusted Timestamps page, 'rekor' on the Rekor page, 'git' everywhere else.
-		$log_scope = 'git';
-		if ( strpos( $hook, 'rfc3161' ) !== false || strpos( $hook, 'timestamps' ) !== false ) {
-			$log_scope = 'rfc3161';
-		} elseif ( strpos( $hook, 'rekor' ) !== false ) {
-			$log_scope = 'rekor';
+		// "Verify Chain" is only on the Git Distribution page. It unpacks ZIPs of
+		// the anchor folder with the document importer's reader.
+		if ( str_ends_with( $hook, '_page_archivio-git-distribution' ) ) {
+			wp_enqueue_script(
+				'mdsm-import',
+				MDSM_PLUGIN_URL . 'assets/js/mdsm-import.js',
+				array(),
+				MDSM_VERSION,
+				true
+			);
+
+			wp_enqueue_script(
+				'mdsm-anchor-chain',
+				MDSM_PLUGIN_URL . 'assets/js/anchor-chain.js',
+				array( 'jquery', 'mdsm-anchor-admin', 'mdsm-import' ),
+				MDSM_VERSION,
+				true
+			);
 		}
 
 		wp_localize_script( 'mdsm-anchor-admin', 'mdsmAnchorData', array(
-			'ajaxUrl'  => admin_url( 'admin-ajax.php' ),
-			'nonce'    => wp_create_nonce( 'mdsm_anchor_nonce' ),
-			'logScope' => $log_scope,
-			'strings'  => array(
+			'ajaxUrl'        => admin_url( 'admin-ajax.php' ),
+			'nonce'          => wp_create_nonce( 'mdsm_anchor_nonce' ),
+			'logScope'       => $log_scope,
+			'rekorPublicKey' => 'rekor' === $log_scope ? $this->get_rekor_public_key() : '',
+			'strings'        => array(
 				'saving'         => __( 'Saving…', 'archiviomd' ),
 				'saved'          => __( 'Settings saved.', 'archiviomd' ),
 				'testing'        => __( 'Testing connection…', 'archiviomd' ),
 				'clearing'       => __( 'Clearing queue…', 'archiviomd' ),
 				'queueCleared'   => __( 'Queue cleared.', 'archiviomd' ),
+				'queueEmpty'     => __( 'The queue is empty.', 'archiviomd' ),
+				/* translators: %s: time the queue was last refreshed */
+				'queueUpdated'   => __( 'Updated %s', 'archiviomd' ),
+				'retrying'       => __( 'Retrying…', 'archiviomd' ),
+				/* translators: %s: document name */
+				'confirmCancel'  => __( 'Cancel anchoring for "%s"? The job is removed from the queue and will not be retried.', 'archiviomd' ),
+				'dueNow'         => __( 'due now', 'archiviomd' ),
+				/* translators: %s: number of seconds */
+				'inSeconds'      => __( 'in %s s', 'archiviomd' ),
+				/* translators: %s: number of minutes */
+				'inMinutes'      => __( 'in %s min', 'archiviomd' ),
+				/* translators: 1: number of hours, 2: number of minutes */
+				'inHours'        => __( 'in %1$s h %2$s min', 'archiviomd' ),
+				'retryNow'       => __( 'Retry now', 'archiviomd' ),
+				'moveToFront'    => __( 'Move to front', 'archiviomd' ),
+				'moveToBack'     => __( 'Move to back', 'archiviomd' ),
+				'cancel'         => __( 'Cancel', 'archiviomd' ),
+				'jobId'          => __( 'Job ID', 'archiviomd' ),
+				'documentId'     => __( 'Document ID', 'archiviomd' ),
+				'type'           => __( 'Type', 'archiviomd' ),
+				'queued'         => __( 'Queued', 'archiviomd' ),
+				'hash'           => __( 'Hash', 'archiviomd' ),
+				'provider'       => __( 'Provider', 'archiviomd' ),
+				'status'         => __( 'Status', 'archiviomd' ),
+				'attempts'       => __( 'Attempts', 'archiviomd' ),
+				'nextAttempt'    => __( 'Next Attempt', 'archiviomd' ),
+				'lastError'      => __( 'Last Error', 'archiviomd' ),
 				'error'          => __( 'An error occurred. Please try again.', 'archiviomd' ),
+				// "Verify Chain" (anchor-chain.js).
+				'chain'          => array(
+					'verified'      => __( 'Verified', 'archiviomd' ),
+					'tampered'      => __( 'Tampered', 'archiviomd' ),
+					'reordered'     => __( 'Reordered', 'archiviomd' ),
+					'missing'       => __( 'Missing', 'archiviomd' ),
+					'unlogged'      => __( 'Not in the activity log', 'archiviomd' ),
+					'invalid'       => __( 'Unreadable', 'archiviomd' ),
+					'unchecked'     => __( 'Before the log', 'archiviomd' ),
+					'newer'         => __( 'Not uploaded yet', 'archiviomd' ),
+					'duplicate'     => __( 'Duplicate', 'archiviomd' ),
+					'notZip'        => __( 'Not a readable ZIP archive.', 'archiviomd' ),
+					'zip64'         => __( 'ZIP64 archives are not supported.', 'archiviomd' ),
+					'encrypted'     => __( 'Encrypted ZIP entry.', 'archiviomd' ),
+					'compression'   => __( 'Unsupported ZIP compression.', 'archiviomd' ),
+					'tooLarge'      => __( 'File too large.', 'archiviomd' ),
+					'binary'        => __( 'Binary file.', 'archiviomd' ),
+					'notJson'       => __( 'Not valid JSON.', 'archiviomd' ),
+					'notRecord'     => __( 'Not an anchor record.', 'archiviomd' ),
+					'pasted'        => __( 'Pasted JSON', 'archiviomd' ),
+					'logFailed'     => __( 'The activity log could not be loaded.', 'archiviomd' ),
+					'requestFailed' => __( 'Request failed.', 'archiviomd' ),
+					'identical'     => __( 'Identical to the committed record', 'archiviomd' ),
+					'reformatted'   => __( 'Same record, formatted differently', 'archiviomd' ),
+					/* translators: 1: hash in the file, 2: hash in the activity log */
+					'hashDiffers'   => __( 'hash_value %1$s differs from the logged %2$s', 'archiviomd' ),
+					'fieldsDiffer'  => __( 'Fields other than the hash differ from the committed record', 'archiviomd' ),
+					/* translators: 1: document ID, 2: hash value */
+					'loggedAs'      => __( 'Logged as %1$s %2$s', 'archiviomd' ),
+					'noFullRecord'  => __( 'Document and hash match; the log holds no copy of the full record', 'archiviomd' ),
+					/* translators: 1: document ID in the file name, 2: document ID in the record */
+					'nameMismatch'  => __( 'The file name is for %1$s but the record is for %2$s', 'archiviomd' ),
+					/* translators: %s: file name */
+					'committedAs'   => __( 'Committed as %s', 'archiviomd' ),
+					/* translators: 1: time in the file name, 2: time the anchor was logged */
+					'namedFor'      => __( 'Named for %1$s but anchored %2$s', 'archiviomd' ),
+					/* translators: %s: file name */
+					'sameAs'        => __( 'Same record as %s', 'archiviomd' ),
+					/* translators: %s: date and time */
+					'beforeLog'     => __( 'Older than the oldest activity log entry (%s UTC)', 'archiviomd' ),
+					'noRecord'      => __( 'This site has no record of anchoring it', 'archiviomd' ),
+					'afterUpload'   => __( 'Anchored after the newest uploaded record', 'archiviomd' ),
+					/* translators: 1: date and time, 2: provider */
+					'notUploaded'   => __( 'Anchored %1$s UTC (%2$s) but not in the upload', 'archiviomd' ),
+					'outOfSequence' => __( 'Anchored before the record it follows', 'archiviomd' ),
+					/* translators: %d: number of problems (1) */
+					'problem'       => __( '%d problem found', 'archiviomd' ),
+					/* translators: %d: number of problems */
+					'problems'      => __( '%d problems found', 'archiviomd' ),
+					'intact'        => __( 'Chain intact: every record matches the activity log', 'archiviomd' ),
+					/* translators: 1: number of records, 2: number of documents */
+					'counts'        => __( '%1$d records, %2$d documents', 'archiviomd' ),
+					/* translators: %d: number of records (1) */
+					'record'        => __( '%d record', 'archiviomd' ),
+					/* translators: %d: number of records */
+					'records'       => __( '%d records', 'archiviomd' ),
+					'colTime'       => __( 'Time (UTC)', 'archiviomd' ),
+					'colFile'       => __( 'File', 'archiviomd' ),
+					'colHash'       => __( 'Hash', 'archiviomd' ),
+					'colLog'        => __( 'Log entry', 'archiviomd' ),
+					'colStatus'     => __( 'Status', 'archiviomd' ),
+					/* translators: %s: start of the previous hash */
+					'changedFrom'   => __( 'changed from %s', 'archiviomd' ),
+					'skipped'       => __( 'Skipped files', 'archiviomd' ),
+					'verifying'     => __( 'Verifying…', 'archiviomd' ),
+					'verify'        => __( 'Verify Chain', 'archiviomd' ),
+					'reading'       => __( 'Reading records and loading the activity log…', 'archiviomd' ),
+					/* translators: 1: file name, 2: reason */
+					'noRecords'     => __( 'No anchor records found: %1$s: %2$s', 'archiviomd' ),
+					'nothingGiven'  => __( 'Pick the anchor files or a ZIP of the anchor folder, or paste records, first.', 'archiviomd' ),
+				),
 			),
 		) );
 	}
@@ -1689,6 +2071,13 @@ class MDSM_External_Anchoring {
 			wp_send_json_error( array( 'message' => __( 'Insufficient permissions.', 'archiviomd' ) ) );
 		}
 
+		if ( isset( $_POST['rekor_public_key'] ) ) {
+			$rekor_key = trim( sanitize_textarea_field( wp_unslash( $_POST['rekor_public_key'] ) ) );
+			if ( '' !== $rekor_key && ! $this->is_pem_public_key( $rekor_key ) ) {
+				wp_send_json_error( array( 'message' => __( 'The Rekor log public key must be a PEM public key (-----BEGIN PUBLIC KEY-----). Settings were not saved.', 'archiviomd' ) ) );
+			}
+		}
+
 		$this->save_settings( wp_unslash( $_POST ) );
 
 		wp_send_json_success( array( 'message' => __( 'Settings saved successfully.', 'archiviomd' ) ) );
@@ -1786,12 +2175,174 @@ class MDSM_External_Anchoring {
 			wp_send_json_error( array( 'message' => __( 'Insufficient permissions.', 'archiviomd' ) ) );
 		}
 
+		$jobs = array();
+		foreach ( MDSM_Anchor_Queue::all() as $job ) {
+			$jobs[] = $this->describe_queue_job( $job );
+		}
+
+		wp_send_json_success( array(
+			'count'    => count( $jobs ),
+			'enabled'  => $this->is_enabled(),
+			'now'      => time(),
+			'next_run' => wp_next_scheduled( self::CRON_HOOK ) ?: null,
+			'jobs'     => $jobs,
+		) );
+	}
+
+	/**
+	 * Retry a queued job immediately, in this request, instead of waiting for
+	 * its back-off to expire and the next cron run.
+	 */
+	public function ajax_retry_job() {
+		check_ajax_referer( 'mdsm_anchor_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Insufficient permissions.', 'archiviomd' ) ) );
+		}
+
+		$job_id = isset( $_POST['job_id'] ) ? sanitize_text_field( wp_unslash( $_POST['job_id'] ) ) : '';
+
+		if ( ! MDSM_Anchor_Queue::retry_now( $job_id ) ) {
+			wp_send_json_error( array( 'message' => __( 'This job is no longer in the queue.', 'archiviomd' ) ) );
+		}
+
+		if ( ! $this->is_enabled() ) {
+			wp_send_json_success( array(
+				'message' => __( 'Job marked as due. Anchoring is disabled, so it will run once a provider is enabled.', 'archiviomd' ),
+				'job'     => $this->describe_queue_job( MDSM_Anchor_Queue::get_job( $job_id ) ),
+			) );
+		}
+
+		$this->process_queue( $job_id );
+
+		$job = MDSM_Anchor_Queue::get_job( $job_id );
+
+		if ( null === $job ) {
+			wp_send_json_success( array(
+				'message' => __( 'Job processed and removed from the queue. See the activity log for the result.', 'archiviomd' ),
+				'job'     => null,
+			) );
+		}
+
+		if ( '' === (string) $job['last_error'] ) {
+			wp_send_json_success( array(
+				'message' => __( 'Job processed and still queued for the remaining providers. See the activity log for the result.', 'archiviomd' ),
+				'job'     => $this->describe_queue_job( $job ),
+			) );
+		}
+
+		wp_send_json_success( array(
+			'message' => sprintf(
+				/* translators: %s: provider error message */
+				__( 'Retry failed: %s', 'archiviomd' ),
+				$job['last_error']
+			),
+			'job'     => $this->describe_queue_job( $job ),
+		) );
+	}
+
+	/**
+	 * Remove a single job from the queue. It is not anchored and not retried.
+	 */
+	public function ajax_cancel_job() {
+		check_ajax_referer( 'mdsm_anchor_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Insufficient permissions.', 'archiviomd' ) ) );
+		}
+
+		$job_id = isset( $_POST['job_id'] ) ? sanitize_text_field( wp_unslash( $_POST['job_id'] ) ) : '';
+
+		if ( ! MDSM_Anchor_Queue::cancel( $job_id ) ) {
+			wp_send_json_error( array( 'message' => __( 'This job is no longer in the queue.', 'archiviomd' ) ) );
+		}
+
+		wp_send_json_success( array( 'message' => __( 'Job cancelled.', 'archiviomd' ) ) );
+	}
+
+	/**
+	 * Move a job to the front or the back of the queue, which decides the
+	 * order it is processed in within a cron run.
+	 */
+	public function ajax_move_job() {
+		check_ajax_referer( 'mdsm_anchor_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Insufficient permissions.', 'archiviomd' ) ) );
+		}
+
+		$job_id   = isset( $_POST['job_id'] ) ? sanitize_text_field( wp_unslash( $_POST['job_id'] ) ) : '';
+		$position = isset( $_POST['position'] ) ? sanitize_key( wp_unslash( $_POST['position'] ) ) : '';
+		$position = 'bottom' === $position ? 'bottom' : 'top';
+
+		if ( ! MDSM_Anchor_Queue::move( $job_id, $position ) ) {
+			wp_send_json_error( array( 'message' => __( 'This job is no longer in the queue.', 'archiviomd' ) ) );
+		}
+
 		wp_send_json_success( array(
-			'count'   => MDSM_Anchor_Queue::count(),
-			'enabled' => $this->is_enabled(),
+			'message' => 'top' === $position
+				? __( 'Job moved to the front of the queue.', 'archiviomd' )
+				: __( 'Job moved to the back of the queue.', 'archiviomd' ),
 		) );
 	}
 
+	/**
+	 * Flatten a queue job for the queue monitor. Jobs queued before
+	 * multi-provider support have no provider_states map; their job-level
+	 * retry state is reported against every active provider.
+	 *
+	 * @param array $job Queue job array.
+	 * @return array
+	 */
+	private function describe_queue_job( array $job ) {
+		$record = isset( $job['record'] ) ? $job['record'] : array();
+
+		if ( ! empty( $record['document_name'] ) ) {
+			$document = $record['document_name'];
+		} elseif ( ! empty( $record['post_title'] ) ) {
+			$document = $record['post_title'];
+		} else {
+			$document = isset( $record['document_id'] ) ? $record['document_id'] : '';
+		}
+
+		$providers = array();
+		if ( isset( $job['provider_states'] ) ) {
+			foreach ( $job['provider_states'] as $pk => $pstate ) {
+				$providers[] = array(
+					'provider'     => $pk,
+					'status'       => $pstate['status'],
+					'attempts'     => (int) $pstate['attempts'],
+					'next_attempt' => (int) $pstate['next_attempt'],
+					'last_error'   => (string) $pstate['last_error'],
+				);
+			}
+		} else {
+			foreach ( $this->get_active_providers() as $pk ) {
+				$providers[] = array(
+					'provider'     => $pk,
+					'status'       => 'pending',
+					'attempts'     => (int) $job['attempts'],
+					'next_attempt' => (int) $job['next_attempt'],
+					'last_error'   => (string) $job['last_error'],
+				);
+			}
+		}
+
+		return array(
+			'id'             => $job['id'],
+			'document'       => $document,
+			'document_id'    => isset( $record['document_id'] ) ? $record['document_id'] : '',
+			'post_type'      => isset( $record['post_type'] ) ? $record['post_type'] : '',
+			'hash_algorithm' => isset( $record['hash_algorithm'] ) ? $record['hash_algorithm'] : '',
+			'hash_value'     => isset( $record['hash_value'] ) ? $record['hash_value'] : '',
+			'created_at'     => (int) $job['created_at'],
+			'attempts'       => (int) $job['attempts'],
+			'next_attempt'   => (int) $job['next_attempt'],
+			'last_error'     => (string) $job['last_error'],
+			'providers'      => $providers,
+		);
+	}
+
 	// ── Anchor log AJAX handlers ──────────────────────────────────────────────
 
 	public function ajax_get_anchor_log() {
@@ -1806,11 +2357,52 @@ class MDSM_External_Anchoring {
 		$filter    = isset( $_POST['filter'] )    ? sanitize_key( wp_unslash( $_POST['filter'] ) )    : 'all';
 		$log_scope = isset( $_POST['log_scope'] ) ? sanitize_key( wp_unslash( $_POST['log_scope'] ) ) : 'all';
 
-		$result = MDSM_Anchor_Log::get_entries( $page, $per_page, $filter, $log_scope );
+		$query = array(
+			'search'    => isset( $_POST['search'] )    ? sanitize_text_field( wp_unslash( $_POST['search'] ) ) : '',
+			'date_from' => isset( $_POST['date_from'] ) ? $this->sanitize_log_date( wp_unslash( $_POST['date_from'] ) ) : '', // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+			'date_to'   => isset( $_POST['date_to'] )   ? $this->sanitize_log_date( wp_unslash( $_POST['date_to'] ) ) : '', // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+			'provider'  => isset( $_POST['provider'] )  ? sanitize_key( wp_unslash( $_POST['provider'] ) ) : '',
+			'algorithm' => isset( $_POST['algorithm'] ) ? sanitize_text_field( wp_unslash( $_POST['algorithm'] ) ) : '',
+			'orderby'   => isset( $_POST['orderby'] )   ? sanitize_key( wp_unslash( $_POST['orderby'] ) ) : 'created_at',
+			'order'     => isset( $_POST['order'] )     ? sanitize_key( wp_unslash( $_POST['order'] ) ) : 'desc',
+		);
+
+		$result = MDSM_Anchor_Log::get_entries( $page, $per_page, $filter, $log_scope, $query );
+		$result['filter_options'] = MDSM_Anchor_Log::get_filter_options( $log_scope );
 
 		wp_send_json_success( $result );
 	}
 
+	/**
+	 * A Y-m-d date from the log filters, or '' when it is not a real date.
+	 */
+	private function sanitize_log_date( $value ) {
+		$value = is_string( $value ) ? trim( $value ) : '';
+		$date  = DateTime::createFromFormat( '!Y-m-d', $value, new DateTimeZone( 'UTC' ) );
+
+		return ( $date && $date->format( 'Y-m-d' ) === $value ) ? $value : '';
+	}
+
+	/**
+	 * AJAX: aggregates for the Anchoring Health dashboard.
+	 */
+	public function ajax_get_anchor_log_stats() {
+		check_ajax_referer( 'mdsm_anchor_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Insufficient permissions.', 'archiviomd' ) ) );
+		}
+
+		$days      = isset( $_POST['days'] ) ? absint( wp_unslash( $_POST['days'] ) ) : 30;
+		$log_scope = isset( $_POST['log_scope'] ) ? sanitize_key( wp_unslash( $_POST['log_scope'] ) ) : 'all';
+
+		if ( ! in_array( $days, array( 7, 30, 90 ), true ) ) {
+			$days = 30;
+		}
+
+		wp_send_json_success( MDSM_Anchor_Log::get_stats( $days, $log_scope ) );
+	}
+
 	public function ajax_clear_anchor_log() {
 		check_ajax_referer( 'mdsm_anchor_nonce', 'nonce' );
 
@@ -2085,254 +2677,8 @@ class MDSM_External_Anchoring {
 		echo $content; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
 		exit;
 	}
-}
 
-// ── Anchor Log ───────────────────────────────────────────────────────────────
-
-/**
- * Dedicated anchor activity log stored in its own DB table.
- *
- * Tracks every push attempt — success, retry, or failure — with enough
- * detail to diagnose exactly what went wrong and when.
- *
- * Table: {prefix}archivio_anchor_log
- */
-class MDSM_Anchor_Log {
-
-	const TABLE_SUFFIX = 'archivio_anchor_log';
-
-	// ── Table management ──────────────────────────────────────────────────────
-
-	public static function get_table_name() {
-		global $wpdb;
-		return $wpdb->prefix . self::TABLE_SUFFIX;
-	}
-
-	public static function create_table() {
-		global $wpdb;
-
-		$table_name      = self::get_table_name();
-		$charset_collate = $wpdb->get_charset_collate();
-
-		$sql = "CREATE TABLE IF NOT EXISTS {$table_name} (
-			id            bigint(20)   NOT NULL AUTO_INCREMENT,
-			job_id        varchar(60)  NOT NULL DEFAULT '',
-			document_id   varchar(255) NOT NULL DEFAULT '',
-			post_type     varchar(50)  NOT NULL DEFAULT '',
-			provider      varchar(20)  NOT NULL DEFAULT '',
-			hash_algorithm varchar(20) NOT NULL DEFAULT '',
-			hash_value    varchar(255) NOT NULL DEFAULT '',
-			hmac_value    varchar(255) NOT NULL DEFAULT '',
-			integrity_mode varchar(10) NOT NULL DEFAULT 'Basic',
-			attempt_number tinyint(3)  NOT NULL DEFAULT 1,
-			status        varchar(20)  NOT NULL DEFAULT '',
-			anchor_url    text         NOT NULL,
-			error_message text         NOT NULL,
-			http_status   smallint(5)  NOT NULL DEFAULT 0,
-			created_at    datetime     NOT NULL,
-			PRIMARY KEY  (id),
-			KEY status (status),
-			KEY created_at (created_at),
-			KEY job_id (job_id)
-		) {$charset_collate};";
-
-		require_once ABSPATH . 'wp-admin/includes/upgrade.php';
-		dbDelta( $sql );
-	}
-
-	public static function drop_table() {
-		global $wpdb;
-		$table_name = self::get_table_name();
-		$wpdb->query( "DROP TABLE IF EXISTS {$table_name}" ); // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
-	}
-
-	// ── Write ─────────────────────────────────────────────────────────────────
-
-	/**
-	 * Write a log entry. Called from MDSM_External_Anchoring::process_queue().
-	 *
-	 * @param array  $record         Anchor record (document_id, hash_value, etc.)
-	 * @param string $job_id         Queue job ID.
-	 * @param int    $attempt_number Which attempt this is (1-based).
-	 * @param string $status         'anchored' | 'retry' | 'failed'
-	 * @param string $anchor_url     Remote URL if successful, empty otherwise.
-	 * @param string $error_message  Full error text if failed/retry, empty otherwise.
-	 * @param int    $http_status    HTTP response code if available, 0 otherwise.
-	 */
-	public static function write(
-		array $record,
-		$job_id,
-		$attempt_number,
-		$status,
-		$anchor_url   = '',
-		$error_message = '',
-		$http_status  = 0
-	) {
-		global $wpdb;
-
-		$table_name = self::get_table_name();
-
-		// Ensure table exists — safe to call repeatedly, dbDelta is idempotent.
-		if ( $wpdb->get_var( "SHOW TABLES LIKE '{$table_name}'" ) !== $table_name ) { // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
-			self::create_table();
-		}
-
-		$wpdb->insert(
-			$table_name,
-			array(
-				'job_id'         => (string) $job_id,
-				'document_id'    => isset( $record['document_id'] )    ? (string) $record['document_id']    : '',
-				'post_type'      => isset( $record['post_type'] )      ? (string) $record['post_type']      : '',
-				'provider'       => isset( $record['_provider'] )      ? (string) $record['_provider']      : '',
-				'hash_algorithm' => isset( $record['hash_algorithm'] ) ? (string) $record['hash_algorithm'] : '',
-				'hash_value'     => isset( $record['hash_value'] )     ? (string) $record['hash_value']     : '',
-				'hmac_value'     => isset( $record['hmac_value'] )     ? (string) $record['hmac_value']     : '',
-				'integrity_mode' => isset( $record['integrity_mode'] ) ? (string) $record['integrity_mode'] : 'Basic',
-				'attempt_number' => (int) $attempt_number,
-				'status'         => (string) $status,
-				'anchor_url'     => (string) $anchor_url,
-				'error_message'  => (string) $error_message,
-				'http_status'    => (int) $http_status,
-				'created_at'     => gmdate( 'Y-m-d H:i:s' ),
-			),
-			array( '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%d', '%s', '%s', '%s', '%d', '%s' )
-		);
-	}
-
-	// ── Read ──────────────────────────────────────────────────────────────────
-
-	/**
-	 * Get paginated log entries.
-	 *
-	 * @param int    $page
-	 * @param int    $per_page
-	 * @param string $filter   'all' | 'anchored' | 'retry' | 'failed'
-	 * @return array { entries: array, total: int, pages: int }
-	 */
-	public static function get_entries( $page = 1, $per_page = 25, $filter = 'all', $log_scope = 'all' ) {
-		global $wpdb;
-
-		$table_name = self::get_table_name();
-
-		if ( $wpdb->get_var( "SHOW TABLES LIKE '{$table_name}'" ) !== $table_name ) { // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
-			return array( 'entries' => array(), 'total' => 0, 'pages' => 0 );
-		}
-
-		$where  = array();
-		$params = array();
-
-		// Filter by status.
-		if ( 'all' !== $filter ) {
-			$where[]  = 'status = %s';
-			$params[] = $filter;
-		}
-
-		// Filter by provider scope: 'git' shows only git providers, 'rfc3161'/'rekor' show only those.
-		if ( 'rfc3161' === $log_scope ) {
-			$where[]  = "provider = 'rfc3161'";
-		} elseif ( 'rekor' === $log_scope ) {
-			$where[]  = "provider = 'rekor'";
-		} elseif ( 'git' === $log_scope ) {
-			$where[]  = "provider NOT IN ('rfc3161', 'rekor')";
-		}
-
-		$where_sql = $where ? 'WHERE ' . implode( ' AND ', $where ) : '';
-
-		$count_sql = "SELECT COUNT(*) FROM {$table_name} {$where_sql}"; // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
-		$total     = $params
-			? (int) $wpdb->get_var( $wpdb->prepare( $count_sql, $params ) ) // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
-			: (int) $wpdb->get_var( $count_sql ); // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
-
-		$offset   = ( $page - 1 ) * $per_page;
-		$data_sql = "SELECT * FROM {$table_name} {$where_sql} ORDER BY created_at DESC LIMIT %d OFFSET %d"; // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
-
-		$query_params = array_merge( $params, array( $per_page, $offset ) );
-		$entries = $wpdb->get_results(
-			$wpdb->prepare( $data_sql, $query_params ), // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
-			ARRAY_A
-		);
-
-		return array(
-			'entries' => $entries ?: array(),
-			'total'   => $total,
-			'pages'   => $per_page > 0 ? (int) ceil( $total / $per_page ) : 0,
-		);
-	}
-
-	/**
-	 * Get all entries for plain-text export (most recent first, capped at 5000).
-	 *
-	 * @return array
-	 */
-	public static function get_all_for_export() {
-		global $wpdb;
-
-		$table_name = self::get_table_name();
-
-		if ( $wpdb->get_var( "SHOW TABLES LIKE '{$table_name}'" ) !== $table_name ) { // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
-			return array();
-		}
-
-		$results = $wpdb->get_results(
-			"SELECT * FROM {$table_name} ORDER BY created_at DESC LIMIT 5000", // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
-			ARRAY_A
-		);
-
-		return $results ?: array();
-	}
-
-	/**
-	 * Clear all log entries.
-	 */
-	public static function clear() {
-		global $wpdb;
-		$table_name = self::get_table_name();
-		if ( $wpdb->get_var( "SHOW TABLES LIKE '{$table_name}'" ) === $table_name ) { // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
-			$wpdb->query( "TRUNCATE TABLE {$table_name}" ); // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
-		}
-	}
-
-	/**
-	 * Return counts grouped by status for the summary badges.
-	 *
-	 * @return array { anchored: int, retry: int, failed: int, total: int }
-	 */
-	public static function get_counts( $log_scope = 'all' ) {
-		global $wpdb;
-
-		$table_name = self::get_table_name();
-
-		if ( $wpdb->get_var( "SHOW TABLES LIKE '{$table_name}'" ) !== $table_name ) { // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
-			return array( 'anchored' => 0, 'retry' => 0, 'failed' => 0, 'total' => 0 );
-		}
-
-		$where_sql = '';
-		if ( 'rfc3161' === $log_scope ) {
-			$where_sql = "WHERE provider = 'rfc3161'";
-		} elseif ( 'rekor' === $log_scope ) {
-			$where_sql = "WHERE provider = 'rekor'";
-		} elseif ( 'git' === $log_scope ) {
-			$where_sql = "WHERE provider NOT IN ('rfc3161', 'rekor')";
-		}
-
-		$rows = $wpdb->get_results(
-			"SELECT status, COUNT(*) AS cnt FROM {$table_name} {$where_sql} GROUP BY status", // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
-			ARRAY_A
-		);
-
-		$counts = array( 'anchored' => 0, 'retry' => 0, 'failed' => 0, 'total' => 0 );
-		foreach ( (array) $rows as $row ) {
-			$key = $row['status'];
-			if ( isset( $counts[ $key ] ) ) {
-				$counts[ $key ] = (int) $row['cnt'];
-			}
-			$counts['total'] += (int) $row['cnt'];
-		}
-
-		return $counts;
-	}
-
-	// ── Fix #4: Permanent failure notice ─────────────────────────────────────
+	// ── Fix #4: Permanent failure notice ─────────────────────────────────────
 
 	/**
 	 * AJAX: Dismiss the permanent-failure admin notice and reset the counter.
@@ -2359,9 +2705,14 @@ class MDSM_Anchor_Log {
 	 * Also performs a local hash consistency check: the artifact hash stored in
 	 * our anchor log is compared against the hash Rekor actually recorded.
 	 *
+	 * The raw entry is returned too, for the in-browser inclusion proof check.
+	 * When the anchor log row it belongs to predates stored Rekor entries, the
+	 * entry is kept in that row's details so later checks can run offline.
+	 *
 	 * POST params:
 	 *   log_index  (int)    Rekor log index — extracted from the stored anchor_url.
 	 *   local_hash (string) The hash_value we stored in our anchor log row.
+	 *   id         (int)    Optional anchor log row ID to keep the entry on.
 	 *
 	 * @return void  Calls wp_send_json_success / wp_send_json_error.
 	 */
@@ -2374,6 +2725,7 @@ class MDSM_Anchor_Log {
 
 		$log_index  = isset( $_POST['log_index'] )  ? absint( wp_unslash( $_POST['log_index'] ) )                                          : 0;
 		$local_hash = isset( $_POST['local_hash'] ) ? sanitize_text_field( wp_unslash( $_POST['local_hash'] ) ) : '';
+		$log_id     = isset( $_POST['id'] )         ? absint( wp_unslash( $_POST['id'] ) )                                                 : 0;
 
 		if ( $log_index <= 0 ) {
 			wp_send_json_error( array( 'message' => __( 'Invalid log index.', 'archiviomd' ) ) );
@@ -2441,6 +2793,10 @@ class MDSM_Anchor_Log {
 		// and that Rekor's logIndex matches what we requested.
 		$index_matches = ( isset( $entry['logIndex'] ) && (int) $entry['logIndex'] === $log_index );
 
+		if ( $log_id && $index_matches ) {
+			$this->keep_rekor_entry( $log_id, $log_index, (string) $uuid, $entry );
+		}
+
 		// Extract customProperties (our provenance metadata) from the entry body.
 		$custom_props = array();
 		if ( isset( $entry_parsed['spec']['customProperties'] ) && is_array( $entry_parsed['spec']['customProperties'] ) ) {
@@ -2462,44 +2818,386 @@ class MDSM_Anchor_Log {
 			'signed_entry_ts'    => ! empty( $signed_entry_ts ),
 			'sigstore_url'       => 'https://search.sigstore.dev/?logIndex=' . $log_index,
 			'custom_props'       => $custom_props,
+			'entry'              => $entry,
 		) );
 	}
 
-	// ── Fix #7: Scheduled post anchoring ─────────────────────────────────────
-
 	/**
-	 * Hook: publish_future_post — fires when a scheduled post goes live.
-	 *
-	 * save_post fires too, but by then the post hash already exists and the
-	 * content-unchanged guard returns early — so this post would never be queued.
-	 * This handler bypasses that guard by forcing a fresh queue call directly.
+	 * Store a fetched Rekor entry on the anchor log row it belongs to, unless
+	 * the row already holds one.
 	 *
-	 * @param int $post_id
+	 * @param int    $id        Anchor log row ID.
+	 * @param int    $log_index Rekor log index the entry was fetched by.
+	 * @param string $uuid      Rekor entry UUID.
+	 * @param array  $entry     Entry as returned by the Rekor API.
 	 */
-	public function on_future_post_published( $post_id ) {
-		if ( ! $this->is_enabled() ) {
+	private function keep_rekor_entry( $id, $log_index, $uuid, $entry ) {
+		$row = MDSM_Anchor_Log::get_entry( $id );
+		if ( ! $row || 'rekor' !== $row['provider'] || ! is_array( $entry ) ) {
 			return;
 		}
 
-		$post = get_post( $post_id );
-		if ( ! $post || wp_is_post_revision( $post_id ) ) {
+		$details = json_decode( (string) $row['anchor_details'], true );
+		$details = is_array( $details ) ? $details : array();
+
+		if ( ! empty( $details['rekor_entry'] ) ) {
 			return;
 		}
 
-		// Clear any dedup transient for this post so the queue call is not skipped.
-		$stored_packed = get_post_meta( $post_id, '_archivio_post_hash', true );
-		$dedup_key     = 'mdsm_anchor_q_' . $post_id . '_' . substr( md5( (string) $stored_packed ), 0, 8 );
-		delete_transient( $dedup_key );
+		// Only the row whose anchor URL names this log index.
+		if ( ! preg_match( '/[?&]logIndex=' . $log_index . '(?:&|$)/', (string) $row['anchor_url'] )
+			&& ( ! isset( $details['log_index'] ) || (int) $details['log_index'] !== $log_index ) ) {
+			return;
+		}
 
-		// Re-use existing hash if available, otherwise compute fresh.
-		if ( ! empty( $stored_packed ) ) {
-			$unpacked    = MDSM_Hash_Helper::unpack( $stored_packed );
-			$hash_result = array(
-				'packed'           => $stored_packed,
-				'hash'             => $unpacked['hash'],
-				'algorithm'        => $unpacked['algorithm'],
-				'hmac_unavailable' => false,
-			);
+		$details['rekor_entry'] = $entry;
+		if ( empty( $details['rekor_uuid'] ) ) {
+			$details['rekor_uuid'] = $uuid;
+		}
+		MDSM_Anchor_Log::update_details( $id, $details );
+	}
+
+	/**
+	 * AJAX: re-check an anchored log entry against the provider's copy.
+	 *
+	 * GitHub / GitLab: fetch the committed anchor file and compare it with the
+	 * log row — its hash_value always, and the whole file when the row holds
+	 * the record that was pushed.
+	 * RFC 3161: re-read the stored .tsr token and check its status and that its
+	 * message imprint matches the document hash.
+	 * Rekor entries are checked with ajax_rekor_verify().
+	 *
+	 * POST params:
+	 *   id (int) Anchor log row ID.
+	 *
+	 * @return void  Sends { verified: bool, checks: [ { label, ok, detail } ] }.
+	 */
+	public function ajax_reverify_log_entry() {
+		check_ajax_referer( 'mdsm_anchor_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Insufficient permissions.', 'archiviomd' ) ) );
+		}
+
+		$id    = isset( $_POST['id'] ) ? absint( wp_unslash( $_POST['id'] ) ) : 0;
+		$entry = $id ? MDSM_Anchor_Log::get_entry( $id ) : null;
+
+		if ( ! $entry || 'anchored' !== $entry['status'] ) {
+			wp_send_json_error( array( 'message' => __( 'Only anchored log entries can be re-verified.', 'archiviomd' ) ) );
+		}
+
+		if ( in_array( $entry['provider'], array( 'github', 'gitlab' ), true ) ) {
+			$checks = $this->reverify_git_entry( $entry );
+		} elseif ( 'rfc3161' === $entry['provider'] ) {
+			$checks = $this->reverify_tsr_entry( $entry );
+		} else {
+			$checks = new WP_Error( 'mdsm_anchor_reverify', __( 'Entries from this provider cannot be re-verified here.', 'archiviomd' ) );
+		}
+
+		if ( is_wp_error( $checks ) ) {
+			wp_send_json_error( array( 'message' => $checks->get_error_message() ) );
+		}
+
+		wp_send_json_success( array(
+			'verified' => ! in_array( false, wp_list_pluck( $checks, 'ok' ), true ),
+			'checks'   => $checks,
+		) );
+	}
+
+	/**
+	 * @param array $entry Anchor log row.
+	 * @return array|WP_Error Checks, or why the file could not be fetched.
+	 */
+	private function reverify_git_entry( array $entry ) {
+		$details = json_decode( (string) $entry['anchor_details'], true );
+		$details = is_array( $details ) ? $details : array();
+		$path    = $this->git_entry_path( $entry, $details );
+
+		if ( '' === $path ) {
+			return new WP_Error( 'mdsm_anchor_reverify', __( 'The log entry does not record where the anchor file was committed.', 'archiviomd' ) );
+		}
+
+		$settings = $this->get_settings();
+		if ( empty( $settings['token'] ) || empty( $settings['repo_owner'] ) || empty( $settings['repo_name'] ) ) {
+			return new WP_Error( 'mdsm_anchor_reverify', __( 'Git anchoring is not configured, so the repository cannot be read.', 'archiviomd' ) );
+		}
+
+		$ref = '';
+		if ( ! empty( $details['commit_sha'] ) ) {
+			$ref = (string) $details['commit_sha'];
+		} elseif ( ! empty( $details['branch'] ) ) {
+			$ref = (string) $details['branch'];
+		}
+
+		$content = $this->make_provider( $entry['provider'] )->fetch_file( $path, $ref, $settings );
+		if ( is_wp_error( $content ) ) {
+			return $content;
+		}
+
+		$committed      = json_decode( $content, true );
+		$committed_hash = ( is_array( $committed ) && isset( $committed['hash_value'] ) ) ? (string) $committed['hash_value'] : '';
+
+		$checks = array(
+			array(
+				'label'  => __( 'Anchor file found in the repository', 'archiviomd' ),
+				'ok'     => true,
+				'detail' => '' !== $ref ? $path . ' @ ' . $ref : $path,
+			),
+			array(
+				'label'  => __( 'Committed hash matches the log', 'archiviomd' ),
+				'ok'     => '' !== $committed_hash && hash_equals( (string) $entry['hash_value'], $committed_hash ),
+				'detail' => $committed_hash,
+			),
+		);
+
+		if ( '' !== (string) $entry['anchor_record'] ) {
+			$checks[] = array(
+				'label'  => __( 'Committed file is identical to the logged record', 'archiviomd' ),
+				'ok'     => hash_equals( (string) $entry['anchor_record'], $content ),
+				'detail' => 'SHA-256 ' . hash( 'sha256', $content ),
+			);
+		}
+
+		return $checks;
+	}
+
+	/**
+	 * @param array $entry Anchor log row.
+	 * @return array|WP_Error Checks, or why the token could not be read.
+	 */
+	private function reverify_tsr_entry( array $entry ) {
+		$path = $this->tsr_entry_path( $entry );
+
+		if ( '' === $path ) {
+			return new WP_Error( 'mdsm_anchor_reverify', __( 'The log entry does not reference a stored timestamp token.', 'archiviomd' ) );
+		}
+
+		$file = wp_basename( $path );
+
+		if ( ! is_readable( $path ) ) {
+			return array(
+				array(
+					'label'  => __( 'Timestamp token stored on this site', 'archiviomd' ),
+					'ok'     => false,
+					'detail' => $file,
+				),
+			);
+		}
+
+		$provider = new MDSM_Anchor_Provider_RFC3161();
+		$result   = $provider->inspect_tsr( (string) file_get_contents( $path ), (string) $entry['hash_value'], (string) $entry['hash_algorithm'] );
+
+		$checks = array(
+			array(
+				'label'  => __( 'Timestamp token stored on this site', 'archiviomd' ),
+				'ok'     => true,
+				'detail' => $file . ' (SHA-256 ' . hash_file( 'sha256', $path ) . ')',
+			),
+			array(
+				'label'  => __( 'TSA granted the timestamp', 'archiviomd' ),
+				'ok'     => $result['valid'],
+				'detail' => $result['valid']
+					/* translators: 1: TSA generation time, 2: token serial number */
+					? sprintf( __( 'Issued %1$s, serial %2$s', 'archiviomd' ), $result['gen_time'], $result['serial'] )
+					: $result['reason'],
+			),
+			array(
+				'label'  => __( 'Message imprint matches the document hash', 'archiviomd' ),
+				'ok'     => $result['imprint_matches'],
+				'detail' => strtoupper( $entry['hash_algorithm'] ) . ' ' . $entry['hash_value'],
+			),
+		);
+
+		$manifest_path = substr( $path, 0, -4 ) . '.manifest.json';
+		$manifest      = is_readable( $manifest_path ) ? json_decode( (string) file_get_contents( $manifest_path ), true ) : null;
+		if ( is_array( $manifest ) && isset( $manifest['content_hash_hex'] ) ) {
+			$checks[] = array(
+				'label'  => __( 'Manifest hash matches the log', 'archiviomd' ),
+				'ok'     => hash_equals( (string) $entry['hash_value'], (string) $manifest['content_hash_hex'] ),
+				'detail' => (string) $manifest['content_hash_hex'],
+			);
+		}
+
+		return $checks;
+	}
+
+	/**
+	 * Repository path of a Git log entry's anchor file.
+	 *
+	 * @param array $entry   Anchor log row.
+	 * @param array $details Its decoded anchor_details.
+	 * @return string Path, or '' when the entry does not record it.
+	 */
+	private function git_entry_path( array $entry, array $details ) {
+		if ( ! empty( $details['path'] ) ) {
+			return (string) $details['path'];
+		}
+
+		// Rows logged before details were kept: GitHub's URL ends in
+		// /blob/<branch>/<path>, GitLab's is the path itself.
+		if ( 'github' === $entry['provider'] && preg_match( '#/blob/[^/]+/(.+)$#', (string) $entry['anchor_url'], $m ) ) {
+			return rawurldecode( $m[1] );
+		}
+		if ( 'gitlab' === $entry['provider'] ) {
+			return (string) $entry['anchor_url'];
+		}
+
+		return '';
+	}
+
+	/**
+	 * Where a log entry's .tsr token is stored, from the file name in its anchor URL.
+	 *
+	 * @param array $entry Anchor log row.
+	 * @return string Absolute path, or '' when the entry references no token.
+	 */
+	private function tsr_entry_path( array $entry ) {
+		$file = wp_basename( (string) wp_parse_url( (string) $entry['anchor_url'], PHP_URL_PATH ) );
+
+		if ( ! preg_match( '/^[A-Za-z0-9._-]+\.tsr$/', $file ) ) {
+			return '';
+		}
+
+		$upload_dir = wp_upload_dir();
+		return trailingslashit( $upload_dir['basedir'] ) . 'meta-docs/' . MDSM_Anchor_Provider_RFC3161::TSR_FOLDER . '/' . $file;
+	}
+
+	/**
+	 * AJAX: return a log entry's stored .tsr token for the in-browser token
+	 * inspector on the Trusted Timestamps page.
+	 *
+	 * The tsr-timestamps directory is closed to direct HTTP access, so the
+	 * token is passed through here, base64-encoded, with the hash it covers.
+	 *
+	 * POST params:
+	 *   id (int) Anchor log row ID.
+	 *
+	 * @return void  Sends { file, tsr, hash_value, hash_algorithm }.
+	 */
+	public function ajax_get_tsr_token() {
+		check_ajax_referer( 'mdsm_anchor_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Insufficient permissions.', 'archiviomd' ) ) );
+		}
+
+		$id    = isset( $_POST['id'] ) ? absint( wp_unslash( $_POST['id'] ) ) : 0;
+		$entry = $id ? MDSM_Anchor_Log::get_entry( $id ) : null;
+
+		if ( ! $entry || 'rfc3161' !== $entry['provider'] ) {
+			wp_send_json_error( array( 'message' => __( 'This log entry is not an RFC 3161 timestamp.', 'archiviomd' ) ) );
+		}
+
+		$path = $this->tsr_entry_path( $entry );
+		if ( '' === $path || ! is_readable( $path ) ) {
+			wp_send_json_error( array( 'message' => __( 'The timestamp token for this entry is not stored on this site.', 'archiviomd' ) ) );
+		}
+
+		wp_send_json_success( array(
+			'file'           => wp_basename( $path ),
+			'tsr'            => base64_encode( (string) file_get_contents( $path ) ),
+			'hash_value'     => (string) $entry['hash_value'],
+			'hash_algorithm' => (string) $entry['hash_algorithm'],
+		) );
+	}
+
+	/**
+	 * AJAX: one page of the anchored Git log entries, oldest first, for the
+	 * "Verify chain" panel on the Git Distribution page.
+	 *
+	 * Records are not sent in full: record_sha256 is the SHA-256 of the
+	 * anchor record exactly as it was committed ('' for rows logged before
+	 * records were kept), which the browser compares with the uploaded files.
+	 *
+	 * POST params:
+	 *   page     (int)    1-based page.
+	 *   provider (string) 'github' | 'gitlab' | '' for both.
+	 *
+	 * @return void  Sends { entries, pages, total, oldest, retention_days }.
+	 */
+	public function ajax_get_chain_log() {
+		check_ajax_referer( 'mdsm_anchor_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'manage_options' ) ) {
+			wp_send_json_error( array( 'message' => __( 'Insufficient permissions.', 'archiviomd' ) ) );
+		}
+
+		$page     = isset( $_POST['page'] ) ? max( 1, absint( wp_unslash( $_POST['page'] ) ) ) : 1;
+		$provider = isset( $_POST['provider'] ) ? sanitize_key( wp_unslash( $_POST['provider'] ) ) : '';
+		$provider = in_array( $provider, array( 'github', 'gitlab' ), true ) ? $provider : '';
+
+		$result = MDSM_Anchor_Log::get_entries( $page, 500, 'anchored', 'git', array(
+			'provider' => $provider,
+			'orderby'  => 'created_at',
+			'order'    => 'asc',
+		) );
+
+		$entries = array();
+		foreach ( $result['entries'] as $entry ) {
+			$details = json_decode( (string) $entry['anchor_details'], true );
+			$details = is_array( $details ) ? $details : array();
+
+			$entries[] = array(
+				'id'             => (int) $entry['id'],
+				'document_id'    => (string) $entry['document_id'],
+				'provider'       => (string) $entry['provider'],
+				'hash_algorithm' => (string) $entry['hash_algorithm'],
+				'hash_value'     => (string) $entry['hash_value'],
+				'created_at'     => (string) $entry['created_at'],
+				'path'           => $this->git_entry_path( $entry, $details ),
+				'commit_sha'     => isset( $details['commit_sha'] ) ? (string) $details['commit_sha'] : '',
+				'record_sha256'  => '' !== (string) $entry['anchor_record'] ? hash( 'sha256', (string) $entry['anchor_record'] ) : '',
+			);
+		}
+
+		// Files older than the oldest row may just have been pruned from the log.
+		$oldest   = MDSM_Anchor_Log::get_entries( 1, 1, 'all', 'git', array( 'order' => 'asc' ) );
+		$settings = $this->get_settings();
+
+		wp_send_json_success( array(
+			'entries'        => $entries,
+			'pages'          => $result['pages'],
+			'total'          => $result['total'],
+			'oldest'         => $oldest['entries'] ? (string) $oldest['entries'][0]['created_at'] : '',
+			'retention_days' => (int) $settings['log_retention_days'],
+		) );
+	}
+
+	// ── Fix #7: Scheduled post anchoring ─────────────────────────────────────
+
+	/**
+	 * Hook: publish_future_post — fires when a scheduled post goes live.
+	 *
+	 * save_post fires too, but by then the post hash already exists and the
+	 * content-unchanged guard returns early — so this post would never be queued.
+	 * This handler bypasses that guard by forcing a fresh queue call directly.
+	 *
+	 * @param int $post_id
+	 */
+	public function on_future_post_published( $post_id ) {
+		if ( ! $this->is_enabled() ) {
+			return;
+		}
+
+		$post = get_post( $post_id );
+		if ( ! $post || wp_is_post_revision( $post_id ) ) {
+			return;
+		}
+
+		// Clear any dedup transient for this post so the queue call is not skipped.
+		$stored_packed = get_post_meta( $post_id, '_archivio_post_hash', true );
+		$dedup_key     = 'mdsm_anchor_q_' . $post_id . '_' . substr( md5( (string) $stored_packed ), 0, 8 );
+		delete_transient( $dedup_key );
+
+		// Re-use existing hash if available, otherwise compute fresh.
+		if ( ! empty( $stored_packed ) ) {
+			$unpacked    = MDSM_Hash_Helper::unpack( $stored_packed );
+			$hash_result = array(
+				'packed'           => $stored_packed,
+				'hash'             => $unpacked['hash'],
+				'algorithm'        => $unpacked['algorithm'],
+				'hmac_unavailable' => false,
+			);
 		} else {
 			$archivio    = MDSM_Archivio_Post::get_instance();
 			$canonical   = $archivio->canonicalize_content(
@@ -2545,3 +3243,545 @@ class MDSM_Anchor_Log {
 	}
 }
 
+// ── Anchor Log ───────────────────────────────────────────────────────────────
+
+/**
+ * Dedicated anchor activity log stored in its own DB table.
+ *
+ * Tracks every push attempt — success, retry, or failure — with enough
+ * detail to diagnose exactly what went wrong and when.
+ *
+ * Table: {prefix}archivio_anchor_log
+ */
+class MDSM_Anchor_Log {
+
+	const TABLE_SUFFIX = 'archivio_anchor_log';
+
+	// ── Table management ──────────────────────────────────────────────────────
+
+	public static function get_table_name() {
+		global $wpdb;
+		return $wpdb->prefix . self::TABLE_SUFFIX;
+	}
+
+	public static function create_table() {
+		global $wpdb;
+
+		$table_name      = self::get_table_name();
+		$charset_collate = $wpdb->get_charset_collate();
+
+		$sql = "CREATE TABLE IF NOT EXISTS {$table_name} (
+			id            bigint(20)   NOT NULL AUTO_INCREMENT,
+			job_id        varchar(60)  NOT NULL DEFAULT '',
+			document_id   varchar(255) NOT NULL DEFAULT '',
+			post_type     varchar(50)  NOT NULL DEFAULT '',
+			provider      varchar(20)  NOT NULL DEFAULT '',
+			hash_algorithm varchar(20) NOT NULL DEFAULT '',
+			hash_value    varchar(255) NOT NULL DEFAULT '',
+			hmac_value    varchar(255) NOT NULL DEFAULT '',
+			integrity_mode varchar(10) NOT NULL DEFAULT 'Basic',
+			attempt_number tinyint(3)  NOT NULL DEFAULT 1,
+			status        varchar(20)  NOT NULL DEFAULT '',
+			anchor_url    text         NOT NULL,
+			error_message text         NOT NULL,
+			http_status   smallint(5)  NOT NULL DEFAULT 0,
+			anchor_record longtext     NOT NULL,
+			anchor_details text        NOT NULL,
+			created_at    datetime     NOT NULL,
+			PRIMARY KEY  (id),
+			KEY status (status),
+			KEY created_at (created_at),
+			KEY job_id (job_id)
+		) {$charset_collate};";
+
+		require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+		dbDelta( $sql );
+
+		// Backfill the record/details columns for logs created before they existed.
+		$columns = $wpdb->get_col( "SHOW COLUMNS FROM {$table_name}" ); // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+		if ( ! in_array( 'anchor_record', $columns, true ) ) {
+			$wpdb->query( "ALTER TABLE {$table_name} ADD COLUMN anchor_record longtext NOT NULL AFTER http_status, ADD COLUMN anchor_details text NOT NULL AFTER anchor_record" ); // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+		}
+	}
+
+	public static function drop_table() {
+		global $wpdb;
+		$table_name = self::get_table_name();
+		$wpdb->query( "DROP TABLE IF EXISTS {$table_name}" ); // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+	}
+
+	// ── Write ─────────────────────────────────────────────────────────────────
+
+	/**
+	 * Write a log entry. Called from MDSM_External_Anchoring::process_queue().
+	 *
+	 * @param array  $record         Anchor record (document_id, hash_value, etc.)
+	 * @param string $job_id         Queue job ID.
+	 * @param int    $attempt_number Which attempt this is (1-based).
+	 * @param string $status         'anchored' | 'retry' | 'failed'
+	 * @param string $anchor_url     Remote URL if successful, empty otherwise.
+	 * @param string $error_message  Full error text if failed/retry, empty otherwise.
+	 * @param int    $http_status    HTTP response code if available, 0 otherwise.
+	 * @param array  $details        Provider-specific result data (commit SHA, TSA serial, Rekor UUID…).
+	 */
+	public static function write(
+		array $record,
+		$job_id,
+		$attempt_number,
+		$status,
+		$anchor_url   = '',
+		$error_message = '',
+		$http_status  = 0,
+		array $details = array()
+	) {
+		global $wpdb;
+
+		$table_name = self::get_table_name();
+
+		// Ensure table exists — safe to call repeatedly, dbDelta is idempotent.
+		if ( $wpdb->get_var( "SHOW TABLES LIKE '{$table_name}'" ) !== $table_name ) { // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+			self::create_table();
+		}
+
+		$wpdb->insert(
+			$table_name,
+			array(
+				'job_id'         => (string) $job_id,
+				'document_id'    => isset( $record['document_id'] )    ? (string) $record['document_id']    : '',
+				'post_type'      => isset( $record['post_type'] )      ? (string) $record['post_type']      : '',
+				'provider'       => isset( $record['_provider'] )      ? (string) $record['_provider']      : '',
+				'hash_algorithm' => isset( $record['hash_algorithm'] ) ? (string) $record['hash_algorithm'] : '',
+				'hash_value'     => isset( $record['hash_value'] )     ? (string) $record['hash_value']     : '',
+				'hmac_value'     => isset( $record['hmac_value'] )     ? (string) $record['hmac_value']     : '',
+				'integrity_mode' => isset( $record['integrity_mode'] ) ? (string) $record['integrity_mode'] : 'Basic',
+				'attempt_number' => (int) $attempt_number,
+				'status'         => (string) $status,
+				'anchor_url'     => (string) $anchor_url,
+				'error_message'  => (string) $error_message,
+				'http_status'    => (int) $http_status,
+				// Encoded exactly as the providers send it, so this is the file
+				// committed to Git and the artifact Rekor hashed.
+				'anchor_record'  => (string) wp_json_encode( $record, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES ),
+				'anchor_details' => $details ? (string) wp_json_encode( $details, JSON_UNESCAPED_SLASHES ) : '',
+				'created_at'     => gmdate( 'Y-m-d H:i:s' ),
+			),
+			array( '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%d', '%s', '%s', '%s', '%d', '%s', '%s', '%s' )
+		);
+	}
+
+	// ── Read ──────────────────────────────────────────────────────────────────
+
+	/**
+	 * Columns the activity log can be sorted by, keyed by the name the admin
+	 * page sends.
+	 */
+	const SORTABLE_COLUMNS = array(
+		'created_at'     => 'created_at',
+		'status'         => 'status',
+		'document_id'    => 'document_id',
+		'provider'       => 'provider',
+		'hash_algorithm' => 'hash_algorithm',
+	);
+
+	/**
+	 * Get paginated log entries.
+	 *
+	 * $query narrows and orders the result; every key is optional:
+	 *   search    Substring of the document ID, or a prefix of the hash value.
+	 *   date_from First day to include (Y-m-d, UTC).
+	 *   date_to   Last day to include (Y-m-d, UTC).
+	 *   provider  Exact provider key, e.g. 'github'.
+	 *   algorithm Exact hash algorithm, e.g. 'sha256'.
+	 *   orderby   One of SORTABLE_COLUMNS (default created_at).
+	 *   order     'asc' or 'desc' (default desc).
+	 *
+	 * @param int    $page
+	 * @param int    $per_page
+	 * @param string $filter    'all' | 'anchored' | 'retry' | 'failed'
+	 * @param string $log_scope 'all' | 'git' | 'rfc3161' | 'rekor'
+	 * @param array  $query     Search, date range, provider/algorithm and sort, as above.
+	 * @return array { entries: array, total: int, pages: int }
+	 */
+	public static function get_entries( $page = 1, $per_page = 25, $filter = 'all', $log_scope = 'all', array $query = array() ) {
+		global $wpdb;
+
+		$table_name = self::get_table_name();
+
+		if ( $wpdb->get_var( "SHOW TABLES LIKE '{$table_name}'" ) !== $table_name ) { // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+			return array( 'entries' => array(), 'total' => 0, 'pages' => 0 );
+		}
+
+		$where  = array();
+		$params = array();
+
+		// Filter by status.
+		if ( 'all' !== $filter ) {
+			$where[]  = 'status = %s';
+			$params[] = $filter;
+		}
+
+		// Filter by provider scope: 'git' shows only git providers, 'rfc3161'/'rekor' show only those.
+		$scope = self::scope_condition( $log_scope );
+		if ( '' !== $scope ) {
+			$where[] = $scope;
+		}
+
+		if ( ! empty( $query['search'] ) ) {
+			$where[]  = '(document_id LIKE %s OR hash_value LIKE %s)';
+			$params[] = '%' . $wpdb->esc_like( $query['search'] ) . '%';
+			$params[] = $wpdb->esc_like( strtolower( $query['search'] ) ) . '%';
+		}
+
+		// created_at is stored in UTC, so the day bounds are UTC days.
+		if ( ! empty( $query['date_from'] ) ) {
+			$where[]  = 'created_at >= %s';
+			$params[] = $query['date_from'] . ' 00:00:00';
+		}
+		if ( ! empty( $query['date_to'] ) ) {
+			$where[]  = 'created_at <= %s';
+			$params[] = $query['date_to'] . ' 23:59:59';
+		}
+
+		if ( ! empty( $query['provider'] ) ) {
+			$where[]  = 'provider = %s';
+			$params[] = $query['provider'];
+		}
+		if ( ! empty( $query['algorithm'] ) ) {
+			$where[]  = 'hash_algorithm = %s';
+			$params[] = $query['algorithm'];
+		}
+
+		$where_sql = $where ? 'WHERE ' . implode( ' AND ', $where ) : '';
+
+		$columns = self::SORTABLE_COLUMNS;
+		$orderby = ( isset( $query['orderby'] ) && isset( $columns[ $query['orderby'] ] ) ) ? $columns[ $query['orderby'] ] : 'created_at';
+		$order   = ( isset( $query['order'] ) && 'asc' === $query['order'] ) ? 'ASC' : 'DESC';
+
+		// id breaks ties so rows written in the same second keep a stable order across pages.
+		$order_sql = "ORDER BY {$orderby} {$order}, id {$order}";
+
+		$count_sql = "SELECT COUNT(*) FROM {$table_name} {$where_sql}"; // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+		$total     = $params
+			? (int) $wpdb->get_var( $wpdb->prepare( $count_sql, $params ) ) // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+			: (int) $wpdb->get_var( $count_sql ); // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+
+		$offset   = ( $page - 1 ) * $per_page;
+		$data_sql = "SELECT * FROM {$table_name} {$where_sql} {$order_sql} LIMIT %d OFFSET %d"; // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+
+		$query_params = array_merge( $params, array( $per_page, $offset ) );
+		$entries = $wpdb->get_results(
+			$wpdb->prepare( $data_sql, $query_params ), // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+			ARRAY_A
+		);
+
+		return array(
+			'entries' => $entries ?: array(),
+			'total'   => $total,
+			'pages'   => $per_page > 0 ? (int) ceil( $total / $per_page ) : 0,
+		);
+	}
+
+	/**
+	 * A single log entry by ID.
+	 *
+	 * @param int $id
+	 * @return array|null
+	 */
+	public static function get_entry( $id ) {
+		global $wpdb;
+
+		$table_name = self::get_table_name();
+
+		if ( $wpdb->get_var( "SHOW TABLES LIKE '{$table_name}'" ) !== $table_name ) { // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+			return null;
+		}
+
+		return $wpdb->get_row(
+			$wpdb->prepare( "SELECT * FROM {$table_name} WHERE id = %d", (int) $id ), // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+			ARRAY_A
+		);
+	}
+
+	/**
+	 * Replace a row's provider details, e.g. with data fetched after the fact.
+	 *
+	 * @param int   $id      Log row ID.
+	 * @param array $details Provider details, as passed to write().
+	 * @return bool
+	 */
+	public static function update_details( $id, array $details ) {
+		global $wpdb;
+
+		return false !== $wpdb->update(
+			self::get_table_name(),
+			array( 'anchor_details' => (string) wp_json_encode( $details, JSON_UNESCAPED_SLASHES ) ),
+			array( 'id' => (int) $id ),
+			array( '%s' ),
+			array( '%d' )
+		);
+	}
+
+	/**
+	 * Providers and hash algorithms that occur in the log, for the filter
+	 * dropdowns.
+	 *
+	 * @param string $log_scope 'all' | 'git' | 'rfc3161' | 'rekor'
+	 * @return array { providers: string[], algorithms: string[] }
+	 */
+	public static function get_filter_options( $log_scope = 'all' ) {
+		global $wpdb;
+
+		$table_name = self::get_table_name();
+		$options    = array( 'providers' => array(), 'algorithms' => array() );
+
+		if ( $wpdb->get_var( "SHOW TABLES LIKE '{$table_name}'" ) !== $table_name ) { // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+			return $options;
+		}
+
+		$scope     = self::scope_condition( $log_scope );
+		$where_sql = '' !== $scope ? 'WHERE ' . $scope : '';
+
+		$options['providers']  = $wpdb->get_col( "SELECT DISTINCT provider FROM {$table_name} {$where_sql} ORDER BY provider" ); // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+		$options['algorithms'] = $wpdb->get_col( "SELECT DISTINCT hash_algorithm FROM {$table_name} {$where_sql} ORDER BY hash_algorithm" ); // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+
+		return array_map( function ( $values ) {
+			return array_values( array_filter( (array) $values, 'strlen' ) );
+		}, $options );
+	}
+
+	/**
+	 * SQL condition limiting rows to one admin page's providers, or '' for all.
+	 *
+	 * @param string $log_scope 'all' | 'git' | 'rfc3161' | 'rekor'
+	 * @return string
+	 */
+	private static function scope_condition( $log_scope ) {
+		if ( 'rfc3161' === $log_scope ) {
+			return "provider = 'rfc3161'";
+		}
+		if ( 'rekor' === $log_scope ) {
+			return "provider = 'rekor'";
+		}
+		if ( 'git' === $log_scope ) {
+			return "provider NOT IN ('rfc3161', 'rekor')";
+		}
+		return '';
+	}
+
+	/**
+	 * Get all entries for plain-text export (most recent first, capped at 5000).
+	 *
+	 * @return array
+	 */
+	public static function get_all_for_export() {
+		global $wpdb;
+
+		$table_name = self::get_table_name();
+
+		if ( $wpdb->get_var( "SHOW TABLES LIKE '{$table_name}'" ) !== $table_name ) { // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+			return array();
+		}
+
+		$results = $wpdb->get_results(
+			"SELECT * FROM {$table_name} ORDER BY created_at DESC LIMIT 5000", // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+			ARRAY_A
+		);
+
+		return $results ?: array();
+	}
+
+	/**
+	 * Clear all log entries.
+	 */
+	public static function clear() {
+		global $wpdb;
+		$table_name = self::get_table_name();
+		if ( $wpdb->get_var( "SHOW TABLES LIKE '{$table_name}'" ) === $table_name ) { // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+			$wpdb->query( "TRUNCATE TABLE {$table_name}" ); // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+		}
+	}
+
+	/**
+	 * Return counts grouped by status for the summary badges.
+	 *
+	 * @return array { anchored: int, retry: int, failed: int, total: int }
+	 */
+	public static function get_counts( $log_scope = 'all' ) {
+		global $wpdb;
+
+		$table_name = self::get_table_name();
+
+		if ( $wpdb->get_var( "SHOW TABLES LIKE '{$table_name}'" ) !== $table_name ) { // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+			return array( 'anchored' => 0, 'retry' => 0, 'failed' => 0, 'total' => 0 );
+		}
+
+		$scope     = self::scope_condition( $log_scope );
+		$where_sql = '' !== $scope ? 'WHERE ' . $scope : '';
+
+		$rows = $wpdb->get_results(
+			"SELECT status, COUNT(*) AS cnt FROM {$table_name} {$where_sql} GROUP BY status", // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+			ARRAY_A
+		);
+
+		$counts = array( 'anchored' => 0, 'retry' => 0, 'failed' => 0, 'total' => 0 );
+		foreach ( (array) $rows as $row ) {
+			$key = $row['status'];
+			if ( isset( $counts[ $key ] ) ) {
+				$counts[ $key ] = (int) $row['cnt'];
+			}
+			$counts['total'] += (int) $row['cnt'];
+		}
+
+		return $counts;
+	}
+
+	/**
+	 * Aggregate the log for the Anchoring Health dashboard.
+	 *
+	 * Results are counted per provider and UTC day over the last $days days.
+	 * Time-to-anchor runs from the moment a job was queued (encoded in its
+	 * uniqid()-based job ID) to the provider's 'anchored' row, so it includes
+	 * the wait for WP-Cron as well as any retries.
+	 *
+	 * @param int    $days      Days to cover, ending today (UTC).
+	 * @param string $log_scope 'all' | 'git' | 'rfc3161' | 'rekor'
+	 * @return array {
+	 *     days:            string[] Y-m-d, oldest first.
+	 *     providers:       array[]  { provider, totals, daily, median_seconds }, daily aligned with days.
+	 *     median_seconds:  int|null Median time-to-anchor across all providers.
+	 *     failure_reasons: array[]  { error_message, provider, count, last_seen }, most frequent first.
+	 * }
+	 */
+	public static function get_stats( $days = 30, $log_scope = 'all' ) {
+		global $wpdb;
+
+		$table_name = self::get_table_name();
+		$days       = max( 1, min( 365, (int) $days ) );
+		$start      = strtotime( gmdate( 'Y-m-d' ) . ' 00:00:00 UTC' ) - ( $days - 1 ) * DAY_IN_SECONDS;
+
+		$stats = array(
+			'days'            => array(),
+			'providers'       => array(),
+			'median_seconds'  => null,
+			'failure_reasons' => array(),
+		);
+		for ( $i = 0; $i < $days; $i++ ) {
+			$stats['days'][] = gmdate( 'Y-m-d', $start + $i * DAY_IN_SECONDS );
+		}
+
+		if ( $wpdb->get_var( "SHOW TABLES LIKE '{$table_name}'" ) !== $table_name ) { // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+			return $stats;
+		}
+
+		$where = array( $wpdb->prepare( 'created_at >= %s', gmdate( 'Y-m-d H:i:s', $start ) ) );
+		$scope = self::scope_condition( $log_scope );
+		if ( '' !== $scope ) {
+			$where[] = $scope;
+		}
+		$where_sql = 'WHERE ' . implode( ' AND ', $where );
+
+		// Daily results per provider.
+		$rows = $wpdb->get_results(
+			"SELECT provider, DATE(created_at) AS day, status, COUNT(*) AS cnt FROM {$table_name} {$where_sql} GROUP BY provider, day, status", // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+			ARRAY_A
+		);
+
+		$empty     = array( 'anchored' => 0, 'retry' => 0, 'failed' => 0 );
+		$day_index = array_flip( $stats['days'] );
+		$providers = array();
+
+		foreach ( (array) $rows as $row ) {
+			$key = '' !== $row['provider'] ? $row['provider'] : 'unknown';
+			if ( ! isset( $providers[ $key ] ) ) {
+				$providers[ $key ] = array(
+					'provider'       => $key,
+					'totals'         => $empty,
+					'daily'          => array_fill( 0, $days, $empty ),
+					'median_seconds' => null,
+				);
+			}
+			if ( ! isset( $empty[ $row['status'] ], $day_index[ $row['day'] ] ) ) {
+				continue;
+			}
+			$providers[ $key ]['totals'][ $row['status'] ]                             += (int) $row['cnt'];
+			$providers[ $key ]['daily'][ $day_index[ $row['day'] ] ][ $row['status'] ] += (int) $row['cnt'];
+		}
+
+		// Time-to-anchor, from each successful leg.
+		$anchored = $wpdb->get_results(
+			"SELECT provider, job_id, created_at FROM {$table_name} {$where_sql} AND status = 'anchored'", // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+			ARRAY_A
+		);
+
+		$durations = array();
+		foreach ( (array) $anchored as $row ) {
+			$queued_at = self::job_queued_at( $row['job_id'] );
+			if ( null === $queued_at ) {
+				continue;
+			}
+			$key                 = '' !== $row['provider'] ? $row['provider'] : 'unknown';
+			$durations[ $key ][] = max( 0, strtotime( $row['created_at'] . ' UTC' ) - $queued_at );
+		}
+
+		$all = array();
+		foreach ( $durations as $key => $values ) {
+			if ( isset( $providers[ $key ] ) ) {
+				$providers[ $key ]['median_seconds'] = self::median( $values );
+			}
+			$all = array_merge( $all, $values );
+		}
+		$stats['median_seconds'] = self::median( $all );
+
+		// Known providers first, in the order the admin pages list them.
+		$order = array_flip( array( 'github', 'gitlab', 'rfc3161', 'rekor' ) );
+		uksort( $providers, function ( $a, $b ) use ( $order ) {
+			$rank_a = isset( $order[ $a ] ) ? $order[ $a ] : 99;
+			$rank_b = isset( $order[ $b ] ) ? $order[ $b ] : 99;
+			return $rank_a !== $rank_b ? $rank_a - $rank_b : strcmp( $a, $b );
+		} );
+		$stats['providers'] = array_values( $providers );
+
+		$reasons = $wpdb->get_results(
+			"SELECT error_message, provider, COUNT(*) AS cnt, MAX(created_at) AS last_seen FROM {$table_name} {$where_sql} AND status IN ('retry', 'failed') AND error_message <> '' GROUP BY error_message, provider ORDER BY cnt DESC, last_seen DESC LIMIT 5", // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+			ARRAY_A
+		);
+		foreach ( (array) $reasons as $row ) {
+			$stats['failure_reasons'][] = array(
+				'error_message' => $row['error_message'],
+				'provider'      => $row['provider'],
+				'count'         => (int) $row['cnt'],
+				'last_seen'     => $row['last_seen'],
+			);
+		}
+
+		return $stats;
+	}
+
+	/**
+	 * When a job was queued, read back from its ID: uniqid() starts with the
+	 * Unix time in 8 hex digits. Null for IDs not made by generate_job_id().
+	 *
+	 * @param string $job_id
+	 * @return int|null
+	 */
+	private static function job_queued_at( $job_id ) {
+		if ( ! preg_match( '/^anchor_([0-9a-f]{8})/', (string) $job_id, $m ) ) {
+			return null;
+		}
+		return (int) hexdec( $m[1] );
+	}
+
+	/**
+	 * @param int[] $values
+	 * @return int|null
+	 */
+	private static function median( array $values ) {
+		if ( empty( $values ) ) {
+			return null;
+		}
+		sort( $values );
+		$mid = (int) floor( count( $values ) / 2 );
+		return count( $values ) % 2 ? (int) $values[ $mid ] : (int) round( ( $values[ $mid - 1 ] + $values[ $mid ] ) / 2 );
+	}
+}
+
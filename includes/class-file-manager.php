@@ -120,10 +120,58 @@ class MDSM_File_Manager {
         return file_get_contents($file_path);
     }
     
+    /**
+     * SHA-256 of the file's current content, or '' if it does not exist.
+     * The editor sends this back as base_checksum so a save can be refused
+     * when someone else has written the file in the meantime.
+     */
+    public function get_checksum($file_type, $file_name) {
+        if (!$this->file_exists($file_type, $file_name)) {
+            return '';
+        }
+        
+        return hash('sha256', $this->read_file($file_type, $file_name));
+    }
+    
+    /**
+     * Take an exclusive lock on a document so that a base_checksum check and
+     * the save that follows cannot interleave with another request's.
+     * Locks a sidecar file in the temp directory, since the document itself
+     * may not exist yet. Blocks until the lock is free; returns the handle
+     * for unlock_file(), or null when no lock file could be opened.
+     */
+    public function lock_file($file_type, $file_name) {
+        $lock_path = trailingslashit(get_temp_dir()) . 'mdsm-save-' . md5($file_type . ':' . strtolower($file_name)) . '.lock';
+        $handle = @fopen($lock_path, 'c');
+        
+        if (!$handle) {
+            return null;
+        }
+        if (!flock($handle, LOCK_EX)) {
+            fclose($handle);
+            return null;
+        }
+        
+        return $handle;
+    }
+    
+    /**
+     * Release a lock taken with lock_file()
+     */
+    public function unlock_file($handle) {
+        if ($handle) {
+            flock($handle, LOCK_UN);
+            fclose($handle);
+        }
+    }
+    
     /**
      * Save file
+     *
+     * $restored_from (checksum of an earlier revision) marks the changelog
+     * entry as a restore.
      */
-    public function save_file($file_type, $file_name, $content) {
+    public function save_file($file_type, $file_name, $content, $restored_from = null) {
         // If content is empty, delete the file
         if (trim($content) === '') {
             return $this->delete_file($file_type, $file_name);
@@ -185,7 +233,7 @@ class MDSM_File_Manager {
         $metadata = null;
         if ($file_type === 'meta') {
             $metadata_manager = new MDSM_Document_Metadata();
-            $metadata = $metadata_manager->update_metadata($file_name, $content);
+            $metadata = $metadata_manager->update_metadata($file_name, $content, $restored_from);
             
             // Check if HMAC was unavailable
             if (is_array($metadata) && isset($metadata['error']) && $metadata['error'] === 'hmac_unavailable') {
@@ -268,10 +316,13 @@ class MDSM_File_Manager {
             'url' => $exists ? $this->get_file_url($file_type, $file_name) : false,
             'location' => $this->get_file_location($file_type, $file_name),
             'content' => $exists ? $this->read_file($file_type, $file_name) : '',
+            'checksum' => $this->get_checksum($file_type, $file_name),
+            'modified' => $exists ? filemtime($this->get_file_path($file_type, $file_name)) : false,
         );
         
-        // Add metadata for meta files
-        if ($file_type === 'meta' && $exists) {
+        // Add metadata for meta files. Included even when the file is gone so
+        // callers can tell a tracked-but-missing document from a never-created one.
+        if ($file_type === 'meta') {
             $metadata_manager = new MDSM_Document_Metadata();
             $info['metadata'] = $metadata_manager->get_metadata($file_name);
         }
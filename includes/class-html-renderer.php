@@ -24,10 +24,14 @@ class MDSM_HTML_Renderer {
     
     /**
      * Parse markdown to HTML
-     * Supports: headings, lists, code blocks, links, images, bold, italic, inline code
+     * Supports: headings, lists, code blocks, tables, links, images, bold, italic, inline code
+     *
+     * assets/js/mdsm-markdown.js mirrors these rules for the editor's live
+     * preview; keep the two in step.
      */
     private function parse_markdown($markdown) {
         $lines = explode("\n", $markdown);
+        $count = count($lines);
         $html = '';
         $in_code_block = false;
         $code_block = '';
@@ -35,7 +39,9 @@ class MDSM_HTML_Renderer {
         $in_list = false;
         $list_type = '';
         
-        foreach ($lines as $line) {
+        for ($i = 0; $i < $count; $i++) {
+            $line = $lines[$i];
+            
             // Code blocks
             if (preg_match('/^```(\w*)/', $line, $matches)) {
                 if (!$in_code_block) {
@@ -130,6 +136,41 @@ class MDSM_HTML_Renderer {
                 continue;
             }
             
+            // Tables: header row, delimiter row (|---|:---:|), then body rows
+            if (strpos($line, '|') !== false && $i + 1 < $count && $this->is_table_delimiter($lines[$i + 1])) {
+                $headers = $this->split_table_row($line);
+                $aligns  = $this->table_alignments($lines[$i + 1]);
+                
+                if (count($headers) === count($aligns)) {
+                    if ($in_list) {
+                        $html .= '</' . $list_type . '>';
+                        $in_list = false;
+                    }
+                    
+                    $html .= '<table><thead><tr>';
+                    foreach ($headers as $col => $cell) {
+                        $html .= '<th' . $aligns[$col] . '>' . $this->parse_inline($cell) . '</th>';
+                    }
+                    $html .= '</tr></thead><tbody>';
+                    
+                    $i += 2;
+                    while ($i < $count && trim($lines[$i]) !== '' && strpos($lines[$i], '|') !== false) {
+                        $cells = $this->split_table_row($lines[$i]);
+                        $html .= '<tr>';
+                        foreach ($aligns as $col => $align) {
+                            $cell = isset($cells[$col]) ? $cells[$col] : '';
+                            $html .= '<td' . $align . '>' . $this->parse_inline($cell) . '</td>';
+                        }
+                        $html .= '</tr>';
+                        $i++;
+                    }
+                    $i--;
+                    
+                    $html .= '</tbody></table>';
+                    continue;
+                }
+            }
+            
             // Regular paragraphs
             if ($in_list) {
                 $html .= '</' . $list_type . '>';
@@ -147,6 +188,54 @@ class MDSM_HTML_Renderer {
         return $html;
     }
     
+    /**
+     * Whether a line is a table delimiter row such as |---|:---:|---:|
+     */
+    private function is_table_delimiter($line) {
+        return strpos($line, '|') !== false
+            && (bool) preg_match('/^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/', $line);
+    }
+    
+    /**
+     * Split a table row into trimmed cells. "\|" is a literal pipe.
+     */
+    private function split_table_row($line) {
+        $line = trim($line);
+        if (substr($line, 0, 1) === '|') {
+            $line = substr($line, 1);
+        }
+        if (substr($line, -1) === '|' && substr($line, -2) !== '\\|') {
+            $line = substr($line, 0, -1);
+        }
+        
+        $cells = array();
+        foreach (preg_split('/(?<!\\\\)\|/', $line) as $cell) {
+            $cells[] = str_replace('\\|', '|', trim($cell));
+        }
+        return $cells;
+    }
+    
+    /**
+     * Alignment attributes for each column of a delimiter row
+     */
+    private function table_alignments($line) {
+        $aligns = array();
+        foreach ($this->split_table_row($line) as $cell) {
+            $left  = substr($cell, 0, 1) === ':';
+            $right = substr($cell, -1) === ':';
+            if ($left && $right) {
+                $aligns[] = ' style="text-align:center"';
+            } elseif ($right) {
+                $aligns[] = ' style="text-align:right"';
+            } elseif ($left) {
+                $aligns[] = ' style="text-align:left"';
+            } else {
+                $aligns[] = '';
+            }
+        }
+        return $aligns;
+    }
+    
     /**
      * Parse inline markdown elements
      */
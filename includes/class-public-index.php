@@ -191,20 +191,66 @@ class MDSM_Public_Index {
      * Render shortcode
      */
     public function render_shortcode($atts) {
-        $documents = $this->get_public_documents();
+        return $this->render_index($this->get_public_documents());
+    }
+    
+    /**
+     * Render a full HTML page previewing the index with unsaved settings
+     *
+     * @param array  $public_docs  Filename => true for documents marked public.
+     * @param array  $descriptions Filename => custom description.
+     * @param array  $layout       Sanitized layout, see sanitize_layout().
+     * @param string $mode         'page' or 'shortcode'.
+     * @param int    $page_id      Page the index is displayed on in page mode.
+     */
+    public function render_preview($public_docs, $descriptions, $layout, $mode, $page_id) {
+        $body = $this->render_index($this->get_public_documents($public_docs, $descriptions, $layout));
         
-        if (empty($documents)) {
+        if ($mode === 'page') {
+            $notice = '';
+            if (!$page_id) {
+                $title = __('Documentation', 'archiviomd');
+                $notice = __('No page selected yet.', 'archiviomd');
+            } else {
+                $title = get_the_title($page_id);
+                if (!has_shortcode((string) get_post_field('post_content', $page_id), 'archiviomd_documents')) {
+                    $notice = __('The selected page does not contain the [archiviomd_documents] shortcode yet, so the index will not appear on it.', 'archiviomd');
+                }
+            }
+            $body = '<h1 class="mdsm-preview-title">' . esc_html($title) . '</h1>'
+                . ($notice ? '<p class="mdsm-preview-notice">' . esc_html($notice) . '</p>' : '')
+                . $body;
+        }
+        
+        return '<!DOCTYPE html><html><head><meta charset="utf-8"><style>'
+            . $this->get_inline_styles()
+            . 'body { margin: 0; background: #fff; }
+            .mdsm-preview-shortcode { max-width: 720px; margin: 0 auto; }
+            .mdsm-preview-shortcode .mdsm-public-index { padding: 20px; }
+            .mdsm-preview-title { max-width: 1200px; margin: 30px auto 0; padding: 0 20px; font-family: sans-serif; font-size: 28px; color: #1a1a1a; }
+            .mdsm-preview-notice { max-width: 1160px; margin: 15px auto 0; padding: 10px 15px; background: #fff8e5; border-left: 4px solid #dba617; font-family: sans-serif; font-size: 13px; }
+            .mdsm-public-index a { pointer-events: none; }'
+            . '</style></head><body><div class="mdsm-preview-' . esc_attr($mode === 'page' ? 'page' : 'shortcode') . '">'
+            . $body
+            . '</div></body></html>';
+    }
+    
+    /**
+     * Render the index markup for a list of sections
+     */
+    private function render_index($sections) {
+        if (empty($sections)) {
             return '<div class="mdsm-public-index"><div class="mdsm-empty-state"><h2 class="mdsm-empty-title">No Documents Available</h2><p class="mdsm-empty-text">No public documents have been published yet.</p></div></div>';
         }
         
         ob_start();
         ?>
         <div class="mdsm-public-index">
-            <?php foreach ($documents as $category => $files) : ?>
+            <?php foreach ($sections as $section) : ?>
                 <section class="mdsm-category-section">
-                    <h2 class="mdsm-category-title"><?php echo esc_html($category); ?></h2>
+                    <h2 class="mdsm-category-title"><?php echo esc_html($section['title']); ?></h2>
                     <ul class="mdsm-document-list">
-                        <?php foreach ($files as $file_name => $data) : ?>
+                        <?php foreach ($section['documents'] as $file_name => $data) : ?>
                             <li class="mdsm-document-item">
                                 <h3 class="mdsm-document-name"><?php echo esc_html($data['title']); ?></h3>
                                 <?php if (!empty($data['description'])) : ?>
@@ -238,29 +284,152 @@ class MDSM_Public_Index {
     }
     
     /**
-     * Get public documents organized by category
+     * Get the built-in category of every document that can be published (filename => category)
+     *
+     * Meta files use their definition category, custom files their assigned
+     * category or "Custom Markdown".
+     */
+    public static function get_default_categories() {
+        $categories = array();
+        
+        foreach (mdsm_get_meta_files() as $category => $files) {
+            foreach ($files as $file_name => $default_desc) {
+                $categories[$file_name] = $category;
+            }
+        }
+        
+        $custom_categories = mdsm_get_custom_markdown_categories();
+        foreach (mdsm_get_custom_markdown_files() as $file_name => $default_desc) {
+            $categories[$file_name] = !empty($custom_categories[$file_name]) ? $custom_categories[$file_name] : 'Custom Markdown';
+        }
+        
+        return $categories;
+    }
+    
+    /**
+     * Get the saved layout: ordered sections, each with a title and ordered filenames
+     */
+    public static function get_layout() {
+        $layout = get_option('mdsm_public_index_layout', array());
+        
+        return is_array($layout) ? $layout : array();
+    }
+    
+    /**
+     * Sanitize a submitted layout
+     *
+     * Unknown files are dropped and every file is kept in the first section
+     * that lists it. Empty sections are kept so admins can fill them later.
+     */
+    public static function sanitize_layout($raw) {
+        $layout = array();
+        
+        if (!is_array($raw)) {
+            return $layout;
+        }
+        
+        $known = self::get_default_categories();
+        $seen = array();
+        
+        foreach ($raw as $section) {
+            if (!is_array($section)) {
+                continue;
+            }
+            
+            $title = isset($section['title']) ? sanitize_text_field($section['title']) : '';
+            if ($title === '') {
+                $title = __('Documents', 'archiviomd');
+            }
+            
+            $files = array();
+            if (isset($section['files']) && is_array($section['files'])) {
+                foreach ($section['files'] as $file_name) {
+                    $file_name = sanitize_text_field($file_name);
+                    if (isset($known[$file_name]) && !isset($seen[$file_name])) {
+                        $files[] = $file_name;
+                        $seen[$file_name] = true;
+                    }
+                }
+            }
+            
+            $layout[] = array(
+                'title' => $title,
+                'files' => $files,
+            );
+        }
+        
+        return $layout;
+    }
+    
+    /**
+     * Get public documents as ordered sections
+     *
+     * Follows the saved layout; public documents it does not place yet (for
+     * example ones published from the Documents tab) are appended to the
+     * section named after their category. Defaults to the saved options.
      */
-    private function get_public_documents() {
-        $public_docs = get_option('mdsm_public_documents', array());
-        $doc_descriptions = get_option('mdsm_document_descriptions', array());
+    private function get_public_documents($public_docs = null, $doc_descriptions = null, $layout = null) {
+        if (null === $public_docs) {
+            $public_docs = get_option('mdsm_public_documents', array());
+        }
+        if (null === $doc_descriptions) {
+            $doc_descriptions = get_option('mdsm_document_descriptions', array());
+        }
+        if (null === $layout) {
+            $layout = self::get_layout();
+        }
         
         if (empty($public_docs)) {
             return array();
         }
         
-        $meta_files = mdsm_get_meta_files();
+        $categories = self::get_default_categories();
+        $default_descs = mdsm_get_custom_markdown_files();
+        foreach (mdsm_get_meta_files() as $files) {
+            $default_descs = array_merge($default_descs, $files);
+        }
+        
+        // Place every public document: layout position first, then its category
+        $placements = array();
+        foreach ($layout as $section) {
+            $placements[] = array('title' => $section['title'], 'files' => array());
+        }
+        $placed = array();
+        foreach ($layout as $index => $section) {
+            foreach ($section['files'] as $file_name) {
+                if (!empty($public_docs[$file_name])) {
+                    $placements[$index]['files'][] = $file_name;
+                    $placed[$file_name] = true;
+                }
+            }
+        }
+        foreach ($categories as $file_name => $category) {
+            if (empty($public_docs[$file_name]) || isset($placed[$file_name])) {
+                continue;
+            }
+            $target = null;
+            foreach ($placements as $index => $placement) {
+                if ($placement['title'] === $category) {
+                    $target = $index;
+                    break;
+                }
+            }
+            if (null === $target) {
+                $placements[] = array('title' => $category, 'files' => array());
+                $target = count($placements) - 1;
+            }
+            $placements[$target]['files'][] = $file_name;
+        }
+        
         $file_manager = new MDSM_File_Manager();
         $html_renderer = new MDSM_HTML_Renderer();
         
         $result = array();
         
-        foreach ($meta_files as $category => $files) {
-            foreach ($files as $file_name => $default_desc) {
-                // Skip if not marked as public
-                if (!isset($public_docs[$file_name]) || !$public_docs[$file_name]) {
-                    continue;
-                }
-                
+        foreach ($placements as $placement) {
+            $documents = array();
+            
+            foreach ($placement['files'] as $file_name) {
                 // Check if file exists
                 $file_info = $file_manager->get_file_info('meta', $file_name);
                 if (!$file_info['exists']) {
@@ -270,32 +439,30 @@ class MDSM_Public_Index {
                 // Get custom description or use default
                 $description = isset($doc_descriptions[$file_name]) && !empty($doc_descriptions[$file_name]) 
                     ? $doc_descriptions[$file_name] 
-                    : $default_desc;
+                    : (isset($default_descs[$file_name]) ? $default_descs[$file_name] : '');
                 
                 // Check for HTML version
                 $has_html = $html_renderer->html_file_exists('meta', $file_name);
                 $html_url = $has_html ? $html_renderer->get_html_file_url($html_renderer->get_html_filename($file_name)) : '';
                 
-                // Get title from filename
-                $title = $this->get_document_title($file_name);
-                
-                if (!isset($result[$category])) {
-                    $result[$category] = array();
-                }
-                
-                $result[$category][$file_name] = array(
-                    'title' => $title,
+                $documents[$file_name] = array(
+                    'title' => $this->get_document_title($file_name),
                     'description' => $description,
                     'md_url' => $file_info['url'],
                     'html_url' => $html_url,
                     'has_html' => $has_html,
                 );
             }
+            
+            // Skip empty sections
+            if (!empty($documents)) {
+                $result[] = array(
+                    'title' => $placement['title'],
+                    'documents' => $documents,
+                );
+            }
         }
         
-        // Remove empty categories
-        $result = array_filter($result);
-        
         return $result;
     }
     
@@ -12,133 +12,469 @@ if (!defined('ABSPATH')) {
 class MDSM_Sitemap_Generator {
     
     /**
-     * Generate sitemap
+     * sitemaps.org limits per sitemap file
      */
-    public function generate($type = 'small') {
-        if ($type === 'small') {
-            return $this->generate_single_sitemap();
-        } else {
-            return $this->generate_sitemap_index();
+    const MAX_URLS = 50000;
+    const MAX_BYTES = 52428800;
+    
+    /**
+     * Valid <changefreq> values
+     */
+    public static function get_changefreqs() {
+        return array('always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never');
+    }
+    
+    /**
+     * Public post types and taxonomies that can be included, as name => label
+     */
+    public static function get_sources() {
+        $sources = array('post_types' => array(), 'taxonomies' => array());
+        
+        foreach (get_post_types(array('public' => true), 'objects') as $post_type) {
+            if ($post_type->name !== 'attachment') {
+                $sources['post_types'][$post_type->name] = $post_type->labels->name;
+            }
         }
+        
+        foreach (get_taxonomies(array('public' => true), 'objects') as $taxonomy) {
+            if ($taxonomy->name !== 'post_format') {
+                $sources['taxonomies'][$taxonomy->name] = $taxonomy->labels->name;
+            }
+        }
+        
+        return $sources;
     }
     
     /**
-     * Generate single sitemap for small sites
+     * Sitemap settings: saved values over the defaults, for every registered source.
+     * The defaults match what the generator has always written (all post types,
+     * no taxonomies or documents, and the homepage only in a single sitemap).
      */
-    private function generate_single_sitemap() {
-        $urls = $this->get_all_urls();
-        $xml = $this->create_sitemap_xml($urls);
-        
-        $result = $this->save_sitemap('sitemap.xml', $xml);
-        
-        if ($result) {
-            return array(
-                'success' => true,
-                'message' => 'Sitemap generated successfully',
-                'files' => array('sitemap.xml'),
-                'url' => get_site_url() . '/sitemap.xml'
-            );
+    public static function get_settings() {
+        $saved = get_option('mdsm_sitemap_settings', array());
+        if (!is_array($saved)) {
+            $saved = array();
         }
         
-        return array(
-            'success' => false,
-            'message' => 'Could not save sitemap'
+        $settings = array(
+            'homepage' => isset($saved['homepage']) ? (bool) $saved['homepage'] : get_option('mdsm_sitemap_type', 'small') !== 'large',
+            'post_types' => array(),
+            'taxonomies' => array(),
+            'documents' => array(
+                'files' => array(),
+                'changefreq' => 'monthly',
+                'priority' => '0.3'
+            ),
+            'max_urls' => self::MAX_URLS
         );
+        
+        $sources = self::get_sources();
+        foreach ($sources['post_types'] as $name => $label) {
+            if ($name === 'post') {
+                $default = array('enabled' => true, 'changefreq' => 'weekly', 'priority' => '0.8');
+            } elseif ($name === 'page') {
+                $default = array('enabled' => true, 'changefreq' => 'monthly', 'priority' => '0.6');
+            } else {
+                $default = array('enabled' => true, 'changefreq' => 'weekly', 'priority' => '0.7');
+            }
+            $settings['post_types'][$name] = isset($saved['post_types'][$name]) && is_array($saved['post_types'][$name])
+                ? array_merge($default, $saved['post_types'][$name])
+                : $default;
+        }
+        foreach ($sources['taxonomies'] as $name => $label) {
+            $default = array('enabled' => false, 'changefreq' => 'weekly', 'priority' => '0.4');
+            $settings['taxonomies'][$name] = isset($saved['taxonomies'][$name]) && is_array($saved['taxonomies'][$name])
+                ? array_merge($default, $saved['taxonomies'][$name])
+                : $default;
+        }
+        if (isset($saved['documents']) && is_array($saved['documents'])) {
+            $settings['documents'] = array_merge($settings['documents'], $saved['documents']);
+        }
+        if (!empty($saved['max_urls'])) {
+            $settings['max_urls'] = (int) $saved['max_urls'];
+        }
+        
+        return $settings;
+    }
+    
+    /**
+     * Clean settings posted from the admin UI. Unknown sources and documents are dropped.
+     */
+    public static function sanitize_settings($raw) {
+        $raw = is_array($raw) ? $raw : array();
+        $changefreqs = self::get_changefreqs();
+        $sources = self::get_sources();
+        $settings = self::get_settings();
+        
+        $settings['homepage'] = !empty($raw['homepage']);
+        
+        foreach (array('post_types', 'taxonomies') as $group) {
+            foreach ($sources[$group] as $name => $label) {
+                $item = isset($raw[$group][$name]) && is_array($raw[$group][$name]) ? $raw[$group][$name] : array();
+                $settings[$group][$name]['enabled'] = !empty($item['enabled']);
+                if (isset($item['changefreq']) && in_array($item['changefreq'], $changefreqs, true)) {
+                    $settings[$group][$name]['changefreq'] = $item['changefreq'];
+                }
+                if (isset($item['priority']) && is_numeric($item['priority'])) {
+                    $settings[$group][$name]['priority'] = self::format_priority($item['priority']);
+                }
+            }
+        }
+        
+        $documents = isset($raw['documents']) && is_array($raw['documents']) ? $raw['documents'] : array();
+        $files = isset($documents['files']) && is_array($documents['files']) ? array_map('sanitize_text_field', $documents['files']) : array();
+        $settings['documents']['files'] = array_values(array_intersect(array_keys(self::get_documents()), $files));
+        if (isset($documents['changefreq']) && in_array($documents['changefreq'], $changefreqs, true)) {
+            $settings['documents']['changefreq'] = $documents['changefreq'];
+        }
+        if (isset($documents['priority']) && is_numeric($documents['priority'])) {
+            $settings['documents']['priority'] = self::format_priority($documents['priority']);
+        }
+        
+        if (isset($raw['max_urls'])) {
+            $settings['max_urls'] = max(1, min(self::MAX_URLS, absint($raw['max_urls'])));
+        }
+        
+        return $settings;
     }
     
     /**
-     * Generate sitemap index for large sites
+     * Priority clamped to 0.0 - 1.0 with one decimal
      */
-    private function generate_sitemap_index() {
-        $sitemaps = array();
-        
-        // Generate posts sitemap
-        $posts = $this->get_posts_urls();
-        if (!empty($posts)) {
-            $xml = $this->create_sitemap_xml($posts);
-            if ($this->save_sitemap('sitemap-posts.xml', $xml)) {
-                $sitemaps[] = 'sitemap-posts.xml';
+    private static function format_priority($value) {
+        return number_format(max(0, min(1, (float) $value)), 1, '.', '');
+    }
+    
+    /**
+     * Meta and custom documents that can be listed, as filename => file type
+     */
+    public static function get_documents() {
+        $documents = array();
+        foreach (mdsm_get_meta_files() as $category => $files) {
+            foreach ($files as $file_name => $description) {
+                $documents[$file_name] = 'meta';
+            }
+        }
+        foreach (mdsm_get_custom_markdown_files() as $file_name => $description) {
+            $documents[$file_name] = 'meta';
+        }
+        return $documents;
+    }
+    
+    /**
+     * Generate sitemap
+     *
+     * @param string     $type     'small' (one file, split into an index past max_urls) or
+     *                             'large' (an index with one file per content type)
+     * @param array|null $settings From sanitize_settings(); the saved settings when null
+     */
+    public function generate($type = 'small', $settings = null) {
+        $plan = $this->build_plan($type, $settings === null ? self::get_settings() : $settings);
+        return $this->write_plan($plan);
+    }
+    
+    /**
+     * Work out the files to write without writing them.
+     *
+     * @return array {index: bool, main: filename, files: array(filename => urls), sources: array(label => count), total: int}
+     */
+    public function build_plan($type, $settings) {
+        $max = max(1, min(self::MAX_URLS, (int) $settings['max_urls']));
+        $sources = self::get_sources();
+        $groups = array();
+        $counts = array();
+        
+        if ($type === 'large') {
+            // One file per type, as before: sitemap-posts.xml, sitemap-pages.xml, sitemap-{type}.xml
+            foreach ($settings['post_types'] as $name => $options) {
+                if (empty($options['enabled'])) {
+                    continue;
+                }
+                $slug = $name === 'post' ? 'posts' : ($name === 'page' ? 'pages' : $name);
+                $groups[$slug] = $this->get_post_type_urls($name, $options);
+                $counts[$sources['post_types'][$name]] = count($groups[$slug]);
+            }
+            // The homepage leads the pages file, or gets its own
+            if (!empty($settings['homepage'])) {
+                if (isset($groups['pages'])) {
+                    array_unshift($groups['pages'], $this->get_homepage_url());
+                } else {
+                    $groups = array_merge(array('home' => array($this->get_homepage_url())), $groups);
+                }
+            }
+        } else {
+            $groups['all'] = !empty($settings['homepage']) ? array($this->get_homepage_url()) : array();
+            foreach ($settings['post_types'] as $name => $options) {
+                if (!empty($options['enabled'])) {
+                    $urls = $this->get_post_type_urls($name, $options);
+                    $counts[$sources['post_types'][$name]] = count($urls);
+                    $groups['all'] = array_merge($groups['all'], $urls);
+                }
+            }
+        }
+        if (!empty($settings['homepage'])) {
+            $counts = array_merge(array(__('Homepage', 'archiviomd') => 1), $counts);
+        }
+        
+        foreach ($settings['taxonomies'] as $name => $options) {
+            if (empty($options['enabled'])) {
+                continue;
+            }
+            $urls = $this->get_taxonomy_urls($name, $options);
+            $counts[$sources['taxonomies'][$name]] = count($urls);
+            if ($type === 'large') {
+                $groups['tax-' . $name] = $urls;
+            } else {
+                $groups['all'] = array_merge($groups['all'], $urls);
             }
         }
         
-        // Generate pages sitemap
-        $pages = $this->get_pages_urls();
-        if (!empty($pages)) {
-            $xml = $this->create_sitemap_xml($pages);
-            if ($this->save_sitemap('sitemap-pages.xml', $xml)) {
-                $sitemaps[] = 'sitemap-pages.xml';
+        if (!empty($settings['documents']['files'])) {
+            $urls = $this->get_document_urls($settings['documents']);
+            $counts[__('Documents', 'archiviomd')] = count($urls);
+            if ($type === 'large') {
+                $groups['docs'] = $urls;
+            } else {
+                $groups['all'] = array_merge($groups['all'], $urls);
             }
         }
         
-        // Generate custom post types sitemaps
-        $post_types = get_post_types(array('public' => true, '_builtin' => false), 'objects');
-        foreach ($post_types as $post_type) {
-            $urls = $this->get_post_type_urls($post_type->name);
-            if (!empty($urls)) {
-                $xml = $this->create_sitemap_xml($urls);
-                $filename = 'sitemap-' . $post_type->name . '.xml';
-                if ($this->save_sitemap($filename, $xml)) {
-                    $sitemaps[] = $filename;
+        $files = array();
+        if ($type !== 'large' && count($groups['all']) <= $max) {
+            $files['sitemap.xml'] = $groups['all'];
+            $index = false;
+        } else {
+            foreach ($groups as $slug => $urls) {
+                $chunks = $urls ? array_chunk($urls, $max) : array();
+                foreach ($chunks as $i => $chunk) {
+                    if ($slug === 'all') {
+                        $files['sitemap-' . ($i + 1) . '.xml'] = $chunk;
+                    } else {
+                        $files['sitemap-' . $slug . ($i ? '-' . ($i + 1) : '') . '.xml'] = $chunk;
+                    }
                 }
             }
+            $index = true;
         }
         
-        // Generate index
-        $index_xml = $this->create_sitemap_index_xml($sitemaps);
-        $result = $this->save_sitemap('sitemap_index.xml', $index_xml);
+        return array(
+            'index' => $index,
+            'main' => $index ? 'sitemap_index.xml' : 'sitemap.xml',
+            'files' => $files,
+            'sources' => $counts,
+            'total' => array_sum(array_map('count', $files))
+        );
+    }
+    
+    /**
+     * Write every file in a plan, then remove files left over from the previous run
+     */
+    private function write_plan($plan) {
+        $written = array();
+        
+        foreach ($plan['files'] as $filename => $urls) {
+            if (!$this->save_sitemap($filename, $this->create_sitemap_xml($urls))) {
+                return array(
+                    'success' => false,
+                    'message' => 'Could not save ' . $filename
+                );
+            }
+            $written[] = $filename;
+        }
         
-        if ($result) {
-            return array(
-                'success' => true,
-                'message' => 'Sitemap index generated successfully',
-                'files' => array_merge(array('sitemap_index.xml'), $sitemaps),
-                'url' => get_site_url() . '/sitemap_index.xml'
-            );
+        if ($plan['index']) {
+            if (!$this->save_sitemap('sitemap_index.xml', $this->create_sitemap_index_xml($written))) {
+                return array(
+                    'success' => false,
+                    'message' => 'Could not save sitemap index'
+                );
+            }
+            array_unshift($written, 'sitemap_index.xml');
         }
         
+        // Before this list was kept, only these two names were ever the main file
+        $previous = get_option('mdsm_sitemap_files', array('sitemap.xml', 'sitemap_index.xml'));
+        foreach (array_diff((array) $previous, $written) as $stale) {
+            $this->delete_sitemap($stale);
+        }
+        update_option('mdsm_sitemap_files', $written, false);
+        
         return array(
-            'success' => false,
-            'message' => 'Could not save sitemap index'
+            'success' => true,
+            'message' => $plan['index'] ? 'Sitemap index generated successfully' : 'Sitemap generated successfully',
+            'files' => $written,
+            'url' => get_site_url() . '/' . $plan['main']
         );
     }
     
     /**
-     * Get all URLs for single sitemap
+     * Plan and validate without writing, with one page of URLs for the preview.
+     *
+     * @param string $file     Limit the URL list to one planned file ('' for all)
      */
-    private function get_all_urls() {
-        $urls = array();
+    public function preview($type, $settings, $page = 1, $per_page = 50, $file = '') {
+        $plan = $this->build_plan($type, $settings);
+        $files = array();
+        $valid = true;
+        
+        foreach ($plan['files'] as $filename => $urls) {
+            $xml = $this->create_sitemap_xml($urls);
+            $check = $this->validate_xml($xml, 'urlset');
+            $valid = $valid && empty($check['errors']);
+            $files[] = array_merge(array(
+                'name' => $filename,
+                'count' => count($urls),
+                'bytes' => strlen($xml)
+            ), $check);
+        }
         
-        // Homepage
-        $urls[] = array(
-            'loc' => get_home_url(),
-            'lastmod' => current_time('c'),
-            'changefreq' => 'daily',
-            'priority' => '1.0'
+        if ($plan['index']) {
+            $xml = $this->create_sitemap_index_xml(array_keys($plan['files']));
+            $check = $this->validate_xml($xml, 'sitemapindex');
+            $valid = $valid && empty($check['errors']);
+            array_unshift($files, array_merge(array(
+                'name' => 'sitemap_index.xml',
+                'count' => count($plan['files']),
+                'bytes' => strlen($xml)
+            ), $check));
+        }
+        
+        $list = array();
+        foreach ($plan['files'] as $filename => $urls) {
+            if ($file !== '' && $file !== $filename) {
+                continue;
+            }
+            foreach ($urls as $url) {
+                $url['file'] = $filename;
+                $list[] = $url;
+            }
+        }
+        
+        $pages = max(1, (int) ceil(count($list) / $per_page));
+        $page = max(1, min($pages, (int) $page));
+        
+        return array(
+            'index' => $plan['index'],
+            'main' => $plan['main'],
+            'total' => $plan['total'],
+            'sources' => $plan['sources'],
+            'files' => $files,
+            'valid' => $valid,
+            'page' => $page,
+            'pages' => $pages,
+            'matching' => count($list),
+            'urls' => array_slice($list, ($page - 1) * $per_page, $per_page)
         );
+    }
+    
+    /**
+     * Check generated XML against the sitemaps.org protocol: well-formed, right
+     * root and namespace, size and count limits, and each entry's values.
+     *
+     * @param string $kind 'urlset' or 'sitemapindex'
+     * @return array {errors: string[], warnings: string[]}
+     */
+    public function validate_xml($xml, $kind) {
+        $errors = array();
+        $warnings = array();
+        $namespace = 'http://www.sitemaps.org/schemas/sitemap/0.9';
         
-        // Posts
-        $urls = array_merge($urls, $this->get_posts_urls());
+        if (strlen($xml) > self::MAX_BYTES) {
+            $errors[] = 'File is larger than 50 MB uncompressed.';
+        }
         
-        // Pages
-        $urls = array_merge($urls, $this->get_pages_urls());
+        if (!class_exists('DOMDocument')) {
+            $warnings[] = 'The PHP DOM extension is not available, so only size limits were checked.';
+            return array('errors' => $errors, 'warnings' => $warnings);
+        }
         
-        // Custom post types
-        $post_types = get_post_types(array('public' => true, '_builtin' => false), 'names');
-        foreach ($post_types as $post_type) {
-            $urls = array_merge($urls, $this->get_post_type_urls($post_type));
+        $previous = libxml_use_internal_errors(true);
+        $dom = new DOMDocument();
+        $loaded = $dom->loadXML($xml, LIBXML_NONET);
+        foreach (libxml_get_errors() as $error) {
+            $errors[] = sprintf('XML line %d: %s', $error->line, trim($error->message));
         }
+        libxml_clear_errors();
+        libxml_use_internal_errors($previous);
         
-        return $urls;
+        if (!$loaded) {
+            return array('errors' => $errors, 'warnings' => $warnings);
+        }
+        
+        $root = $dom->documentElement;
+        if ($root->localName !== $kind || $root->namespaceURI !== $namespace) {
+            $errors[] = sprintf('Root element must be <%s xmlns="%s">.', $kind, $namespace);
+        }
+        
+        $entries = $dom->getElementsByTagNameNS($namespace, $kind === 'urlset' ? 'url' : 'sitemap');
+        if ($entries->length > self::MAX_URLS) {
+            $errors[] = sprintf('%d entries; a sitemap file may hold at most %d.', $entries->length, self::MAX_URLS);
+        }
+        
+        $home_host = wp_parse_url(get_home_url(), PHP_URL_HOST);
+        $problems = 0;
+        foreach ($entries as $i => $entry) {
+            $values = array();
+            foreach ($entry->childNodes as $child) {
+                if ($child->nodeType === XML_ELEMENT_NODE) {
+                    $values[$child->localName] = $child->textContent;
+                }
+            }
+            $label = sprintf('Entry %d', $i + 1);
+            $before = count($errors) + count($warnings);
+            
+            if (empty($values['loc'])) {
+                $errors[] = $label . ': missing <loc>.';
+            } else {
+                if (!preg_match('#^https?://#i', $values['loc'])) {
+                    $errors[] = $label . ': <loc> must be an absolute http(s) URL.';
+                } elseif (wp_parse_url($values['loc'], PHP_URL_HOST) !== $home_host) {
+                    $warnings[] = $label . ': ' . $values['loc'] . ' is on a different host than the site.';
+                }
+                if (strlen($values['loc']) > 2048) {
+                    $errors[] = $label . ': <loc> is longer than 2,048 characters.';
+                }
+            }
+            if (isset($values['lastmod']) && !preg_match('/^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/', $values['lastmod'])) {
+                $errors[] = $label . ': <lastmod> is not a W3C datetime.';
+            }
+            if (isset($values['changefreq']) && !in_array($values['changefreq'], self::get_changefreqs(), true)) {
+                $errors[] = $label . ': invalid <changefreq> "' . $values['changefreq'] . '".';
+            }
+            if (isset($values['priority']) && (!is_numeric($values['priority']) || $values['priority'] < 0 || $values['priority'] > 1)) {
+                $errors[] = $label . ': <priority> must be between 0.0 and 1.0.';
+            }
+            
+            // Keep the report readable on large sites
+            if (count($errors) + count($warnings) > $before && ++$problems >= 20) {
+                $warnings[] = 'Stopped after 20 entries with problems.';
+                break;
+            }
+        }
+        
+        return array('errors' => $errors, 'warnings' => $warnings);
     }
     
     /**
-     * Get posts URLs
+     * Homepage entry
      */
-    private function get_posts_urls() {
+    private function get_homepage_url() {
+        return array(
+            'loc' => get_home_url(),
+            'lastmod' => current_time('c'),
+            'changefreq' => 'daily',
+            'priority' => '1.0'
+        );
+    }
+    
+    /**
+     * Published posts of one type
+     */
+    private function get_post_type_urls($post_type, $options) {
         $urls = array();
         
         $posts = get_posts(array(
-            'post_type' => 'post',
+            'post_type' => $post_type,
             'post_status' => 'publish',
             'numberposts' => -1,
             'orderby' => 'modified',
@@ -149,8 +485,8 @@ class MDSM_Sitemap_Generator {
             $urls[] = array(
                 'loc' => get_permalink($post->ID),
                 'lastmod' => get_the_modified_time('c', $post->ID),
-                'changefreq' => 'weekly',
-                'priority' => '0.8'
+                'changefreq' => $options['changefreq'],
+                'priority' => $options['priority']
             );
         }
         
@@ -158,23 +494,29 @@ class MDSM_Sitemap_Generator {
     }
     
     /**
-     * Get pages URLs
+     * Archive pages of a taxonomy's non-empty terms
      */
-    private function get_pages_urls() {
+    private function get_taxonomy_urls($taxonomy, $options) {
         $urls = array();
         
-        $pages = get_pages(array(
-            'post_status' => 'publish',
-            'sort_column' => 'post_modified',
-            'sort_order' => 'DESC'
+        $terms = get_terms(array(
+            'taxonomy' => $taxonomy,
+            'hide_empty' => true
         ));
         
-        foreach ($pages as $page) {
+        if (is_wp_error($terms)) {
+            return $urls;
+        }
+        
+        foreach ($terms as $term) {
+            $link = get_term_link($term);
+            if (is_wp_error($link)) {
+                continue;
+            }
             $urls[] = array(
-                'loc' => get_permalink($page->ID),
-                'lastmod' => get_the_modified_time('c', $page->ID),
-                'changefreq' => 'monthly',
-                'priority' => '0.6'
+                'loc' => $link,
+                'changefreq' => $options['changefreq'],
+                'priority' => $options['priority']
             );
         }
         
@@ -182,25 +524,27 @@ class MDSM_Sitemap_Generator {
     }
     
     /**
-     * Get custom post type URLs
+     * Selected documents that exist, as their HTML version when one has been generated
      */
-    private function get_post_type_urls($post_type) {
+    private function get_document_urls($options) {
         $urls = array();
+        $file_manager = new MDSM_File_Manager();
+        $renderer = new MDSM_HTML_Renderer();
+        $documents = self::get_documents();
         
-        $posts = get_posts(array(
-            'post_type' => $post_type,
-            'post_status' => 'publish',
-            'numberposts' => -1,
-            'orderby' => 'modified',
-            'order' => 'DESC'
-        ));
-        
-        foreach ($posts as $post) {
+        foreach ($options['files'] as $file_name) {
+            if (!isset($documents[$file_name]) || !$file_manager->file_exists($documents[$file_name], $file_name)) {
+                continue;
+            }
+            $path = $file_manager->get_file_path($documents[$file_name], $file_name);
+            $loc = $renderer->html_file_exists($documents[$file_name], $file_name)
+                ? $renderer->get_html_file_url($renderer->get_html_filename($file_name))
+                : $file_manager->get_file_url($documents[$file_name], $file_name);
             $urls[] = array(
-                'loc' => get_permalink($post->ID),
-                'lastmod' => get_the_modified_time('c', $post->ID),
-                'changefreq' => 'weekly',
-                'priority' => '0.7'
+                'loc' => $loc,
+                'lastmod' => gmdate('c', filemtime($path)),
+                'changefreq' => $options['changefreq'],
+                'priority' => $options['priority']
             );
         }
         
@@ -287,6 +631,21 @@ class MDSM_Sitemap_Generator {
         return false;
     }
     
+    /**
+     * Delete a sitemap file from the root and the uploads fallback
+     */
+    private function delete_sitemap($filename) {
+        if (!preg_match('/^sitemap[a-z0-9_-]*\.xml$/i', $filename)) {
+            return;
+        }
+        $upload_dir = wp_upload_dir();
+        foreach (array(ABSPATH . $filename, $upload_dir['basedir'] . '/meta-docs/' . $filename) as $path) {
+            if (file_exists($path)) {
+                @unlink($path);
+            }
+        }
+    }
+    
     /**
      * Get sitemap info
      */
@@ -79,6 +79,8 @@ function mdsm_get_seo_files() {
         'ads.txt'     => 'Authorized Digital Sellers — declares who is permitted to sell your ad inventory',
         'app-ads.txt' => 'Mobile app equivalent of ads.txt for in-app advertising inventory',
         'sellers.json' => 'Identifies the entities authorized to sell or resell your ad inventory',
+        'security.txt' => 'Security contact and disclosure policy (RFC 9116), also served at /.well-known/security.txt',
+        'humans.txt'  => 'Credits the people and tools behind the site',
     );
 }
 
@@ -95,10 +97,23 @@ function mdsm_get_custom_markdown_files() {
     return $custom_files;
 }
 
+/**
+ * Get the category assigned to each custom markdown file (filename => label)
+ */
+function mdsm_get_custom_markdown_categories() {
+    $categories = get_option('mdsm_custom_markdown_categories', array());
+    
+    if (!is_array($categories)) {
+        return array();
+    }
+    
+    return $categories;
+}
+
 /**
  * Add a custom markdown file
  */
-function mdsm_add_custom_markdown_file($filename, $description = '') {
+function mdsm_add_custom_markdown_file($filename, $description = '', $category = '') {
     // Validate filename
     $filename = sanitize_file_name($filename);
     
@@ -114,6 +129,13 @@ function mdsm_add_custom_markdown_file($filename, $description = '') {
     if (!isset($custom_files[$filename])) {
         $custom_files[$filename] = sanitize_text_field($description);
         $result = update_option('mdsm_custom_markdown_files', $custom_files);
+        
+        $category = sanitize_text_field($category);
+        if ($category !== '') {
+            $categories = mdsm_get_custom_markdown_categories();
+            $categories[$filename] = $category;
+            update_option('mdsm_custom_markdown_categories', $categories);
+        }
         return true;
     }
     
@@ -129,12 +151,157 @@ function mdsm_delete_custom_markdown_file($filename) {
     if (isset($custom_files[$filename])) {
         unset($custom_files[$filename]);
         update_option('mdsm_custom_markdown_files', $custom_files);
+        
+        $categories = mdsm_get_custom_markdown_categories();
+        if (isset($categories[$filename])) {
+            unset($categories[$filename]);
+            update_option('mdsm_custom_markdown_categories', $categories);
+        }
         return true;
     }
     
     return false;
 }
 
+/**
+ * Built-in starting points for new custom markdown files.
+ *
+ * Content may use the placeholders {{site_name}}, {{site_url}},
+ * {{admin_email}}, {{date}} and {{year}}; see mdsm_fill_markdown_template().
+ */
+function mdsm_get_custom_markdown_templates() {
+    return array(
+        'security-policy' => array(
+            'label' => 'Security policy',
+            'filename' => 'security-policy.md',
+            'description' => 'How to report vulnerabilities and what to expect',
+            'category' => 'Security & Vulnerability Management',
+            'content' => "# Security Policy\n\n" .
+                "This policy applies to {{site_name}} ({{site_url}}).\n\n" .
+                "## Reporting a Vulnerability\n\n" .
+                "Please email **{{admin_email}}** with a description of the issue, the affected URL and steps to reproduce. Do not disclose the issue publicly until we have responded.\n\n" .
+                "## What to Expect\n\n" .
+                "- Acknowledgement within 3 business days\n" .
+                "- An assessment and planned fix within 30 days\n" .
+                "- Credit in our release notes if you wish\n\n" .
+                "## Scope\n\n" .
+                "- In scope: {{site_url}} and its subdomains\n" .
+                "- Out of scope: denial of service, social engineering, third-party services\n\n" .
+                "_Last updated: {{date}}_\n",
+        ),
+        'privacy-notice' => array(
+            'label' => 'Privacy notice',
+            'filename' => 'privacy-notice.md',
+            'description' => 'What personal data is collected and why',
+            'category' => 'Privacy & Data Compliance',
+            'content' => "# Privacy Notice\n\n" .
+                "{{site_name}} ({{site_url}}) respects your privacy. This notice explains what we collect and how we use it.\n\n" .
+                "## Data We Collect\n\n" .
+                "- Information you submit through forms or comments\n" .
+                "- Technical data such as IP address and browser type\n" .
+                "- Cookies, as described in our cookie policy\n\n" .
+                "## How We Use It\n\n" .
+                "We use this data to operate the site, respond to you and keep the site secure. We do not sell personal data.\n\n" .
+                "## Your Rights\n\n" .
+                "You can ask to see, correct or delete your data by emailing {{admin_email}}.\n\n" .
+                "_Last updated: {{date}}_\n",
+        ),
+        'changelog' => array(
+            'label' => 'CHANGELOG',
+            'filename' => 'project-changelog.md',
+            'description' => 'Notable changes, newest first',
+            'category' => 'Project Overview & Development',
+            'content' => "# Changelog\n\n" .
+                "All notable changes to {{site_name}} are documented here.\n\n" .
+                "## [Unreleased]\n\n" .
+                "### Added\n\n" .
+                "- \n\n" .
+                "### Changed\n\n" .
+                "- \n\n" .
+                "### Fixed\n\n" .
+                "- \n\n" .
+                "## [1.0.0] - {{date}}\n\n" .
+                "- Initial release\n",
+        ),
+        'adr' => array(
+            'label' => 'Architecture decision record (ADR)',
+            'filename' => 'adr-0001.md',
+            'description' => 'Architecture decision record',
+            'category' => 'Project Overview & Development',
+            'content' => "# ADR-0001: Title of the decision\n\n" .
+                "- **Status:** Proposed\n" .
+                "- **Date:** {{date}}\n" .
+                "- **Project:** {{site_name}}\n\n" .
+                "## Context\n\n" .
+                "What is the issue that motivates this decision?\n\n" .
+                "## Decision\n\n" .
+                "What change are we making?\n\n" .
+                "## Consequences\n\n" .
+                "What becomes easier or harder because of this change?\n",
+        ),
+    );
+}
+
+/**
+ * Replace template placeholders with this site's details
+ */
+function mdsm_fill_markdown_template($content) {
+    return strtr($content, array(
+        '{{site_name}}' => get_bloginfo('name'),
+        '{{site_url}}' => home_url('/'),
+        '{{admin_email}}' => get_option('admin_email'),
+        '{{date}}' => wp_date('Y-m-d'),
+        '{{year}}' => wp_date('Y'),
+    ));
+}
+
+/**
+ * Match an imported file to the document it would be stored as
+ *
+ * Only the file name counts, not its folder. Names match definitions
+ * case-insensitively with "-" and "_" treated alike, and ".markdown" counts
+ * as ".md"; Markdown files with no definition become new custom files.
+ *
+ * @param string $path Path of the file in the upload, folder or archive.
+ * @return array file_type, file_name, category and kind: 'meta', 'seo',
+ *               'custom', 'new_custom' or 'unsupported'.
+ */
+function mdsm_match_import_file($path) {
+    $name = basename(str_replace('\\', '/', (string) $path));
+    $name = preg_replace('/\.(md|markdown)$/i', '.md', $name);
+    $key = str_replace('-', '_', strtolower($name));
+    
+    foreach (mdsm_get_meta_files() as $category => $files) {
+        foreach (array_keys($files) as $file_name) {
+            if (str_replace('-', '_', $file_name) === $key) {
+                return array('file_type' => 'meta', 'file_name' => $file_name, 'category' => $category, 'kind' => 'meta');
+            }
+        }
+    }
+    
+    foreach (array_keys(mdsm_get_seo_files()) as $file_name) {
+        if (strcasecmp($file_name, $name) === 0) {
+            return array('file_type' => 'seo', 'file_name' => $file_name, 'category' => 'SEO & Crawling Files', 'kind' => 'seo');
+        }
+    }
+    
+    $custom_categories = mdsm_get_custom_markdown_categories();
+    foreach (array_keys(mdsm_get_custom_markdown_files()) as $file_name) {
+        if (strcasecmp($file_name, $name) === 0) {
+            $category = !empty($custom_categories[$file_name]) ? $custom_categories[$file_name] : 'Custom Markdown';
+            return array('file_type' => 'meta', 'file_name' => $file_name, 'category' => $category, 'kind' => 'custom');
+        }
+    }
+    
+    // Same filename rule as the custom markdown creation dialog
+    $file_name = sanitize_file_name($name);
+    if (preg_match('/^[A-Za-z0-9][A-Za-z0-9._-]*\.md$/', $file_name)) {
+        return array('file_type' => 'meta', 'file_name' => $file_name, 'category' => 'Custom Markdown', 'kind' => 'new_custom');
+    }
+    
+    return array('file_type' => '', 'file_name' => $name, 'category' => '', 'kind' => 'unsupported');
+}
+
 /**
  * Get all file types
  */
@@ -34,6 +34,11 @@ class Meta_Documentation_SEO_Manager {
      */
     private static $instance = null;
     
+    /**
+     * Public index (shortcode and preview rendering)
+     */
+    private $public_index = null;
+    
     /**
      * Get single instance
      */
@@ -59,7 +64,7 @@ class Meta_Documentation_SEO_Manager {
         $this->load_dependencies();
         
         // Initialize public index
-        new MDSM_Public_Index();
+        $this->public_index = new MDSM_Public_Index();
         
         // Initialize compliance tools (singleton)
         MDSM_Compliance_Tools::get_instance();
@@ -95,14 +100,22 @@ class Meta_Documentation_SEO_Manager {
         add_action('wp_ajax_mdsm_delete_file', array($this, 'ajax_delete_file'));
         add_action('wp_ajax_mdsm_get_file_content', array($this, 'ajax_get_file_content'));
         add_action('wp_ajax_mdsm_get_file_counts', array($this, 'ajax_get_file_counts'));
+        add_action('wp_ajax_mdsm_get_search_index', array($this, 'ajax_get_search_index'));
         add_action('wp_ajax_mdsm_generate_sitemap', array($this, 'ajax_generate_sitemap'));
+        add_action('wp_ajax_mdsm_preview_sitemap', array($this, 'ajax_preview_sitemap'));
         add_action('wp_ajax_mdsm_generate_html', array($this, 'ajax_generate_html'));
         add_action('wp_ajax_mdsm_delete_html', array($this, 'ajax_delete_html'));
         add_action('wp_ajax_mdsm_check_html_status', array($this, 'ajax_check_html_status'));
         add_action('wp_ajax_mdsm_save_public_index', array($this, 'ajax_save_public_index'));
+        add_action('wp_ajax_mdsm_preview_public_index', array($this, 'ajax_preview_public_index'));
+        add_action('wp_ajax_mdsm_set_public_document', array($this, 'ajax_set_public_document'));
         add_action('wp_ajax_mdsm_create_custom_markdown', array($this, 'ajax_create_custom_markdown'));
         add_action('wp_ajax_mdsm_delete_custom_markdown', array($this, 'ajax_delete_custom_markdown'));
+        add_action('wp_ajax_mdsm_import_plan', array($this, 'ajax_import_plan'));
+        add_action('wp_ajax_mdsm_import_file', array($this, 'ajax_import_file'));
         add_action('wp_ajax_mdsm_get_changelog', array($this, 'ajax_get_changelog'));
+        add_action('wp_ajax_mdsm_get_revision', array($this, 'ajax_get_revision'));
+        add_action('wp_ajax_mdsm_verify_revision', array($this, 'ajax_verify_revision'));
         
         // Auto-update sitemaps if enabled
         add_action('save_post', array($this, 'maybe_auto_update_sitemap'));
@@ -199,18 +212,75 @@ class Meta_Documentation_SEO_Manager {
             MDSM_VERSION
         );
         
+        wp_enqueue_script(
+            'mdsm-diff',
+            MDSM_PLUGIN_URL . 'assets/js/mdsm-diff.js',
+            array(),
+            MDSM_VERSION,
+            true
+        );
+        
+        wp_enqueue_script(
+            'mdsm-markdown',
+            MDSM_PLUGIN_URL . 'assets/js/mdsm-markdown.js',
+            array(),
+            MDSM_VERSION,
+            true
+        );
+        
+        wp_enqueue_script(
+            'mdsm-search',
+            MDSM_PLUGIN_URL . 'assets/js/mdsm-search.js',
+            array(),
+            MDSM_VERSION,
+            true
+        );
+        
+        wp_enqueue_script(
+            'mdsm-import',
+            MDSM_PLUGIN_URL . 'assets/js/mdsm-import.js',
+            array(),
+            MDSM_VERSION,
+            true
+        );
+        
+        wp_enqueue_script(
+            'mdsm-seo-editors',
+            MDSM_PLUGIN_URL . 'assets/js/mdsm-seo-editors.js',
+            array(),
+            MDSM_VERSION,
+            true
+        );
+        
+        // Shared with the Archivio Post verifiers; used here by "Verify All".
+        wp_enqueue_script(
+            'archivio-crypto',
+            MDSM_PLUGIN_URL . 'assets/js/archivio-crypto.js',
+            array(),
+            MDSM_VERSION,
+            true
+        );
+        
         wp_enqueue_script(
             'mdsm-admin-scripts',
             MDSM_PLUGIN_URL . 'assets/js/admin.js',
-            array('jquery'),
+            array('jquery', 'mdsm-diff', 'mdsm-markdown', 'mdsm-search', 'mdsm-import', 'mdsm-seo-editors', 'archivio-crypto'),
             MDSM_VERSION,
             true
         );
         
+        // Templates for the creation dialog, with placeholders already filled in for the preview
+        $custom_templates = array();
+        foreach (mdsm_get_custom_markdown_templates() as $key => $template) {
+            $template['content'] = mdsm_fill_markdown_template($template['content']);
+            $custom_templates[$key] = $template;
+        }
+        
         wp_localize_script('mdsm-admin-scripts', 'mdsmData', array(
             'ajaxUrl' => admin_url('admin-ajax.php'),
             'nonce' => wp_create_nonce('mdsm_nonce'),
             'siteUrl' => get_site_url(),
+            'customTemplates' => $custom_templates,
             'strings' => array(
                 'saving' => __('Saving...', 'archiviomd'),
                 'saved' => __('Saved successfully!', 'archiviomd'),
@@ -224,6 +294,213 @@ class Meta_Documentation_SEO_Manager {
                 'deletingHtml' => __('Deleting HTML...', 'archiviomd'),
                 'htmlDeleted' => __('HTML file deleted successfully!', 'archiviomd'),
                 'confirmDeleteHtml' => __('Do you want to delete the associated HTML file?', 'archiviomd'),
+                'loadingDiff' => __('Comparing with the saved version...', 'archiviomd'),
+                'noChanges' => __('No changes to save.', 'archiviomd'),
+                'newFile' => __('New file — nothing saved on the server yet.', 'archiviomd'),
+                'diffSummary' => __('%1$d added, %2$d removed', 'archiviomd'),
+                'unchangedLines' => __('%d unchanged lines', 'archiviomd'),
+                'saveFile' => __('Confirm & Save', 'archiviomd'),
+                'unsavedChanges' => __('You have unsaved changes. Discard them? A local draft is kept and will be offered next time you open this file.', 'archiviomd'),
+                'draftFound' => __('An unsaved draft from %s was made from the saved version of this file.', 'archiviomd'),
+                'draftRestored' => __('Draft restored. Review and save to keep it.', 'archiviomd'),
+                'draftSaved' => __('Draft saved locally at %s', 'archiviomd'),
+                'mergeConflicts' => __('Someone else saved this file since you opened it. %d conflicting change(s) need a decision; everything else was merged automatically.', 'archiviomd'),
+                'mergeClean' => __('Someone else saved this file since you opened it. Their changes and yours do not overlap and were merged automatically.', 'archiviomd'),
+                'mergedLines' => __('%d merged lines', 'archiviomd'),
+                'conflictOf' => __('Conflict %1$d of %2$d', 'archiviomd'),
+                'mergeBase' => __('Original (when you opened it)', 'archiviomd'),
+                'mergeTheirs' => __('Saved version', 'archiviomd'),
+                'mergeMine' => __('Your edit', 'archiviomd'),
+                'useTheirs' => __('Use saved', 'archiviomd'),
+                'useMine' => __('Use mine', 'archiviomd'),
+                'useBoth' => __('Use both', 'archiviomd'),
+                'mergeApplied' => __('Merge applied. Review the result and save again.', 'archiviomd'),
+                'checksumCopied' => __('Checksum copied to clipboard!', 'archiviomd'),
+                'copyChecksum' => __('Copy full checksum', 'archiviomd'),
+                'restoredFrom' => __('Restored from:', 'archiviomd'),
+                'reverifyRevision' => __('Re-verify', 'archiviomd'),
+                'restoreRevision' => __('Restore', 'archiviomd'),
+                'revisionNotStored' => __('Content not stored (recorded before revision history, or pruned)', 'archiviomd'),
+                'compareRevisions' => __('Revision #%1$d → #%2$d', 'archiviomd'),
+                'identicalRevisions' => __('These revisions have identical content.', 'archiviomd'),
+                'verifyingRevision' => __('Verifying...', 'archiviomd'),
+                'revisionVerified' => __('Checksum verified', 'archiviomd'),
+                'revisionMismatch' => __('Checksum mismatch: stored content does not match the recorded checksum', 'archiviomd'),
+                'revisionHmacUnavailable' => __('Cannot verify: the HMAC key is not configured', 'archiviomd'),
+                'confirmRestore' => __('Load this revision into the editor? You will review the changes before it is saved as a new changelog entry.', 'archiviomd'),
+                'revisionLoaded' => __('Revision loaded. Review the changes and save to restore it.', 'archiviomd'),
+                'verifyProgress' => __('Verifying %1$d of %2$d...', 'archiviomd'),
+                'verifySummary' => __('%1$d match, %2$d drifted, %3$d missing, %4$d not checked', 'archiviomd'),
+                'verifyUnavailable' => __('In-browser verification needs WebCrypto (HTTPS).', 'archiviomd'),
+                'integrityMatch' => __('Matches', 'archiviomd'),
+                'integrityDrift' => __('Drifted', 'archiviomd'),
+                'integrityMissing' => __('Missing', 'archiviomd'),
+                'integrityUntracked' => __('No checksum recorded', 'archiviomd'),
+                'integrityUnsupported' => __('Algorithm cannot be checked in the browser', 'archiviomd'),
+                'integrityError' => __('Could not load file', 'archiviomd'),
+                'bulkSelected' => __('%d selected', 'archiviomd'),
+                'bulkChooseAction' => __('Choose a bulk action first.', 'archiviomd'),
+                'bulkConfirmDeleteHtml' => __('Delete the generated HTML for %d document(s)?', 'archiviomd'),
+                'bulkConfirmDeleteCustom' => __('Remove %d custom file(s) from your custom markdown list? Saved content is not deleted.', 'archiviomd'),
+                'bulkProgress' => __('%1$d of %2$d done, %3$d failed', 'archiviomd'),
+                'bulkPending' => __('Waiting', 'archiviomd'),
+                'bulkRunning' => __('Working...', 'archiviomd'),
+                'bulkDone' => __('Done', 'archiviomd'),
+                'bulkSkipped' => __('Skipped: not a custom file', 'archiviomd'),
+                'filenameRequired' => __('Enter a filename.', 'archiviomd'),
+                'filenameInvalid' => __('Use letters, numbers, dots, dashes and underscores only, starting with a letter or number.', 'archiviomd'),
+                'filenameTaken' => __('%s already exists. Choose another name.', 'archiviomd'),
+                'filenameOk' => __('Will be created as %s', 'archiviomd'),
+                'searchLoading' => __('Indexing documents...', 'archiviomd'),
+                'searchResults' => __('%d matching document(s)', 'archiviomd'),
+                'searchNoResults' => __('No document contents match.', 'archiviomd'),
+                'searchLine' => __('Line %d', 'archiviomd'),
+                'searchNameMatch' => __('Matched by name or description', 'archiviomd'),
+                'statusActive' => __('Active', 'archiviomd'),
+                'statusEmpty' => __('Empty', 'archiviomd'),
+                'paletteEmpty' => __('No matching commands.', 'archiviomd'),
+                'paletteGoToTab' => __('Go to tab: %s', 'archiviomd'),
+                'paletteGenerateSitemap' => __('Generate sitemap', 'archiviomd'),
+                'paletteVerifyAll' => __('Verify all document checksums', 'archiviomd'),
+                'paletteNewCustom' => __('New custom markdown file', 'archiviomd'),
+                'paletteSearch' => __('Search document contents', 'archiviomd'),
+                'paletteImport' => __('Import documents from files or a ZIP', 'archiviomd'),
+                'paletteEdit' => __('Edit %s', 'archiviomd'),
+                'paletteChangelog' => __('View changelog: %s', 'archiviomd'),
+                'paletteGenerateHtml' => __('Generate HTML: %s', 'archiviomd'),
+                'paletteCopyMd' => __('Copy MD link: %s', 'archiviomd'),
+                'paletteCopyHtml' => __('Copy HTML link: %s', 'archiviomd'),
+                'paletteShowCard' => __('Show in tab: %s', 'archiviomd'),
+                'paletteGroupGlobal' => __('Command', 'archiviomd'),
+                'paletteGroupDocument' => __('Document', 'archiviomd'),
+                'customCreated' => __('Custom markdown file created. Opening the editor...', 'archiviomd'),
+                'seoNoProblems' => __('No problems found.', 'archiviomd'),
+                'seoProblems' => __('%1$d error(s), %2$d warning(s)', 'archiviomd'),
+                'seoLine' => __('Line %d', 'archiviomd'),
+                'seoAdsSummary' => __('%1$d record(s): %2$d DIRECT, %3$d RESELLER', 'archiviomd'),
+                'seoSigned' => __('This security.txt is PGP-signed. Editing it would invalidate the signature, so use the raw view and re-sign it.', 'archiviomd'),
+                'robotsGroup' => __('User agents', 'archiviomd'),
+                'robotsAddRule' => __('Add rule', 'archiviomd'),
+                'robotsAddGroup' => __('Add user-agent group', 'archiviomd'),
+                'robotsRemoveGroup' => __('Remove group', 'archiviomd'),
+                'robotsSitemaps' => __('Sitemaps', 'archiviomd'),
+                'robotsAddSitemap' => __('Add sitemap', 'archiviomd'),
+                'robotsAllowed' => __('Allowed', 'archiviomd'),
+                'robotsBlocked' => __('Blocked', 'archiviomd'),
+                'robotsNoRule' => __('no rule matches', 'archiviomd'),
+                'robotsMatchedGroup' => __('group: %s', 'archiviomd'),
+                'securityAdd' => __('Add', 'archiviomd'),
+                'securityRenew' => __('Set to one year from now', 'archiviomd'),
+                'securityLocalTime' => __('Your local time; saved in UTC.', 'archiviomd'),
+                'securityOther' => __('Other fields', 'archiviomd'),
+                'remove' => __('Remove', 'archiviomd'),
+                'seoChecks' => array(
+                    /* translators: %s: field or variable name */
+                    'noValue' => __('%s has no value.', 'archiviomd'),
+                    'robotsEmptyGroup' => __('This user-agent group has no Allow or Disallow rules.', 'archiviomd'),
+                    'robotsTooLarge' => __('robots.txt is larger than 500 KiB; Google ignores rules past that size.', 'archiviomd'),
+                    'robotsNotDirective' => __('Expected "Directive: value".', 'archiviomd'),
+                    /* translators: %s: directive name */
+                    'robotsUnknownDirective' => __('Unknown directive "%s"; most crawlers ignore it.', 'archiviomd'),
+                    'robotsEmptyAgent' => __('User-agent needs a crawler name or *.', 'archiviomd'),
+                    /* translators: %s: directive name (Allow or Disallow) */
+                    'robotsRuleOutsideGroup' => __('%s appears before any User-agent line, so no crawler applies it.', 'archiviomd'),
+                    'robotsEmptyAllow' => __('Empty Allow has no effect.', 'archiviomd'),
+                    'robotsPathStart' => __('Paths should start with "/" (or "*").', 'archiviomd'),
+                    'robotsPathSpaces' => __('Paths cannot contain spaces; percent-encode them as %20.', 'archiviomd'),
+                    'robotsSitemapUrl' => __('Sitemap must be an absolute http(s) URL.', 'archiviomd'),
+                    'robotsCrawlDelay' => __('Crawl-delay must be a number of seconds.', 'archiviomd'),
+                    'robotsCrawlDelayOutsideGroup' => __('Crawl-delay appears before any User-agent line.', 'archiviomd'),
+                    'robotsNoGroups' => __('No User-agent groups: crawlers will treat everything as allowed.', 'archiviomd'),
+                    /* translators: %s: field name */
+                    'securityUnknownField' => __('Unknown field "%s".', 'archiviomd'),
+                    /* translators: %s: field name */
+                    'securityRepeated' => __('%s must appear only once.', 'archiviomd'),
+                    'securityContactHttps' => __('Web contact URIs must use https://.', 'archiviomd'),
+                    'securityContactScheme' => __('Contact must be a mailto:, tel: or https:// URI.', 'archiviomd'),
+                    'securityExpiresFormat' => __('Expires must be an RFC 3339 date-time, e.g. 2026-12-31T23:59:59Z.', 'archiviomd'),
+                    /* translators: %d: number of days */
+                    'securityExpired' => __('This security.txt expired %d day(s) ago; clients should ignore it.', 'archiviomd'),
+                    /* translators: %d: number of days */
+                    'securityExpiresSoon' => __('Expires in %d day(s). Renew it soon.', 'archiviomd'),
+                    'securityExpiresFar' => __('Expires is more than a year away; RFC 9116 recommends less than a year.', 'archiviomd'),
+                    'securityLanguages' => __('Preferred-Languages should be comma-separated language tags, e.g. "en, fr".', 'archiviomd'),
+                    'securityEncryption' => __('Encryption should be an https://, dns: or openpgp4fpr: URI.', 'archiviomd'),
+                    /* translators: %s: field name */
+                    'securityHttps' => __('%s should be an https:// URI.', 'archiviomd'),
+                    'securityNotField' => __('Expected "Field: value".', 'archiviomd'),
+                    'securityNoContact' => __('At least one Contact field is required.', 'archiviomd'),
+                    'securityNoExpires' => __('An Expires field is required.', 'archiviomd'),
+                    /* translators: %s: variable name */
+                    'adsUnknownVariable' => __('Unknown variable "%s".', 'archiviomd'),
+                    'adsManagerDomain' => __('MANAGERDOMAIN must be a domain, optionally followed by ", CC" (country code).', 'archiviomd'),
+                    /* translators: %s: variable name */
+                    'adsVariableDomain' => __('%s must be a domain name.', 'archiviomd'),
+                    'adsNotRecord' => __('Expected "domain, account ID, DIRECT|RESELLER[, certification authority ID]".', 'archiviomd'),
+                    /* translators: %s: domain as written in the file */
+                    'adsSystemDomain' => __('"%s" is not a valid advertising system domain.', 'archiviomd'),
+                    'adsAccountId' => __('Account ID is missing or contains spaces.', 'archiviomd'),
+                    /* translators: %s: relationship as written in the file */
+                    'adsRelationship' => __('Relationship must be DIRECT or RESELLER, not "%s".', 'archiviomd'),
+                    'adsCertificationId' => __('Certification authority ID should be alphanumeric (e.g. a TAG-ID).', 'archiviomd'),
+                    /* translators: %d: line number */
+                    'adsDuplicate' => __('Duplicate of line %d.', 'archiviomd'),
+                    'adsNoRecords' => __('No seller records found.', 'archiviomd'),
+                    'humansHeaderCase' => __('Section headers are usually upper case, e.g. /* TEAM */.', 'archiviomd'),
+                    'humansBeforeSection' => __('Text before the first /* SECTION */ header.', 'archiviomd'),
+                    'humansLastUpdate' => __('Last update is conventionally written YYYY/MM/DD.', 'archiviomd'),
+                    'humansNoSections' => __('humans.txt usually groups lines under /* TEAM */, /* THANKS */ and /* SITE */ headers.', 'archiviomd'),
+                    /* translators: %s: parser error message */
+                    'sellersInvalidJson' => __('Invalid JSON: %s', 'archiviomd'),
+                    'sellersShape' => __('sellers.json must be an object with a "sellers" array.', 'archiviomd'),
+                    'sellersVersion' => __('Missing "version" (currently "1.0").', 'archiviomd'),
+                    /* translators: %d: seller number */
+                    'sellersNotObject' => __('Seller #%d is not an object.', 'archiviomd'),
+                    /* translators: %d: seller number */
+                    'sellersNoId' => __('Seller #%d has no seller_id.', 'archiviomd'),
+                    /* translators: 1: seller number, 2: seller ID */
+                    'sellersRepeatedId' => __('Seller #%1$d repeats seller_id "%2$s".', 'archiviomd'),
+                    /* translators: %d: seller number */
+                    'sellersType' => __('Seller #%d: seller_type must be PUBLISHER, INTERMEDIARY or BOTH.', 'archiviomd'),
+                    /* translators: %d: seller number */
+                    'sellersNoName' => __('Seller #%d is not confidential but has no name.', 'archiviomd'),
+                ),
+                'sitemapSummary' => __('%1$d URL(s) in %2$d file(s)', 'archiviomd'),
+                'sitemapFileMeta' => __('%1$d entries, %2$s KB', 'archiviomd'),
+                'sitemapValid' => __('valid', 'archiviomd'),
+                'sitemapErrors' => __('%d error(s)', 'archiviomd'),
+                'sitemapInvalid' => __('Fix the XML errors above before generating.', 'archiviomd'),
+                'sitemapNoUrls' => __('No URLs match these options.', 'archiviomd'),
+                'sitemapPage' => __('Page %1$d of %2$d (%3$d URLs)', 'archiviomd'),
+                'indexMoveHint' => __('Drag, or press Alt+Up/Down, to move', 'archiviomd'),
+                'indexDragSection' => __('Drag, or press Alt+Up/Down, to reorder this section', 'archiviomd'),
+                'indexSectionTitle' => __('Section title', 'archiviomd'),
+                'indexSectionNotEmpty' => __('Move the documents out of this section before removing it', 'archiviomd'),
+                'indexDropHere' => __('Drop documents here', 'archiviomd'),
+                'indexNoDocuments' => __('Tick documents above to add them to the index.', 'archiviomd'),
+                'indexPreviewPage' => __('Page mode', 'archiviomd'),
+                'indexPreviewShortcode' => __('Shortcode mode', 'archiviomd'),
+                'importNothing' => __('No files found to import.', 'archiviomd'),
+                'importSummary' => __('%1$d file(s) found, %2$d selected for import, %3$d imported.', 'archiviomd'),
+                'importRun' => __('Import %d file(s)', 'archiviomd'),
+                'importNew' => __('New', 'archiviomd'),
+                'importNewCustom' => __('new custom file', 'archiviomd'),
+                'importConflict' => __('Exists with different content', 'archiviomd'),
+                'importIdentical' => __('Already up to date', 'archiviomd'),
+                'importDuplicate' => __('Same document as an earlier file', 'archiviomd'),
+                'importUnsupported' => __('Not a Markdown or known SEO file', 'archiviomd'),
+                'importDoImport' => __('Import', 'archiviomd'),
+                'importDoOverwrite' => __('Overwrite', 'archiviomd'),
+                'importDoSkip' => __('Skip', 'archiviomd'),
+                'importShowDiff' => __('Diff', 'archiviomd'),
+                'importDiffTitle' => __('%s: current document vs. imported file', 'archiviomd'),
+                'importDone' => __('Imported', 'archiviomd'),
+                'importError_not-zip' => __('Not a readable ZIP archive', 'archiviomd'),
+                'importError_zip64' => __('ZIP64 archives are not supported', 'archiviomd'),
+                'importError_encrypted' => __('Encrypted archive entry', 'archiviomd'),
+                'importError_compression' => __('Unsupported compression method', 'archiviomd'),
+                'importError_too-large' => __('Larger than 1 MB', 'archiviomd'),
+                'importError_binary' => __('Not a UTF-8 text file', 'archiviomd'),
             )
         ));
     }
@@ -306,8 +583,61 @@ class Meta_Documentation_SEO_Manager {
         $content = wp_unslash( $_POST['content'] );
         
         $file_manager = new MDSM_File_Manager();
-        $result = $file_manager->save_file( $file_type, $file_name, $content );
         
+        // Optimistic concurrency: refuse to overwrite a version the editor never loaded.
+        // Callers that do not send base_checksum keep last-write-wins behaviour.
+        // The lock spans the check and the write, so two saves from the same
+        // base cannot both pass the check.
+        $lock = $file_manager->lock_file( $file_type, $file_name );
+        
+        if ( isset( $_POST['base_checksum'] ) ) {
+            $base_checksum    = sanitize_text_field( wp_unslash( $_POST['base_checksum'] ) );
+            $current_checksum = $file_manager->get_checksum( $file_type, $file_name );
+            
+            if ( ! hash_equals( $current_checksum, $base_checksum ) ) {
+                // Hash what we return so "theirs" and its checksum always agree.
+                $current_content = $file_manager->read_file( $file_type, $file_name );
+                $file_manager->unlock_file( $lock );
+                wp_send_json_error( array(
+                    'message'  => __( 'This file was changed by someone else since you opened it.', 'archiviomd' ),
+                    'conflict' => true,
+                    'exists'   => $file_manager->file_exists( $file_type, $file_name ),
+                    'content'  => $current_content,
+                    'checksum' => $current_checksum === '' ? '' : hash( 'sha256', $current_content ),
+                ) );
+            }
+        }
+        
+        // A restore is an ordinary save tagged with the revision it came from.
+        $restored_from = null;
+        if ( $file_type === 'meta' && ! empty( $_POST['restored_from'] ) ) {
+            $restored_from    = sanitize_text_field( wp_unslash( $_POST['restored_from'] ) );
+            $metadata_manager = new MDSM_Document_Metadata();
+            if ( ! in_array( $restored_from, $metadata_manager->get_revision_checksums( $file_name ), true ) ) {
+                $restored_from = null;
+            }
+        }
+        
+        $result = $file_manager->save_file( $file_type, $file_name, $content, $restored_from );
+        $result['checksum'] = $file_manager->get_checksum( $file_type, $file_name );
+        $file_manager->unlock_file( $lock );
+        
+        $result = $this->after_document_save( $file_type, $file_name, $content, $result );
+        
+        if ($result['success']) {
+            wp_send_json_success($result);
+        } else {
+            wp_send_json_error($result);
+        }
+    }
+    
+    /**
+     * Anchor a saved Markdown document and regenerate its HTML version
+     *
+     * Shared by the editor save and the document import; returns $result with
+     * html_generated / html_url added when the HTML file was rebuilt.
+     */
+    private function after_document_save($file_type, $file_name, $content, $result) {
         // Queue external anchor for native Markdown documents after successful save.
         // Queued in both HMAC and Basic modes — compute_packed() always returns a valid hash result.
         if ($result['success'] && $file_type === 'meta' && !empty($result['metadata']) && !empty(trim($content))) {
@@ -343,11 +673,7 @@ class Meta_Documentation_SEO_Manager {
             }
         }
         
-        if ($result['success']) {
-            wp_send_json_success($result);
-        } else {
-            wp_send_json_error($result);
-        }
+        return $result;
     }
     
     /**
@@ -409,6 +735,52 @@ class Meta_Documentation_SEO_Manager {
         wp_send_json_success($file_info);
     }
     
+    /**
+     * AJAX: Get every meta, custom and SEO document for the dashboard content search
+     */
+    public function ajax_get_search_index() {
+        check_ajax_referer('mdsm_nonce', 'nonce');
+        
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => 'Insufficient permissions'));
+        }
+        
+        // type, name, category, description for every known document
+        $entries = array();
+        foreach (mdsm_get_meta_files() as $category => $files) {
+            foreach ($files as $file_name => $description) {
+                $entries[] = array('meta', $file_name, $category, $description);
+            }
+        }
+        
+        $custom_categories = mdsm_get_custom_markdown_categories();
+        foreach (mdsm_get_custom_markdown_files() as $file_name => $description) {
+            $category = !empty($custom_categories[$file_name]) ? $custom_categories[$file_name] : 'Custom Markdown';
+            $entries[] = array('meta', $file_name, $category, $description);
+        }
+        
+        foreach (mdsm_get_seo_files() as $file_name => $description) {
+            $entries[] = array('seo', $file_name, 'SEO Files', $description);
+        }
+        
+        $file_manager = new MDSM_File_Manager();
+        $documents = array();
+        foreach ($entries as $entry) {
+            list($file_type, $file_name, $category, $description) = $entry;
+            $exists = $file_manager->file_exists($file_type, $file_name);
+            $documents[] = array(
+                'type' => $file_type,
+                'name' => $file_name,
+                'category' => $category,
+                'description' => $description,
+                'exists' => $exists,
+                'content' => $exists ? $file_manager->read_file($file_type, $file_name) : '',
+            );
+        }
+        
+        wp_send_json_success(array('documents' => $documents));
+    }
+    
     /**
      * AJAX: Get file counts
      */
@@ -455,8 +827,15 @@ class Meta_Documentation_SEO_Manager {
         update_option('mdsm_auto_update_sitemap', $auto_update);
         update_option('mdsm_sitemap_type', $sitemap_type);
         
+        // Content options from the sitemap panel; values are checked against the registered sources
+        $settings = null;
+        if ( isset( $_POST['settings'] ) ) {
+            $settings = MDSM_Sitemap_Generator::sanitize_settings( wp_unslash( $_POST['settings'] ) ); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+            update_option('mdsm_sitemap_settings', $settings);
+        }
+        
         $generator = new MDSM_Sitemap_Generator();
-        $result = $generator->generate($sitemap_type);
+        $result = $generator->generate($sitemap_type, $settings);
         
         if ($result['success']) {
             wp_send_json_success($result);
@@ -465,6 +844,28 @@ class Meta_Documentation_SEO_Manager {
         }
     }
     
+    /**
+     * AJAX: Preview sitemap
+     *
+     * Plans the files for the posted (unsaved) options and validates their XML
+     * without writing anything, returning one page of the URLs.
+     */
+    public function ajax_preview_sitemap() {
+        check_ajax_referer('mdsm_nonce', 'nonce');
+        
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => 'Insufficient permissions'));
+        }
+        
+        $sitemap_type = isset( $_POST['sitemap_type'] ) ? sanitize_text_field( wp_unslash( $_POST['sitemap_type'] ) ) : 'small';
+        $settings = MDSM_Sitemap_Generator::sanitize_settings( isset( $_POST['settings'] ) ? wp_unslash( $_POST['settings'] ) : array() ); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+        $page = isset( $_POST['page'] ) ? absint( $_POST['page'] ) : 1;
+        $file = isset( $_POST['file'] ) ? sanitize_file_name( wp_unslash( $_POST['file'] ) ) : '';
+        
+        $generator = new MDSM_Sitemap_Generator();
+        wp_send_json_success($generator->preview($sitemap_type, $settings, $page, 50, $file));
+    }
+    
     /**
      * Maybe auto-update sitemap
      */
@@ -569,10 +970,9 @@ class Meta_Documentation_SEO_Manager {
             wp_send_json_error(array('message' => 'Insufficient permissions'));
         }
         
-        $enabled = isset( $_POST['enabled'] ) && sanitize_text_field( wp_unslash( $_POST['enabled'] ) ) === '1';
-        $page_id = isset( $_POST['page_id'] ) ? absint( $_POST['page_id'] ) : 0;
-        $public_docs = isset( $_POST['public_docs'] ) ? wp_unslash( $_POST['public_docs'] ) : array();
-        $descriptions = isset( $_POST['descriptions'] ) ? wp_unslash( $_POST['descriptions'] ) : array();
+        $settings = $this->read_public_index_request();
+        $enabled = $settings['enabled'];
+        $page_id = $settings['page_id'];
         
         // Validate page selection if enabled
         if ($enabled && !$page_id) {
@@ -584,6 +984,52 @@ class Meta_Documentation_SEO_Manager {
             wp_send_json_error(array('message' => 'Selected page does not exist or is not published'));
         }
         
+        // Save options
+        $result1 = update_option('mdsm_public_index_enabled', $enabled);
+        $result2 = update_option('mdsm_public_index_page_id', $page_id);
+        $result3 = update_option('mdsm_public_documents', $settings['public_docs']);
+        $result4 = update_option('mdsm_document_descriptions', $settings['descriptions']);
+        update_option('mdsm_public_index_layout', $settings['layout']);
+        
+        wp_send_json_success(array(
+            'message' => 'Settings saved successfully',
+            'page_id' => $page_id,
+            'enabled' => $enabled
+        ));
+    }
+    
+    /**
+     * AJAX: Render the public index with unsaved settings for the live preview
+     */
+    public function ajax_preview_public_index() {
+        check_ajax_referer('mdsm_nonce', 'nonce');
+        
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => 'Insufficient permissions'));
+        }
+        
+        $settings = $this->read_public_index_request();
+        $page_id = $settings['page_id'] && get_post_status($settings['page_id']) === 'publish' ? $settings['page_id'] : 0;
+        
+        wp_send_json_success(array(
+            'html' => $this->public_index->render_preview(
+                $settings['public_docs'],
+                $settings['descriptions'],
+                $settings['layout'],
+                $settings['enabled'] ? 'page' : 'shortcode',
+                $page_id
+            )
+        ));
+    }
+    
+    /**
+     * Read and sanitize the public index settings posted by the Public Index tab
+     */
+    private function read_public_index_request() {
+        $public_docs = isset( $_POST['public_docs'] ) ? wp_unslash( $_POST['public_docs'] ) : array(); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+        $descriptions = isset( $_POST['descriptions'] ) ? wp_unslash( $_POST['descriptions'] ) : array(); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+        $layout = isset( $_POST['layout'] ) ? wp_unslash( $_POST['layout'] ) : array(); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+        
         // Sanitize public docs
         $sanitized_docs = array();
         if (is_array($public_docs)) {
@@ -600,16 +1046,55 @@ class Meta_Documentation_SEO_Manager {
             }
         }
         
-        // Save options
-        $result1 = update_option('mdsm_public_index_enabled', $enabled);
-        $result2 = update_option('mdsm_public_index_page_id', $page_id);
-        $result3 = update_option('mdsm_public_documents', $sanitized_docs);
-        $result4 = update_option('mdsm_document_descriptions', $sanitized_descriptions);
+        return array(
+            'enabled' => isset( $_POST['enabled'] ) && sanitize_text_field( wp_unslash( $_POST['enabled'] ) ) === '1',
+            'page_id' => isset( $_POST['page_id'] ) ? absint( $_POST['page_id'] ) : 0,
+            'public_docs' => $sanitized_docs,
+            'descriptions' => $sanitized_descriptions,
+            'layout' => MDSM_Public_Index::sanitize_layout($layout),
+        );
+    }
+    
+    /**
+     * AJAX: Add a single document to, or remove it from, the public index
+     */
+    public function ajax_set_public_document() {
+        check_ajax_referer('mdsm_nonce', 'nonce');
+        
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => 'Insufficient permissions'));
+        }
+        
+        $file_name = isset( $_POST['file_name'] ) ? sanitize_text_field( wp_unslash( $_POST['file_name'] ) ) : '';
+        $public    = isset( $_POST['public'] ) && sanitize_text_field( wp_unslash( $_POST['public'] ) ) === '1';
+        
+        if (empty($file_name)) {
+            wp_send_json_error(array('message' => 'File name is required'));
+        }
+        
+        // Same rule as the Public Index tab: only existing documents can be listed
+        $file_manager = new MDSM_File_Manager();
+        if ($public && !$file_manager->file_exists('meta', $file_name)) {
+            wp_send_json_error(array('message' => __('The document has no content yet, so it cannot be published.', 'archiviomd')));
+        }
+        
+        $public_docs = get_option('mdsm_public_documents', array());
+        if (!is_array($public_docs)) {
+            $public_docs = array();
+        }
+        
+        if ($public) {
+            $public_docs[$file_name] = true;
+        } else {
+            unset($public_docs[$file_name]);
+        }
+        
+        update_option('mdsm_public_documents', $public_docs);
         
         wp_send_json_success(array(
-            'message' => 'Settings saved successfully',
-            'page_id' => $page_id,
-            'enabled' => $enabled
+            'message' => $public ? __('Added to the public index.', 'archiviomd') : __('Removed from the public index.', 'archiviomd'),
+            'file_name' => $file_name,
+            'public' => $public
         ));
     }
     
@@ -626,6 +1111,8 @@ class Meta_Documentation_SEO_Manager {
         
         $filename = isset($_POST['filename']) ? sanitize_text_field( wp_unslash( $_POST['filename'] ) ) : '';
         $description = isset($_POST['description']) ? sanitize_text_field( wp_unslash( $_POST['description'] ) ) : '';
+        $category = isset($_POST['category']) ? sanitize_text_field( wp_unslash( $_POST['category'] ) ) : '';
+        $template = isset($_POST['template']) ? sanitize_key( wp_unslash( $_POST['template'] ) ) : '';
         
         if (empty($filename)) {
             wp_send_json_error(array('message' => 'Filename is required'));
@@ -635,35 +1122,62 @@ class Meta_Documentation_SEO_Manager {
         // Sanitize filename
         $filename = sanitize_file_name($filename);
         
-        // Ensure .md extension
-        if (!preg_match('/\.md$/', $filename)) {
+        // Ensure a lowercase .md extension; any other extension gets .md appended
+        if (preg_match('/\.md$/i', $filename)) {
+            $filename = substr($filename, 0, -3) . '.md';
+        } else {
             $filename .= '.md';
         }
         
-        // Validate filename (no path traversal, etc.)
-        if (preg_match('/[\/\\\\]/', $filename) || $filename === '.md' || $filename === '..md') {
+        // Validate filename (no path traversal, etc.); the creation dialog applies the same rule
+        if (!preg_match('/^[A-Za-z0-9][A-Za-z0-9._-]*\.md$/', $filename)) {
             wp_send_json_error(array('message' => 'Invalid filename'));
             exit;
         }
         
-        // Check if file already exists in predefined files
+        // Check if file already exists in predefined files. Compare case-insensitively
+        // so e.g. CHANGELOG.md cannot shadow changelog.md on case-insensitive filesystems.
         $meta_files = mdsm_get_meta_files();
-        foreach ($meta_files as $category => $files) {
-            if (isset($files[$filename])) {
-                wp_send_json_error(array('message' => 'This filename is already defined in ' . $category));
+        foreach ($meta_files as $meta_category => $files) {
+            foreach (array_keys($files) as $existing) {
+                if (strcasecmp($existing, $filename) === 0) {
+                    wp_send_json_error(array('message' => 'This filename is already defined in ' . $meta_category));
+                    exit;
+                }
+            }
+        }
+        foreach (array_keys(mdsm_get_custom_markdown_files()) as $existing) {
+            if (strcasecmp($existing, $filename) === 0) {
+                wp_send_json_error(array('message' => 'This custom markdown file already exists'));
                 exit;
             }
         }
         
+        $templates = mdsm_get_custom_markdown_templates();
+        if ($template !== '' && !isset($templates[$template])) {
+            wp_send_json_error(array('message' => 'Unknown template'));
+            exit;
+        }
+        
         // Add to custom files
-        if (mdsm_add_custom_markdown_file($filename, $description)) {
+        if (mdsm_add_custom_markdown_file($filename, $description, $category)) {
+            // Start from the template unless content for this name was left behind earlier
+            $file_manager = new MDSM_File_Manager();
+            $template_applied = false;
+            if ($template !== '' && !$file_manager->file_exists('meta', $filename)) {
+                $result = $file_manager->save_file('meta', $filename, mdsm_fill_markdown_template($templates[$template]['content']));
+                $template_applied = !empty($result['success']);
+            }
+            
             // Flush rewrite rules to include the new file
             flush_rewrite_rules();
             
             wp_send_json_success(array(
                 'message' => 'Custom markdown file created successfully',
                 'filename' => $filename,
-                'description' => $description
+                'description' => $description,
+                'category' => $category,
+                'template_applied' => $template_applied
             ));
             exit;
         } else {
@@ -698,6 +1212,119 @@ class Meta_Documentation_SEO_Manager {
         }
     }
     
+    /**
+     * AJAX: Match files chosen for import to documents and report conflicts
+     *
+     * Expects files[] = {path, checksum}, checksum being the SHA-256 of the
+     * file's content; nothing is written.
+     */
+    public function ajax_import_plan() {
+        check_ajax_referer('mdsm_nonce', 'nonce');
+        
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => 'Insufficient permissions'));
+        }
+        
+        $files = isset( $_POST['files'] ) && is_array( $_POST['files'] ) ? wp_unslash( $_POST['files'] ) : array(); // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+        
+        $file_manager = new MDSM_File_Manager();
+        $targets = array();
+        $items = array();
+        
+        foreach ($files as $file) {
+            $path = isset($file['path']) ? sanitize_text_field($file['path']) : '';
+            $checksum = isset($file['checksum']) ? sanitize_text_field($file['checksum']) : '';
+            
+            $item = mdsm_match_import_file($path);
+            $item['path'] = $path;
+            $item['exists'] = false;
+            
+            if ($item['kind'] === 'unsupported') {
+                $item['status'] = 'unsupported';
+            } elseif (isset($targets[strtolower($item['file_name'])])) {
+                // Two files in one import map to the same document; the first wins
+                $item['status'] = 'duplicate';
+            } else {
+                $targets[strtolower($item['file_name'])] = true;
+                $current = $file_manager->get_checksum($item['file_type'], $item['file_name']);
+                $item['exists'] = $current !== '';
+                if ($current === '') {
+                    $item['status'] = 'new';
+                } elseif ($checksum !== '' && hash_equals($current, $checksum)) {
+                    $item['status'] = 'identical';
+                } else {
+                    $item['status'] = 'conflict';
+                }
+            }
+            
+            $items[] = $item;
+        }
+        
+        wp_send_json_success(array('items' => $items));
+    }
+    
+    /**
+     * AJAX: Import one file as a document
+     *
+     * The target is matched again here rather than taken from the client. An
+     * existing document is only replaced when overwrite is set; the write is
+     * an ordinary save, so it gets its own changelog entry.
+     */
+    public function ajax_import_file() {
+        check_ajax_referer('mdsm_nonce', 'nonce');
+        
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => 'Insufficient permissions'));
+        }
+        
+        $path = isset( $_POST['path'] ) ? sanitize_text_field( wp_unslash( $_POST['path'] ) ) : '';
+        $overwrite = isset( $_POST['overwrite'] ) && sanitize_text_field( wp_unslash( $_POST['overwrite'] ) ) === '1';
+        
+        // Raw markdown/text, stored unsanitized exactly like an editor save (see ajax_save_file).
+        $content = isset( $_POST['content'] ) ? wp_unslash( $_POST['content'] ) : ''; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized
+        
+        $target = mdsm_match_import_file($path);
+        
+        if ($target['kind'] === 'unsupported') {
+            wp_send_json_error(array('message' => __('Only Markdown files and the known SEO files can be imported.', 'archiviomd')));
+        }
+        
+        // An empty save deletes the document, which an import must never do
+        if (trim($content) === '') {
+            wp_send_json_error(array('message' => __('The file is empty.', 'archiviomd')));
+        }
+        
+        if (strpos($content, "\0") !== false) {
+            wp_send_json_error(array('message' => __('Binary files cannot be imported.', 'archiviomd')));
+        }
+        
+        $file_manager = new MDSM_File_Manager();
+        
+        if (!$overwrite && $file_manager->file_exists($target['file_type'], $target['file_name'])) {
+            wp_send_json_error(array(
+                'message' => __('A document with this name already exists.', 'archiviomd'),
+                'conflict' => true
+            ));
+        }
+        
+        if ($target['kind'] === 'new_custom') {
+            mdsm_add_custom_markdown_file($target['file_name']);
+            
+            // Flush rewrite rules to include the new file
+            flush_rewrite_rules();
+        }
+        
+        $result = $file_manager->save_file($target['file_type'], $target['file_name'], $content);
+        $result = $this->after_document_save($target['file_type'], $target['file_name'], $content, $result);
+        $result = array_merge($result, $target);
+        
+        if ($result['success']) {
+            wp_send_json_success($result);
+        } else {
+            wp_send_json_error($result);
+        }
+    }
+    
     /**
      * AJAX: Get changelog for a document
      */
@@ -721,17 +1348,24 @@ class Meta_Documentation_SEO_Manager {
             wp_send_json_error(array('message' => 'No changelog found for this document'));
         }
         
+        $stored_revisions = $metadata_manager->get_revision_checksums($file_name);
+        
         // Format changelog for display
         $formatted_changelog = array();
-        foreach ($changelog as $entry) {
+        foreach ($changelog as $index => $entry) {
             $user = get_userdata($entry['user_id']);
             $user_display = $user ? $user->display_name : 'Unknown User';
             
             $formatted_changelog[] = array(
+                'index' => $index,
                 'timestamp' => gmdate('Y-m-d H:i:s \U\T\C', strtotime($entry['timestamp'])),
                 'user' => $user_display,
                 'action' => ucfirst($entry['action']),
-                'checksum' => substr($entry['checksum'], 0, 16) . '...'
+                'checksum' => $entry['checksum'],
+                'algorithm' => isset($entry['algorithm']) ? MDSM_Hash_Helper::algorithm_label($entry['algorithm']) : '',
+                'mode' => isset($entry['mode']) ? MDSM_Hash_Helper::mode_label($entry['mode']) : '',
+                'restored_from' => isset($entry['restored_from']) ? $entry['restored_from'] : '',
+                'has_content' => in_array($entry['checksum'], $stored_revisions, true)
             );
         }
         
@@ -741,6 +1375,73 @@ class Meta_Documentation_SEO_Manager {
         ));
     }
     
+    /**
+     * Look up a changelog entry and its stored content from the request
+     * (file_name, index). Sends a JSON error and exits if either is missing.
+     *
+     * @return array{entry: array, content: string}
+     */
+    private function get_requested_revision() {
+        check_ajax_referer('mdsm_nonce', 'nonce');
+        
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => 'Insufficient permissions'));
+        }
+        
+        $file_name = isset($_POST['file_name']) ? sanitize_text_field( wp_unslash( $_POST['file_name'] ) ) : '';
+        $index     = isset($_POST['index']) ? absint( $_POST['index'] ) : -1;
+        
+        $metadata_manager = new MDSM_Document_Metadata();
+        $changelog = $metadata_manager->get_changelog($file_name);
+        
+        if (empty($file_name) || !isset($changelog[$index])) {
+            wp_send_json_error(array('message' => __('Changelog entry not found.', 'archiviomd')));
+        }
+        
+        $entry   = $changelog[$index];
+        $content = $metadata_manager->get_revision($file_name, $entry['checksum']);
+        
+        if ($content === null) {
+            wp_send_json_error(array('message' => __('The content of this revision is not stored (it predates revision history or has been pruned).', 'archiviomd')));
+        }
+        
+        return array('entry' => $entry, 'content' => $content);
+    }
+    
+    /**
+     * AJAX: Get the stored content of a changelog revision
+     */
+    public function ajax_get_revision() {
+        $revision = $this->get_requested_revision();
+        
+        wp_send_json_success(array(
+            'checksum' => $revision['entry']['checksum'],
+            'content' => $revision['content']
+        ));
+    }
+    
+    /**
+     * AJAX: Recompute a revision's checksum with its recorded algorithm and mode
+     */
+    public function ajax_verify_revision() {
+        $revision = $this->get_requested_revision();
+        $unpacked = MDSM_Hash_Helper::unpack($revision['entry']['checksum']);
+        $verified = MDSM_Hash_Helper::verify_data($revision['content'], $unpacked['hash'], $unpacked['algorithm'], $unpacked['mode']);
+        
+        if ($verified === null) {
+            $status = 'hmac_unavailable';
+        } else {
+            $status = $verified ? 'verified' : 'mismatch';
+        }
+        
+        wp_send_json_success(array(
+            'status' => $status,
+            'checksum' => $revision['entry']['checksum'],
+            'algorithm' => MDSM_Hash_Helper::algorithm_label($unpacked['algorithm']),
+            'mode' => MDSM_Hash_Helper::mode_label($unpacked['mode'])
+        ));
+    }
+    
     /**
      * Add rewrite rules for our files
      */
@@ -793,6 +1494,13 @@ class Meta_Documentation_SEO_Manager {
             'top'
         );
 
+        // RFC 9116 location for security.txt (also served from the root).
+        add_rewrite_rule(
+            '^\.well-known/security\.txt$',
+            'index.php?mdsm_file=security.txt',
+            'top'
+        );
+
         // Well-known endpoint for Ed25519 public key.
         add_rewrite_rule(
             '^\.well-known/ed25519-pubkey\.txt$',
@@ -878,7 +1586,7 @@ class Meta_Documentation_SEO_Manager {
 
         // ── RSA public key well-known endpoint ───────────────────────────
         if ( $file === 'rsa-pubkey.pem' ) {
-            MDSM_RSA_Signing::serve_public_key(); // exits (stub: 404 until implemented)
+            MDSM_RSA_Signing::serve_public_key(); // exits
         }
 
         // ── W3C DID document well-known endpoint ─────────────────────────
@@ -1092,4 +1800,18 @@ add_action( 'plugins_loaded', function() {
         MDSM_Canary_Token::schedule_cache_check();
         update_option( 'archiviomd_db_version', '1.10.0', false );
     }
+
+    // Newly served files (e.g. /.well-known/security.txt) need their rewrite
+    // rules flushed once after an update, after add_rewrite_rules() runs on init.
+    if ( get_option( 'mdsm_rewrite_version' ) !== MDSM_VERSION ) {
+        add_action( 'init', 'flush_rewrite_rules', 99 );
+        update_option( 'mdsm_rewrite_version', MDSM_VERSION, false );
+    }
+
+    // Columns added to the anchor log after it first shipped are backfilled
+    // by create_table(); run it once per update.
+    if ( get_option( 'mdsm_anchor_log_version' ) !== MDSM_VERSION ) {
+        MDSM_Anchor_Log::create_table();
+        update_option( 'mdsm_anchor_log_version', MDSM_VERSION, false );
+    }
 }, 20 );
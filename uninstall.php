@@ -41,7 +41,7 @@ function archiviomd_uninstall_cleanup() {
     
     global $wpdb;
     
-    // 1. Delete all document metadata (UUIDs, checksums, changelogs)
+    // 1. Delete all document metadata (UUIDs, checksums, changelogs, revisions)
     //    Pattern: mdsm_doc_meta_*
     $wpdb->query(
         $wpdb->prepare(
@@ -50,17 +50,31 @@ function archiviomd_uninstall_cleanup() {
         )
     );
     
+    //    Stored revision content for the changelog. Pattern: mdsm_doc_rev_*
+    $wpdb->query(
+        $wpdb->prepare(
+            "DELETE FROM {$wpdb->options} WHERE option_name LIKE %s",
+            $wpdb->esc_like( 'mdsm_doc_rev_' ) . '%'
+        )
+    );
+    
     // 2. Delete plugin configuration options
     $plugin_options = array(
         'mdsm_auto_update_sitemap',
         'mdsm_sitemap_type',
+        'mdsm_sitemap_settings',
+        'mdsm_sitemap_files',
         'mdsm_custom_markdown_files',
+        'mdsm_custom_markdown_categories',
         'mdsm_public_index_enabled',
         'mdsm_public_index_page_id',
         'mdsm_public_documents',
         'mdsm_document_descriptions',
+        'mdsm_public_index_layout',
         'mdsm_backup_notice_dismissed',
         'mdsm_permalink_notice_dismissed',
+        'mdsm_rewrite_version',
+        'mdsm_anchor_log_version',
         'mdsm_uninstall_cleanup_enabled', // Delete the opt-in flag itself
         'archivio_post_auto_generate',
         'archivio_post_show_badge',